@@ -0,0 +1,89 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Common: ConversionRate Library Implementation
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+import "./SafeMath.sol";
+
+/**
+   @title ConversionRate
+   @notice Converts between ST and utility tokens at a conversion rate
+   with conversion rate decimals; a conversion rate of r with d decimals
+   converts 1 ST into r / 10^d utility tokens.
+
+   Conversions round down, so that the value chain never releases
+   more than it holds in stake. The part of the amount converted that is
+   too small to convert into one more wei is returned as dust;
+   the dust is not refunded, it is reported so that it is not lost silently.
+*/
+library ConversionRate {
+    using SafeMath for uint256;
+
+    /// @dev reverts on overflow
+    function toUtilityTokens(
+        uint256 _amountST,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals)
+        internal
+        pure
+        returns (
+        uint256 amountUT,
+        uint256 dustST)
+    {
+        uint256 factor = 10**uint256(_conversionRateDecimals);
+
+        amountUT = _amountST.mul(_conversionRate).div(factor);
+        dustST = _amountST.sub(divRoundUp(amountUT.mul(factor), _conversionRate));
+
+        return (amountUT, dustST);
+    }
+
+    /// @dev reverts on overflow
+    function toSimpleTokens(
+        uint256 _amountUT,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals)
+        internal
+        pure
+        returns (
+        uint256 amountST,
+        uint256 dustUT)
+    {
+        uint256 factor = 10**uint256(_conversionRateDecimals);
+
+        amountST = _amountUT.mul(factor).div(_conversionRate);
+        dustUT = _amountUT.sub(divRoundUp(amountST.mul(_conversionRate), factor));
+
+        return (amountST, dustUT);
+    }
+
+    function divRoundUp(
+        uint256 a,
+        uint256 b)
+        private
+        pure
+        returns (uint256)
+    {
+        if (a == 0) return 0;
+
+        return (a - 1) / b + 1;
+    }
+}
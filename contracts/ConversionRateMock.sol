@@ -0,0 +1,40 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Common: ConversionRate Library Mock
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+import "./ConversionRate.sol";
+
+
+contract ConversionRateMock {
+
+  function toUtilityTokens(uint256 amountST, uint256 conversionRate, uint8 conversionRateDecimals)
+    public pure returns (uint256 amountUT, uint256 dustST)
+  {
+    return ConversionRate.toUtilityTokens(amountST, conversionRate, conversionRateDecimals);
+  }
+
+  function toSimpleTokens(uint256 amountUT, uint256 conversionRate, uint8 conversionRateDecimals)
+    public pure returns (uint256 amountST, uint256 dustUT)
+  {
+    return ConversionRate.toSimpleTokens(amountUT, conversionRate, conversionRateDecimals);
+  }
+}
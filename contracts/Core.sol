@@ -22,11 +22,38 @@ pragma solidity ^0.4.17;
 // ----------------------------------------------------------------------------
 
 import "./CoreInterface.sol";
+import "./OpsManaged.sol";
+import "./MerklePatriciaProof.sol";
+import "./RLP.sol";
 
 
-/// @dev Core is a minimal stub that will become the anchoring and consensus point for
-///      the utility chain to validate itself against
-contract Core is CoreInterface {
+/// @dev Core is the anchoring point for a chain to validate the remote chain against;
+///      the registrar commits the state roots of the remote chain per block height
+///      and any account can prove the storage of OpenST remote against them;
+///      admin can replace the registrar after a delay
+contract Core is CoreInterface, OpsManaged {
+
+	/*
+	 *  Events
+	 */
+	event StateRootCommitted(uint256 _blockHeight, bytes32 _stateRoot);
+
+	event OpenSTRemoteProven(uint256 _blockHeight, bytes32 _storageRoot);
+
+	event RegistrarTransferInitiated(address indexed _existingRegistrar, address indexed _proposedRegistrar,
+		uint256 _activationHeight);
+
+	event RegistrarTransferRevoked(address indexed _existingRegistrar, address indexed _revokedRegistrar);
+
+	event RegistrarTransferCompleted(address indexed _newRegistrar);
+
+	/*
+	 *  Constants
+	 */
+	/// blocks to wait before the registrar transfer can be completed,
+	/// so that the transfer can be revoked if the proposed registrar is not trusted;
+	/// ~ 1 week at 15 seconds per block
+	uint256 constant private REGISTRAR_TRANSFER_BLOCKS_TO_WAIT = 40320;
 
 	/*
 	 *  Structures
@@ -51,6 +78,24 @@ contract Core is CoreInterface {
 	address private coreOpenSTRemote;
 	// /// 
 	// mapping(bytes32 => address) stakeTokenTuple;
+	/// latest block height of the remote chain for which a state root is committed
+	uint256 private coreLatestStateRootBlockHeight;
+	/// state roots of the remote chain committed by the registrar
+	mapping(uint256 /* blockHeight */ => bytes32) private stateRoots;
+	/// storage roots of OpenST remote proven against the committed state roots
+	mapping(uint256 /* blockHeight */ => bytes32) private storageRoots;
+	/// registrar proposed by admin to replace the registrar from the earliest transfer height
+	address private coreProposedRegistrar;
+	uint256 private coreEarliestRegistrarTransferHeight;
+
+
+	/*
+	 *  Modifiers
+	 */
+	modifier onlyRegistrar() {
+		require(msg.sender == coreRegistrar);
+		_;
+	}
 
 
 	/*
@@ -62,6 +107,7 @@ contract Core is CoreInterface {
 		uint256 _chainIdRemote,
 		address _openSTRemote)
 		public
+		OpsManaged()
 	{
 		require(_registrar != address(0));
 		require(_chainIdOrigin != 0);
@@ -73,6 +119,115 @@ contract Core is CoreInterface {
 		coreOpenSTRemote = _openSTRemote;
 	}
 
+	/// @dev registrar commits the state root of the remote chain at a block height;
+	///      block heights must strictly increase and committed state roots
+	///      cannot be overwritten
+	function commitStateRoot(
+		uint256 _blockHeight,
+		bytes32 _stateRoot)
+		public
+		onlyRegistrar
+		returns (bytes32 /* stateRoot */)
+	{
+		require(_stateRoot != bytes32(0));
+		require(_blockHeight > coreLatestStateRootBlockHeight);
+
+		stateRoots[_blockHeight] = _stateRoot;
+		coreLatestStateRootBlockHeight = _blockHeight;
+
+		StateRootCommitted(_blockHeight, _stateRoot);
+
+		return _stateRoot;
+	}
+
+	/// @dev initiate registrar transfer
+	function initiateRegistrarTransfer(
+		address _proposedRegistrar)
+		public
+		onlyAdmin
+		returns (bool /* success */)
+	{
+		require(_proposedRegistrar != address(0));
+		require(_proposedRegistrar != coreRegistrar);
+		require(coreProposedRegistrar == address(0));
+
+		coreEarliestRegistrarTransferHeight = block.number + blocksToWaitForRegistrarTransfer();
+		coreProposedRegistrar = _proposedRegistrar;
+
+		RegistrarTransferInitiated(coreRegistrar, _proposedRegistrar, coreEarliestRegistrarTransferHeight);
+
+		return true;
+	}
+
+	/// @dev only after the waiting period can the proposed registrar
+	///      complete the transfer
+	function completeRegistrarTransfer()
+		public
+		returns (bool /* success */)
+	{
+		require(msg.sender == coreProposedRegistrar);
+		require(coreEarliestRegistrarTransferHeight <= block.number);
+
+		coreRegistrar = coreProposedRegistrar;
+		coreProposedRegistrar = address(0);
+		coreEarliestRegistrarTransferHeight = 0;
+
+		RegistrarTransferCompleted(coreRegistrar);
+
+		return true;
+	}
+
+	/// @dev admin can revoke initiated registrar transfer
+	function revokeRegistrarTransfer()
+		public
+		onlyAdmin
+		returns (bool /* success */)
+	{
+		require(coreProposedRegistrar != address(0));
+
+		address revokedRegistrar = coreProposedRegistrar;
+		coreProposedRegistrar = address(0);
+		coreEarliestRegistrarTransferHeight = 0;
+
+		RegistrarTransferRevoked(coreRegistrar, revokedRegistrar);
+
+		return true;
+	}
+
+	/// @dev anyone can prove the account of OpenST remote against a committed state root,
+	///      after which the storage root of OpenST remote at that block height is stored
+	/// @param _blockHeight block height of a committed state root
+	/// @param _rlpEncodedAccount RLP encoded account [nonce, balance, storageRoot, codeHash]
+	/// @param _rlpParentNodes RLP encoded nodes of the account proof in the state trie
+	function proveOpenST(
+		uint256 _blockHeight,
+		bytes _rlpEncodedAccount,
+		bytes _rlpParentNodes)
+		public
+		returns (bool /* success */)
+	{
+		bytes32 stateRoot = stateRoots[_blockHeight];
+		require(stateRoot != bytes32(0));
+
+		RLP.RLPItem[] memory account = RLP.toList(RLP.toRLPItem(_rlpEncodedAccount));
+		require(account.length == 4);
+		bytes32 storageRoot = RLP.toBytes32(account[2]);
+		require(storageRoot != bytes32(0));
+
+		// the state trie is keyed on the hash of the account address
+		require(MerklePatriciaProof.verify(
+			_rlpEncodedAccount,
+			bytes32ToBytes(keccak256(coreOpenSTRemote)),
+			_rlpParentNodes,
+			stateRoot));
+
+		storageRoots[_blockHeight] = storageRoot;
+
+		OpenSTRemoteProven(_blockHeight, storageRoot);
+
+		return true;
+	}
+
 	/*
 	 *  Public view functions
 	 */
@@ -84,6 +239,30 @@ contract Core is CoreInterface {
 		return coreRegistrar;
 	}
 
+	function proposedRegistrar()
+		public
+		view
+		returns (address /* proposedRegistrar */)
+	{
+		return coreProposedRegistrar;
+	}
+
+	function earliestRegistrarTransferHeight()
+		public
+		view
+		returns (uint256 /* blockHeight */)
+	{
+		return coreEarliestRegistrarTransferHeight;
+	}
+
+	function blocksToWaitForRegistrarTransfer()
+		public
+		pure
+		returns (uint256)
+	{
+		return REGISTRAR_TRANSFER_BLOCKS_TO_WAIT;
+	}
+
 	function chainIdRemote()
 		public
 		view
@@ -99,4 +278,105 @@ contract Core is CoreInterface {
 	{
 		return coreOpenSTRemote;
 	}
+
+	function latestStateRootBlockHeight()
+		public
+		view
+		returns (uint256 /* blockHeight */)
+	{
+		return coreLatestStateRootBlockHeight;
+	}
+
+	function getStateRoot(
+		uint256 _blockHeight)
+		public
+		view
+		returns (bytes32 /* stateRoot */)
+	{
+		return stateRoots[_blockHeight];
+	}
+
+	function getStorageRoot(
+		uint256 _blockHeight)
+		public
+		view
+		returns (bytes32 /* storageRoot */)
+	{
+		return storageRoots[_blockHeight];
+	}
+
+	/// @dev verify that an intent exists on OpenST remote at the given block height;
+	///      intents are stored as structs in a mapping keyed on the intent hash
+	///      and the first member of the struct is the uuid of the token
+	/// @param _blockHeight block height at which OpenST remote has been proven
+	/// @param _intentsIndex storage index of the mapping of intents in OpenST remote
+	/// @param _intentHash hash of the intent, as key in the mapping
+	/// @param _uuid expected uuid stored for the intent
+	/// @param _rlpParentNodes RLP encoded nodes of the storage proof
+	function verifyIntent(
+		uint256 _blockHeight,
+		uint256 _intentsIndex,
+		bytes32 _intentHash,
+		bytes32 _uuid,
+		bytes _rlpParentNodes)
+		public
+		view
+		returns (bool /* verified */)
+	{
+		bytes32 storageRoot = storageRoots[_blockHeight];
+		if (storageRoot == bytes32(0)) return false;
+		if (_uuid == bytes32(0)) return false;
+
+		// storage location of the first member of the struct intents[_intentHash]
+		bytes32 storagePath = keccak256(keccak256(_intentHash, _intentsIndex));
+
+		return MerklePatriciaProof.verify(
+			rlpEncodeBytes32(_uuid),
+			bytes32ToBytes(storagePath),
+			_rlpParentNodes,
+			storageRoot);
+	}
+
+	/*
+	 *  Private pure functions
+	 */
+	function bytes32ToBytes(
+		bytes32 _value)
+		private
+		pure
+		returns (bytes memory result)
+	{
+		result = new bytes(32);
+		assembly {
+			mstore(add(result, 0x20), _value)
+		}
+
+		return result;
+	}
+
+	/// @dev storage values are RLP encoded without leading zero bytes
+	function rlpEncodeBytes32(
+		bytes32 _value)
+		private
+		pure
+		returns (bytes memory result)
+	{
+		uint256 leadingZeros = 0;
+		while (leadingZeros < 32 && _value[leadingZeros] == 0) leadingZeros++;
+		uint256 len = 32 - leadingZeros;
+
+		if (len == 1 && uint8(_value[31]) < 0x80) {
+			result = new bytes(1);
+			result[0] = _value[31];
+			return result;
+		}
+
+		result = new bytes(len + 1);
+		result[0] = byte(0x80 + len);
+		for (uint256 i = 0; i < len; i++) {
+			result[i + 1] = _value[leadingZeros + i];
+		}
+
+		return result;
+	}
 }
\ No newline at end of file
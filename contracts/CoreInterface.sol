@@ -27,4 +27,17 @@ contract CoreInterface {
 
 	function chainIdRemote() public view returns (uint256 /* chainIdRemote */);
 	function openSTRemote() public view returns (address /* OpenSTRemote */);
+
+	function commitStateRoot(uint256 _blockHeight, bytes32 _stateRoot) public returns (bytes32 /* stateRoot */);
+	function completeRegistrarTransfer() public returns (bool /* success */);
+	function latestStateRootBlockHeight() public view returns (uint256 /* blockHeight */);
+	function getStateRoot(uint256 _blockHeight) public view returns (bytes32 /* stateRoot */);
+	function getStorageRoot(uint256 _blockHeight) public view returns (bytes32 /* storageRoot */);
+	function verifyIntent(
+		uint256 _blockHeight,
+		uint256 _intentsIndex,
+		bytes32 _intentHash,
+		bytes32 _uuid,
+		bytes _rlpParentNodes)
+		public view returns (bool /* verified */);
 }
\ No newline at end of file
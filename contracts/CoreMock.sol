@@ -0,0 +1,45 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Common: CoreMock.sol
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+import "./Core.sol";
+
+/// @title CoreMock
+/// @dev Overrides certain durational constants and getters to ease testing Core
+contract CoreMock is Core {
+    uint256 private constant REGISTRAR_TRANSFER_BLOCKS_TO_WAIT = 3;
+
+    /*
+     *  Public functions
+     */
+    function CoreMock(
+        address _registrar,
+        uint256 _chainIdOrigin,
+        uint256 _chainIdRemote,
+        address _openSTRemote)
+        Core(_registrar, _chainIdOrigin, _chainIdRemote, _openSTRemote)
+        public { }
+
+    function blocksToWaitForRegistrarTransfer() public pure returns (uint256) {
+        return REGISTRAR_TRANSFER_BLOCKS_TO_WAIT;
+    }
+}
@@ -48,6 +48,7 @@ contract Hasher {
 			_conversionRateDecimals);
 	}
 
+	/// @dev _amountST and _amountUT are net of the fee taken on staking
 	function hashStakingIntent(
 		bytes32 _uuid,
 		address _account,
@@ -55,7 +56,9 @@ contract Hasher {
 		address _beneficiary,
 		uint256 _amountST,
 		uint256 _amountUT,
-		uint256 _escrowUnlockHeight)
+		uint256 _feeST,
+		uint256 _escrowUnlockHeight,
+		bytes32 _hashLock)
 		public
 		pure
 		returns (bytes32)
@@ -67,16 +70,23 @@ contract Hasher {
 			_beneficiary,
 			_amountST,
 			_amountUT,
-			_escrowUnlockHeight);
+			_feeST,
+			_escrowUnlockHeight,
+			_hashLock);
 	}
 
+	/// @dev _amountUT is net of the fee taken on redeeming;
+	///      _amountST is converted at the conversion rate when the redemption is declared
 	function hashRedemptionIntent(
 		bytes32 _uuid,
 		address _account,
 		uint256 _accountNonce,
 		address _beneficiary,
 		uint256 _amountUT,
-		uint256 _escrowUnlockHeight)
+		uint256 _amountST,
+		uint256 _feeUT,
+		uint256 _escrowUnlockHeight,
+		bytes32 _hashLock)
 		public
 		pure
 		returns (bytes32)
@@ -87,6 +97,34 @@ contract Hasher {
 			_accountNonce,
 			_beneficiary,
 			_amountUT,
-			_escrowUnlockHeight);
+			_amountST,
+			_feeUT,
+			_escrowUnlockHeight,
+			_hashLock);
+	}
+
+	/*
+	 *  Internal pure functions
+	 */
+	/// @dev Recover the account that signed the intent hash with eth_sign,
+	///      ie. as an Ethereum signed message of 32 bytes
+	/// @return signer; zero if the signature is invalid
+	function recoverIntentSigner(
+		bytes32 _intentHash,
+		uint8 _v,
+		bytes32 _r,
+		bytes32 _s)
+		internal
+		pure
+		returns (address /* signer */)
+	{
+		// accept both 0/1 and 27/28 as recovery id
+		if (_v < 27) _v += 27;
+
+		return ecrecover(
+			keccak256("\x19Ethereum Signed Message:\n32", _intentHash),
+			_v,
+			_r,
+			_s);
 	}
 }
\ No newline at end of file
@@ -0,0 +1,154 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Common: MerklePatriciaProof Library Implementation
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+import "./RLP.sol";
+
+
+/**
+   @title MerklePatriciaProof
+   @notice Verifies inclusion proofs in a Merkle-Patricia trie
+           as used for the state and storage tries of Ethereum
+*/
+library MerklePatriciaProof {
+
+	/*
+	 *  Internal functions
+	 */
+	/// @dev Verify that value is stored under path in the trie with given root
+	/// @param _value RLP encoded value stored in the leaf
+	/// @param _path key in the trie; for secure tries the keccak256 of the key
+	/// @param _rlpParentNodes RLP encoded list of the nodes from the root down to the leaf
+	/// @param _root root hash of the trie
+	/// @return true if the proof is valid
+	/// @notice nodes must be referenced by their hash; nodes shorter than 32 bytes
+	///         embedded in their parent are not supported, which is never the case
+	///         for the leafs of the state and storage tries as their keys are hashed
+	function verify(
+		bytes memory _value,
+		bytes memory _path,
+		bytes memory _rlpParentNodes,
+		bytes32 _root)
+		internal
+		pure
+		returns (bool)
+	{
+		RLP.RLPItem[] memory parentNodes = RLP.toList(RLP.toRLPItem(_rlpParentNodes));
+		RLP.RLPItem[] memory currentNodeList;
+
+		bytes memory nibbles = toNibbles(_path);
+		if (nibbles.length == 0) return false;
+
+		bytes32 nodeKey = _root;
+		uint256 pathPtr = 0;
+		uint256 traversed;
+
+		for (uint256 i = 0; i < parentNodes.length; i++) {
+			if (nodeKey != keccak256(RLP.toRlpBytes(parentNodes[i]))) return false;
+
+			currentNodeList = RLP.toList(parentNodes[i]);
+
+			if (currentNodeList.length == 17) {
+				// branch node
+				if (pathPtr == nibbles.length) {
+					return keccak256(RLP.toBytes(currentNodeList[16])) == keccak256(_value);
+				}
+
+				nodeKey = RLP.toBytes32(currentNodeList[uint8(nibbles[pathPtr])]);
+				pathPtr += 1;
+			} else if (currentNodeList.length == 2) {
+				// leaf or extension node
+				bool isLeaf;
+				(traversed, isLeaf) = traverseNibbles(
+					RLP.toBytes(currentNodeList[0]), nibbles, pathPtr);
+				if (traversed == 0) return false;
+				pathPtr += traversed;
+
+				if (isLeaf) {
+					return (pathPtr == nibbles.length &&
+						keccak256(RLP.toBytes(currentNodeList[1])) == keccak256(_value));
+				}
+
+				nodeKey = RLP.toBytes32(currentNodeList[1]);
+			} else {
+				return false;
+			}
+		}
+
+		// proof ended before reaching the value
+		return false;
+	}
+
+	/*
+	 *  Private functions
+	 */
+	/// @dev Match the hex-prefix encoded partial path of a leaf or extension node
+	///      against the path starting at pathPtr
+	/// @return traversed number of nibbles matched; zero if the partial path does not match
+	/// @return isLeaf true if the node is a leaf node
+	function traverseNibbles(
+		bytes memory _encodedPartialPath,
+		bytes memory _nibbles,
+		uint256 _pathPtr)
+		private
+		pure
+		returns (
+		uint256 traversed,
+		bool isLeaf)
+	{
+		bytes memory partialPath = toNibbles(_encodedPartialPath);
+		if (partialPath.length == 0) return (0, false);
+
+		// first nibble holds the node type flag and the parity of the partial path
+		uint8 flag = uint8(partialPath[0]);
+		if (flag > 3) return (0, false);
+		isLeaf = (flag >= 2);
+		// skip the padding nibble for even length partial paths
+		uint256 start = (flag % 2 == 0) ? 2 : 1;
+		if (partialPath.length < start) return (0, false);
+
+		traversed = partialPath.length - start;
+		if (_pathPtr + traversed > _nibbles.length) return (0, isLeaf);
+
+		for (uint256 i = 0; i < traversed; i++) {
+			if (partialPath[start + i] != _nibbles[_pathPtr + i]) return (0, isLeaf);
+		}
+
+		return (traversed, isLeaf);
+	}
+
+	/// @dev Split bytes into an array of nibbles
+	function toNibbles(
+		bytes memory _bytes)
+		private
+		pure
+		returns (bytes memory nibbles)
+	{
+		nibbles = new bytes(_bytes.length * 2);
+		for (uint256 i = 0; i < _bytes.length; i++) {
+			nibbles[i * 2] = byte(uint8(_bytes[i]) / 16);
+			nibbles[i * 2 + 1] = byte(uint8(_bytes[i]) % 16);
+		}
+
+		return nibbles;
+	}
+}
@@ -23,8 +23,10 @@ pragma solidity ^0.4.17;
 // ----------------------------------------------------------------------------
 
 import "./SafeMath.sol";
+import "./ConversionRate.sol";
 import "./Hasher.sol";
 import "./OpsManaged.sol";
+import "./CoreInterface.sol";
 
 // utility chain contracts
 import "./STPrime.sol";
@@ -43,7 +45,8 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
      */
     struct RegisteredToken {
         UtilityTokenInterface token;
-        address registrar;
+        // value chain on which the stake that backs the token is held
+        uint256 chainIdValue;
     }
 
     struct Mint {
@@ -52,6 +55,7 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         address beneficiary;
         uint256 amount;
         uint256 expirationHeight;
+        bytes32 hashLock;
     }
 
     struct Redemption {
@@ -59,7 +63,25 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         address redeemer;
         address beneficiary;
         uint256 amountUT;
+        // converted at the conversion rate when the redemption is declared
+        uint256 amountST;
         uint256 unlockHeight;
+        bytes32 hashLock;
+        // taken from the amount redeemed; collected on processRedeeming
+        uint256 feeUT;
+        // attached by the redeemer; credited to the account that processes the redemption
+        uint256 rewardUT;
+    }
+
+    /// @dev the fee is the larger of the basis points of the amount and the minimum fee
+    struct Fee {
+        uint256 feeBasisPoints;
+        uint256 minimumFee;
+    }
+
+    struct RegistrarTransfer {
+        address proposedRegistrar;
+        uint256 earliestTransferHeight;
     }
 
     /*
@@ -70,20 +92,22 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
 
     event RegisteredBrandedToken(address indexed _registrar, address indexed _token,
         bytes32 _uuid, string _symbol, string _name, uint256 _conversionRate,
-        uint8 _conversionRateDecimals, address _requester);
+        uint8 _conversionRateDecimals, address _requester, uint256 _chainIdValue);
 
     event StakingIntentConfirmed(bytes32 indexed _uuid, bytes32 indexed _stakingIntentHash,
-        address _staker, address _beneficiary, uint256 _amountST, uint256 _amountUT, uint256 _expirationHeight);
+        address _staker, address _beneficiary, uint256 _amountST, uint256 _amountUT, uint256 _expirationHeight,
+        bytes32 _hashLock);
 
+    /// @dev the unlock secret is revealed so that anyone can process the staking on the value chain
     event ProcessedMint(bytes32 indexed _uuid, bytes32 indexed _stakingIntentHash, address _token,
-        address _staker, address _beneficiary, uint256 _amount);
+        address _staker, address _beneficiary, uint256 _amount, bytes32 _unlockSecret);
 
     event RevertedMint(bytes32 indexed _uuid, bytes32 indexed _stakingIntentHash, address _staker,
         address _beneficiary, uint256 _amountUT);
 
     event RedemptionIntentDeclared(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
         address _token, address _redeemer, uint256 _nonce, address _beneficiary, uint256 _amount, uint256 _unlockHeight,
-        uint256 _chainIdValue);
+        uint256 _chainIdValue, bytes32 _hashLock, uint256 _fee, uint256 _amountST, uint256 _dustUT);
 
     event ProcessedRedemption(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash, address _token,
         address _redeemer, address _beneficiary, uint256 _amount);
@@ -91,13 +115,52 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
     event RevertedRedemption(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
         address _redeemer, address _beneficiary, uint256 _amountUT);
 
+    event MintingPauseSet(bytes32 indexed _uuid, bool _paused);
+
+    event RedeemingPauseSet(bytes32 indexed _uuid, bool _paused);
+
+    event RedemptionFeeSet(bytes32 indexed _uuid, uint256 _feeBasisPoints, uint256 _minimumFeeUT);
+
+    event FeesWithdrawn(bytes32 indexed _uuid, address _to, uint256 _amountUT);
+
+    event RedemptionRewardAdded(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
+        address _redeemer, uint256 _rewardUT);
+
+    event RedemptionRewardCredited(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
+        address _relayer, uint256 _rewardUT);
+
+    event RewardsWithdrawn(bytes32 indexed _uuid, address indexed _relayer, address _to, uint256 _amountUT);
+
+    event ConversionRateChangeScheduled(bytes32 indexed _uuid, uint256 _conversionRate,
+        uint8 _conversionRateDecimals, uint256 _activationHeight);
+
+    event ValueChainAdded(uint256 indexed _chainIdValue, address _registrar);
+
+    event RegistrarTransferInitiated(uint256 indexed _chainIdValue, address indexed _existingRegistrar,
+        address indexed _proposedRegistrar, uint256 _activationHeight);
+
+    event RegistrarTransferRevoked(uint256 indexed _chainIdValue, address indexed _existingRegistrar,
+        address indexed _revokedRegistrar);
+
+    event RegistrarTransferCompleted(uint256 indexed _chainIdValue, address indexed _newRegistrar);
+
     /*
      *  Constants
      */
-    // ~2 weeks, assuming ~15s per block
-    uint256 public constant BLOCKS_TO_WAIT_LONG = 80667;
-    // ~1hour, assuming ~15s per block
-    uint256 public constant BLOCKS_TO_WAIT_SHORT = 240;
+    /// bounds on the block wait times set on construction
+    uint256 public constant MIN_BLOCKS_TO_WAIT_SHORT = 5;
+    // ~4 weeks, assuming ~1s per block
+    uint256 public constant MAX_BLOCKS_TO_WAIT_LONG = 2419200;
+    /// storage index of the mapping stakes in OpenSTValue on the value chain
+    uint256 public constant OPENST_VALUE_STAKES_INDEX = 13;
+    /// fees are expressed in basis points of the amount redeemed
+    uint256 public constant FEE_BASIS_POINTS_DENOMINATOR = 10000;
+    /// branded tokens have as many decimals as ST
+    uint8 public constant MAX_CONVERSION_RATE_DECIMALS = 18;
+    /// blocks to wait before the registrar transfer can be completed,
+    /// so that the transfer can be revoked if the proposed registrar is not trusted;
+    /// ~ 1 week at 15 seconds per block
+    uint256 private constant REGISTRAR_TRANSFER_BLOCKS_TO_WAIT = 40320;
 
     /*
      *  Storage
@@ -105,10 +168,11 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
     /// store address of Simple Token Prime
     address public simpleTokenPrime;
     bytes32 public uuidSTPrime;
-    /// restrict (for now) to a single value chain
+    /// value chain on which ST' is staked; further value chains are added by admin
     uint256 public chainIdValue;
     /// chainId of the current utility chain
     uint256 public chainIdUtility;
+    /// registrar of the value chain of ST'
     address public registrar;
     bytes32[] public uuids;
     /// registered branded tokens 
@@ -122,35 +186,71 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
     /// and protects against replay attack on (un)staking proofs during the process.
     /// On the value chain nonces need to strictly increase by one; on the utility
     /// chain the nonce need to strictly increase (as one value chain can have multiple
-    /// utility chains)
-    mapping(address /* (un)staker */ => uint256) internal nonces;
+    /// utility chains); each value chain counts its own nonces, so they are kept per value chain
+    mapping(uint256 /* chainIdValue */ => mapping(address /* (un)staker */ => uint256)) internal nonces;
     /// store the ongoing mints and redemptions
     mapping(bytes32 /* stakingIntentHash */ => Mint) public mints;
     mapping(bytes32 /* redemptionIntentHash */ => Redemption) public redemptions;
+    /// @dev new storage is appended so that the storage layout
+    ///      remains provable from the value chain
+    mapping(uint256 /* chainIdValue */ => CoreInterface) internal cores;
+    /// block wait times, as the block time differs per chain
+    uint256 private waitBlocksLong;
+    uint256 private waitBlocksShort;
+    /// paused utility tokens do not accept new staking or redemption intents;
+    /// intents already declared can still be processed or reverted
+    mapping(bytes32 /* uuid */ => bool) public mintingPaused;
+    mapping(bytes32 /* uuid */ => bool) public redeemingPaused;
+    mapping(bytes32 /* uuid */ => Fee) public redemptionFees;
+    /// fee vault: fees collected per branded token, held by OpenSTUtility until withdrawn
+    mapping(bytes32 /* uuid */ => uint256) public feesUT;
+    /// rewards credited to relayers for processing redemptions, per branded token or ST',
+    /// held by OpenSTUtility until withdrawn
+    mapping(bytes32 /* uuid */ => mapping(address /* relayer */ => uint256)) public rewardsUT;
+    /// each value chain has its own registrar, that registers the branded tokens
+    /// staked on that value chain and confirms their staking intents
+    mapping(uint256 /* chainIdValue */ => address /* registrar */) public registrars;
+    /// registrars proposed by admin to replace the registrar of a value chain
+    mapping(uint256 /* chainIdValue */ => RegistrarTransfer) public registrarTransfers;
 
     /*
      *  Modifiers
      */
-    modifier onlyRegistrar() {
-        // for now keep unique registrar
-        require(msg.sender == registrar);
+    /// @dev a token remains with the registrar of its value chain, also when it is replaced
+    modifier onlyTokenRegistrar(bytes32 _uuid) {
+        require(msg.sender == registrars[registeredTokens[_uuid].chainIdValue]);
         _;
     }
 
+    /// @dev the mint must expire before the stake can be reverted on the
+    ///      value chain, so the short wait on the utility chain must be less than
+    ///      the long wait on the value chain; as block times differ per chain
+    ///      _blocksToWaitLongValue is counted in blocks of the utility chain
     function OpenSTUtility(
         uint256 _chainIdValue,
         uint256 _chainIdUtility,
-        address _registrar)
+        address _registrar,
+        uint256 _blocksToWaitLong,
+        uint256 _blocksToWaitShort,
+        uint256 _blocksToWaitLongValue)
         public
         OpsManaged()
     {
         require(_chainIdValue != 0);
         require(_chainIdUtility != 0);
         require(_registrar != address(0));
+        require(_blocksToWaitShort >= MIN_BLOCKS_TO_WAIT_SHORT);
+        require(_blocksToWaitShort < _blocksToWaitLong);
+        require(_blocksToWaitLong <= MAX_BLOCKS_TO_WAIT_LONG);
+        require(_blocksToWaitShort < _blocksToWaitLongValue);
 
         chainIdValue = _chainIdValue;
         chainIdUtility = _chainIdUtility;
+        // registrar can only be replaced after a delay, see initiateRegistrarTransfer
         registrar = _registrar;
+        registrars[_chainIdValue] = _registrar;
+        waitBlocksLong = _blocksToWaitLong;
+        waitBlocksShort = _blocksToWaitShort;
 
         uuidSTPrime = hashUuid(
             STPRIME_SYMBOL,
@@ -170,7 +270,7 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
 
         registeredTokens[uuidSTPrime] = RegisteredToken({
             token:          UtilityTokenInterface(simpleTokenPrime),
-            registrar:      registrar
+            chainIdValue:   _chainIdValue
         });
 
         uuids.push(uuidSTPrime);
@@ -193,24 +293,59 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         address _beneficiary,
         uint256 _amountST,
         uint256 _amountUT,
+        uint256 _feeST,
         uint256 _stakingUnlockHeight,
+        bytes32 _hashLock,
         bytes32 _stakingIntentHash)
         external
-        onlyRegistrar
-        returns (uint256 expirationHeight)
+        onlyTokenRegistrar(_uuid)
+        returns (uint256 /* expirationHeight */)
     {
-        require(address(registeredTokens[_uuid].token) != address(0));
-
-        require(nonces[_staker] < _stakerNonce);
-        require(_amountST > 0);
-        require(_amountUT > 0);
-        // stakingUnlockheight needs to be checked against the core that tracks the value chain
-        require(_stakingUnlockHeight > 0);
         require(_stakingIntentHash != "");
+        require(_stakingIntentHash == hashStakingIntent(
+            _uuid,
+            _staker,
+            _stakerNonce,
+            _beneficiary,
+            _amountST,
+            _amountUT,
+            _feeST,
+            _stakingUnlockHeight,
+            _hashLock));
 
-        expirationHeight = block.number + blocksToWaitShort();
-        nonces[_staker] = _stakerNonce;
+        return confirmStakingIntentInternal(
+            _uuid,
+            _staker,
+            _stakerNonce,
+            _beneficiary,
+            _amountST,
+            _amountUT,
+            _stakingUnlockHeight,
+            _hashLock,
+            _stakingIntentHash);
+    }
 
+    /// @dev anyone can confirm a staking intent with a storage proof
+    ///      of the staking intent in OpenSTValue on the value chain;
+    ///      the storage of OpenSTValue must first be proven on the core
+    ///      at the given block height of the value chain
+    /// @param _blockHeight block height of the value chain the proof is for
+    /// @param _rlpParentNodes RLP encoded nodes of the storage proof of stakes[stakingIntentHash]
+    function confirmStakingIntentWithProof(
+        bytes32 _uuid,
+        address _staker,
+        uint256 _stakerNonce,
+        address _beneficiary,
+        uint256 _amountST,
+        uint256 _amountUT,
+        uint256 _feeST,
+        uint256 _stakingUnlockHeight,
+        bytes32 _hashLock,
+        uint256 _blockHeight,
+        bytes _rlpParentNodes)
+        external
+        returns (uint256 /* expirationHeight */)
+    {
         bytes32 stakingIntentHash = hashStakingIntent(
             _uuid,
             _staker,
@@ -218,51 +353,40 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
             _beneficiary,
             _amountST,
             _amountUT,
-            _stakingUnlockHeight
+            _feeST,
+            _stakingUnlockHeight,
+            _hashLock
         );
 
-        require(stakingIntentHash == _stakingIntentHash);
-
-        mints[stakingIntentHash] = Mint({
-            uuid:             _uuid,
-            staker:           _staker,
-            beneficiary:      _beneficiary,
-            amount:           _amountUT,
-            expirationHeight: expirationHeight
-        });
-
-        StakingIntentConfirmed(_uuid, stakingIntentHash, _staker, _beneficiary, _amountST,
-                _amountUT, expirationHeight);
+        require(verifyStakingIntent(_uuid, stakingIntentHash, _blockHeight, _rlpParentNodes));
 
-        return expirationHeight;
+        return confirmStakingIntentInternal(
+            _uuid,
+            _staker,
+            _stakerNonce,
+            _beneficiary,
+            _amountST,
+            _amountUT,
+            _stakingUnlockHeight,
+            _hashLock,
+            stakingIntentHash);
     }
 
+    /// @dev the unlock secret of the hash lock is revealed to mint, after which anyone
+    ///      can process the staking on the value chain; anyone with the unlock secret
+    ///      can mint, as the beneficiary is fixed in the staking intent, so that
+    ///      a relayer or a contract wallet of the staker can complete the mint;
+    ///      processing is not frozen, as the staking may have been processed already
+    ///      and the mint must not expire during a freeze
     function processMinting(
-        bytes32 _stakingIntentHash)
+        bytes32 _stakingIntentHash,
+        bytes32 _unlockSecret)
         external
         returns (address tokenAddress)
     {
         require(_stakingIntentHash != "");
 
-        Mint storage mint = mints[_stakingIntentHash];
-        require(mint.staker == msg.sender);
-
-        // as process minting results in a gain it needs to expire well before
-        // the escrow on the cost unlocks in OpenSTValue.processStake
-        require(mint.expirationHeight > block.number);
-
-        UtilityTokenInterface token = registeredTokens[mint.uuid].token;
-        tokenAddress = address(token);
-        require(tokenAddress != address(0));
-
-        require(token.mint(mint.beneficiary, mint.amount));
-
-        ProcessedMint(mint.uuid, _stakingIntentHash, tokenAddress, mint.staker,
-            mint.beneficiary, mint.amount);
-
-        delete mints[_stakingIntentHash];
-
-        return tokenAddress;
+        return processMintingInternal(_stakingIntentHash, _unlockSecret);
     }
 
     function revertMinting(
@@ -300,12 +424,21 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
     ///      note: for STPrime, call OpenSTUtility.redeemSTPrime as a payable function
     ///      note: nonce must be queried from OpenSTValue contract
     ///      note: Redemption will be done to beneficiary address
+    ///      The redeemer keeps the unlock secret of _hashLock to reveal it
+    ///      on processUnstaking on the value chain.
+    ///      The fee is taken from _amountBT and the remainder is redeemed
+    ///      at the conversion rate of the branded token when the redemption is declared.
+    ///      The destination value chain must be the value chain the branded token
+    ///      is staked on, as only there the redemption can be unstaked.
     function redeem(
+        uint256 _chainIdValue,
         bytes32 _uuid,
         uint256 _amountBT,
         uint256 _nonce,
-        address _beneficiary)
+        address _beneficiary,
+        bytes32 _hashLock)
         external
+        whenNotFrozen
         returns (
         uint256 unlockHeight,
         bytes32 redemptionIntentHash)
@@ -313,55 +446,42 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         require(_uuid != "");
         require(_amountBT > 0);
         require(_beneficiary != address(0));
-        // on redemption allow the nonce to be re-used to cover for an unsuccessful
-        // previous redemption previously; as the nonce is strictly increasing plus
-        // one on the value chain; there is no gain on redeeming with the same nonce,
-        // only self-inflicted cost.
-        require(_nonce >= nonces[msg.sender]);
-        nonces[msg.sender] = _nonce;
-
+        require(_hashLock != "");
         // to redeem ST' one needs to send value to payable
         // function redeemSTPrime
         require(_uuid != uuidSTPrime);
+        require(!redeemingPaused[_uuid]);
+        require(_chainIdValue == registeredTokens[_uuid].chainIdValue);
 
         BrandedToken token = BrandedToken(registeredTokens[_uuid].token);
 
         require(token.allowance(msg.sender, address(this)) >= _amountBT);
         require(token.transferFrom(msg.sender, address(this), _amountBT));
 
-        unlockHeight = block.number + blocksToWaitLong();
-
-        redemptionIntentHash = hashRedemptionIntent(
-                _uuid,
-                msg.sender,
-                _nonce,
-                _beneficiary,
-                _amountBT,
-                unlockHeight
-        );
-
-        redemptions[redemptionIntentHash] = Redemption({
-            uuid:         _uuid,
-            redeemer:     msg.sender,
-            beneficiary:  _beneficiary,
-            amountUT:     _amountBT,
-            unlockHeight: unlockHeight
-        });
-
-        RedemptionIntentDeclared(_uuid, redemptionIntentHash, address(token),
-            msg.sender, _nonce, _beneficiary, _amountBT, unlockHeight, chainIdValue);
-
-        return (unlockHeight, redemptionIntentHash);
+        uint256 feeBT = calculateFee(redemptionFees[_uuid], _amountBT);
+        uint256 amountUT = _amountBT.sub(feeBT);
+        uint256 amountST;
+        uint256 dustUT;
+        // amountST is rounded down; the dust remains part of amountUT
+        (amountST, dustUT) = ConversionRate.toSimpleTokens(amountUT,
+            token.conversionRate(), token.conversionRateDecimals());
+        // minimal precision to unstake 1 STWei
+        require(amountST > 0);
+
+        return declareRedemptionIntent(_uuid, _nonce, _beneficiary, amountUT, amountST, dustUT, feeBT, _hashLock);
     }
 
-    /// @dev redeemer must send as value the amount STP to redeem
+    /// @dev redeemer must send as value the amount STP to redeem;
+    ///      no fee is taken on redeeming ST' and ST' converts one to one into ST
     ///      note: nonce must be queried from OpenSTValue contract
     ///      note: redemption will be done to beneficiary address
     function redeemSTPrime(
         uint256 _nonce,
-        address _beneficiary)
+        address _beneficiary,
+        bytes32 _hashLock)
         external
         payable
+        whenNotFrozen
         returns (
         uint256 amountSTP,
         uint256 unlockHeight,
@@ -369,76 +489,87 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
     {
         require(msg.value > 0);
         require(_beneficiary != address(0));
-        // on redemption allow the nonce to be re-used to cover for an unsuccessful
-        // previous redemption previously; as the nonce is strictly increasing plus
-        // one on the value chain; there is no gain on redeeming with the same nonce,
-        // only self-inflicted cost.
-        require(_nonce >= nonces[msg.sender]);
-        nonces[msg.sender] = _nonce;
-
+        require(_hashLock != "");
+        require(!redeemingPaused[uuidSTPrime]);
         amountSTP = msg.value;
-        unlockHeight = block.number + blocksToWaitLong();
 
-        redemptionIntentHash = hashRedemptionIntent(
-                uuidSTPrime,
-                msg.sender,
-                _nonce,
-                _beneficiary,
-                amountSTP,
-                unlockHeight
-        );
-
-        redemptions[redemptionIntentHash] = Redemption({
-            uuid:         uuidSTPrime,
-            redeemer:     msg.sender,
-            beneficiary:  _beneficiary,
-            amountUT:     amountSTP,
-            unlockHeight: unlockHeight
-        });
-
-        RedemptionIntentDeclared(uuidSTPrime, redemptionIntentHash, simpleTokenPrime,
-            msg.sender, _nonce, _beneficiary, amountSTP, unlockHeight, chainIdValue);
+        (unlockHeight, redemptionIntentHash) = declareRedemptionIntent(uuidSTPrime, _nonce, _beneficiary,
+            amountSTP, amountSTP, 0, 0, _hashLock);
 
         return (amountSTP, unlockHeight, redemptionIntentHash);
     }
 
+    /// @dev the redeemer reveals the unlock secret of the hash lock on processUnstaking
+    ///      on the value chain; so that the redeemer cannot unstake and avoid the cost
+    ///      of redeeming, anyone can process the redemption with the revealed secret,
+    ///      and only then, so that the escrow is not burned before it can be unstaked;
+    ///      processing is not frozen, as the redeemer may have unstaked already
     function processRedeeming(
-        bytes32 _redemptionIntentHash)
+        bytes32 _redemptionIntentHash,
+        bytes32 _unlockSecret)
         external
         returns (
         address tokenAddress)
     {
         require(_redemptionIntentHash != "");
 
+        require(redemptions[_redemptionIntentHash].hashLock == keccak256(_unlockSecret));
+
+        return processRedeemingInternal(_redemptionIntentHash);
+    }
+
+    /// @dev the redeemer attaches a reward in the redeemed token to the redemption intent,
+    ///      so that a relayer is compensated for completing processRedeeming;
+    ///      for ST' the reward is sent as value, otherwise the redeemer needs to set
+    ///      an allowance for OpenSTUtility on the branded token for the reward.
+    ///      The reward can be topped up while the redemption is not yet processed.
+    function addRedemptionReward(
+        bytes32 _redemptionIntentHash,
+        uint256 _rewardUT)
+        external
+        payable
+        returns (bool /* success */)
+    {
+        require(_rewardUT > 0);
+
         Redemption storage redemption = redemptions[_redemptionIntentHash];
+        require(redemption.redeemer == msg.sender);
 
-        // note: as processRedemption incurs a cost for the redeemer, we provide a fallback
-        // in v0.9 for registrar to process the redemption on behalf of the redeemer,
-        // as the redeemer could fail to process the redemption and avoid the cost of redeeming;
-        // this will be replaced with a signature carry-over implementation instead, where
-        // the signature of the intent hash suffices on value and utility chain, decoupling
-        // it from the transaction to processRedemption and processUnstaking
-        require(redemption.redeemer == msg.sender || registrar == msg.sender);
+        if (redemption.uuid == uuidSTPrime) {
+            require(msg.value == _rewardUT);
+        } else {
+            require(msg.value == 0);
+            EIP20Interface token = EIP20Interface(registeredTokens[redemption.uuid].token);
 
-        // as process redemption bears the cost there is no need to require
-        // the unlockHeight is not past, the same way as we do require for
-        // the expiration height on the unstake to not have expired yet.
+            require(token.transferFrom(msg.sender, address(this), _rewardUT));
+        }
 
-        UtilityTokenInterface token = registeredTokens[redemption.uuid].token;
-        tokenAddress = address(token);
-        require(tokenAddress != address(0));
+        redemption.rewardUT = redemption.rewardUT.add(_rewardUT);
 
-        uint256 value = 0;
-        if (redemption.uuid == uuidSTPrime) value = redemption.amountUT;
+        RedemptionRewardAdded(redemption.uuid, _redemptionIntentHash, msg.sender, redemption.rewardUT);
 
-        require(token.burn.value(value)(redemption.redeemer, redemption.amountUT));
+        return true;
+    }
 
-        ProcessedRedemption(redemption.uuid, _redemptionIntentHash, token,
-            redemption.redeemer, redemption.beneficiary, redemption.amountUT);
+    /// @dev a relayer withdraws the rewards credited to it for processing
+    ///      redemptions of the branded token or ST'
+    function withdrawRewards(
+        bytes32 _uuid,
+        address _to)
+        external
+        returns (bool /* success */)
+    {
+        require(_to != address(0));
 
-        delete redemptions[_redemptionIntentHash];
+        uint256 amountUT = rewardsUT[_uuid][msg.sender];
+        require(amountUT > 0);
 
-        return tokenAddress;
+        rewardsUT[_uuid][msg.sender] = 0;
+        transferUT(_uuid, _to, amountUT);
+
+        RewardsWithdrawn(_uuid, msg.sender, _to, amountUT);
+
+        return true;
     }
 
     function revertRedemption(
@@ -459,18 +590,12 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         require(redemption.unlockHeight <= block.number);
 
         uuid = redemption.uuid;
-        amountUT = redemption.amountUT;
+        // the fee is not collected and the reward is not credited on a reverted redemption
+        amountUT = redemption.amountUT.add(redemption.feeUT).add(redemption.rewardUT);
         redeemer = redemption.redeemer;
         beneficiary = redemption.beneficiary;
 
-        if (redemption.uuid == uuidSTPrime) {
-            // transfer throws if insufficient funds
-            redeemer.transfer(amountUT);
-        } else {
-            EIP20Interface token = EIP20Interface(registeredTokens[redemption.uuid].token);
-
-            require(token.transfer(redemption.redeemer, redemption.amountUT));
-        }
+        transferUT(uuid, redeemer, amountUT);
 
         delete redemptions[_redemptionIntentHash];
 
@@ -488,8 +613,11 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
     ///      because to automate it we will build a web UI where you can authenticate
     ///      with your msg.sender = _requester key;
     ///      until that time please drop us a line on partners(at)simpletoken.org and we can
-    ///      work with you to register for your branded token
+    ///      work with you to register for your branded token;
+    ///      the branded token is proposed to the registrar of the value chain
+    ///      on which it is to be staked
     function proposeBrandedToken(
+        uint256 _chainIdValue,
         string _symbol,
         string _name,
         uint256 _conversionRate,
@@ -497,36 +625,28 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         public
         returns (bytes32)
     {
-        require(bytes(_symbol).length > 0);
-        require(bytes(_name).length > 0);
-        require(_conversionRate > 0);
-        require(_conversionRateDecimals <= 5);
+        require(registrars[_chainIdValue] != address(0));
 
-        bytes32 hashSymbol = keccak256(_symbol);
-        bytes32 hashName = keccak256(_name);
-        require(checkAvailability(hashSymbol, hashName, msg.sender));
-
-        bytes32 btUuid = hashUuid(
+        bytes32 btUuid = brandedTokenUuid(
             _symbol,
             _name,
-            chainIdValue,
-            chainIdUtility,
-            address(this),
+            _chainIdValue,
             _conversionRate,
-            _conversionRateDecimals);
+            _conversionRateDecimals,
+            msg.sender);
 
         BrandedToken proposedBT = new BrandedToken(
             btUuid,
             _symbol,
             _name,
             TOKEN_DECIMALS,
-            chainIdValue,
+            _chainIdValue,
             chainIdUtility,
             _conversionRate,
             _conversionRateDecimals);
         // reserve name for sender under opt-in discretion of
         // registrar
-        nameReservation[hashName] = msg.sender;
+        nameReservation[keccak256(_name)] = msg.sender;
 
         ProposedBrandedToken(msg.sender, address(proposedBT), btUuid,
             _symbol, _name, _conversionRate, _conversionRateDecimals);
@@ -564,33 +684,42 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         return uuids.length;
     }
 
+    function core(
+        uint256 _chainIdValue)
+        public
+        view
+        returns (address /* core address */)
+    {
+        return address(cores[_chainIdValue]);
+    }
+
     /*
      *  Registrar functions
      */
-    /// @dev for v0.9.1 tracking Ethereum mainnet on the utility chain
-    ///      is not a required feature yet, so the core is simplified
-    ///      to uint256 valueChainId as storage on construction
-    // function addCore(
-    //  CoreInterface _core)
-    //  public
-    //  onlyRegistrar
-    //  returns (bool /* success */)
-    // {
-    //  require(address(_core) != address(0));
-    //  // core constructed with same registrar
-    //  require(registrar == _core.registrar());
-    //  // on utility chain core only tracks a remote value chain
-    //  uint256 coreChainIdValue = _core.chainIdRemote();
-    //  require(chainIdUtility != 0);
-    //  // cannot overwrite core for given chainId
-    //  require(cores[coreChainIdValue] == address(0));
-
-    //  cores[coreChainIdValue] = _core;
-
-    //  return true;
-    // }
+    /// @dev core on the utility chain tracks the state roots of the value chain
+    ///      so that intents declared on the value chain can be proven;
+    ///      the core for a value chain is added by the registrar of that value chain
+    function addCore(
+        CoreInterface _core)
+        public
+        returns (bool /* success */)
+    {
+        require(address(_core) != address(0));
+        // on utility chain core only tracks the remote value chain
+        uint256 coreChainIdValue = _core.chainIdRemote();
+        require(msg.sender == registrars[coreChainIdValue]);
+        // core constructed with same registrar
+        require(msg.sender == _core.registrar());
+        // cannot overwrite core for given chainId
+        require(cores[coreChainIdValue] == address(0));
 
-    /* solhint-disable-next-line separate-by-one-line-in-contract */
+        cores[coreChainIdValue] = _core;
+
+        return true;
+    }
+
+    /// @dev the branded token is registered by the registrar of the value chain
+    ///      it is proposed for
     function registerBrandedToken(
         string _symbol,
         string _name,
@@ -600,26 +729,18 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         UtilityTokenInterface _brandedToken,
         bytes32 _checkUuid)
         public
-        onlyRegistrar
         returns (bytes32 registeredUuid)
     {
-        require(bytes(_symbol).length > 0);
-        require(bytes(_name).length > 0);
-        require(_conversionRate > 0);
-        require(_conversionRateDecimals <= 5);
+        uint256 tokenChainIdValue = _brandedToken.genesisChainIdValue();
+        require(msg.sender == registrars[tokenChainIdValue]);
 
-        bytes32 hashSymbol = keccak256(_symbol);
-        bytes32 hashName = keccak256(_name);
-        require(checkAvailability(hashSymbol, hashName, _requester));
-
-        registeredUuid = hashUuid(
+        registeredUuid = brandedTokenUuid(
             _symbol,
             _name,
-            chainIdValue,
-            chainIdUtility,
-            address(this),
+            tokenChainIdValue,
             _conversionRate,
-            _conversionRateDecimals);
+            _conversionRateDecimals,
+            _requester);
 
         require(registeredUuid == _checkUuid);
         require(_brandedToken.uuid() == _checkUuid);
@@ -628,21 +749,97 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
 
         registeredTokens[registeredUuid] = RegisteredToken({
             token:          _brandedToken,
-            registrar:      registrar
+            chainIdValue:   tokenChainIdValue
         });
 
         // register name to registrar
-        nameReservation[hashName] = registrar;
+        nameReservation[keccak256(_name)] = msg.sender;
         // register symbol
-        symbolRoute[hashSymbol] = _brandedToken;
+        symbolRoute[keccak256(_symbol)] = _brandedToken;
         uuids.push(registeredUuid);
 
-        RegisteredBrandedToken(registrar, _brandedToken, registeredUuid, _symbol, _name,
-            _conversionRate, _conversionRateDecimals, _requester);
+        RegisteredBrandedToken(msg.sender, _brandedToken, registeredUuid, _symbol, _name,
+            _conversionRate, _conversionRateDecimals, _requester, tokenChainIdValue);
 
         return registeredUuid;
     }
 
+    /// @dev the fee taken from each redemption of the branded token;
+    ///      it is collected in the fee vault when the redemption is processed
+    function setRedemptionFee(
+        bytes32 _uuid,
+        uint256 _feeBasisPoints,
+        uint256 _minimumFeeUT)
+        external
+        onlyTokenRegistrar(_uuid)
+        returns (bool /* success */)
+    {
+        require(address(registeredTokens[_uuid].token) != address(0));
+        // ST' is redeemed without a fee
+        require(_uuid != uuidSTPrime);
+        require(_feeBasisPoints < FEE_BASIS_POINTS_DENOMINATOR);
+
+        redemptionFees[_uuid] = Fee({
+            feeBasisPoints: _feeBasisPoints,
+            minimumFee:     _minimumFeeUT
+        });
+
+        RedemptionFeeSet(_uuid, _feeBasisPoints, _minimumFeeUT);
+
+        return true;
+    }
+
+    function withdrawFees(
+        bytes32 _uuid,
+        address _to,
+        uint256 _amountUT)
+        external
+        onlyTokenRegistrar(_uuid)
+        returns (bool /* success */)
+    {
+        require(_to != address(0));
+        require(_amountUT > 0);
+        require(_amountUT <= feesUT[_uuid]);
+
+        feesUT[_uuid] = feesUT[_uuid].sub(_amountUT);
+        transferUT(_uuid, _to, _amountUT);
+
+        FeesWithdrawn(_uuid, _to, _amountUT);
+
+        return true;
+    }
+
+    /// @dev the branded token picks up the new conversion rate at the activation height,
+    ///      and the uuid of the branded token does not change.
+    ///      The activation height is at least the long wait ahead, so that redeemers
+    ///      have notice of the new conversion rate. OpenSTValue confirms redemptions at
+    ///      the conversion rate active on the value chain, and at the previous rate during
+    ///      the long wait after its activation there; a redemption declared at another rate
+    ///      is not confirmed and can be reverted
+    function scheduleConversionRateChange(
+        bytes32 _uuid,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals,
+        uint256 _activationHeight)
+        external
+        onlyTokenRegistrar(_uuid)
+        returns (bool /* success */)
+    {
+        UtilityTokenInterface token = registeredTokens[_uuid].token;
+        require(address(token) != address(0));
+        // ST' converts one to one into ST
+        require(_uuid != uuidSTPrime);
+        require(_conversionRate > 0);
+        require(_conversionRateDecimals <= MAX_CONVERSION_RATE_DECIMALS);
+        require(_activationHeight >= block.number + blocksToWaitLong());
+
+        require(token.scheduleConversionRateChange(_conversionRate, _conversionRateDecimals, _activationHeight));
+
+        ConversionRateChangeScheduled(_uuid, _conversionRate, _conversionRateDecimals, _activationHeight);
+
+        return true;
+    }
+
     /*
      *  Administrative functions
      */
@@ -673,11 +870,392 @@ contract OpenSTUtility is Hasher, OpsManaged, STPrimeConfig {
         return true;
     }
 
-    function blocksToWaitLong() public pure returns (uint256) {
-        return BLOCKS_TO_WAIT_LONG;
+    /// @dev the utility chain accepts stake from the value chain
+    ///      with its own registrar and core
+    function addValueChain(
+        uint256 _chainIdValue,
+        address _registrar)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(_chainIdValue != 0);
+        require(_chainIdValue != chainIdUtility);
+        require(_registrar != address(0));
+        require(registrars[_chainIdValue] == address(0));
+
+        registrars[_chainIdValue] = _registrar;
+
+        ValueChainAdded(_chainIdValue, _registrar);
+
+        return true;
+    }
+
+    /// @dev the registrar of the value chain is replaced no earlier than
+    ///      blocksToWaitForRegistrarTransfer after initiating, so that the transfer
+    ///      can be revoked if the proposed registrar is not trusted
+    function initiateRegistrarTransfer(
+        uint256 _chainIdValue,
+        address _proposedRegistrar)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        address existingRegistrar = registrars[_chainIdValue];
+        require(existingRegistrar != address(0));
+        require(_proposedRegistrar != address(0));
+        require(_proposedRegistrar != existingRegistrar);
+        require(registrarTransfers[_chainIdValue].proposedRegistrar == address(0));
+
+        uint256 earliestTransferHeight = block.number + blocksToWaitForRegistrarTransfer();
+        registrarTransfers[_chainIdValue] = RegistrarTransfer({
+            proposedRegistrar:      _proposedRegistrar,
+            earliestTransferHeight: earliestTransferHeight
+        });
+
+        RegistrarTransferInitiated(_chainIdValue, existingRegistrar, _proposedRegistrar, earliestTransferHeight);
+
+        return true;
+    }
+
+    /// @dev only after the waiting period can the proposed registrar
+    ///      complete the transfer
+    function completeRegistrarTransfer(
+        uint256 _chainIdValue)
+        external
+        returns (bool /* success */)
+    {
+        RegistrarTransfer storage registrarTransfer = registrarTransfers[_chainIdValue];
+        require(msg.sender == registrarTransfer.proposedRegistrar);
+        require(registrarTransfer.earliestTransferHeight <= block.number);
+
+        registrars[_chainIdValue] = msg.sender;
+        if (_chainIdValue == chainIdValue) registrar = msg.sender;
+        delete registrarTransfers[_chainIdValue];
+
+        RegistrarTransferCompleted(_chainIdValue, msg.sender);
+
+        return true;
+    }
+
+    function revokeRegistrarTransfer(
+        uint256 _chainIdValue)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        address revokedRegistrar = registrarTransfers[_chainIdValue].proposedRegistrar;
+        require(revokedRegistrar != address(0));
+
+        delete registrarTransfers[_chainIdValue];
+
+        RegistrarTransferRevoked(_chainIdValue, registrars[_chainIdValue], revokedRegistrar);
+
+        return true;
+    }
+
+    function setMintingPaused(
+        bytes32 _uuid,
+        bool _paused)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(address(registeredTokens[_uuid].token) != address(0));
+
+        mintingPaused[_uuid] = _paused;
+
+        MintingPauseSet(_uuid, _paused);
+
+        return true;
+    }
+
+    function setRedeemingPaused(
+        bytes32 _uuid,
+        bool _paused)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(address(registeredTokens[_uuid].token) != address(0));
+
+        redeemingPaused[_uuid] = _paused;
+
+        RedeemingPauseSet(_uuid, _paused);
+
+        return true;
+    }
+
+    function blocksToWaitLong() public view returns (uint256) {
+        return waitBlocksLong;
+    }
+
+    function blocksToWaitShort() public view returns (uint256) {
+        return waitBlocksShort;
+    }
+
+    function blocksToWaitForRegistrarTransfer() public pure returns (uint256) {
+        return REGISTRAR_TRANSFER_BLOCKS_TO_WAIT;
+    }
+
+    /*
+     *  Internal functions
+     */
+    /// @dev verify the storage proof of the staking intent in OpenSTValue
+    ///      against the core tracking the value chain of the token
+    function verifyStakingIntent(
+        bytes32 _uuid,
+        bytes32 _stakingIntentHash,
+        uint256 _blockHeight,
+        bytes memory _rlpParentNodes)
+        internal
+        view
+        returns (bool /* verified */)
+    {
+        CoreInterface coreValue = cores[registeredTokens[_uuid].chainIdValue];
+        require(address(coreValue) != address(0));
+
+        return coreValue.verifyIntent(_blockHeight, OPENST_VALUE_STAKES_INDEX,
+            _stakingIntentHash, _uuid, _rlpParentNodes);
+    }
+
+    /// @dev the symbol and name must be available to the requester
+    function brandedTokenUuid(
+        string _symbol,
+        string _name,
+        uint256 _chainIdValue,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals,
+        address _requester)
+        internal
+        view
+        returns (bytes32 /* uuid */)
+    {
+        require(bytes(_symbol).length > 0);
+        require(bytes(_name).length > 0);
+        require(_conversionRate > 0);
+        require(_conversionRateDecimals <= MAX_CONVERSION_RATE_DECIMALS);
+        require(checkAvailability(keccak256(_symbol), keccak256(_name), _requester));
+
+        return hashUuid(
+            _symbol,
+            _name,
+            _chainIdValue,
+            chainIdUtility,
+            address(this),
+            _conversionRate,
+            _conversionRateDecimals);
+    }
+
+    /// @dev ST' is held as value, branded tokens as token balance of OpenSTUtility
+    function transferUT(
+        bytes32 _uuid,
+        address _to,
+        uint256 _amountUT)
+        internal
+    {
+        if (_uuid == uuidSTPrime) {
+            // transfer throws if insufficient funds
+            _to.transfer(_amountUT);
+        } else {
+            require(EIP20Interface(registeredTokens[_uuid].token).transfer(_to, _amountUT));
+        }
+    }
+
+    /// @dev the fee cannot exceed the amount it is taken from
+    function calculateFee(
+        Fee storage _fee,
+        uint256 _amount)
+        internal
+        view
+        returns (uint256 fee)
+    {
+        fee = _amount.mul(_fee.feeBasisPoints).div(FEE_BASIS_POINTS_DENOMINATOR);
+        if (fee < _fee.minimumFee) fee = _fee.minimumFee;
+        require(fee < _amount);
+
+        return fee;
+    }
+
+    /// @dev the caller must have taken _amountUT and _feeUT into escrow from msg.sender,
+    ///      the redeemer
+    function declareRedemptionIntent(
+        bytes32 _uuid,
+        uint256 _nonce,
+        address _beneficiary,
+        uint256 _amountUT,
+        uint256 _amountST,
+        uint256 _dustUT,
+        uint256 _feeUT,
+        bytes32 _hashLock)
+        internal
+        returns (
+        uint256 unlockHeight,
+        bytes32 redemptionIntentHash)
+    {
+        // on redemption allow the nonce to be re-used to cover for an unsuccessful
+        // previous redemption previously; as the nonce is strictly increasing plus
+        // one on the value chain; there is no gain on redeeming with the same nonce,
+        // only self-inflicted cost.
+        mapping(address => uint256) redeemerNonces = nonces[registeredTokens[_uuid].chainIdValue];
+        require(_nonce >= redeemerNonces[msg.sender]);
+        redeemerNonces[msg.sender] = _nonce;
+
+        unlockHeight = block.number + blocksToWaitLong();
+
+        Redemption memory redemption = Redemption({
+            uuid:         _uuid,
+            redeemer:     msg.sender,
+            beneficiary:  _beneficiary,
+            amountUT:     _amountUT,
+            amountST:     _amountST,
+            unlockHeight: unlockHeight,
+            hashLock:     _hashLock,
+            feeUT:        _feeUT,
+            rewardUT:     0
+        });
+
+        redemptionIntentHash = hashRedemptionIntent(
+            redemption.uuid,
+            redemption.redeemer,
+            _nonce,
+            redemption.beneficiary,
+            redemption.amountUT,
+            redemption.amountST,
+            redemption.feeUT,
+            redemption.unlockHeight,
+            redemption.hashLock
+        );
+
+        redemptions[redemptionIntentHash] = redemption;
+
+        emitRedemptionIntentDeclared(redemption, redemptionIntentHash, _nonce, _dustUT);
+
+        return (unlockHeight, redemptionIntentHash);
+    }
+
+    /// @dev apart from declareRedemptionIntent to keep within the stack limit
+    function emitRedemptionIntentDeclared(
+        Redemption memory _redemption,
+        bytes32 _redemptionIntentHash,
+        uint256 _nonce,
+        uint256 _dustUT)
+        internal
+    {
+        RedemptionIntentDeclared(_redemption.uuid, _redemptionIntentHash, address(registeredTokens[_redemption.uuid].token),
+            _redemption.redeemer, _nonce, _redemption.beneficiary, _redemption.amountUT, _redemption.unlockHeight,
+            registeredTokens[_redemption.uuid].chainIdValue, _redemption.hashLock, _redemption.feeUT, _redemption.amountST, _dustUT);
+    }
+
+    /// @dev mint the utility tokens to the beneficiary
+    function processMintingInternal(
+        bytes32 _stakingIntentHash,
+        bytes32 _unlockSecret)
+        internal
+        returns (address tokenAddress)
+    {
+        Mint storage mint = mints[_stakingIntentHash];
+        require(mint.hashLock == keccak256(_unlockSecret));
+
+        // as process minting results in a gain it needs to expire well before
+        // the escrow on the cost unlocks in OpenSTValue.processStake
+        require(mint.expirationHeight > block.number);
+
+        UtilityTokenInterface token = registeredTokens[mint.uuid].token;
+        tokenAddress = address(token);
+        require(tokenAddress != address(0));
+
+        require(token.mint(mint.beneficiary, mint.amount));
+
+        ProcessedMint(mint.uuid, _stakingIntentHash, tokenAddress, mint.staker,
+            mint.beneficiary, mint.amount, _unlockSecret);
+
+        delete mints[_stakingIntentHash];
+
+        return tokenAddress;
     }
 
-    function blocksToWaitShort() public pure returns (uint256) {
-        return BLOCKS_TO_WAIT_SHORT;
+    /// @dev burn the utility tokens held in escrow for the redemption
+    ///      and credit the reward to the account processing the redemption
+    function processRedeemingInternal(
+        bytes32 _redemptionIntentHash)
+        internal
+        returns (address tokenAddress)
+    {
+        Redemption storage redemption = redemptions[_redemptionIntentHash];
+
+        // as process redemption bears the cost there is no need to require
+        // the unlockHeight is not past, the same way as we do require for
+        // the expiration height on the unstake to not have expired yet.
+
+        UtilityTokenInterface token = registeredTokens[redemption.uuid].token;
+        tokenAddress = address(token);
+        require(tokenAddress != address(0));
+
+        uint256 value = 0;
+        if (redemption.uuid == uuidSTPrime) value = redemption.amountUT;
+
+        require(token.burn.value(value)(redemption.redeemer, redemption.amountUT));
+        feesUT[redemption.uuid] = feesUT[redemption.uuid].add(redemption.feeUT);
+
+        ProcessedRedemption(redemption.uuid, _redemptionIntentHash, token,
+            redemption.redeemer, redemption.beneficiary, redemption.amountUT);
+
+        if (redemption.rewardUT > 0) {
+            rewardsUT[redemption.uuid][msg.sender] = rewardsUT[redemption.uuid][msg.sender].add(redemption.rewardUT);
+
+            RedemptionRewardCredited(redemption.uuid, _redemptionIntentHash, msg.sender, redemption.rewardUT);
+        }
+
+        delete redemptions[_redemptionIntentHash];
+
+        return tokenAddress;
+    }
+
+    /// @dev the caller must have verified _stakingIntentHash
+    function confirmStakingIntentInternal(
+        bytes32 _uuid,
+        address _staker,
+        uint256 _stakerNonce,
+        address _beneficiary,
+        uint256 _amountST,
+        uint256 _amountUT,
+        uint256 _stakingUnlockHeight,
+        bytes32 _hashLock,
+        bytes32 _stakingIntentHash)
+        internal
+        whenNotFrozen
+        returns (uint256 expirationHeight)
+    {
+        require(address(registeredTokens[_uuid].token) != address(0));
+        require(!mintingPaused[_uuid]);
+
+        mapping(address => uint256) stakerNonces = nonces[registeredTokens[_uuid].chainIdValue];
+        require(stakerNonces[_staker] < _stakerNonce);
+        require(_amountST > 0);
+        require(_amountUT > 0);
+        // the staking intent can only be confirmed before it unlocks on the value chain,
+        // as far as the core that tracks the value chain of the token knows
+        CoreInterface coreValue = cores[registeredTokens[_uuid].chainIdValue];
+        require(address(coreValue) != address(0));
+        require(_stakingUnlockHeight > coreValue.latestStateRootBlockHeight());
+        require(_hashLock != "");
+
+        expirationHeight = block.number + blocksToWaitShort();
+        stakerNonces[_staker] = _stakerNonce;
+
+        mints[_stakingIntentHash] = Mint({
+            uuid:             _uuid,
+            staker:           _staker,
+            beneficiary:      _beneficiary,
+            amount:           _amountUT,
+            expirationHeight: expirationHeight,
+            hashLock:         _hashLock
+        });
+
+        StakingIntentConfirmed(_uuid, _stakingIntentHash, _staker, _beneficiary, _amountST,
+                _amountUT, expirationHeight, _hashLock);
+
+        return expirationHeight;
     }
 }
\ No newline at end of file
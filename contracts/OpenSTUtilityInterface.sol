@@ -24,6 +24,7 @@ pragma solidity ^0.4.17;
 
 // import "./CoreInterface.sol";
 import "./UtilityTokenInterface.sol";
+import "./CoreInterface.sol";
 
 
 contract OpenSTUtilityInterface {
@@ -34,18 +35,77 @@ contract OpenSTUtilityInterface {
         address _beneficiary,
         uint256 _amountST,
         uint256 _amountUT,
+        uint256 _feeST,
         uint256 _stakingUnlockHeight,
+        bytes32 _hashLock,
         bytes32 _stakingIntentHash)
         external
         returns (
         uint256 expirationHeight);
 
+    function revertMinting(
+        bytes32 _stakingIntentHash)
+        external
+        returns (
+        bytes32 uuid,
+        address staker,
+        address beneficiary,
+        uint256 amount);
+
     function processRedeeming(
-        bytes32 _redemptionIntentHash)
+        bytes32 _redemptionIntentHash,
+        bytes32 _unlockSecret)
         external
         returns (
         address tokenAddress);
 
+    function revertRedemption(
+        bytes32 _redemptionIntentHash)
+        external
+        returns (
+        bytes32 uuid,
+        address redeemer,
+        address beneficiary,
+        uint256 amountUT);
+
+    function setRedemptionFee(
+        bytes32 _uuid,
+        uint256 _feeBasisPoints,
+        uint256 _minimumFeeUT)
+        external
+        returns (
+        bool /* success */);
+
+    function withdrawFees(
+        bytes32 _uuid,
+        address _to,
+        uint256 _amountUT)
+        external
+        returns (
+        bool /* success */);
+
+    function withdrawRewards(
+        bytes32 _uuid,
+        address _to)
+        external
+        returns (
+        bool /* success */);
+
+    function scheduleConversionRateChange(
+        bytes32 _uuid,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals,
+        uint256 _activationHeight)
+        external
+        returns (
+        bool /* success */);
+
+    function addCore(
+        CoreInterface _core)
+        public
+        returns (
+        bool /* success */);
+
     function registerBrandedToken(
         string _symbol,
         string _name,
@@ -58,6 +118,12 @@ contract OpenSTUtilityInterface {
         returns (
         bytes32 registeredUuid);
 
+    function completeRegistrarTransfer(
+        uint256 _chainIdValue)
+        external
+        returns (
+        bool /* success */);
+
     function mints(
         bytes32 /* stakingIntentHash */)
         public
@@ -24,10 +24,12 @@ pragma solidity ^0.4.17;
 import "./OpenSTUtility.sol";
 
 /// @title OpenSTUtilityMock
-/// @dev Overrides certain durational constants and getters to ease testing OpenSTUtility
+/// @dev Constructs with short block wait times and overrides the registrar transfer wait
+///      to ease testing OpenSTUtility
 contract OpenSTUtilityMock is OpenSTUtility {
 	uint256 private constant BLOCKS_TO_WAIT_LONG = 8;
 	uint256 private constant BLOCKS_TO_WAIT_SHORT = 5;
+	uint256 private constant REGISTRAR_TRANSFER_BLOCKS_TO_WAIT = 3;
 
 	/*
 	 *  Public functions
@@ -36,14 +38,11 @@ contract OpenSTUtilityMock is OpenSTUtility {
 		uint256 _chainIdValue,
 		uint256 _chainIdUtility,
 		address _registrar)
-		OpenSTUtility(_chainIdValue, _chainIdUtility, _registrar)
+		OpenSTUtility(_chainIdValue, _chainIdUtility, _registrar,
+			BLOCKS_TO_WAIT_LONG, BLOCKS_TO_WAIT_SHORT, BLOCKS_TO_WAIT_LONG)
 		public { }
 
-	function blocksToWaitLong() public pure returns (uint256) {
-		return BLOCKS_TO_WAIT_LONG;
-	}
-
-	function blocksToWaitShort() public pure returns (uint256) {
-		return BLOCKS_TO_WAIT_SHORT;
+	function blocksToWaitForRegistrarTransfer() public pure returns (uint256) {
+		return REGISTRAR_TRANSFER_BLOCKS_TO_WAIT;
 	}
 }
\ No newline at end of file
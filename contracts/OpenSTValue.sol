@@ -23,6 +23,7 @@ pragma solidity ^0.4.17;
 // ----------------------------------------------------------------------------
 
 import "./SafeMath.sol";
+import "./ConversionRate.sol";
 import "./Hasher.sol";
 import "./OpsManaged.sol";
 import "./EIP20Interface.sol";
@@ -47,7 +48,10 @@ contract OpenSTValue is OpsManaged, Hasher {
     event StakingIntentDeclared(bytes32 indexed _uuid, address indexed _staker,
         uint256 _stakerNonce, address _beneficiary, uint256 _amountST,
         uint256 _amountUT, uint256 _unlockHeight, bytes32 _stakingIntentHash,
-        uint256 _chainIdUtility);
+        uint256 _chainIdUtility, bytes32 _hashLock, uint256 _feeST, uint256 _dustST);
+
+    event StakingAccountApproved(address indexed _staker, address indexed _stakingAccount,
+        uint256 _amountST, bytes32 _hashLock);
 
     event ProcessedStake(bytes32 indexed _uuid, bytes32 indexed _stakingIntentHash,
         address _stake, address _staker, uint256 _amountST, uint256 _amountUT);
@@ -56,23 +60,73 @@ contract OpenSTValue is OpsManaged, Hasher {
         address _staker, uint256 _amountST, uint256 _amountUT);
 
     event RedemptionIntentConfirmed(bytes32 indexed _uuid, bytes32 _redemptionIntentHash,
-        address _redeemer, address _beneficiary, uint256 _amountST, uint256 _amountUT, uint256 _expirationHeight);
+        address _redeemer, address _beneficiary, uint256 _amountST, uint256 _amountUT, uint256 _expirationHeight,
+        bytes32 _hashLock);
 
+    /// @dev _amountSTReleased is released by this transaction, the remainder
+    ///      of _amountST after any ProcessedUnstakeTranche released before
     event ProcessedUnstake(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
-        address stake, address _redeemer, address _beneficiary, uint256 _amountST);
+        address stake, address _redeemer, address _beneficiary, uint256 _amountST,
+        uint256 _amountSTReleased, bytes32 _unlockSecret);
+
+    event ProcessedUnstakeTranche(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
+        address _stake, address _beneficiary, uint256 _amountST, uint256 _amountSTRemaining,
+        bytes32 _unlockSecret);
 
     event RevertedUnstake(bytes32 indexed _uuid, bytes32 indexed _redemptionIntentHash,
         address _redeemer, address _beneficiary, uint256 _amountST);
 
+    event StakeLimitsSet(bytes32 indexed _uuid, uint256 _minStakeST, uint256 _maxStakeST,
+        uint256 _maxTotalStakeST);
+
+    event StakingPauseSet(bytes32 indexed _uuid, bool _paused);
+
+    event UnstakingPauseSet(bytes32 indexed _uuid, bool _paused);
+
+    event StakeFeeSet(bytes32 indexed _uuid, uint256 _feeBasisPoints, uint256 _minimumFeeST);
+
+    event FeesWithdrawn(bytes32 indexed _uuid, address _to, uint256 _amountST);
+
+    event StakingRewardAdded(bytes32 indexed _uuid, bytes32 indexed _stakingIntentHash,
+        address _staker, uint256 _rewardST);
+
+    event StakingRewardCredited(bytes32 indexed _uuid, bytes32 indexed _stakingIntentHash,
+        address _relayer, uint256 _rewardST);
+
+    event RewardsWithdrawn(address indexed _relayer, address _to, uint256 _amountST);
+
+    event ConversionRateChangeScheduled(bytes32 indexed _uuid, uint256 _conversionRate,
+        uint8 _conversionRateDecimals, uint256 _activationHeight);
+
+    event ConversionRateActivated(bytes32 indexed _uuid, uint256 _conversionRate,
+        uint8 _conversionRateDecimals);
+
+    event RegistrarTransferInitiated(address indexed _existingRegistrar, address indexed _proposedRegistrar,
+        uint256 _activationHeight);
+
+    event RegistrarTransferRevoked(address indexed _existingRegistrar, address indexed _revokedRegistrar);
+
+    event RegistrarTransferCompleted(address indexed _newRegistrar);
+
     /*
      *  Constants
      */
     uint8 public constant TOKEN_DECIMALS = 18;
     uint256 public constant DECIMALSFACTOR = 10**uint256(TOKEN_DECIMALS);
-    // ~2 weeks, assuming ~15s per block
-    uint256 private constant BLOCKS_TO_WAIT_LONG = 80667;
-    // ~1hour, assuming ~15s per block
-    uint256 private constant BLOCKS_TO_WAIT_SHORT = 240;
+    /// bounds on the block wait times set on construction
+    uint256 public constant MIN_BLOCKS_TO_WAIT_SHORT = 5;
+    // ~4 weeks, assuming ~1s per block
+    uint256 public constant MAX_BLOCKS_TO_WAIT_LONG = 2419200;
+    /// storage index of the mapping redemptions in OpenSTUtility on the utility chain
+    uint256 public constant OPENST_UTILITY_REDEMPTIONS_INDEX = 17;
+    /// fees are expressed in basis points of the amount staked
+    uint256 public constant FEE_BASIS_POINTS_DENOMINATOR = 10000;
+    /// utility tokens have as many decimals as ST
+    uint8 public constant MAX_CONVERSION_RATE_DECIMALS = 18;
+    /// blocks to wait before the registrar transfer can be completed,
+    /// so that the transfer can be revoked if the proposed registrar is not trusted;
+    /// ~ 1 week at 15 seconds per block
+    uint256 private constant REGISTRAR_TRANSFER_BLOCKS_TO_WAIT = 40320;
 
     /*
      *  Structures
@@ -96,6 +150,11 @@ contract OpenSTValue is OpsManaged, Hasher {
         uint256 amountST;
         uint256 amountUT;
         uint256 unlockHeight;
+        bytes32 hashLock;
+        // taken from the amount staked; collected on processStaking
+        uint256 feeST;
+        // attached by the staker; credited to the account that processes the stake
+        uint256 rewardST;
     }
 
     struct Unstake {
@@ -106,6 +165,30 @@ contract OpenSTValue is OpsManaged, Hasher {
         // @dev consider removal of amountUT
         uint256 amountUT;
         uint256 expirationHeight;
+        bytes32 hashLock;
+        // released in tranches when the simple stake is under-collateralised
+        uint256 amountSTReleased;
+    }
+
+    /// @dev a maximum of zero is no limit
+    struct StakeLimits {
+        uint256 minStakeST;
+        uint256 maxStakeST;
+        // cap on the amount locked in the simple stake, including pending stakes
+        uint256 maxTotalStakeST;
+    }
+
+    /// @dev the fee is the larger of the basis points of the amount and the minimum fee
+    struct Fee {
+        uint256 feeBasisPoints;
+        uint256 minimumFee;
+    }
+
+    /// @dev replaces the conversion rate of the utility token from the activation height
+    struct ConversionRateChange {
+        uint256 conversionRate;
+        uint8 conversionRateDecimals;
+        uint256 activationHeight;
     }
 
     /*
@@ -126,141 +209,298 @@ contract OpenSTValue is OpsManaged, Hasher {
     /// register the active stakes and unstakes
     mapping(bytes32 /* hashStakingIntent */ => Stake) public stakes;
     mapping(bytes32 /* hashRedemptionIntent */ => Unstake) public unstakes;
+    /// block wait times, as the block time differs per chain;
+    /// new storage is appended so that the storage layout
+    /// remains provable from the utility chain
+    uint256 private waitBlocksLong;
+    uint256 private waitBlocksShort;
+    /// amount a staking account can stake on behalf of a staker with stakeFor
+    mapping(address /* staker */ => mapping(address /* stakingAccount */ => uint256)) public stakingAccountAllowances;
+    mapping(bytes32 /* uuid */ => StakeLimits) public stakeLimits;
+    /// amount staked per utility token, held by OpenSTValue until processed
+    mapping(bytes32 /* uuid */ => uint256) private pendingStakesST;
+    /// paused utility tokens do not accept new staking or redemption intents;
+    /// intents already declared can still be processed or reverted
+    mapping(bytes32 /* uuid */ => bool) public stakingPaused;
+    mapping(bytes32 /* uuid */ => bool) public unstakingPaused;
+    mapping(bytes32 /* uuid */ => Fee) public stakeFees;
+    /// fee vault: fees collected per utility token, held by OpenSTValue until withdrawn
+    mapping(bytes32 /* uuid */ => uint256) public feesST;
+    /// rewards credited to relayers for processing stakes, held by OpenSTValue until withdrawn
+    mapping(address /* relayer */ => uint256) public rewardsST;
+    /// conversion rates scheduled by the registrar, applied from their activation height
+    mapping(bytes32 /* uuid */ => ConversionRateChange) public conversionRateChanges;
+    /// registrar proposed by admin to replace the registrar from the earliest transfer height
+    address public proposedRegistrar;
+    uint256 public earliestRegistrarTransferHeight;
+    /// conversion rate replaced at activationHeight, which stays valid for confirming
+    /// redemptions during the long wait after activationHeight
+    mapping(bytes32 /* uuid */ => ConversionRateChange) public previousConversionRates;
+    /// hash lock the staker approves for the next stake of a staking account with stakeFor
+    mapping(address /* staker */ => mapping(address /* stakingAccount */ => bytes32)) public stakingAccountHashLocks;
 
     /*
      *  Modifiers
      */
     modifier onlyRegistrar() {
-        // for now keep unique registrar
+        // the registrar confirms for an M-of-N set of registrars, see Registrar
         require(msg.sender == registrar);
         _;
     }
 
+    /// @dev the unstake must expire before the redemption can be reverted on the
+    ///      utility chain, so the short wait on the value chain must be less than
+    ///      the long wait on the utility chain; as block times differ per chain
+    ///      _blocksToWaitLongUtility is counted in blocks of the value chain
     function OpenSTValue(
         uint256 _chainIdValue,
         EIP20Interface _eip20token,
-        address _registrar)
+        address _registrar,
+        uint256 _blocksToWaitLong,
+        uint256 _blocksToWaitShort,
+        uint256 _blocksToWaitLongUtility)
         public
         OpsManaged()
     {
         require(_chainIdValue != 0);
         require(_eip20token != address(0));
         require(_registrar != address(0));
+        require(_blocksToWaitShort >= MIN_BLOCKS_TO_WAIT_SHORT);
+        require(_blocksToWaitShort < _blocksToWaitLong);
+        require(_blocksToWaitLong <= MAX_BLOCKS_TO_WAIT_LONG);
+        require(_blocksToWaitShort < _blocksToWaitLongUtility);
 
         chainIdValue = _chainIdValue;
         valueToken = _eip20token;
-        // registrar cannot be reset
+        // registrar can only be replaced after a delay, see initiateRegistrarTransfer
         // TODO: require it to be a contract
         registrar = _registrar;
+        waitBlocksLong = _blocksToWaitLong;
+        waitBlocksShort = _blocksToWaitShort;
     }
 
     /*
      *  External functions
      */
-    /// @dev In order to stake the tx.origin needs to set an allowance
+    /// @dev In order to stake the staker, msg.sender, needs to set an allowance
     ///      for the OpenSTValue contract to transfer to itself to hold
-    ///      during the staking process.
+    ///      during the staking process; the staker can be a contract.
+    ///      The staker keeps the unlock secret of _hashLock to reveal it
+    ///      on processMinting on the utility chain.
     function stake(
         bytes32 _uuid,
         uint256 _amountST,
-        address _beneficiary)
+        address _beneficiary,
+        bytes32 _hashLock)
         external
         returns (
         uint256 amountUT,
         uint256 nonce,
         uint256 unlockHeight,
         bytes32 stakingIntentHash)
-        /* solhint-disable-next-line function-max-lines */
     {
-        /* solhint-disable avoid-tx-origin */
         // check the staking contract has been approved to spend the amount to stake
         // OpenSTValue needs to be able to transfer the stake into its balance for
         // keeping until the two-phase process is completed on both chains.
         require(_amountST > 0);
-        // Consider the security risk of using tx.origin; at the same time an allowance
-        // needs to be set before calling stake over a potentially malicious contract at stakingAccount.
-        // The second protection is that the staker needs to check the intent hash before
-        // signing off on completing the two-phased process.
-        require(valueToken.allowance(tx.origin, address(this)) >= _amountST);
+        require(valueToken.allowance(msg.sender, address(this)) >= _amountST);
 
-        require(utilityTokens[_uuid].simpleStake != address(0));
-        require(_beneficiary != address(0));
+        requireStakingAccount(_uuid, msg.sender);
+        require(valueToken.transferFrom(msg.sender, address(this), _amountST));
 
-        UtilityToken storage utilityToken = utilityTokens[_uuid];
+        return declareStakingIntent(msg.sender, _uuid, _amountST, _beneficiary, _hashLock);
+    }
 
-        // if the staking account is set to a non-zero address,
-        // then all transactions have come (from/over) the staking account,
-        // whether this is an EOA or a contract; tx.origin is putting forward the funds
-        if (utilityToken.stakingAccount != address(0)) require(msg.sender == utilityToken.stakingAccount);
-        require(valueToken.transferFrom(tx.origin, address(this), _amountST));
+    /// @dev the staking account of the utility token stakes on behalf of the staker;
+    ///      the staker must have approved the staking account for the amount and the hash lock
+    ///      with approveStakingAccount and set an allowance for OpenSTValue on the value token.
+    ///      The staker is recorded in the staking intent and only the staker knows
+    ///      the unlock secret, so the staker signs off on completing the two-phased process.
+    function stakeFor(
+        address _staker,
+        bytes32 _uuid,
+        uint256 _amountST,
+        address _beneficiary,
+        bytes32 _hashLock)
+        external
+        returns (
+        uint256 amountUT,
+        uint256 nonce,
+        uint256 unlockHeight,
+        bytes32 stakingIntentHash)
+    {
+        require(_staker != address(0));
+        require(_amountST > 0);
+        require(utilityTokens[_uuid].stakingAccount != address(0));
+        requireStakingAccount(_uuid, msg.sender);
 
-        amountUT = (_amountST.mul(utilityToken.conversionRate))
-            .div(10**uint256(utilityToken.conversionRateDecimals));
-        unlockHeight = block.number + blocksToWaitLong();
+        require(stakingAccountAllowances[_staker][msg.sender] >= _amountST);
+        stakingAccountAllowances[_staker][msg.sender] -= _amountST;
+        // the approved hash lock is used for one stake
+        require(stakingAccountHashLocks[_staker][msg.sender] == _hashLock);
+        delete stakingAccountHashLocks[_staker][msg.sender];
+        require(valueToken.transferFrom(_staker, address(this), _amountST));
 
-        nonces[tx.origin]++;
-        nonce = nonces[tx.origin];
+        return declareStakingIntent(_staker, _uuid, _amountST, _beneficiary, _hashLock);
+    }
 
-        stakingIntentHash = hashStakingIntent(
-            _uuid,
-            tx.origin,
-            nonce,
-            _beneficiary,
-            _amountST,
-            amountUT,
-            unlockHeight
-        );
+    /// @dev stake for many beneficiaries at once; the total amount is transferred
+    ///      once from the staker, msg.sender, after which a staking intent is declared
+    ///      for each beneficiary with consecutive nonces, each with its own hash lock.
+    function stakeBatch(
+        bytes32 _uuid,
+        uint256[] _amountsST,
+        address[] _beneficiaries,
+        bytes32[] _hashLocks)
+        external
+        returns (
+        bytes32[] stakingIntentHashes)
+    {
+        require(_amountsST.length > 0);
+        require(_amountsST.length == _beneficiaries.length);
+        require(_amountsST.length == _hashLocks.length);
+
+        uint256 totalAmountST = 0;
+        for (uint256 i = 0; i < _amountsST.length; i++) {
+            require(_amountsST[i] > 0);
+            totalAmountST = totalAmountST.add(_amountsST[i]);
+        }
+        require(valueToken.allowance(msg.sender, address(this)) >= totalAmountST);
+
+        requireStakingAccount(_uuid, msg.sender);
+        require(valueToken.transferFrom(msg.sender, address(this), totalAmountST));
+
+        stakingIntentHashes = new bytes32[](_amountsST.length);
+        for (i = 0; i < _amountsST.length; i++) {
+            (, , , stakingIntentHashes[i]) = declareStakingIntent(msg.sender, _uuid, _amountsST[i],
+                _beneficiaries[i], _hashLocks[i]);
+        }
+
+        return stakingIntentHashes;
+    }
 
-        stakes[stakingIntentHash] = Stake({
-            uuid:         _uuid,
-            staker:       tx.origin,
-            beneficiary:  _beneficiary,
-            nonce:        nonce,
-            amountST:     _amountST,
-            amountUT:     amountUT,
-            unlockHeight: unlockHeight
-        });
+    /// @dev the staker approves a staking account to stake up to _amountST
+    ///      on its behalf with stakeFor, with the hash lock of the staker,
+    ///      so that the staking account cannot complete the stake without the staker
+    function approveStakingAccount(
+        address _stakingAccount,
+        uint256 _amountST,
+        bytes32 _hashLock)
+        external
+        returns (bool /* success */)
+    {
+        require(_stakingAccount != address(0));
 
-        StakingIntentDeclared(_uuid, tx.origin, nonce, _beneficiary,
-            _amountST, amountUT, unlockHeight, stakingIntentHash, utilityToken.chainIdUtility);
+        stakingAccountAllowances[msg.sender][_stakingAccount] = _amountST;
+        stakingAccountHashLocks[msg.sender][_stakingAccount] = _hashLock;
 
-        return (amountUT, nonce, unlockHeight, stakingIntentHash);
-        /* solhint-enable avoid-tx-origin */
+        StakingAccountApproved(msg.sender, _stakingAccount, _amountST, _hashLock);
+
+        return true;
+    }
+
+    /// @dev approve-and-call hook for the value token to stake in a single transaction;
+    ///      the staker, _from, approves OpenSTValue on the value token, which calls back
+    ///      with the uuid, beneficiary and hashLock ABI-encoded in _extraData.
+    ///      Only available when the value token implements approveAndCall,
+    ///      which the Simple Token deployed on mainnet does not.
+    function receiveApproval(
+        address _from,
+        uint256 _amountST,
+        address _token,
+        bytes _extraData)
+        public
+    {
+        require(msg.sender == address(valueToken));
+        require(_token == address(valueToken));
+        require(_amountST > 0);
+        require(_extraData.length == 96);
+
+        bytes32 uuid;
+        address beneficiary;
+        bytes32 hashLock;
+        assembly {
+            uuid := mload(add(_extraData, 0x20))
+            beneficiary := and(mload(add(_extraData, 0x40)), 0xffffffffffffffffffffffffffffffffffffffff)
+            hashLock := mload(add(_extraData, 0x60))
+        }
+
+        requireStakingAccount(uuid, _from);
+        require(valueToken.transferFrom(_from, address(this), _amountST));
+
+        declareStakingIntent(_from, uuid, _amountST, beneficiary, hashLock);
     }
 
+    /// @dev the staker reveals the unlock secret of the hash lock on processMinting
+    ///      on the utility chain; so that the staker cannot mint and avoid the cost
+    ///      of staking, anyone can process the staking with the revealed secret,
+    ///      and only then, so that the stake is not moved before it can be minted;
+    ///      processing is not frozen, as the staker may have minted already
     function processStaking(
-        bytes32 _stakingIntentHash)
+        bytes32 _stakingIntentHash,
+        bytes32 _unlockSecret)
         external
         returns (address stakeAddress)
     {
         require(_stakingIntentHash != "");
 
+        require(stakes[_stakingIntentHash].hashLock == keccak256(_unlockSecret));
+
+        return processStakingInternal(_stakingIntentHash);
+    }
+
+    /// @dev the staker attaches a reward in ST to the staking intent,
+    ///      so that a relayer is compensated for completing processStaking;
+    ///      the staker needs to set an allowance for OpenSTValue for the reward.
+    ///      The reward can be topped up while the stake is not yet processed.
+    function addStakingReward(
+        bytes32 _stakingIntentHash,
+        uint256 _rewardST)
+        external
+        returns (bool /* success */)
+    {
+        require(_rewardST > 0);
+
         Stake storage stake = stakes[_stakingIntentHash];
+        require(stake.staker == msg.sender);
 
-        // note: as processStaking incurs a cost for the staker, we provide a fallback
-        // in v0.9 for registrar to process the staking on behalf of the staker,
-        // as the staker could fail to process the stake and avoid the cost of staking;
-        // this will be replaced with a signature carry-over implementation instead, where
-        // the signature of the intent hash suffices on value and utility chain, decoupling
-        // it from the transaction to processStaking and processMinting
-        require(stake.staker == msg.sender || registrar == msg.sender);
-        // as this bears the cost, there is no need to require
-        // that the stake.unlockHeight is not yet surpassed
-        // as is required on processMinting
+        require(valueToken.transferFrom(msg.sender, address(this), _rewardST));
+        stake.rewardST = stake.rewardST.add(_rewardST);
 
-        UtilityToken storage utilityToken = utilityTokens[stake.uuid];
-        stakeAddress = address(utilityToken.simpleStake);
-        require(stakeAddress != address(0));
+        StakingRewardAdded(stake.uuid, _stakingIntentHash, msg.sender, stake.rewardST);
 
-        assert(valueToken.balanceOf(address(this)) >= stake.amountST);
-        require(valueToken.transfer(stakeAddress, stake.amountST));
+        return true;
+    }
 
-        ProcessedStake(stake.uuid, _stakingIntentHash, stakeAddress, stake.staker,
-            stake.amountST, stake.amountUT);
+    /// @dev a relayer withdraws the rewards credited to it for processing stakes
+    function withdrawRewards(
+        address _to)
+        external
+        returns (bool /* success */)
+    {
+        require(_to != address(0));
 
-        delete stakes[_stakingIntentHash];
+        uint256 amountST = rewardsST[msg.sender];
+        require(amountST > 0);
 
-        return stakeAddress;
+        rewardsST[msg.sender] = 0;
+        require(valueToken.transfer(_to, amountST));
+
+        RewardsWithdrawn(msg.sender, _to, amountST);
+
+        return true;
+    }
+
+    /// @dev anyone can apply a scheduled conversion rate to utilityTokens[_uuid]
+    ///      once it has activated; staking applies it as well
+    function activateConversionRate(
+        bytes32 _uuid)
+        external
+        returns (bool /* success */)
+    {
+        require(activateConversionRateInternal(_uuid));
+
+        return true;
     }
 
     function revertStaking(
@@ -279,16 +519,18 @@ contract OpenSTValue is OpsManaged, Hasher {
         require(stake.unlockHeight > 0);
         require(stake.unlockHeight <= block.number);
 
-        assert(valueToken.balanceOf(address(this)) >= stake.amountST);
+        // the fee is not collected and the reward is not credited on a reverted stake
+        amountST = stake.amountST.add(stake.feeST).add(stake.rewardST);
+        assert(valueToken.balanceOf(address(this)) >= amountST);
+        pendingStakesST[stake.uuid] = pendingStakesST[stake.uuid].sub(stake.amountST);
         // revert the amount that was intended to be staked back to staker
-        require(valueToken.transfer(stake.staker, stake.amountST));
+        require(valueToken.transfer(stake.staker, amountST));
 
         uuid = stake.uuid;
-        amountST = stake.amountST;
         staker = stake.staker;
 
         RevertedStake(stake.uuid, _stakingIntentHash, stake.staker,
-            stake.amountST, stake.amountUT);
+            amountST, stake.amountUT);
 
         delete stakes[_stakingIntentHash];
 
@@ -301,89 +543,129 @@ contract OpenSTValue is OpsManaged, Hasher {
         uint256 _redeemerNonce,
         address _beneficiary,
         uint256 _amountUT,
+        uint256 _amountST,
+        uint256 _feeUT,
         uint256 _redemptionUnlockHeight,
+        bytes32 _hashLock,
         bytes32 _redemptionIntentHash)
         external
         onlyRegistrar
         returns (
-        uint256 amountST,
-        uint256 expirationHeight)
+        uint256 /* amountST */,
+        uint256 /* expirationHeight */)
     {
-        require(utilityTokens[_uuid].simpleStake != address(0));
-        require(_amountUT > 0);
-        require(_beneficiary != address(0));
-        // later core will provide a view on the block height of the
-        // utility chain
-        require(_redemptionUnlockHeight > 0);
         require(_redemptionIntentHash != "");
+        require(_redemptionIntentHash == hashRedemptionIntent(
+            _uuid,
+            _redeemer,
+            _redeemerNonce,
+            _beneficiary,
+            _amountUT,
+            _amountST,
+            _feeUT,
+            _redemptionUnlockHeight,
+            _hashLock));
 
-        require(nonces[_redeemer] + 1 == _redeemerNonce);
-        nonces[_redeemer]++;
+        return confirmRedemptionIntentInternal(
+            _uuid,
+            _redeemer,
+            _redeemerNonce,
+            _beneficiary,
+            _amountUT,
+            _amountST,
+            _redemptionUnlockHeight,
+            _hashLock,
+            _redemptionIntentHash);
+    }
 
+    /// @dev anyone can confirm a redemption intent with a storage proof
+    ///      of the redemption intent in OpenSTUtility on the utility chain;
+    ///      the storage of OpenSTUtility must first be proven on the core
+    ///      at the given block height of the utility chain
+    /// @param _blockHeight block height of the utility chain the proof is for
+    /// @param _rlpParentNodes RLP encoded nodes of the storage proof of redemptions[redemptionIntentHash]
+    function confirmRedemptionIntentWithProof(
+        bytes32 _uuid,
+        address _redeemer,
+        uint256 _redeemerNonce,
+        address _beneficiary,
+        uint256 _amountUT,
+        uint256 _amountST,
+        uint256 _feeUT,
+        uint256 _redemptionUnlockHeight,
+        bytes32 _hashLock,
+        uint256 _blockHeight,
+        bytes _rlpParentNodes)
+        external
+        returns (
+        uint256 /* amountST */,
+        uint256 /* expirationHeight */)
+    {
         bytes32 redemptionIntentHash = hashRedemptionIntent(
             _uuid,
             _redeemer,
-            nonces[_redeemer],
+            _redeemerNonce,
             _beneficiary,
             _amountUT,
-            _redemptionUnlockHeight
+            _amountST,
+            _feeUT,
+            _redemptionUnlockHeight,
+            _hashLock
         );
 
-        require(_redemptionIntentHash == redemptionIntentHash);
-
-        expirationHeight = block.number + blocksToWaitShort();
-
-        UtilityToken storage utilityToken = utilityTokens[_uuid];
-        // minimal precision to unstake 1 STWei
-        require(_amountUT >= (utilityToken.conversionRate.div(10**uint256(utilityToken.conversionRateDecimals))));
-        amountST = (_amountUT
-            .mul(10**uint256(utilityToken.conversionRateDecimals))).div(utilityToken.conversionRate);
-
-        require(valueToken.balanceOf(address(utilityToken.simpleStake)) >= amountST);
-
-        unstakes[redemptionIntentHash] = Unstake({
-            uuid:         _uuid,
-            redeemer:     _redeemer,
-            beneficiary:  _beneficiary,
-            amountUT:     _amountUT,
-            amountST:     amountST,
-            expirationHeight: expirationHeight
-        });
-
-        RedemptionIntentConfirmed(_uuid, redemptionIntentHash, _redeemer,
-            _beneficiary, amountST, _amountUT, expirationHeight);
+        require(verifyRedemptionIntent(_uuid, redemptionIntentHash, _blockHeight, _rlpParentNodes));
 
-        return (amountST, expirationHeight);
+        return confirmRedemptionIntentInternal(
+            _uuid,
+            _redeemer,
+            _redeemerNonce,
+            _beneficiary,
+            _amountUT,
+            _amountST,
+            _redemptionUnlockHeight,
+            _hashLock,
+            redemptionIntentHash);
     }
 
+    /// @dev the redeemer reveals the unlock secret of the hash lock to unstake,
+    ///      so that anyone can then process the redemption on the utility chain;
+    ///      when the simple stake is short, the unstake is released in tranches
+    ///      by processing again as the simple stake is replenished;
+    ///      processing is not frozen, as the redemption may have been processed already
+    ///      and the unstake must not expire during a freeze
     function processUnstaking(
-        bytes32 _redemptionIntentHash)
+        bytes32 _redemptionIntentHash,
+        bytes32 _unlockSecret)
         external
         returns (
         address stakeAddress)
     {
         require(_redemptionIntentHash != "");
 
-        Unstake storage unstake = unstakes[_redemptionIntentHash];
-        require(unstake.redeemer == msg.sender);
-
-        // as the process unstake results in a gain for the caller
-        // it needs to expire well before the process redemption can
-        // be reverted in OpenSTUtility
-        require(unstake.expirationHeight > block.number);
-
-        UtilityToken storage utilityToken = utilityTokens[unstake.uuid];
-        stakeAddress = address(utilityToken.simpleStake);
-        require(stakeAddress != address(0));
+        require(unstakes[_redemptionIntentHash].redeemer == msg.sender);
 
-        require(utilityToken.simpleStake.releaseTo(unstake.beneficiary, unstake.amountST));
+        return processUnstakingInternal(_redemptionIntentHash, _unlockSecret);
+    }
 
-        ProcessedUnstake(unstake.uuid, _redemptionIntentHash, stakeAddress,
-            unstake.redeemer, unstake.beneficiary, unstake.amountST);
+    /// @dev signature carry-over: any relayer can submit the signature of the redeemer
+    ///      on the redemption intent hash with the unlock secret, so that the redeemer
+    ///      needs no gas on the value chain to process the unstaking
+    function processUnstakingWithSignature(
+        bytes32 _redemptionIntentHash,
+        bytes32 _unlockSecret,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s)
+        external
+        returns (address /* stakeAddress */)
+    {
+        require(_redemptionIntentHash != "");
 
-        delete unstakes[_redemptionIntentHash];
+        address redeemer = unstakes[_redemptionIntentHash].redeemer;
+        require(redeemer != address(0));
+        require(recoverIntentSigner(_redemptionIntentHash, _v, _r, _s) == redeemer);
 
-        return stakeAddress;
+        return processUnstakingInternal(_redemptionIntentHash, _unlockSecret);
     }
 
     function revertUnstaking(
@@ -403,6 +685,9 @@ contract OpenSTValue is OpsManaged, Hasher {
         // processed the unstaking, ie unstake has not been deleted
         require(unstake.expirationHeight > 0);
         require(unstake.expirationHeight <= block.number);
+        // once a tranche is released the unlock secret is revealed
+        // and the redemption can be processed on the utility chain
+        require(unstake.amountSTReleased == 0);
 
         uuid = unstake.uuid;
         redeemer = unstake.redeemer;
@@ -437,12 +722,16 @@ contract OpenSTValue is OpsManaged, Hasher {
         return (nonces[_account] + 1);
     }
 
-    function blocksToWaitLong() public pure returns (uint256) {
-        return BLOCKS_TO_WAIT_LONG;
+    function blocksToWaitLong() public view returns (uint256) {
+        return waitBlocksLong;
     }
 
-    function blocksToWaitShort() public pure returns (uint256) {
-        return BLOCKS_TO_WAIT_SHORT;
+    function blocksToWaitShort() public view returns (uint256) {
+        return waitBlocksShort;
+    }
+
+    function blocksToWaitForRegistrarTransfer() public pure returns (uint256) {
+        return REGISTRAR_TRANSFER_BLOCKS_TO_WAIT;
     }
 
     /// @dev Returns size of uuids
@@ -489,7 +778,7 @@ contract OpenSTValue is OpsManaged, Hasher {
         require(bytes(_name).length > 0);
         require(bytes(_symbol).length > 0);
         require(_conversionRate > 0);
-        require(_conversionRateDecimals <= 5);
+        require(_conversionRateDecimals <= MAX_CONVERSION_RATE_DECIMALS);
 
         address openSTRemote = cores[_chainIdUtility].openSTRemote();
         require(openSTRemote != address(0));
@@ -528,6 +817,112 @@ contract OpenSTValue is OpsManaged, Hasher {
         return uuid;
     }
 
+    /// @dev bounds on the amount per stake and on the total staked for the utility token;
+    ///      a maximum of zero is no limit
+    function setStakeLimits(
+        bytes32 _uuid,
+        uint256 _minStakeST,
+        uint256 _maxStakeST,
+        uint256 _maxTotalStakeST)
+        external
+        onlyRegistrar
+        returns (bool /* success */)
+    {
+        require(utilityTokens[_uuid].simpleStake != address(0));
+        require(_maxStakeST == 0 || _minStakeST <= _maxStakeST);
+        require(_maxTotalStakeST == 0 || _minStakeST <= _maxTotalStakeST);
+
+        stakeLimits[_uuid] = StakeLimits({
+            minStakeST:      _minStakeST,
+            maxStakeST:      _maxStakeST,
+            maxTotalStakeST: _maxTotalStakeST
+        });
+
+        StakeLimitsSet(_uuid, _minStakeST, _maxStakeST, _maxTotalStakeST);
+
+        return true;
+    }
+
+    /// @dev the fee taken from each stake of the utility token;
+    ///      it is collected in the fee vault when the stake is processed
+    function setStakeFee(
+        bytes32 _uuid,
+        uint256 _feeBasisPoints,
+        uint256 _minimumFeeST)
+        external
+        onlyRegistrar
+        returns (bool /* success */)
+    {
+        require(utilityTokens[_uuid].simpleStake != address(0));
+        require(_feeBasisPoints < FEE_BASIS_POINTS_DENOMINATOR);
+
+        stakeFees[_uuid] = Fee({
+            feeBasisPoints: _feeBasisPoints,
+            minimumFee:     _minimumFeeST
+        });
+
+        StakeFeeSet(_uuid, _feeBasisPoints, _minimumFeeST);
+
+        return true;
+    }
+
+    function withdrawFees(
+        bytes32 _uuid,
+        address _to,
+        uint256 _amountST)
+        external
+        onlyRegistrar
+        returns (bool /* success */)
+    {
+        require(_to != address(0));
+        require(_amountST > 0);
+        require(_amountST <= feesST[_uuid]);
+
+        feesST[_uuid] = feesST[_uuid].sub(_amountST);
+        require(valueToken.transfer(_to, _amountST));
+
+        FeesWithdrawn(_uuid, _to, _amountST);
+
+        return true;
+    }
+
+    /// @dev the utility token picks up the new conversion rate at the activation height;
+    ///      stakes declared before then keep the amount of utility tokens in the staking
+    ///      intent, and the uuid of the utility token does not change.
+    ///      The activation height is at least the long wait ahead, so that stakers
+    ///      have notice of the new conversion rate. The registrar schedules the same change
+    ///      on OpenSTUtility; redemptions are confirmed at the conversion rate active here,
+    ///      and those declared at the previous rate keep it during the long wait after
+    ///      the activation. The utility chain should activate no later than the value chain,
+    ///      so that the previous rate is not redeemed against stakes at the new rate
+    function scheduleConversionRateChange(
+        bytes32 _uuid,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals,
+        uint256 _activationHeight)
+        external
+        onlyRegistrar
+        returns (bool /* success */)
+    {
+        require(utilityTokens[_uuid].simpleStake != address(0));
+        require(_conversionRate > 0);
+        require(_conversionRateDecimals <= MAX_CONVERSION_RATE_DECIMALS);
+        require(_activationHeight >= block.number + blocksToWaitLong());
+
+        // a change that has activated is applied before it is replaced
+        activateConversionRateInternal(_uuid);
+
+        conversionRateChanges[_uuid] = ConversionRateChange({
+            conversionRate:         _conversionRate,
+            conversionRateDecimals: _conversionRateDecimals,
+            activationHeight:       _activationHeight
+        });
+
+        ConversionRateChangeScheduled(_uuid, _conversionRate, _conversionRateDecimals, _activationHeight);
+
+        return true;
+    }
+
     /*
      *  Administrative functions
      */
@@ -557,4 +952,432 @@ contract OpenSTValue is OpsManaged, Hasher {
 
         return true;
     }
+
+    /// @dev the registrar is replaced no earlier than blocksToWaitForRegistrarTransfer after initiating,
+    ///      so that the transfer can be revoked if the proposed registrar is not trusted
+    function initiateRegistrarTransfer(
+        address _proposedRegistrar)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(_proposedRegistrar != address(0));
+        require(_proposedRegistrar != registrar);
+        require(proposedRegistrar == address(0));
+
+        earliestRegistrarTransferHeight = block.number + blocksToWaitForRegistrarTransfer();
+        proposedRegistrar = _proposedRegistrar;
+
+        RegistrarTransferInitiated(registrar, _proposedRegistrar, earliestRegistrarTransferHeight);
+
+        return true;
+    }
+
+    /// @dev only after the waiting period can the proposed registrar
+    ///      complete the transfer
+    function completeRegistrarTransfer()
+        external
+        returns (bool /* success */)
+    {
+        require(msg.sender == proposedRegistrar);
+        require(earliestRegistrarTransferHeight <= block.number);
+
+        registrar = proposedRegistrar;
+        proposedRegistrar = address(0);
+        earliestRegistrarTransferHeight = 0;
+
+        RegistrarTransferCompleted(registrar);
+
+        return true;
+    }
+
+    function revokeRegistrarTransfer()
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(proposedRegistrar != address(0));
+
+        address revokedRegistrar = proposedRegistrar;
+        proposedRegistrar = address(0);
+        earliestRegistrarTransferHeight = 0;
+
+        RegistrarTransferRevoked(registrar, revokedRegistrar);
+
+        return true;
+    }
+
+    function setStakingPaused(
+        bytes32 _uuid,
+        bool _paused)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(utilityTokens[_uuid].simpleStake != address(0));
+
+        stakingPaused[_uuid] = _paused;
+
+        StakingPauseSet(_uuid, _paused);
+
+        return true;
+    }
+
+    function setUnstakingPaused(
+        bytes32 _uuid,
+        bool _paused)
+        external
+        onlyAdmin
+        returns (bool /* success */)
+    {
+        require(utilityTokens[_uuid].simpleStake != address(0));
+
+        unstakingPaused[_uuid] = _paused;
+
+        UnstakingPauseSet(_uuid, _paused);
+
+        return true;
+    }
+
+    /*
+     *  Internal functions
+     */
+    /// @dev if the staking account is set to a non-zero address,
+    ///      then all transactions have come from the staking account,
+    ///      whether this is an EOA or a contract
+    function requireStakingAccount(
+        bytes32 _uuid,
+        address _sender)
+        internal
+        view
+    {
+        UtilityToken storage utilityToken = utilityTokens[_uuid];
+        require(utilityToken.simpleStake != address(0));
+
+        if (utilityToken.stakingAccount != address(0)) require(_sender == utilityToken.stakingAccount);
+    }
+
+    function activateConversionRateInternal(
+        bytes32 _uuid)
+        internal
+        returns (bool /* activated */)
+    {
+        ConversionRateChange storage change = conversionRateChanges[_uuid];
+        if (change.activationHeight == 0 || change.activationHeight > block.number) return false;
+
+        UtilityToken storage utilityToken = utilityTokens[_uuid];
+        previousConversionRates[_uuid] = ConversionRateChange({
+            conversionRate:         utilityToken.conversionRate,
+            conversionRateDecimals: utilityToken.conversionRateDecimals,
+            activationHeight:       change.activationHeight
+        });
+        utilityToken.conversionRate = change.conversionRate;
+        utilityToken.conversionRateDecimals = change.conversionRateDecimals;
+
+        ConversionRateActivated(_uuid, change.conversionRate, change.conversionRateDecimals);
+
+        delete conversionRateChanges[_uuid];
+
+        return true;
+    }
+
+    /// @dev activates a conversion rate change that is due, and checks that
+    ///      _amountST is _amountUT converted at the conversion rate of the utility token,
+    ///      or at the previous conversion rate during the long wait after it was replaced
+    function isAtConversionRate(
+        bytes32 _uuid,
+        uint256 _amountUT,
+        uint256 _amountST)
+        internal
+        returns (bool)
+    {
+        activateConversionRateInternal(_uuid);
+
+        UtilityToken storage utilityToken = utilityTokens[_uuid];
+        if (isConverted(_amountUT, _amountST, utilityToken.conversionRate,
+            utilityToken.conversionRateDecimals)) return true;
+
+        ConversionRateChange storage previous = previousConversionRates[_uuid];
+
+        return previous.activationHeight > 0 &&
+            previous.activationHeight + blocksToWaitLong() > block.number &&
+            isConverted(_amountUT, _amountST, previous.conversionRate, previous.conversionRateDecimals);
+    }
+
+    function isConverted(
+        uint256 _amountUT,
+        uint256 _amountST,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals)
+        internal
+        pure
+        returns (bool)
+    {
+        uint256 amountST;
+        (amountST, ) = ConversionRate.toSimpleTokens(_amountUT, _conversionRate, _conversionRateDecimals);
+
+        return amountST == _amountST;
+    }
+
+    /// @dev the fee cannot exceed the amount it is taken from
+    function calculateFee(
+        Fee storage _fee,
+        uint256 _amount)
+        internal
+        view
+        returns (uint256 fee)
+    {
+        fee = _amount.mul(_fee.feeBasisPoints).div(FEE_BASIS_POINTS_DENOMINATOR);
+        if (fee < _fee.minimumFee) fee = _fee.minimumFee;
+        require(fee < _amount);
+
+        return fee;
+    }
+
+    /// @dev the total staked counts the simple stake balance and the pending stakes
+    function requireWithinStakeLimits(
+        bytes32 _uuid,
+        uint256 _amountST)
+        internal
+        view
+    {
+        StakeLimits storage limits = stakeLimits[_uuid];
+
+        require(_amountST >= limits.minStakeST);
+        if (limits.maxStakeST != 0) require(_amountST <= limits.maxStakeST);
+        if (limits.maxTotalStakeST != 0) {
+            require(valueToken.balanceOf(address(utilityTokens[_uuid].simpleStake))
+                .add(pendingStakesST[_uuid]).add(_amountST) <= limits.maxTotalStakeST);
+        }
+    }
+
+    /// @dev the caller must have transferred _amountST from _staker;
+    ///      the fee is taken from _amountST and the remainder is staked
+    ///      at the conversion rate of the utility token when the stake is declared
+    function declareStakingIntent(
+        address _staker,
+        bytes32 _uuid,
+        uint256 _amountST,
+        address _beneficiary,
+        bytes32 _hashLock)
+        internal
+        whenNotFrozen
+        returns (
+        uint256 amountUT,
+        uint256 nonce,
+        uint256 unlockHeight,
+        bytes32 stakingIntentHash)
+    {
+        require(_beneficiary != address(0));
+        require(_hashLock != "");
+        require(!stakingPaused[_uuid]);
+
+        uint256 feeST = calculateFee(stakeFees[_uuid], _amountST);
+        _amountST = _amountST.sub(feeST);
+        requireWithinStakeLimits(_uuid, _amountST);
+        pendingStakesST[_uuid] = pendingStakesST[_uuid].add(_amountST);
+        activateConversionRateInternal(_uuid);
+
+        uint256 dustST;
+        // amountUT is rounded down; the dust remains part of amountST
+        (amountUT, dustST) = ConversionRate.toUtilityTokens(_amountST,
+            utilityTokens[_uuid].conversionRate, utilityTokens[_uuid].conversionRateDecimals);
+        unlockHeight = block.number + blocksToWaitLong();
+
+        nonces[_staker]++;
+        nonce = nonces[_staker];
+
+        Stake memory stake = Stake({
+            uuid:         _uuid,
+            staker:       _staker,
+            beneficiary:  _beneficiary,
+            nonce:        nonce,
+            amountST:     _amountST,
+            amountUT:     amountUT,
+            unlockHeight: unlockHeight,
+            hashLock:     _hashLock,
+            feeST:        feeST,
+            rewardST:     0
+        });
+
+        stakingIntentHash = hashStakingIntent(
+            stake.uuid,
+            stake.staker,
+            stake.nonce,
+            stake.beneficiary,
+            stake.amountST,
+            stake.amountUT,
+            stake.feeST,
+            stake.unlockHeight,
+            stake.hashLock
+        );
+
+        stakes[stakingIntentHash] = stake;
+
+        StakingIntentDeclared(stake.uuid, stake.staker, stake.nonce, stake.beneficiary,
+            stake.amountST, stake.amountUT, stake.unlockHeight, stakingIntentHash,
+            utilityTokens[stake.uuid].chainIdUtility, stake.hashLock, stake.feeST, dustST);
+
+        return (amountUT, nonce, unlockHeight, stakingIntentHash);
+    }
+
+    /// @dev verify the storage proof of the redemption intent in OpenSTUtility
+    ///      against the core tracking the utility chain of the utility token
+    function verifyRedemptionIntent(
+        bytes32 _uuid,
+        bytes32 _redemptionIntentHash,
+        uint256 _blockHeight,
+        bytes memory _rlpParentNodes)
+        internal
+        view
+        returns (bool /* verified */)
+    {
+        CoreInterface coreUtility = cores[utilityTokens[_uuid].chainIdUtility];
+        require(address(coreUtility) != address(0));
+
+        return coreUtility.verifyIntent(_blockHeight, OPENST_UTILITY_REDEMPTIONS_INDEX,
+            _redemptionIntentHash, _uuid, _rlpParentNodes);
+    }
+
+    /// @dev transfer the stake to the simple stake of the utility token
+    ///      and credit the reward to the account processing the stake
+    function processStakingInternal(
+        bytes32 _stakingIntentHash)
+        internal
+        returns (address stakeAddress)
+    {
+        Stake storage stake = stakes[_stakingIntentHash];
+        // as this bears the cost, there is no need to require
+        // that the stake.unlockHeight is not yet surpassed
+        // as is required on processMinting
+
+        UtilityToken storage utilityToken = utilityTokens[stake.uuid];
+        stakeAddress = address(utilityToken.simpleStake);
+        require(stakeAddress != address(0));
+
+        assert(valueToken.balanceOf(address(this)) >= stake.amountST.add(stake.feeST).add(stake.rewardST));
+        pendingStakesST[stake.uuid] = pendingStakesST[stake.uuid].sub(stake.amountST);
+        feesST[stake.uuid] = feesST[stake.uuid].add(stake.feeST);
+        require(valueToken.transfer(stakeAddress, stake.amountST));
+
+        ProcessedStake(stake.uuid, _stakingIntentHash, stakeAddress, stake.staker,
+            stake.amountST, stake.amountUT);
+
+        if (stake.rewardST > 0) {
+            rewardsST[msg.sender] = rewardsST[msg.sender].add(stake.rewardST);
+
+            StakingRewardCredited(stake.uuid, _stakingIntentHash, msg.sender, stake.rewardST);
+        }
+
+        delete stakes[_stakingIntentHash];
+
+        return stakeAddress;
+    }
+
+    /// @dev release the remaining unstaked amount, or a tranche of it,
+    ///      from the simple stake to the beneficiary
+    function processUnstakingInternal(
+        bytes32 _redemptionIntentHash,
+        bytes32 _unlockSecret)
+        internal
+        returns (address stakeAddress)
+    {
+        Unstake storage unstake = unstakes[_redemptionIntentHash];
+
+        require(unstake.hashLock == keccak256(_unlockSecret));
+
+        // as the process unstake results in a gain for the caller
+        // it needs to expire well before the process redemption can
+        // be reverted in OpenSTUtility; after a first tranche the remainder
+        // can be released later as the unlock secret has been revealed
+        if (unstake.amountSTReleased == 0) require(unstake.expirationHeight > block.number);
+
+        UtilityToken storage utilityToken = utilityTokens[unstake.uuid];
+        stakeAddress = address(utilityToken.simpleStake);
+        require(stakeAddress != address(0));
+
+        // release as much of the remaining amount as the simple stake holds
+        uint256 amountST = unstake.amountST.sub(unstake.amountSTReleased);
+        uint256 stakeBalance = valueToken.balanceOf(stakeAddress);
+        if (stakeBalance < amountST) amountST = stakeBalance;
+        require(amountST > 0);
+
+        unstake.amountSTReleased = unstake.amountSTReleased.add(amountST);
+        require(utilityToken.simpleStake.releaseTo(unstake.beneficiary, amountST));
+
+        if (unstake.amountSTReleased < unstake.amountST) {
+            ProcessedUnstakeTranche(unstake.uuid, _redemptionIntentHash, stakeAddress, unstake.beneficiary,
+                amountST, unstake.amountST - unstake.amountSTReleased, _unlockSecret);
+
+            return stakeAddress;
+        }
+
+        ProcessedUnstake(unstake.uuid, _redemptionIntentHash, stakeAddress,
+            unstake.redeemer, unstake.beneficiary, unstake.amountST, amountST, _unlockSecret);
+
+        delete unstakes[_redemptionIntentHash];
+
+        return stakeAddress;
+    }
+
+    /// @dev the caller must have verified _redemptionIntentHash;
+    ///      _amountST is converted on the utility chain at the conversion rate
+    ///      of the branded token when the redemption is declared; as the utility chain
+    ///      activates a conversion rate change at its own height, a redemption is only
+    ///      confirmed at the conversion rate active on the value chain, or at the previous
+    ///      rate during the long wait after the activation, so that one cannot stake at one
+    ///      conversion rate and redeem at the other for longer. A redemption that is not
+    ///      confirmed can be reverted on the utility chain after its unlock height
+    function confirmRedemptionIntentInternal(
+        bytes32 _uuid,
+        address _redeemer,
+        uint256 _redeemerNonce,
+        address _beneficiary,
+        uint256 _amountUT,
+        uint256 _amountST,
+        uint256 _redemptionUnlockHeight,
+        bytes32 _hashLock,
+        bytes32 _redemptionIntentHash)
+        internal
+        whenNotFrozen
+        returns (
+        uint256 /* amountST */,
+        uint256 expirationHeight)
+    {
+        require(utilityTokens[_uuid].simpleStake != address(0));
+        require(!unstakingPaused[_uuid]);
+        require(_amountUT > 0);
+        // minimal precision to unstake 1 STWei
+        require(_amountST > 0);
+        require(_beneficiary != address(0));
+        // the redemption intent can only be confirmed before it unlocks on the utility chain,
+        // as far as the core that tracks the utility chain of the token knows, so that
+        // a redemption reverted on the utility chain cannot be confirmed with an earlier proof
+        require(_redemptionUnlockHeight > cores[utilityTokens[_uuid].chainIdUtility].latestStateRootBlockHeight());
+        require(_hashLock != "");
+        require(isAtConversionRate(_uuid, _amountUT, _amountST));
+
+        require(nonces[_redeemer] + 1 == _redeemerNonce);
+        nonces[_redeemer]++;
+
+        expirationHeight = block.number + blocksToWaitShort();
+
+        // the simple stake can be short of amountST, in which case the unstake
+        // is released in tranches on processUnstaking
+        unstakes[_redemptionIntentHash] = Unstake({
+            uuid:         _uuid,
+            redeemer:     _redeemer,
+            beneficiary:  _beneficiary,
+            amountUT:     _amountUT,
+            amountST:     _amountST,
+            expirationHeight: expirationHeight,
+            hashLock:     _hashLock,
+            amountSTReleased: 0
+        });
+
+        RedemptionIntentConfirmed(_uuid, _redemptionIntentHash, _redeemer,
+            _beneficiary, _amountST, _amountUT, expirationHeight, _hashLock);
+
+        return (_amountST, expirationHeight);
+    }
 }
\ No newline at end of file
@@ -27,17 +27,48 @@ import "./CoreInterface.sol";
 
 contract OpenSTValueInterface {
     function processStaking(
-        bytes32 _stakingIntentHash)
+        bytes32 _stakingIntentHash,
+        bytes32 _unlockSecret)
         external
         returns (address stakeAddress);
 
+    function revertStaking(
+        bytes32 _stakingIntentHash)
+        external
+        returns (
+        bytes32 uuid,
+        uint256 amountST,
+        address staker);
+
+    function processUnstakingWithSignature(
+        bytes32 _redemptionIntentHash,
+        bytes32 _unlockSecret,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s)
+        external
+        returns (
+        address stakeAddress);
+
+    function revertUnstaking(
+        bytes32 _redemptionIntentHash)
+        external
+        returns (
+        bytes32 uuid,
+        address redeemer,
+        address beneficiary,
+        uint256 amountST);
+
     function confirmRedemptionIntent(
         bytes32 _uuid,
         address _redeemer,
         uint256 _redeemerNonce,
         address _beneficiary,
         uint256 _amountUT,
+        uint256 _amountST,
+        uint256 _feeUT,
         uint256 _redemptionUnlockHeight,
+        bytes32 _hashLock,
         bytes32 _redemptionIntentHash)
         external
         returns (
@@ -62,6 +93,51 @@ contract OpenSTValueInterface {
         returns ( 
         bytes32 uuid);
 
+    function setStakeLimits(
+        bytes32 _uuid,
+        uint256 _minStakeST,
+        uint256 _maxStakeST,
+        uint256 _maxTotalStakeST)
+        external
+        returns (
+        bool /* success */);
+
+    function setStakeFee(
+        bytes32 _uuid,
+        uint256 _feeBasisPoints,
+        uint256 _minimumFeeST)
+        external
+        returns (
+        bool /* success */);
+
+    function withdrawFees(
+        bytes32 _uuid,
+        address _to,
+        uint256 _amountST)
+        external
+        returns (
+        bool /* success */);
+
+    function withdrawRewards(
+        address _to)
+        external
+        returns (
+        bool /* success */);
+
+    function scheduleConversionRateChange(
+        bytes32 _uuid,
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals,
+        uint256 _activationHeight)
+        external
+        returns (
+        bool /* success */);
+
+    function completeRegistrarTransfer()
+        external
+        returns (
+        bool /* success */);
+
     function stakes(
         bytes32 /* hashStakingIntent */)
         public
@@ -72,7 +148,10 @@ contract OpenSTValueInterface {
         uint256, /* nonce */
         uint256, /* amountST */
         uint256, /* amountUT */
-        uint256 /* unlockHeight */);
+        uint256, /* unlockHeight */
+        bytes32, /* hashLock */
+        uint256, /* feeST */
+        uint256 /* rewardST */);
 
     function unstakes(
         bytes32 /* hashRedemptionIntent */)
@@ -24,10 +24,12 @@ pragma solidity ^0.4.17;
 import "./OpenSTValue.sol";
 
 /// @title OpenSTValueMock
-/// @dev Overrides certain durational constants and getters to ease testing OpenSTValue
+/// @dev Constructs with short block wait times and overrides the registrar transfer wait
+///      to ease testing OpenSTValue
 contract OpenSTValueMock is OpenSTValue {
 	uint256 private constant BLOCKS_TO_WAIT_LONG = 8;
 	uint256 private constant BLOCKS_TO_WAIT_SHORT = 5;
+	uint256 private constant REGISTRAR_TRANSFER_BLOCKS_TO_WAIT = 3;
 
 	/*
 	 *  Public functions
@@ -36,14 +38,11 @@ contract OpenSTValueMock is OpenSTValue {
 		uint256 _chainIdValue,
 		EIP20Interface _eip20token,
 		address _registrar)
-		OpenSTValue(_chainIdValue, _eip20token, _registrar)
+		OpenSTValue(_chainIdValue, _eip20token, _registrar,
+			BLOCKS_TO_WAIT_LONG, BLOCKS_TO_WAIT_SHORT, BLOCKS_TO_WAIT_LONG)
 		public { }
 
-	function blocksToWaitLong() public pure returns (uint256) {
-		return BLOCKS_TO_WAIT_LONG;
-	}
-
-	function blocksToWaitShort() public pure returns (uint256) {
-		return BLOCKS_TO_WAIT_SHORT;
+	function blocksToWaitForRegistrarTransfer() public pure returns (uint256) {
+		return REGISTRAR_TRANSFER_BLOCKS_TO_WAIT;
 	}
 }
\ No newline at end of file
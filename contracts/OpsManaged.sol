@@ -29,11 +29,22 @@ import "./Owned.sol";
 */
 contract OpsManaged is Owned {
 
+    // ~1 week, assuming ~15s per block
+    uint256 public constant MAX_BLOCKS_TO_FREEZE = 40320;
+    // the guardian can freeze again no sooner than the longest freeze after the previous one ended
+    uint256 public constant FREEZE_COOLDOWN_BLOCKS = 40320;
+
     address public opsAddress;
     address public adminAddress;
+    address public guardianAddress;
+    // the freeze expires automatically at this block height; once unfrozen, the height it ended
+    uint256 public frozenUntilHeight;
 
     event AdminAddressChanged(address indexed _newAddress);
     event OpsAddressChanged(address indexed _newAddress);
+    event GuardianAddressChanged(address indexed _newAddress);
+    event Frozen(address indexed _guardian, uint256 _frozenUntilHeight);
+    event Unfrozen(address indexed _guardian);
 
 
     function OpsManaged() public
@@ -66,6 +77,18 @@ contract OpsManaged is Owned {
     }
 
 
+    modifier onlyGuardian() {
+        require(isGuardian(msg.sender));
+        _;
+    }
+
+
+    modifier whenNotFrozen() {
+        require(!isFrozen());
+        _;
+    }
+
+
     function isAdmin(address _address) internal view returns (bool) {
         return (adminAddress != address(0) && _address == adminAddress);
     }
@@ -81,11 +104,22 @@ contract OpsManaged is Owned {
     }
 
 
+    function isGuardian(address _address) internal view returns (bool) {
+        return (guardianAddress != address(0) && _address == guardianAddress);
+    }
+
+
+    function isFrozen() public view returns (bool) {
+        return (block.number < frozenUntilHeight);
+    }
+
+
     // Owner and Admin can change the admin address. Address can also be set to 0 to 'disable' it.
     function setAdminAddress(address _adminAddress) external onlyOwnerOrAdmin returns (bool) {
         require(_adminAddress != owner);
         require(_adminAddress != address(this));
         require(!isOps(_adminAddress));
+        require(!isGuardian(_adminAddress));
 
         adminAddress = _adminAddress;
 
@@ -100,6 +134,7 @@ contract OpsManaged is Owned {
         require(_opsAddress != owner);
         require(_opsAddress != address(this));
         require(!isAdmin(_opsAddress));
+        require(!isGuardian(_opsAddress));
 
         opsAddress = _opsAddress;
 
@@ -107,6 +142,49 @@ contract OpsManaged is Owned {
 
         return true;
     }
+
+
+    // Owner and Admin can change the guardian address. Address can also be set to 0 to 'disable' it.
+    function setGuardianAddress(address _guardianAddress) external onlyOwnerOrAdmin returns (bool) {
+        require(_guardianAddress != owner);
+        require(_guardianAddress != address(this));
+        require(!isAdmin(_guardianAddress));
+        require(!isOps(_guardianAddress));
+
+        guardianAddress = _guardianAddress;
+
+        GuardianAddressChanged(_guardianAddress);
+
+        return true;
+    }
+
+
+    // Guardian can freeze for at most MAX_BLOCKS_TO_FREEZE, after which the freeze expires;
+    // an ongoing freeze cannot be extended and a new freeze waits FREEZE_COOLDOWN_BLOCKS
+    // after the previous one ended, so that it cannot be left on indefinitely.
+    function freeze(uint256 _blocksToFreeze) external onlyGuardian returns (bool) {
+        require(frozenUntilHeight == 0 || block.number >= frozenUntilHeight + FREEZE_COOLDOWN_BLOCKS);
+        require(_blocksToFreeze > 0);
+        require(_blocksToFreeze <= MAX_BLOCKS_TO_FREEZE);
+
+        frozenUntilHeight = block.number + _blocksToFreeze;
+
+        Frozen(msg.sender, frozenUntilHeight);
+
+        return true;
+    }
+
+
+    function unfreeze() external onlyGuardian returns (bool) {
+        require(isFrozen());
+
+        // the cooldown starts when unfrozen
+        frozenUntilHeight = block.number;
+
+        Unfrozen(msg.sender);
+
+        return true;
+    }
 }
 
 
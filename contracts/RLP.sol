@@ -0,0 +1,279 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Common: RLP Library Implementation
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+
+/**
+   @title RLP
+   @notice Implements decoding of RLP encoded items in memory
+           as specified in the Ethereum yellow paper, appendix B
+*/
+library RLP {
+
+	/*
+	 *  Constants
+	 */
+	uint8 constant private STRING_SHORT_START = 0x80;
+	uint8 constant private STRING_LONG_START  = 0xb8;
+	uint8 constant private LIST_SHORT_START   = 0xc0;
+	uint8 constant private LIST_LONG_START    = 0xf8;
+
+	/*
+	 *  Structures
+	 */
+	/// RLPItem points into memory; len includes the RLP prefix
+	struct RLPItem {
+		uint256 len;
+		uint256 memPtr;
+	}
+
+	/*
+	 *  Internal functions
+	 */
+	/// @dev Wrap RLP encoded bytes into an RLPItem
+	function toRLPItem(
+		bytes memory _item)
+		internal
+		pure
+		returns (RLPItem memory)
+	{
+		uint256 memPtr;
+		assembly {
+			memPtr := add(_item, 0x20)
+		}
+
+		return RLPItem(_item.length, memPtr);
+	}
+
+	/// @dev Decode an RLP encoded list into its items
+	function toList(
+		RLPItem memory _item)
+		internal
+		pure
+		returns (RLPItem[] memory result)
+	{
+		require(isList(_item));
+
+		uint256 items = numItems(_item);
+		result = new RLPItem[](items);
+
+		uint256 memPtr = _item.memPtr + payloadOffset(_item.memPtr);
+		uint256 dataLen;
+		for (uint256 i = 0; i < items; i++) {
+			dataLen = itemLength(memPtr);
+			result[i] = RLPItem(dataLen, memPtr);
+			memPtr = memPtr + dataLen;
+		}
+
+		return result;
+	}
+
+	/// @dev Return true if the item is an RLP encoded list
+	function isList(
+		RLPItem memory _item)
+		internal
+		pure
+		returns (bool)
+	{
+		if (_item.len == 0) return false;
+
+		uint8 byte0;
+		uint256 memPtr = _item.memPtr;
+		assembly {
+			byte0 := byte(0, mload(memPtr))
+		}
+
+		return byte0 >= LIST_SHORT_START;
+	}
+
+	/// @dev Return the item including its RLP prefix
+	function toRlpBytes(
+		RLPItem memory _item)
+		internal
+		pure
+		returns (bytes memory result)
+	{
+		result = new bytes(_item.len);
+		if (_item.len == 0) return result;
+
+		uint256 destPtr;
+		assembly {
+			destPtr := add(result, 0x20)
+		}
+		copy(_item.memPtr, destPtr, _item.len);
+
+		return result;
+	}
+
+	/// @dev Return the payload of the item without its RLP prefix
+	function toBytes(
+		RLPItem memory _item)
+		internal
+		pure
+		returns (bytes memory result)
+	{
+		uint256 offset = payloadOffset(_item.memPtr);
+		uint256 len = _item.len - offset;
+		result = new bytes(len);
+		if (len == 0) return result;
+
+		uint256 destPtr;
+		assembly {
+			destPtr := add(result, 0x20)
+		}
+		copy(_item.memPtr + offset, destPtr, len);
+
+		return result;
+	}
+
+	/// @dev Return the payload of the item as bytes32;
+	///      the payload must be exactly 32 bytes long
+	function toBytes32(
+		RLPItem memory _item)
+		internal
+		pure
+		returns (bytes32 result)
+	{
+		uint256 offset = payloadOffset(_item.memPtr);
+		if (_item.len - offset != 32) return bytes32(0);
+
+		uint256 memPtr = _item.memPtr + offset;
+		assembly {
+			result := mload(memPtr)
+		}
+
+		return result;
+	}
+
+	/*
+	 *  Private functions
+	 */
+	/// @dev Number of items in an RLP encoded list
+	function numItems(
+		RLPItem memory _item)
+		private
+		pure
+		returns (uint256 count)
+	{
+		if (_item.len == 0) return 0;
+
+		uint256 currPtr = _item.memPtr + payloadOffset(_item.memPtr);
+		uint256 endPtr = _item.memPtr + _item.len;
+		while (currPtr < endPtr) {
+			currPtr = currPtr + itemLength(currPtr);
+			count++;
+		}
+		// the items must exactly fill the payload of the list
+		require(currPtr == endPtr);
+
+		return count;
+	}
+
+	/// @dev Entire length of the item at memPtr, including its RLP prefix
+	function itemLength(
+		uint256 _memPtr)
+		private
+		pure
+		returns (uint256 len)
+	{
+		uint256 byte0;
+		assembly {
+			byte0 := byte(0, mload(_memPtr))
+		}
+
+		if (byte0 < STRING_SHORT_START) {
+			return 1;
+		} else if (byte0 < STRING_LONG_START) {
+			return byte0 - STRING_SHORT_START + 1;
+		} else if (byte0 < LIST_SHORT_START) {
+			assembly {
+				let byteLen := sub(byte0, 0xb7)
+				_memPtr := add(_memPtr, 1)
+				let dataLen := div(mload(_memPtr), exp(256, sub(32, byteLen)))
+				len := add(dataLen, add(byteLen, 1))
+			}
+		} else if (byte0 < LIST_LONG_START) {
+			return byte0 - LIST_SHORT_START + 1;
+		} else {
+			assembly {
+				let byteLen := sub(byte0, 0xf7)
+				_memPtr := add(_memPtr, 1)
+				let dataLen := div(mload(_memPtr), exp(256, sub(32, byteLen)))
+				len := add(dataLen, add(byteLen, 1))
+			}
+		}
+
+		return len;
+	}
+
+	/// @dev Number of bytes of the RLP prefix at memPtr
+	function payloadOffset(
+		uint256 _memPtr)
+		private
+		pure
+		returns (uint256)
+	{
+		uint256 byte0;
+		assembly {
+			byte0 := byte(0, mload(_memPtr))
+		}
+
+		if (byte0 < STRING_SHORT_START) {
+			return 0;
+		} else if (byte0 < STRING_LONG_START ||
+			(byte0 >= LIST_SHORT_START && byte0 < LIST_LONG_START)) {
+			return 1;
+		} else if (byte0 < LIST_SHORT_START) {
+			return byte0 - (STRING_LONG_START - 1) + 1;
+		} else {
+			return byte0 - (LIST_LONG_START - 1) + 1;
+		}
+	}
+
+	/// @dev Copy len bytes from memory at src to memory at dest
+	function copy(
+		uint256 _src,
+		uint256 _dest,
+		uint256 _len)
+		private
+		pure
+	{
+		// copy as many full words as possible
+		for (; _len >= 32; _len -= 32) {
+			assembly {
+				mstore(_dest, mload(_src))
+			}
+			_src += 32;
+			_dest += 32;
+		}
+
+		if (_len == 0) return;
+
+		// copy the remaining bytes, keeping the bytes after dest in place
+		uint256 mask = 256 ** (32 - _len) - 1;
+		assembly {
+			let srcPart := and(mload(_src), not(mask))
+			let destPart := and(mload(_dest), mask)
+			mstore(_dest, or(destPart, srcPart))
+		}
+	}
+}
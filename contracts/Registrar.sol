@@ -22,17 +22,77 @@ pragma solidity ^0.4.17;
 // ----------------------------------------------------------------------------
 
 import "./OpsManaged.sol";
-// import "./CoreInterface.sol";
+import "./CoreInterface.sol";
 import "./OpenSTValueInterface.sol";
 import "./OpenSTUtilityInterface.sol";
 
 /// @title Registrar - registers for utility tokens
+/// @notice Staking and redemption intents, token registrations and state roots are confirmed
+///         by the ops key alone, or, once the admin sets a threshold, by an M-of-N
+///         set of registrars: the confirmation is forwarded to the registry
+///         when the threshold of distinct registrars in the set has attested it.
+///         Only the attestations of registrars currently in the set are counted;
+///         the set is expected to remain small, as it is iterated to count them.
 contract Registrar is OpsManaged {
 
+    /*
+     *  Events
+     */
+    event RegistrarAdded(address indexed _registrar);
+
+    event RegistrarRemoved(address indexed _registrar);
+
+    event ThresholdSet(uint256 _threshold);
+
+    event Attested(bytes32 indexed _attestation, address indexed _registrar, uint256 _attestations,
+    	uint256 _threshold);
+
+    /// @dev an intent in a batch that failed to confirm and was skipped
+    event ConfirmationFailed(address indexed _registry, bytes32 indexed _intentHash);
+
+    /// @dev an intent in a batch that failed to revert and was skipped
+    event RevertFailed(address indexed _registry, bytes32 indexed _intentHash);
+
+    /*
+     *  Structures
+     */
+    /// @dev the arguments of OpenSTUtility.confirmStakingIntent
+    struct StakingIntent {
+    	bytes32 uuid;
+    	address staker;
+    	uint256 stakerNonce;
+    	address beneficiary;
+    	uint256 amountST;
+    	uint256 amountUT;
+    	uint256 feeST;
+    	uint256 stakingUnlockHeight;
+    	bytes32 hashLock;
+    	bytes32 stakingIntentHash;
+    }
+
+    /// @dev the arguments of OpenSTValue.confirmRedemptionIntent
+    struct RedemptionIntent {
+    	bytes32 uuid;
+    	address redeemer;
+    	uint256 redeemerNonce;
+    	address beneficiary;
+    	uint256 amountUT;
+    	uint256 amountST;
+    	uint256 feeUT;
+    	uint256 redemptionUnlockHeight;
+    	bytes32 hashLock;
+    	bytes32 redemptionIntentHash;
+    }
+
     /*
      *  Storage
      */
     // mapping(uint256 /* chainId */ => CoreInterface) cores;
+    address[] public registrars;
+    mapping(address /* registrar */ => bool) public isRegistrar;
+    /// number of distinct registrars required to confirm; zero leaves confirming to ops
+    uint256 public threshold;
+    mapping(bytes32 /* attestation */ => mapping(address /* registrar */ => bool)) public attested;
 
     /*
      *  Public functions
@@ -54,26 +114,86 @@ contract Registrar is OpsManaged {
     	uint256 _redeemerNonce,
     	address _beneficiary,
     	uint256 _amountUT,
+    	uint256 _amountST,
+    	uint256 _feeUT,
     	uint256 _redemptionUnlockHeight,
+    	bytes32 _hashLock,
     	bytes32 _redemptionIntentHash)
     	external
-    	onlyOps
+    	whenNotFrozen
     	returns (
     	uint256 amountST,
     	uint256 expirationHeight)
     {
+    	if (!attest(keccak256(_registry, _redemptionIntentHash), isOps(msg.sender))) return (0, 0);
+
     	(amountST, expirationHeight) = _registry.confirmRedemptionIntent(
     		_uuid,
 	    	_redeemer,
 	    	_redeemerNonce,
 	    	_beneficiary,
 	    	_amountUT,
+	    	_amountST,
+	    	_feeUT,
 	    	_redemptionUnlockHeight,
+	    	_hashLock,
 	    	_redemptionIntentHash);
 
     	return (amountST, expirationHeight);
     }
 
+    /// @dev confirms the redemption intent at each index of the arrays;
+    ///      an intent that fails to confirm is skipped and reported with ConfirmationFailed
+    function confirmRedemptionIntentBatch(
+    	// address of OpenSTValue registry:
+    	OpenSTValueInterface _registry,
+    	// OpenSTValue function, per intent:
+    	bytes32[] _uuids,
+    	address[] _redeemers,
+    	uint256[] _redeemerNonces,
+    	address[] _beneficiaries,
+    	uint256[] _amountsUT,
+    	uint256[] _amountsST,
+    	uint256[] _feesUT,
+    	uint256[] _redemptionUnlockHeights,
+    	bytes32[] _hashLocks,
+    	bytes32[] _redemptionIntentHashes)
+    	public
+    	whenNotFrozen
+    	returns (
+    	uint256 confirmed)
+    {
+    	requireBatchConfirmer();
+    	requireContract(_registry);
+    	require(_uuids.length == _redeemers.length);
+    	require(_uuids.length == _redeemerNonces.length);
+    	require(_uuids.length == _beneficiaries.length);
+    	require(_uuids.length == _amountsUT.length);
+    	require(_uuids.length == _amountsST.length);
+    	require(_uuids.length == _feesUT.length);
+    	require(_uuids.length == _redemptionUnlockHeights.length);
+    	require(_uuids.length == _hashLocks.length);
+    	require(_uuids.length == _redemptionIntentHashes.length);
+
+    	RedemptionIntent memory intent;
+    	for (uint256 i = 0; i < _uuids.length; i++) {
+    		intent.uuid = _uuids[i];
+    		intent.redeemer = _redeemers[i];
+    		intent.redeemerNonce = _redeemerNonces[i];
+    		intent.beneficiary = _beneficiaries[i];
+    		intent.amountUT = _amountsUT[i];
+    		intent.amountST = _amountsST[i];
+    		intent.feeUT = _feesUT[i];
+    		intent.redemptionUnlockHeight = _redemptionUnlockHeights[i];
+    		intent.hashLock = _hashLocks[i];
+    		intent.redemptionIntentHash = _redemptionIntentHashes[i];
+
+    		if (confirmRedemptionIntentInBatch(_registry, intent)) confirmed++;
+    	}
+
+    	return confirmed;
+    }
+
     function addCore(
     	// address of OpenSTValue registry:
     	OpenSTValueInterface _registry,
@@ -99,10 +219,12 @@ contract Registrar is OpsManaged {
 		address _stakingAccount,
 		bytes32 _checkUuid)
 		public
-		onlyAdminOrOps
 		returns ( 
 		bytes32 /* uuid */)
 	{
+		if (!attest(keccak256(_registry, _checkUuid, _stakingAccount),
+			isAdmin(msg.sender) || isOps(msg.sender))) return "";
+
 		return _registry.registerUtilityToken(
 			_symbol,
 			_name,
@@ -113,18 +235,214 @@ contract Registrar is OpsManaged {
 			_checkUuid);
 	}
 
+	/// @dev the change is scheduled on each chain at a height of that chain, see
+	///      scheduleUtilityConversionRateChange, so the activations need not coincide.
+	///      OpenSTValue confirms redemptions at its own active conversion rate, and at
+	///      the previous rate during the long wait after its activation, so the utility chain
+	///      should activate no later than the value chain; redemptions declared at another
+	///      rate are not unstaked and can be reverted
+	function scheduleConversionRateChange(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _uuid,
+		uint256 _conversionRate,
+		uint8 _conversionRateDecimals,
+		uint256 _activationHeight)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.scheduleConversionRateChange(
+			_uuid,
+			_conversionRate,
+			_conversionRateDecimals,
+			_activationHeight);
+	}
+
+	function setStakeLimits(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _uuid,
+		uint256 _minStakeST,
+		uint256 _maxStakeST,
+		uint256 _maxTotalStakeST)
+		external
+		onlyAdminOrOps
+		returns (
+		bool /* success */)
+	{
+		return _registry.setStakeLimits(
+			_uuid,
+			_minStakeST,
+			_maxStakeST,
+			_maxTotalStakeST);
+	}
+
+	function setStakeFee(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _uuid,
+		uint256 _feeBasisPoints,
+		uint256 _minimumFeeST)
+		external
+		onlyAdminOrOps
+		returns (
+		bool /* success */)
+	{
+		return _registry.setStakeFee(
+			_uuid,
+			_feeBasisPoints,
+			_minimumFeeST);
+	}
+
+	/// @dev withdraws collected fees from the fee vault of OpenSTValue
+	function withdrawStakeFees(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _uuid,
+		address _to,
+		uint256 _amountST)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.withdrawFees(
+			_uuid,
+			_to,
+			_amountST);
+	}
+
+	/// @dev withdraws the rewards credited to the registrar
+	///      for processing stakes on OpenSTValue
+	function withdrawStakingRewards(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		address _to)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.withdrawRewards(_to);
+	}
+
 	function processStaking(
 		// address of OpenSTValue registry:
 		OpenSTValueInterface _registry,
     	// OpenSTValue function:
-		bytes32 _stakingIntentHash)
+		bytes32 _stakingIntentHash,
+		bytes32 _unlockSecret)
 		external
 		onlyAdmin
 		returns (
 		address stakeAddress)
 	{
 		return _registry.processStaking(
-			_stakingIntentHash);
+			_stakingIntentHash,
+			_unlockSecret);
+	}
+
+	function revertStaking(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _stakingIntentHash)
+		external
+		onlyAdminOrOps
+		returns (
+		bytes32 uuid,
+		uint256 amountST,
+		address staker)
+	{
+		return _registry.revertStaking(_stakingIntentHash);
+	}
+
+	/// @dev reverts the expired stakes; a stake that fails to revert
+	///      is skipped and reported with RevertFailed
+	function revertStakingBatch(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function, per intent:
+		bytes32[] _stakingIntentHashes)
+		external
+		onlyAdminOrOps
+		returns (
+		uint256 /* reverted */)
+	{
+		return revertInBatch(_registry, bytes4(keccak256("revertStaking(bytes32)")), _stakingIntentHashes);
+	}
+
+	/// @dev OpenSTValue.processUnstaking is reserved to the redeemer,
+	///      so the registrar relays the signature of the redeemer on the intent hash
+	function processUnstaking(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _redemptionIntentHash,
+		bytes32 _unlockSecret,
+		uint8 _v,
+		bytes32 _r,
+		bytes32 _s)
+		external
+		onlyAdmin
+		returns (
+		address stakeAddress)
+	{
+		return _registry.processUnstakingWithSignature(
+			_redemptionIntentHash,
+			_unlockSecret,
+			_v,
+			_r,
+			_s);
+	}
+
+	function revertUnstaking(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function:
+		bytes32 _redemptionIntentHash)
+		external
+		onlyAdminOrOps
+		returns (
+		bytes32 uuid,
+		address redeemer,
+		address beneficiary,
+		uint256 amountST)
+	{
+		return _registry.revertUnstaking(_redemptionIntentHash);
+	}
+
+	/// @dev reverts the expired unstakes; an unstake that fails to revert
+	///      is skipped and reported with RevertFailed
+	function revertUnstakingBatch(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry,
+		// OpenSTValue function, per intent:
+		bytes32[] _redemptionIntentHashes)
+		external
+		onlyAdminOrOps
+		returns (
+		uint256 /* reverted */)
+	{
+		return revertInBatch(_registry, bytes4(keccak256("revertUnstaking(bytes32)")), _redemptionIntentHashes);
+	}
+
+	function completeRegistrarTransfer(
+		// address of OpenSTValue registry:
+		OpenSTValueInterface _registry)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.completeRegistrarTransfer();
 	}
 
 	/*
@@ -140,13 +458,17 @@ contract Registrar is OpsManaged {
 		address _beneficiary,
 		uint256 _amountST,
 		uint256 _amountUT,
+		uint256 _feeST,
 		uint256 _stakingUnlockHeight,
+		bytes32 _hashLock,
 		bytes32 _stakingIntentHash)
 		external
-		onlyOps
+		whenNotFrozen
 		returns (
 		uint256 /* expirationHeight */)
 	{
+		if (!attest(keccak256(_registry, _stakingIntentHash), isOps(msg.sender))) return 0;
+
 		return _registry.confirmStakingIntent(
 			_uuid,
 			_staker,
@@ -154,10 +476,78 @@ contract Registrar is OpsManaged {
 			_beneficiary,
 			_amountST,
 			_amountUT,
+			_feeST,
 			_stakingUnlockHeight,
+			_hashLock,
 			_stakingIntentHash);
 	}
 
+	/// @dev confirms the staking intent at each index of the arrays;
+	///      an intent that fails to confirm is skipped and reported with ConfirmationFailed
+	function confirmStakingIntentBatch(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function, per intent:
+		bytes32[] _uuids,
+		address[] _stakers,
+		uint256[] _stakerNonces,
+		address[] _beneficiaries,
+		uint256[] _amountsST,
+		uint256[] _amountsUT,
+		uint256[] _feesST,
+		uint256[] _stakingUnlockHeights,
+		bytes32[] _hashLocks,
+		bytes32[] _stakingIntentHashes)
+		public
+		whenNotFrozen
+		returns (
+		uint256 confirmed)
+	{
+		requireBatchConfirmer();
+		requireContract(_registry);
+		require(_uuids.length == _stakers.length);
+		require(_uuids.length == _stakerNonces.length);
+		require(_uuids.length == _beneficiaries.length);
+		require(_uuids.length == _amountsST.length);
+		require(_uuids.length == _amountsUT.length);
+		require(_uuids.length == _feesST.length);
+		require(_uuids.length == _stakingUnlockHeights.length);
+		require(_uuids.length == _hashLocks.length);
+		require(_uuids.length == _stakingIntentHashes.length);
+
+		StakingIntent memory intent;
+		for (uint256 i = 0; i < _uuids.length; i++) {
+			intent.uuid = _uuids[i];
+			intent.staker = _stakers[i];
+			intent.stakerNonce = _stakerNonces[i];
+			intent.beneficiary = _beneficiaries[i];
+			intent.amountST = _amountsST[i];
+			intent.amountUT = _amountsUT[i];
+			intent.feeST = _feesST[i];
+			intent.stakingUnlockHeight = _stakingUnlockHeights[i];
+			intent.hashLock = _hashLocks[i];
+			intent.stakingIntentHash = _stakingIntentHashes[i];
+
+			if (confirmStakingIntentInBatch(_registry, intent)) confirmed++;
+		}
+
+		return confirmed;
+	}
+
+	/// @dev adds the core tracking the value chain on OpenSTUtility
+	function addUtilityCore(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		CoreInterface _core)
+		public
+		onlyAdminOrOps
+		returns (
+		bool /* success */)
+	{
+		return _registry.addCore(_core);
+	}
+
 	function registerBrandedToken(
     	// address of OpenSTUtility registry:
     	OpenSTUtilityInterface _registry,
@@ -170,10 +560,12 @@ contract Registrar is OpsManaged {
 		UtilityTokenInterface _brandedToken,
 		bytes32 _checkUuid)
 		public
-		onlyAdminOrOps
 		returns (
 		bytes32 /* registeredUuid */)
 	{
+		if (!attest(keccak256(_registry, _checkUuid, _brandedToken, _requester),
+			isAdmin(msg.sender) || isOps(msg.sender))) return "";
+
 		return _registry.registerBrandedToken(
 			_symbol,
 			_name,
@@ -184,17 +576,455 @@ contract Registrar is OpsManaged {
 			_checkUuid);
 	}
 
+	/// @dev schedules the change on the branded token at a height of the utility chain,
+	///      see scheduleConversionRateChange
+	function scheduleUtilityConversionRateChange(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		bytes32 _uuid,
+		uint256 _conversionRate,
+		uint8 _conversionRateDecimals,
+		uint256 _activationHeight)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.scheduleConversionRateChange(
+			_uuid,
+			_conversionRate,
+			_conversionRateDecimals,
+			_activationHeight);
+	}
+
+	function setRedemptionFee(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		bytes32 _uuid,
+		uint256 _feeBasisPoints,
+		uint256 _minimumFeeUT)
+		external
+		onlyAdminOrOps
+		returns (
+		bool /* success */)
+	{
+		return _registry.setRedemptionFee(
+			_uuid,
+			_feeBasisPoints,
+			_minimumFeeUT);
+	}
+
+	/// @dev withdraws collected fees from the fee vault of OpenSTUtility
+	function withdrawRedemptionFees(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		bytes32 _uuid,
+		address _to,
+		uint256 _amountUT)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.withdrawFees(
+			_uuid,
+			_to,
+			_amountUT);
+	}
+
+	/// @dev withdraws the rewards credited to the registrar
+	///      for processing redemptions on OpenSTUtility
+	function withdrawRedeemingRewards(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		bytes32 _uuid,
+		address _to)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.withdrawRewards(
+			_uuid,
+			_to);
+	}
+
     function processRedeeming(
     	// address of OpenSTUtility registry:
     	OpenSTUtilityInterface _registry,
     	// OpenSTUtility function:
-    	bytes32 _redemptionIntentHash)
+    	bytes32 _redemptionIntentHash,
+    	bytes32 _unlockSecret)
     	external
     	onlyAdmin
     	returns (
     	address tokenAddress)
     {
     	return _registry.processRedeeming(
-    		_redemptionIntentHash);
+    		_redemptionIntentHash,
+    		_unlockSecret);
     }
-}
\ No newline at end of file
+
+	function revertMinting(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		bytes32 _stakingIntentHash)
+		external
+		onlyAdminOrOps
+		returns (
+		bytes32 uuid,
+		address staker,
+		address beneficiary,
+		uint256 amount)
+	{
+		return _registry.revertMinting(_stakingIntentHash);
+	}
+
+	/// @dev reverts the expired mints; a mint that fails to revert
+	///      is skipped and reported with RevertFailed
+	function revertMintingBatch(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function, per intent:
+		bytes32[] _stakingIntentHashes)
+		external
+		onlyAdminOrOps
+		returns (
+		uint256 /* reverted */)
+	{
+		return revertInBatch(_registry, bytes4(keccak256("revertMinting(bytes32)")), _stakingIntentHashes);
+	}
+
+	function revertRedemption(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		bytes32 _redemptionIntentHash)
+		external
+		onlyAdminOrOps
+		returns (
+		bytes32 uuid,
+		address redeemer,
+		address beneficiary,
+		uint256 amountUT)
+	{
+		return _registry.revertRedemption(_redemptionIntentHash);
+	}
+
+	/// @dev reverts the expired redemptions; a redemption that fails to revert
+	///      is skipped and reported with RevertFailed
+	function revertRedemptionBatch(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function, per intent:
+		bytes32[] _redemptionIntentHashes)
+		external
+		onlyAdminOrOps
+		returns (
+		uint256 /* reverted */)
+	{
+		return revertInBatch(_registry, bytes4(keccak256("revertRedemption(bytes32)")), _redemptionIntentHashes);
+	}
+
+	/// @dev completes the transfer to this registrar of the value chain on OpenSTUtility
+	function completeUtilityRegistrarTransfer(
+		// address of OpenSTUtility registry:
+		OpenSTUtilityInterface _registry,
+		// OpenSTUtility function:
+		uint256 _chainIdValue)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _registry.completeRegistrarTransfer(_chainIdValue);
+	}
+
+    /*
+     *  Core
+     */
+    /// @dev intents confirmed with a proof are verified against the committed
+    ///      state root, so it is committed by the threshold of registrars alike
+    function commitStateRoot(
+    	// address of Core:
+    	CoreInterface _core,
+    	// Core function:
+    	uint256 _blockHeight,
+    	bytes32 _stateRoot)
+    	external
+    	returns (
+    	bytes32 /* stateRoot */)
+    {
+    	if (!attest(keccak256(_core, _blockHeight, _stateRoot), isOps(msg.sender))) return "";
+
+    	return _core.commitStateRoot(
+    		_blockHeight,
+    		_stateRoot);
+    }
+
+	/// @dev completes the transfer to this registrar on core
+	function completeCoreRegistrarTransfer(
+		// address of Core:
+		CoreInterface _core)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		return _core.completeRegistrarTransfer();
+	}
+
+	/*
+	 *  Registrars
+	 */
+	/// @dev adding a registrar does not change the threshold
+	function addRegistrar(
+		address _registrar)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		require(_registrar != address(0));
+		require(!isRegistrar[_registrar]);
+
+		isRegistrar[_registrar] = true;
+		registrars.push(_registrar);
+
+		RegistrarAdded(_registrar);
+
+		return true;
+	}
+
+	/// @dev the threshold must remain within the number of registrars left
+	function removeRegistrar(
+		address _registrar)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		require(isRegistrar[_registrar]);
+		require(threshold < registrars.length);
+
+		delete isRegistrar[_registrar];
+
+		for (uint256 i = 0; i < registrars.length; i++) {
+			if (registrars[i] == _registrar) {
+				registrars[i] = registrars[registrars.length - 1];
+				registrars.length--;
+				break;
+			}
+		}
+
+		RegistrarRemoved(_registrar);
+
+		return true;
+	}
+
+	/// @dev a threshold of zero leaves confirming to ops
+	///      and registering to admin or ops again
+	function setThreshold(
+		uint256 _threshold)
+		external
+		onlyAdmin
+		returns (
+		bool /* success */)
+	{
+		require(_threshold <= registrars.length);
+
+		threshold = _threshold;
+
+		ThresholdSet(_threshold);
+
+		return true;
+	}
+
+	/// @dev Returns size of registrars
+	/// @return size
+	function getRegistrarsSize() public view returns (uint256) {
+		return registrars.length;
+	}
+
+	/*
+	 *  Internal functions
+	 */
+	/// @dev without a threshold the sender confirms alone if authorized;
+	///      otherwise returns true once the threshold of registrars has attested
+	function attest(
+		bytes32 _attestation,
+		bool _authorized)
+		internal
+		returns (
+		bool /* confirmed */)
+	{
+		if (threshold == 0) {
+			require(_authorized);
+			return true;
+		}
+
+		require(isRegistrar[msg.sender]);
+		require(!attested[_attestation][msg.sender]);
+
+		return countAttestation(_attestation);
+	}
+
+	function countAttestation(
+		bytes32 _attestation)
+		internal
+		returns (
+		bool /* confirmed */)
+	{
+		attested[_attestation][msg.sender] = true;
+
+		uint256 attestations = 0;
+		for (uint256 i = 0; i < registrars.length; i++) {
+			if (attested[_attestation][registrars[i]]) attestations++;
+		}
+
+		Attested(_attestation, msg.sender, attestations, threshold);
+
+		return (attestations >= threshold);
+	}
+
+	/// @dev without a threshold ops confirms a batch, otherwise a registrar attests it
+	function requireBatchConfirmer()
+		internal
+		view
+	{
+		if (threshold == 0) {
+			require(isOps(msg.sender));
+		} else {
+			require(isRegistrar[msg.sender]);
+		}
+	}
+
+	/// @dev a call to an address without code succeeds, so the batches
+	///      would report intents confirmed or reverted that were not
+	function requireContract(
+		address _registry)
+		internal
+		view
+	{
+		uint256 size;
+		assembly {
+			size := extcodesize(_registry)
+		}
+		require(size > 0);
+	}
+
+	/// @dev returns true once the intent in the batch is attested by the threshold
+	///      of registrars; an intent the registrar attested before is reported failed
+	function attestInBatch(
+		address _registry,
+		bytes32 _intentHash)
+		internal
+		returns (
+		bool /* confirmed */)
+	{
+		if (threshold == 0) return true;
+
+		bytes32 attestation = keccak256(_registry, _intentHash);
+		if (attested[attestation][msg.sender]) {
+			ConfirmationFailed(_registry, _intentHash);
+			return false;
+		}
+
+		return countAttestation(attestation);
+	}
+
+	/// @dev the attestation of an intent that failed to confirm is withdrawn,
+	///      so that the registrar can attest it again
+	function failInBatch(
+		address _registry,
+		bytes32 _intentHash)
+		internal
+	{
+		if (threshold > 0) delete attested[keccak256(_registry, _intentHash)][msg.sender];
+
+		ConfirmationFailed(_registry, _intentHash);
+	}
+
+	/// @dev the intent is confirmed with a call that does not revert the batch on failure
+	function confirmStakingIntentInBatch(
+		OpenSTUtilityInterface _registry,
+		StakingIntent memory _intent)
+		internal
+		returns (
+		bool /* confirmed */)
+	{
+		if (!attestInBatch(_registry, _intent.stakingIntentHash)) return false;
+
+		if (address(_registry).call(
+			bytes4(keccak256("confirmStakingIntent(bytes32,address,uint256,address,uint256,uint256,uint256,uint256,bytes32,bytes32)")),
+			_intent.uuid,
+			_intent.staker,
+			_intent.stakerNonce,
+			_intent.beneficiary,
+			_intent.amountST,
+			_intent.amountUT,
+			_intent.feeST,
+			_intent.stakingUnlockHeight,
+			_intent.hashLock,
+			_intent.stakingIntentHash)) return true;
+
+		failInBatch(_registry, _intent.stakingIntentHash);
+
+		return false;
+	}
+
+	/// @dev the intent is confirmed with a call that does not revert the batch on failure
+	function confirmRedemptionIntentInBatch(
+		OpenSTValueInterface _registry,
+		RedemptionIntent memory _intent)
+		internal
+		returns (
+		bool /* confirmed */)
+	{
+		if (!attestInBatch(_registry, _intent.redemptionIntentHash)) return false;
+
+		if (address(_registry).call(
+			bytes4(keccak256("confirmRedemptionIntent(bytes32,address,uint256,address,uint256,uint256,uint256,uint256,bytes32,bytes32)")),
+			_intent.uuid,
+			_intent.redeemer,
+			_intent.redeemerNonce,
+			_intent.beneficiary,
+			_intent.amountUT,
+			_intent.amountST,
+			_intent.feeUT,
+			_intent.redemptionUnlockHeight,
+			_intent.hashLock,
+			_intent.redemptionIntentHash)) return true;
+
+		failInBatch(_registry, _intent.redemptionIntentHash);
+
+		return false;
+	}
+
+	/// @dev each intent is reverted with a call that does not revert the batch on failure
+	function revertInBatch(
+		address _registry,
+		bytes4 _revertFunction,
+		bytes32[] _intentHashes)
+		internal
+		returns (
+		uint256 reverted)
+	{
+		requireContract(_registry);
+
+		for (uint256 i = 0; i < _intentHashes.length; i++) {
+			if (_registry.call(_revertFunction, _intentHashes[i])) {
+				reverted++;
+			} else {
+				RevertFailed(_registry, _intentHashes[i]);
+			}
+		}
+
+		return reverted;
+	}
+}
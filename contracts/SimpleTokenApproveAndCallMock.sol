@@ -0,0 +1,52 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Value chain: SimpleTokenApproveAndCallMock.sol
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+import "./SimpleToken/SimpleToken.sol";
+
+/// @title ApproveAndCallFallBack
+/// @dev Receives the callback of approveAndCall
+contract ApproveAndCallFallBack {
+	function receiveApproval(address _from, uint256 _value, address _token, bytes _extraData) public;
+}
+
+/// @title SimpleTokenApproveAndCallMock
+/// @dev Extends SimpleToken with approveAndCall to test staking in a single transaction
+contract SimpleTokenApproveAndCallMock is SimpleToken {
+
+	/*
+	 *  Public functions
+	 */
+	function approveAndCall(
+		address _spender,
+		uint256 _value,
+		bytes _extraData)
+		public
+		returns (bool success)
+	{
+		require(approve(_spender, _value));
+
+		ApproveAndCallFallBack(_spender).receiveApproval(msg.sender, _value, address(this), _extraData);
+
+		return true;
+	}
+}
@@ -0,0 +1,76 @@
+pragma solidity ^0.4.17;
+
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Value chain: StakingWalletMock.sol
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+import "./OpenSTValue.sol";
+import "./EIP20Interface.sol";
+
+/// @title StakingWalletMock
+/// @dev A contract wallet that stakes on OpenSTValue, to test stakers that are not EOAs
+contract StakingWalletMock {
+	OpenSTValue public openSTValue;
+
+	/*
+	 *  Public functions
+	 */
+	function StakingWalletMock(
+		OpenSTValue _openSTValue)
+		public
+	{
+		openSTValue = _openSTValue;
+	}
+
+	function approve(
+		uint256 _amountST)
+		public
+		returns (bool)
+	{
+		EIP20Interface valueToken = openSTValue.valueToken();
+
+		return valueToken.approve(address(openSTValue), _amountST);
+	}
+
+	function stake(
+		bytes32 _uuid,
+		uint256 _amountST,
+		address _beneficiary,
+		bytes32 _hashLock)
+		public
+		returns (
+		uint256 amountUT,
+		uint256 nonce,
+		uint256 unlockHeight,
+		bytes32 stakingIntentHash)
+	{
+		return openSTValue.stake(_uuid, _amountST, _beneficiary, _hashLock);
+	}
+
+	function approveStakingAccount(
+		address _stakingAccount,
+		uint256 _amountST,
+		bytes32 _hashLock)
+		public
+		returns (bool)
+	{
+		return openSTValue.approveStakingAccount(_stakingAccount, _amountST, _hashLock);
+	}
+}
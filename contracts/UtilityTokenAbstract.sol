@@ -45,6 +45,9 @@ contract UtilityTokenAbstract is Hasher, ProtocolVersioned, UtilityTokenInterfac
 
     event Burnt(bytes32 indexed _uuid, address indexed _account,
         uint256 _amount, uint256 _totalSupply);
+
+    event ConversionRateChangeScheduled(bytes32 indexed _uuid, uint256 _conversionRate,
+        uint8 _conversionRateDecimals, uint256 _activationHeight);
     
     /*
      *  Storage
@@ -66,6 +69,11 @@ contract UtilityTokenAbstract is Hasher, ProtocolVersioned, UtilityTokenInterfac
     /// claims is follows EIP20 allowance pattern but
     /// for a staker to stake the utility token for a beneficiary
     mapping(address => uint256) private claims;
+    /// conversion rate that replaces the conversion rate from the activation height;
+    /// the uuid remains the hash over the conversion rate at construction
+    uint256 private scheduledConversionRate;
+    uint8 private scheduledConversionRateDecimals;
+    uint256 private conversionRateActivationHeight;
 
     /*
      * Public functions
@@ -118,12 +126,15 @@ contract UtilityTokenAbstract is Hasher, ProtocolVersioned, UtilityTokenInterfac
         return tokenUuid;
     }
 
-    /// @dev Get tokenConversionRate as view so that child cannot edit
+    /// @dev Get tokenConversionRate as view so that child cannot edit;
+    ///      a scheduled conversion rate applies from its activation height
     function conversionRate()
         public
         view
         returns (uint256 /* rate */)
     {
+        if (conversionRateActivated()) return scheduledConversionRate;
+
         return tokenConversionRate;
     }
 
@@ -133,9 +144,50 @@ contract UtilityTokenAbstract is Hasher, ProtocolVersioned, UtilityTokenInterfac
         view 
         returns (uint8 /*conversionRateDecimals*/)
     {
+        if (conversionRateActivated()) return scheduledConversionRateDecimals;
+
         return tokenConversionRateDecimals;
     }
 
+    /// @dev Get the conversion rate scheduled to apply from the activation height
+    function scheduledConversionRateChange()
+        public
+        view
+        returns (
+        uint256 /* conversionRate */,
+        uint8 /* conversionRateDecimals */,
+        uint256 /* activationHeight */)
+    {
+        return (scheduledConversionRate, scheduledConversionRateDecimals, conversionRateActivationHeight);
+    }
+
+    /// @dev the protocol schedules a new conversion rate; a change scheduled
+    ///      earlier is replaced if it has not yet activated
+    function scheduleConversionRateChange(
+        uint256 _conversionRate,
+        uint8 _conversionRateDecimals,
+        uint256 _activationHeight)
+        public
+        onlyProtocol
+        returns (bool /* success */)
+    {
+        require(_conversionRate > 0);
+        require(_activationHeight > block.number);
+
+        if (conversionRateActivated()) {
+            tokenConversionRate = scheduledConversionRate;
+            tokenConversionRateDecimals = scheduledConversionRateDecimals;
+        }
+
+        scheduledConversionRate = _conversionRate;
+        scheduledConversionRateDecimals = _conversionRateDecimals;
+        conversionRateActivationHeight = _activationHeight;
+
+        ConversionRateChangeScheduled(tokenUuid, _conversionRate, _conversionRateDecimals, _activationHeight);
+
+        return true;
+    }
+
     /// @dev Get tokenChainIdValue as view so that child cannot edit
     function genesisChainIdValue()
         public
@@ -176,6 +228,14 @@ contract UtilityTokenAbstract is Hasher, ProtocolVersioned, UtilityTokenInterfac
     /*
      * Internal functions
      */
+    function conversionRateActivated()
+        internal
+        view
+        returns (bool /* activated */)
+    {
+        return (conversionRateActivationHeight != 0 && conversionRateActivationHeight <= block.number);
+    }
+
     /// @dev claim transfers all utility tokens to _beneficiary
     function claimInternal(
         address _beneficiary)
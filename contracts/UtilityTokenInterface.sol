@@ -31,6 +31,9 @@ contract UtilityTokenInterface {
     /// @dev Burn utility tokens after having redeemed them
     ///      through the protocol for the staked Simple Token
     function burn(address _burner, uint256 _amount) public payable returns (bool success);
+    /// @dev Schedule a new conversion rate to apply from the activation height
+    function scheduleConversionRateChange(uint256 _conversionRate, uint8 _conversionRateDecimals,
+        uint256 _activationHeight) public returns (bool success);
     
     /// @dev Get totalTokenSupply as view so that child cannot edit
     function totalSupply() public view returns (uint256 supply);
@@ -40,4 +43,6 @@ contract UtilityTokenInterface {
     function conversionRate() public view returns (uint256 rate);
     /// @dev Get conversion rate decimal factor for utility token
     function conversionRateDecimals() public view returns (uint8 rateDecimal);
+    /// @dev Get chainId of the value chain on which the utility token is staked
+    function genesisChainIdValue() public view returns (uint256 chainIdValue);
 }
\ No newline at end of file
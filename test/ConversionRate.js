@@ -0,0 +1,123 @@
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Test: ConversionRate.js
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+const BigNumber = require('bignumber.js');
+const Utils = require('./lib/utils.js');
+
+var ConversionRateMock = artifacts.require('./ConversionRateMock.sol');
+
+///
+/// Test stories
+///
+/// ToUtilityTokens
+/// 	converts without dust
+/// 	rounds down and returns the dust
+/// 	converts at a conversion rate with 18 decimals
+/// 	fails on overflow
+///
+/// ToSimpleTokens
+/// 	converts without dust
+/// 	rounds down and returns the dust
+/// 	converts at a conversion rate with 18 decimals
+/// 	fails on overflow
+///
+
+contract('ConversionRate', function (accounts) {
+  const MAX_UINT256 = new BigNumber(2).pow(256).minus(1);
+  // conversion rate => 2.5
+  const conversionRateDecimals = 1;
+  const conversionRate = new BigNumber(25);
+  // conversion rate => 0.000000000000000003
+  const tinyConversionRateDecimals = 18;
+  const tinyConversionRate = new BigNumber(3);
+
+  let conversionRateMock;
+
+  before(async function () {
+    conversionRateMock = await ConversionRateMock.new();
+  });
+
+  describe('ToUtilityTokens', async () => {
+    it('converts without dust', async function () {
+      let result = await conversionRateMock.toUtilityTokens.call(4, conversionRate, conversionRateDecimals);
+      assert.equal(result[0].toNumber(), 10);
+      assert.equal(result[1].toNumber(), 0);
+    });
+
+    it('rounds down and returns the dust', async function () {
+      // 1 UTWei takes 333333333333333333.3 STWei, so 1 ST converts into 3 UTWei
+      let oneST = new BigNumber(10).pow(18);
+      let result = await conversionRateMock.toUtilityTokens.call(oneST, tinyConversionRate, tinyConversionRateDecimals);
+      assert.equal(result[0].toNumber(), 3);
+      assert.equal(result[1].toNumber(), 0);
+
+      // and the STWei short of a fourth UTWei are dust
+      let dustST = new BigNumber("333333333333333333");
+      result = await conversionRateMock.toUtilityTokens.call(oneST.plus(dustST), tinyConversionRate, tinyConversionRateDecimals);
+      assert.equal(result[0].toNumber(), 3);
+      assert.equal(result[1].toString(10), dustST.toString(10));
+    });
+
+    it('converts at a conversion rate with 18 decimals', async function () {
+      // conversion rate => 1.234567890123456789
+      let rate = new BigNumber("1234567890123456789");
+      let amountST = new BigNumber(10).pow(18).mul(1000);
+      let result = await conversionRateMock.toUtilityTokens.call(amountST, rate, 18);
+      assert.equal(result[0].toString(10), rate.mul(1000).toString(10));
+      assert.equal(result[1].toNumber(), 0);
+    });
+
+    it('fails on overflow', async function () {
+      await Utils.expectThrow(conversionRateMock.toUtilityTokens.call(MAX_UINT256.div(2).floor(), conversionRate, conversionRateDecimals));
+    });
+  });
+
+  describe('ToSimpleTokens', async () => {
+    it('converts without dust', async function () {
+      let result = await conversionRateMock.toSimpleTokens.call(10, conversionRate, conversionRateDecimals);
+      assert.equal(result[0].toNumber(), 4);
+      assert.equal(result[1].toNumber(), 0);
+    });
+
+    it('rounds down and returns the dust', async function () {
+      // 11 UTWei convert into 4.4 STWei; 4 STWei take 10 UTWei
+      let result = await conversionRateMock.toSimpleTokens.call(11, conversionRate, conversionRateDecimals);
+      assert.equal(result[0].toNumber(), 4);
+      assert.equal(result[1].toNumber(), 1);
+
+      // 2 UTWei convert into 0.8 STWei
+      result = await conversionRateMock.toSimpleTokens.call(2, conversionRate, conversionRateDecimals);
+      assert.equal(result[0].toNumber(), 0);
+      assert.equal(result[1].toNumber(), 2);
+    });
+
+    it('converts at a conversion rate with 18 decimals', async function () {
+      // 3 UTWei convert into 1 ST
+      let result = await conversionRateMock.toSimpleTokens.call(3, tinyConversionRate, tinyConversionRateDecimals);
+      assert.equal(result[0].toString(10), new BigNumber(10).pow(18).toString(10));
+      assert.equal(result[1].toNumber(), 0);
+    });
+
+    it('fails on overflow', async function () {
+      await Utils.expectThrow(conversionRateMock.toSimpleTokens.call(MAX_UINT256.div(10).floor(), tinyConversionRate, tinyConversionRateDecimals));
+    });
+  });
+});
@@ -19,7 +19,10 @@
 //
 // ----------------------------------------------------------------------------
 
+const Utils = require('./lib/utils.js');
+const Proof = require('./lib/proof.js');
 const Core_utils = require('./Core_utils.js');
+const CoreMock = artifacts.require("./CoreMock.sol");
 
 ///
 /// Test stories
@@ -28,6 +31,40 @@ const Core_utils = require('./Core_utils.js');
 /// 	has coreRegistrar
 /// 	has coreChainIdRemote
 /// 	has coreOpenSTRemote
+/// 	has blocksToWaitForRegistrarTransfer
+///
+/// CommitStateRoot
+/// 	fails to commit by non-registrar
+/// 	fails to commit when state root is empty
+/// 	successfully commits
+/// 	fails to commit when block height is not > latest
+///
+/// ProveOpenST
+/// 	fails to prove when no state root is committed at block height
+/// 	fails to prove when account does not match the proof
+/// 	fails to prove the account of another address
+/// 	successfully proves
+///
+/// VerifyIntent
+/// 	verifies stored intent
+/// 	does not verify when uuid does not match
+/// 	does not verify when intent is not stored
+/// 	does not verify when mapping index does not match
+/// 	does not verify when OpenST remote is not proven at block height
+///
+/// RegistrarTransfer
+/// 	fails to initiate by non-admin
+/// 	fails to initiate to null address or to the registrar
+/// 	successfully initiates
+/// 	fails to initiate while a transfer is initiated
+/// 	fails to revoke by non-admin
+/// 	successfully revokes
+/// 	fails to revoke or complete when no transfer is initiated
+/// 	fails to complete by non-proposed registrar
+/// 	fails to complete before the waiting period ends
+/// 	successfully completes after the waiting period
+/// 	fails to commit by the previous registrar
+/// 	successfully commits by the new registrar
 /// 
 
 contract('Core', function(accounts) {
@@ -52,5 +89,220 @@ contract('Core', function(accounts) {
 		it('has coreOpenSTRemote', async () => {
 			assert.equal(await core.openSTRemote.call(), openSTRemote);
 		})
+
+		it('has blocksToWaitForRegistrarTransfer', async () => {
+			assert.equal((await core.blocksToWaitForRegistrarTransfer.call()).toNumber(), 40320);
+		})
+	})
+
+	describe('CommitStateRoot', async () => {
+		const stateRoot = web3.sha3("state root");
+
+		before(async () => {
+	        contracts = await Core_utils.deployCore(artifacts, accounts);
+	        core = contracts.core;
+	    })
+
+		it('fails to commit by non-registrar', async () => {
+			await Utils.expectThrow(core.commitStateRoot(10, stateRoot, { from: accounts[0] }));
+		})
+
+		it('fails to commit when state root is empty', async () => {
+			await Utils.expectThrow(core.commitStateRoot(10, 0, { from: registrar }));
+		})
+
+		it('successfully commits', async () => {
+			assert.equal(await core.commitStateRoot.call(10, stateRoot, { from: registrar }), stateRoot);
+			result = await core.commitStateRoot(10, stateRoot, { from: registrar });
+
+			assert.equal(result.logs[0].event, "StateRootCommitted");
+			assert.equal(result.logs[0].args._blockHeight.toNumber(), 10);
+			assert.equal(result.logs[0].args._stateRoot, stateRoot);
+			assert.equal(await core.getStateRoot.call(10), stateRoot);
+			assert.equal((await core.latestStateRootBlockHeight.call()).toNumber(), 10);
+		})
+
+		it('fails to commit when block height is not > latest', async () => {
+			await Utils.expectThrow(core.commitStateRoot(10, web3.sha3("other root"), { from: registrar }));
+			await Utils.expectThrow(core.commitStateRoot(9, stateRoot, { from: registrar }));
+		})
+	})
+
+	describe('Proofs', async () => {
+		const blockHeight = 10;
+		const intentsIndex = 11;
+		const intentHash = web3.sha3("intent");
+		const uuid = web3.sha3("uuid");
+		const intentSlot = Proof.mappingStorageSlot(intentHash, intentsIndex);
+
+		var storageTrie = null;
+		var stateTrie = null;
+
+		before(async () => {
+	        contracts = await Core_utils.deployCore(artifacts, accounts);
+	        core = contracts.core;
+
+	        // storage of OpenST remote holds the intent amongst other values
+	        var storage = {};
+	        storage[intentSlot] = uuid;
+	        storage[Proof.mappingStorageSlot(web3.sha3("other intent"), intentsIndex)] = web3.sha3("other uuid");
+	        storage["0x04"] = "0x03";
+	        storage["0x05"] = "0x" + accounts[0].replace("0x", "").padStart(64, "0");
+	        storageTrie = Proof.buildStorageTrie(storage);
+
+	        var storageRoots = {};
+	        storageRoots[openSTRemote] = storageTrie.root;
+	        storageRoots[accounts[0]] = web3.sha3("storage root 0");
+	        storageRoots[accounts[5]] = web3.sha3("storage root 5");
+	        stateTrie = Proof.buildStateTrie(storageRoots);
+	    })
+
+		context('ProveOpenST', async () => {
+			it('fails to prove when no state root is committed at block height', async () => {
+				await Utils.expectThrow(core.proveOpenST(blockHeight, stateTrie.accounts[openSTRemote],
+					stateTrie.proof(openSTRemote), { from: accounts[0] }));
+			})
+
+			it('fails to prove when account does not match the proof', async () => {
+				await core.commitStateRoot(blockHeight, stateTrie.root, { from: registrar });
+				await Utils.expectThrow(core.proveOpenST(blockHeight, stateTrie.accounts[accounts[0]],
+					stateTrie.proof(openSTRemote), { from: accounts[0] }));
+			})
+
+			it('fails to prove the account of another address', async () => {
+				await Utils.expectThrow(core.proveOpenST(blockHeight, stateTrie.accounts[accounts[5]],
+					stateTrie.proof(accounts[5]), { from: accounts[0] }));
+			})
+
+			it('successfully proves', async () => {
+				result = await core.proveOpenST(blockHeight, stateTrie.accounts[openSTRemote],
+					stateTrie.proof(openSTRemote), { from: accounts[0] });
+
+				assert.equal(result.logs[0].event, "OpenSTRemoteProven");
+				assert.equal(result.logs[0].args._blockHeight.toNumber(), blockHeight);
+				assert.equal(result.logs[0].args._storageRoot, storageTrie.root);
+				assert.equal(await core.getStorageRoot.call(blockHeight), storageTrie.root);
+			})
+		})
+
+		context('VerifyIntent', async () => {
+			it('verifies stored intent', async () => {
+				assert.equal(await core.verifyIntent.call(blockHeight, intentsIndex, intentHash, uuid,
+					storageTrie.proof(intentSlot)), true);
+			})
+
+			it('does not verify when uuid does not match', async () => {
+				assert.equal(await core.verifyIntent.call(blockHeight, intentsIndex, intentHash, web3.sha3("bad uuid"),
+					storageTrie.proof(intentSlot)), false);
+			})
+
+			it('does not verify when intent is not stored', async () => {
+				var badHash = web3.sha3("bad intent");
+				assert.equal(await core.verifyIntent.call(blockHeight, intentsIndex, badHash, uuid,
+					storageTrie.proof(intentSlot)), false);
+			})
+
+			it('does not verify when mapping index does not match', async () => {
+				assert.equal(await core.verifyIntent.call(blockHeight, intentsIndex + 1, intentHash, uuid,
+					storageTrie.proof(intentSlot)), false);
+			})
+
+			it('does not verify when OpenST remote is not proven at block height', async () => {
+				assert.equal(await core.verifyIntent.call(blockHeight + 1, intentsIndex, intentHash, uuid,
+					storageTrie.proof(intentSlot)), false);
+			})
+		})
+	})
+
+	describe('RegistrarTransfer', async () => {
+		const admin 				= accounts[3];
+		const newRegistrar 			= accounts[6];
+		const stateRoot 			= web3.sha3("state root");
+		var earliestTransferHeight 	= null;
+
+		before(async () => {
+			// CoreMock waits 3 blocks for the registrar transfer
+	        core = await CoreMock.new(registrar, 3, chainIdRemote, openSTRemote);
+	        await core.setAdminAddress(admin, { from: accounts[0] });
+	    })
+
+		it('fails to initiate by non-admin', async () => {
+			await Utils.expectThrow(core.initiateRegistrarTransfer(newRegistrar, { from: registrar }));
+		})
+
+		it('fails to initiate to null address or to the registrar', async () => {
+			await Utils.expectThrow(core.initiateRegistrarTransfer(0, { from: admin }));
+			await Utils.expectThrow(core.initiateRegistrarTransfer(registrar, { from: admin }));
+		})
+
+		it('successfully initiates', async () => {
+			assert.ok(await core.initiateRegistrarTransfer.call(newRegistrar, { from: admin }));
+			result = await core.initiateRegistrarTransfer(newRegistrar, { from: admin });
+			earliestTransferHeight = result.receipt.blockNumber + 3;
+
+			assert.equal(result.logs[0].event, "RegistrarTransferInitiated");
+			assert.equal(result.logs[0].args._existingRegistrar, registrar);
+			assert.equal(result.logs[0].args._proposedRegistrar, newRegistrar);
+			assert.equal(result.logs[0].args._activationHeight.toNumber(), earliestTransferHeight);
+			assert.equal(await core.proposedRegistrar.call(), newRegistrar);
+			assert.equal((await core.earliestRegistrarTransferHeight.call()).toNumber(), earliestTransferHeight);
+			assert.equal(await core.registrar.call(), registrar);
+		})
+
+		it('fails to initiate while a transfer is initiated', async () => {
+			await Utils.expectThrow(core.initiateRegistrarTransfer(accounts[7], { from: admin }));
+		})
+
+		it('fails to revoke by non-admin', async () => {
+			await Utils.expectThrow(core.revokeRegistrarTransfer({ from: registrar }));
+		})
+
+		it('successfully revokes', async () => {
+			assert.ok(await core.revokeRegistrarTransfer.call({ from: admin }));
+			result = await core.revokeRegistrarTransfer({ from: admin });
+
+			assert.equal(result.logs[0].event, "RegistrarTransferRevoked");
+			assert.equal(result.logs[0].args._existingRegistrar, registrar);
+			assert.equal(result.logs[0].args._revokedRegistrar, newRegistrar);
+			assert.ok(Utils.isNullAddress(await core.proposedRegistrar.call()));
+			assert.equal((await core.earliestRegistrarTransferHeight.call()).toNumber(), 0);
+		})
+
+		it('fails to revoke or complete when no transfer is initiated', async () => {
+			await Utils.expectThrow(core.revokeRegistrarTransfer({ from: admin }));
+			await Utils.expectThrow(core.completeRegistrarTransfer({ from: newRegistrar }));
+		})
+
+		it('fails to complete by non-proposed registrar', async () => {
+			result = await core.initiateRegistrarTransfer(newRegistrar, { from: admin });
+			earliestTransferHeight = result.logs[0].args._activationHeight.toNumber();
+
+			await Utils.expectThrow(core.completeRegistrarTransfer({ from: registrar }));
+		})
+
+		it('fails to complete before the waiting period ends', async () => {
+			while (web3.eth.blockNumber + 1 < earliestTransferHeight) {
+				await Utils.expectThrow(core.completeRegistrarTransfer({ from: newRegistrar }));
+			}
+		})
+
+		it('successfully completes after the waiting period', async () => {
+			result = await core.completeRegistrarTransfer({ from: newRegistrar });
+
+			assert.equal(result.logs[0].event, "RegistrarTransferCompleted");
+			assert.equal(result.logs[0].args._newRegistrar, newRegistrar);
+			assert.equal(await core.registrar.call(), newRegistrar);
+			assert.ok(Utils.isNullAddress(await core.proposedRegistrar.call()));
+			assert.equal((await core.earliestRegistrarTransferHeight.call()).toNumber(), 0);
+		})
+
+		it('fails to commit by the previous registrar', async () => {
+			await Utils.expectThrow(core.commitStateRoot(10, stateRoot, { from: registrar }));
+		})
+
+		it('successfully commits by the new registrar', async () => {
+			await core.commitStateRoot(10, stateRoot, { from: newRegistrar });
+			assert.equal(await core.getStateRoot.call(10), stateRoot);
+		})
 	})
 })
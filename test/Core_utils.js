@@ -19,6 +19,8 @@
 //
 // ----------------------------------------------------------------------------
 
+const Proof = require('./lib/proof.js');
+
 var Core = artifacts.require("./Core.sol");
 
 /// @dev Deploy 
@@ -34,3 +36,23 @@ module.exports.deployCore = async (artifacts, accounts) => {
 		core : core
 	}
 }
+
+/// @dev Commit a state root at blockHeight on the core in which OpenST remote
+///      stores the intent, prove OpenST remote and return the storage proof of the intent
+module.exports.proveIntent = async (core, registrar, blockHeight, intentsIndex, intentHash, uuid) => {
+	const openSTRemote = await core.openSTRemote.call();
+	const intentSlot = Proof.mappingStorageSlot(intentHash, intentsIndex);
+
+	var storage = {};
+	storage[intentSlot] = uuid;
+	const storageTrie = Proof.buildStorageTrie(storage);
+
+	var storageRoots = {};
+	storageRoots[openSTRemote] = storageTrie.root;
+	const stateTrie = Proof.buildStateTrie(storageRoots);
+
+	await core.commitStateRoot(blockHeight, stateTrie.root, { from: registrar });
+	await core.proveOpenST(blockHeight, stateTrie.accounts[openSTRemote], stateTrie.proof(openSTRemote));
+
+	return storageTrie.proof(intentSlot);
+}
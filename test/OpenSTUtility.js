@@ -21,7 +21,11 @@
 
 const Utils = require('./lib/utils.js');
 const OpenSTUtility_utils = require('./OpenSTUtility_utils.js');
+const Core_utils = require('./Core_utils.js');
 const BrandedToken = artifacts.require("./BrandedToken.sol");
+const Core = artifacts.require("./Core.sol");
+const OpenSTUtilityMock = artifacts.require("./OpenSTUtilityMock.sol");
+const OpenSTUtilityContract = artifacts.require("./OpenSTUtility.sol");
 const BigNumber = require('bignumber.js');
 
 ///
@@ -31,11 +35,23 @@ const BigNumber = require('bignumber.js');
 /// 	has chainIdValue
 /// 	has chainIdUtility
 /// 	has registrar
+/// 	has blocksToWaitLong
+/// 	has blocksToWaitShort
+/// 	has blocksToWaitForRegistrarTransfer
+///
+/// Construction
+/// 	fails to construct when blocksToWaitShort is not >= MIN_BLOCKS_TO_WAIT_SHORT
+/// 	fails to construct when blocksToWaitShort is not < blocksToWaitLong
+/// 	fails to construct when blocksToWaitLong is not <= MAX_BLOCKS_TO_WAIT_LONG
+/// 	fails to construct when blocksToWaitShort is not < blocksToWaitLong of the value chain
+/// 	successfully constructs with waits for 15s blocks
+/// 	successfully constructs with waits for 3s blocks
 ///
 /// ProposeBrandedToken
 ///     fails to propose when symbol is empty
 ///     fails to propose when name is empty
 /// 	fails to propose when conversion rate is not > 0
+/// 	fails to propose when conversionRateDecimals is not <= MAX_CONVERSION_RATE_DECIMALS
 ///		successfully proposes
 ///
 /// RegisterBrandedToken
@@ -53,36 +69,125 @@ const BigNumber = require('bignumber.js');
 /// 	fails to confirm when amoutST is not > 0
 /// 	fails to confirm when amoutUT is not > 0
 /// 	fails to confirm when stakingUnlockHeight is not > 0
+/// 	fails to confirm when hashLock is empty
 /// 	fails to confirm when stakingIntentHash is empty
 /// 	fails to confirm when stakingIntentHash does not match calculated hash
 /// 	successfully confirms
+/// 	fails to confirm when stakingUnlockHeight is not > latest block height of the value chain
+///
+/// AddCore
+/// 	fails to add core by non-registrar
+/// 	fails to add core when registrar != core.registrar
+/// 	fails to add core when core.chainIdRemote is not a value chain of the registrar
+/// 	fails to confirm staking intent when core is not added
+/// 	successfully adds core
+/// 	fails to add core if already exists
+///
+/// ConfirmStakingIntentWithProof
+/// 	fails to confirm when the proof does not match the staking intent
+/// 	fails to confirm when OpenSTValue is not proven at block height
+/// 	successfully confirms by non-registrar
+/// 	fails to confirm a replay
 ///
 /// ProcessMinting
 /// 	when expirationHeight is > block number
 ///			fails if stakingIntentHash is empty
-///			fails if msg.sender != staker
-///			successfully mints
+///			fails if the unlock secret does not match the hashLock
+///			successfully mints by anyone with the unlock secret
 /// 		fails to re-process a processed mint
 ///		when expirationHeight is < block number // TBD: how or where to test this practically
 ///
 ///	Redeem
 /// 	fails to redeem when uuid is empty
 /// 	fails to redeem when amount is not > 0
+/// 	fails to redeem when amount does not convert into at least 1 STWei
 /// 	fails to redeem when nonce is not >= previously
 /// 	fails to redeem when uuid is uuidSTPrime
+/// 	fails to redeem when chainIdValue is not the value chain of the token
+/// 	fails to redeem when hashLock is empty
 /// 	fails to redeem if not approved to transfer the amount
 /// 	successfully redeems
 ///
 ///	RedeemSTPrime
 ///		fails to redeem when msg.value is not > 0
 /// 	fails to redeem when nonce is not >= previously
+/// 	fails to redeem when hashLock is empty
 /// 	successfully redeems
 ///
+/// Pause
+/// 	fails to pause by non-admin
+/// 	fails to pause when the token is not registered
+/// 	successfully pauses minting
+/// 	fails to confirm staking intent when minting is paused
+/// 	successfully processes a mint confirmed before the pause
+/// 	successfully pauses redeeming
+/// 	fails to redeem when redeeming is paused
+/// 	fails to redeem STPrime when redeeming STPrime is paused
+/// 	successfully unpauses
+///
+/// Freeze
+/// 	fails to freeze by non-guardian
+/// 	successfully freezes
+/// 	successfully processes a mint confirmed before the freeze
+/// 	fails to confirm staking intent when frozen
+/// 	fails to redeem when frozen
+/// 	fails to redeem STPrime when frozen
+/// 	successfully reverts an expired mint when frozen
+/// 	successfully reverts an expired redemption when frozen
+/// 	successfully redeems after unfreezing
+///
+/// RedemptionFee
+/// 	fails to set by non-registrar
+/// 	fails to set when the token is not registered
+/// 	fails to set for STPrime
+/// 	fails to set when feeBasisPoints is not < FEE_BASIS_POINTS_DENOMINATOR
+/// 	successfully sets
+/// 	fails to redeem when the fee is not < amount
+/// 	successfully redeems net of the fee
+/// 	successfully collects the fee on processRedeeming
+/// 	successfully refunds the fee on revertRedemption
+/// 	fails to confirm staking intent when the fee does not match the stakingIntentHash
+/// 	fails to withdraw by non-registrar
+/// 	fails to withdraw more than the fees collected
+/// 	successfully withdraws
+///
+/// RedemptionReward
+///		BrandedToken
+/// 		fails to add when the reward is not > 0
+/// 		fails to add by non-redeemer
+/// 		fails to add when value is sent
+/// 		successfully adds
+/// 		successfully credits the reward to the relayer on processRedeeming
+/// 		fails to add when the redemption is processed
+/// 		fails to withdraw when no rewards are credited
+/// 		successfully withdraws
+/// 		successfully refunds the reward on revertRedemption
+///		STPrime
+/// 		fails to add when value is not the reward
+/// 		successfully adds
+/// 		successfully credits the reward to the relayer on processRedeeming
+/// 		successfully withdraws
+///
+/// ConversionRateChange
+/// 	fails to schedule by non-registrar
+/// 	fails to schedule when the token is not registered
+/// 	fails to schedule for STPrime
+/// 	fails to schedule when conversionRateDecimals is not <= MAX_CONVERSION_RATE_DECIMALS
+/// 	fails to schedule when the activation height is sooner than blocksToWaitLong
+/// 	successfully schedules
+/// 	successfully redeems at the current conversion rate before the activation height
+/// 	successfully redeems at the new conversion rate from the activation height
+///
+/// ConversionRateDecimals
+/// 	successfully registers with MAX_CONVERSION_RATE_DECIMALS
+/// 	fails to redeem when amount does not convert into at least 1 STWei
+/// 	successfully redeems rounding amountST down with the dust in the event
+///
 /// ProcessRedeeming
 ///		BrandedToken
 /// 		fails to process if redemptionIntentHash is empty
-/// 		fails to process if msg.sender is not redeemer or registrar
-/// 		successfully processes
+/// 		fails to process when the unlock secret does not match the hashLock
+/// 		successfully processes by anyone with the unlock secret
 /// 		fails to reprocess
 ///		STPrime
 /// 		successfully processes
@@ -93,6 +198,41 @@ const BigNumber = require('bignumber.js');
 ///		STPrime
 /// 		successfully processes by registrar
 ///
+/// ValueChains
+/// 	has registrar of chainIdValue
+/// 	fails to add by non-admin
+/// 	fails to add when chainIdValue is 0 or chainIdUtility
+/// 	fails to add when registrar is null
+/// 	fails to add when the value chain is already added
+/// 	fails to propose for a value chain that is not added
+/// 	successfully adds
+/// 	fails to add core by the registrar of another value chain
+/// 	successfully adds core by the registrar of the value chain
+/// 	successfully proposes for the value chain
+/// 	fails to register by the registrar of another value chain
+/// 	successfully registers by the registrar of the value chain
+/// 	fails to confirm staking intent by the registrar of another value chain
+/// 	successfully confirms staking intent by the registrar of the value chain
+/// 	fails to redeem to another value chain
+/// 	successfully redeems to the value chain of the token
+/// 	successfully confirms staking intent on another value chain with the nonces of that value chain
+/// 	successfully redeems on another value chain with the nonces of that value chain
+///
+/// RegistrarTransfer
+/// 	fails to initiate by non-admin
+/// 	fails to initiate for a value chain that is not added
+/// 	fails to initiate to null address or to the registrar
+/// 	successfully initiates
+/// 	fails to initiate while a transfer is initiated
+/// 	fails to revoke by non-admin
+/// 	successfully revokes
+/// 	fails to revoke or complete when no transfer is initiated
+/// 	fails to complete by non-proposed registrar
+/// 	fails to complete before the waiting period ends
+/// 	successfully completes after the waiting period
+/// 	fails to set redemption fee by the previous registrar
+/// 	successfully sets redemption fee by the new registrar
+///
 
 contract('OpenSTUtility', function(accounts) {
 	const chainIdValue   		= 3;
@@ -107,6 +247,8 @@ contract('OpenSTUtility', function(accounts) {
 
 	const amountST 					= new BigNumber(web3.toWei(1, "ether"));
 	const amountUT 					= (amountST.mul(conversionRate)).div(new BigNumber(10**conversionRateDecimals));
+	const unlockSecret 				= web3.sha3("unlock secret");
+	const hashLock 					= Utils.hashLock(unlockSecret);
 
 
 	const hashName 	 			= "hashName";
@@ -141,6 +283,51 @@ contract('OpenSTUtility', function(accounts) {
 		it('has registrar', async () => {
 			assert.equal(await openSTUtility.registrar.call(), registrar);
 		})
+
+		it('has blocksToWaitLong', async () => {
+			assert.equal(await openSTUtility.blocksToWaitLong.call(), 8);
+		})
+
+		it('has blocksToWaitShort', async () => {
+			assert.equal(await openSTUtility.blocksToWaitShort.call(), 5);
+		})
+
+		it('has blocksToWaitForRegistrarTransfer', async () => {
+			assert.equal(await openSTUtility.blocksToWaitForRegistrarTransfer.call(), 3);
+		})
+	})
+
+	describe('Construction', async () => {
+		it('fails to construct when blocksToWaitShort is not >= MIN_BLOCKS_TO_WAIT_SHORT', async () => {
+            await Utils.expectThrow(OpenSTUtilityContract.new(chainIdValue, chainIdUtility, registrar, 403335, 4, 403335, { gas: 10000000 }));
+		})
+
+		it('fails to construct when blocksToWaitShort is not < blocksToWaitLong', async () => {
+            await Utils.expectThrow(OpenSTUtilityContract.new(chainIdValue, chainIdUtility, registrar, 1200, 1200, 403335, { gas: 10000000 }));
+		})
+
+		it('fails to construct when blocksToWaitLong is not <= MAX_BLOCKS_TO_WAIT_LONG', async () => {
+            await Utils.expectThrow(OpenSTUtilityContract.new(chainIdValue, chainIdUtility, registrar, 2419201, 1200, 403335, { gas: 10000000 }));
+		})
+
+		it('fails to construct when blocksToWaitShort is not < blocksToWaitLong of the value chain', async () => {
+            await Utils.expectThrow(OpenSTUtilityContract.new(chainIdValue, chainIdUtility, registrar, 403335, 1200, 1200, { gas: 10000000 }));
+		})
+
+		it('successfully constructs with waits for 15s blocks', async () => {
+			var openSTUtilityContract = await OpenSTUtilityContract.new(chainIdValue, chainIdUtility, registrar, 80667, 240, 80667, { gas: 10000000 });
+			assert.equal(await openSTUtilityContract.blocksToWaitLong.call(), 80667);
+			assert.equal(await openSTUtilityContract.blocksToWaitShort.call(), 240);
+			// the registrar transfer waits about a week, independently of blocksToWaitLong
+			assert.equal(await openSTUtilityContract.blocksToWaitForRegistrarTransfer.call(), 40320);
+		})
+
+		it('successfully constructs with waits for 3s blocks', async () => {
+			var openSTUtilityContract = await OpenSTUtilityContract.new(chainIdValue, chainIdUtility, registrar, 403335, 1200, 403335, { gas: 10000000 });
+			assert.equal(await openSTUtilityContract.blocksToWaitLong.call(), 403335);
+			assert.equal(await openSTUtilityContract.blocksToWaitShort.call(), 1200);
+			assert.equal(await openSTUtilityContract.blocksToWaitForRegistrarTransfer.call(), 40320);
+		})
 	})
 
 	describe('ProposeBrandedToken', async () => {
@@ -151,20 +338,24 @@ contract('OpenSTUtility', function(accounts) {
 	    })
 
 		it('fails to propose when symbol is empty', async () => {
-            await Utils.expectThrow(openSTUtility.proposeBrandedToken("", name, conversionRate, conversionRateDecimals));
+            await Utils.expectThrow(openSTUtility.proposeBrandedToken(chainIdValue, "", name, conversionRate, conversionRateDecimals));
 		})
 
 		it('fails to propose when name is empty', async () => {
-            await Utils.expectThrow(openSTUtility.proposeBrandedToken(symbol, "", conversionRate, conversionRateDecimals));
+            await Utils.expectThrow(openSTUtility.proposeBrandedToken(chainIdValue, symbol, "", conversionRate, conversionRateDecimals));
 		})
 
 		it('fails to propose when conversion rate is not > 0', async () => {
-            await Utils.expectThrow(openSTUtility.proposeBrandedToken(symbol, name, 0, conversionRateDecimals));
+            await Utils.expectThrow(openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, 0, conversionRateDecimals));
+		})
+
+		it('fails to propose when conversionRateDecimals is not <= MAX_CONVERSION_RATE_DECIMALS', async () => {
+            await Utils.expectThrow(openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, 19));
 		})
 
 		it('successfully proposes', async () => {
-            assert.equal(await openSTUtility.proposeBrandedToken.call(symbol, name, conversionRate, conversionRateDecimals), checkBtUuid);
-            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+            assert.equal(await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals), checkBtUuid);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
 
             // Token address is returned by ProposedBrandedToken but verified below rather than by checkProposedBrandedTokenEvent
             OpenSTUtility_utils.checkProposedBrandedTokenEvent(result.logs[0], accounts[0], checkBtUuid, symbol, name, conversionRate);
@@ -178,7 +369,7 @@ contract('OpenSTUtility', function(accounts) {
 	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 	        openSTUtility = contracts.openSTUtility;
         	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
-            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
             brandedToken = result.logs[0].args._token;
 	    })
 
@@ -217,52 +408,154 @@ contract('OpenSTUtility', function(accounts) {
 	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 	        openSTUtility = contracts.openSTUtility;
         	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
-            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
             brandedToken = result.logs[0].args._token;
             await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
-            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
 	    })
 
 		it('fails to confirm by non-registrar', async () => {
-            await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: accounts[0] }));
+            await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: accounts[0] }));
 		})
 
 		it('fails to confirm when token is not registered', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent("bad UUID", accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent("bad UUID", accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar }));
 		})
 
 		it('fails confirm when stakerNonce is not > previously', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 0, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 0, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when amoutST is not > 0', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], 0, amountUT, 80668, checkStakingIntentHash, { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], 0, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when amoutUT is not > 0', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, 0, 80668, checkStakingIntentHash, { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, 0, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when stakingUnlockHeight is not > 0', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, checkStakingIntentHash, { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 0, hashLock, checkStakingIntentHash, { from: registrar }));
+		})
+
+		it('fails to confirm when hashLock is empty', async () => {
+			var stakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, "");
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, "", stakingIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when stakingIntentHash is empty', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, "", { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, "", { from: registrar }));
 		})
 
 		it('fails to confirm when stakingIntentHash does not match calculated hash', async () => {
-			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, "bad stakingIntentHash", { from: registrar }));
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, "bad stakingIntentHash", { from: registrar }));
 		})
 
 		it('successfully confirms', async () => {
-			expirationHeight = await openSTUtility.confirmStakingIntent.call(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
+			expirationHeight = await openSTUtility.confirmStakingIntent.call(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
 
 			// call block number is one less than send block number
 			expirationHeight = expirationHeight.plus(1)
-      result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
+      result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
       await OpenSTUtility_utils.checkStakingIntentConfirmedEvent(result.logs[0], checkBtUuid, checkStakingIntentHash, accounts[0], accounts[0], amountST, amountUT, expirationHeight);
 		})
+
+		it('fails to confirm when stakingUnlockHeight is not > latest block height of the value chain', async () => {
+			var stakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 2, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+			await contracts.core.commitStateRoot(80668, web3.sha3("state root"), { from: registrar });
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 2, accounts[0], amountST, amountUT, 0, 80668, hashLock, stakingIntentHash, { from: registrar }));
+		})
+	})
+
+	describe('AddCore', async () => {
+		const openSTValue = accounts[4];
+		var core = null;
+
+		before(async () => {
+	        openSTUtility = await OpenSTUtilityMock.new(chainIdValue, chainIdUtility, registrar, { gas: 10000000 });
+	        core = await Core.new(registrar, chainIdUtility, chainIdValue, openSTValue);
+	    })
+
+		it('fails to add core by non-registrar', async () => {
+			await Utils.expectThrow(openSTUtility.addCore(core.address, { from: accounts[0] }));
+		})
+
+		it('fails to add core when registrar != core.registrar', async () => {
+			var badCore = await Core.new(accounts[0], chainIdUtility, chainIdValue, openSTValue);
+			await Utils.expectThrow(openSTUtility.addCore(badCore.address, { from: registrar }));
+		})
+
+		it('fails to add core when core.chainIdRemote is not a value chain of the registrar', async () => {
+			var badCore = await Core.new(registrar, chainIdUtility, chainIdValue + 1, openSTValue);
+			await Utils.expectThrow(openSTUtility.addCore(badCore.address, { from: registrar }));
+		})
+
+		it('fails to confirm staking intent when core is not added', async () => {
+			// token registration does not depend on the core
+			checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+			result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+			await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], result.logs[0].args._token, checkBtUuid, { from: registrar });
+			checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+			await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar }));
+		})
+
+		it('successfully adds core', async () => {
+			assert.equal(await openSTUtility.addCore.call(core.address, { from: registrar }), true);
+			await openSTUtility.addCore(core.address, { from: registrar });
+			assert.equal(await openSTUtility.core.call(chainIdValue), core.address);
+		})
+
+		it('fails to add core if already exists', async () => {
+			await Utils.expectThrow(openSTUtility.addCore(core.address, { from: registrar }));
+		})
+	})
+
+	describe('ConfirmStakingIntentWithProof', async () => {
+		const relayer = accounts[5];
+		const blockHeight = 100;
+		var core = null;
+		var stakesIndex = null;
+		var rlpParentNodes = null;
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+            brandedToken = result.logs[0].args._token;
+            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+	        core = contracts.core;
+	        stakesIndex = await openSTUtility.OPENST_VALUE_STAKES_INDEX.call();
+			rlpParentNodes = await Core_utils.proveIntent(core, registrar, blockHeight, stakesIndex, checkStakingIntentHash, checkBtUuid);
+	    })
+
+		it('fails to confirm when the proof does not match the staking intent', async () => {
+			await Utils.expectThrow(openSTUtility.confirmStakingIntentWithProof(checkBtUuid, accounts[0], 1, accounts[0], amountST.plus(1), amountUT, 0, 80668, hashLock,
+				blockHeight, rlpParentNodes, { from: relayer }));
+		})
+
+		it('fails to confirm when OpenSTValue is not proven at block height', async () => {
+			await Utils.expectThrow(openSTUtility.confirmStakingIntentWithProof(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock,
+				blockHeight + 1, rlpParentNodes, { from: relayer }));
+		})
+
+		it('successfully confirms by non-registrar', async () => {
+			expirationHeight = await openSTUtility.confirmStakingIntentWithProof.call(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock,
+				blockHeight, rlpParentNodes, { from: relayer });
+
+			// call block number is one less than send block number
+			expirationHeight = expirationHeight.plus(1)
+			result = await openSTUtility.confirmStakingIntentWithProof(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock,
+				blockHeight, rlpParentNodes, { from: relayer });
+			await OpenSTUtility_utils.checkStakingIntentConfirmedEvent(result.logs[0], checkBtUuid, checkStakingIntentHash, accounts[0], accounts[0], amountST, amountUT, expirationHeight);
+			assert.equal((await openSTUtility.mints.call(checkStakingIntentHash))[0], checkBtUuid);
+		})
+
+		it('fails to confirm a replay', async () => {
+			await Utils.expectThrow(openSTUtility.confirmStakingIntentWithProof(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock,
+				blockHeight, rlpParentNodes, { from: relayer }));
+		})
 	})
 
 	describe('ProcessMinting', async () => {
@@ -271,29 +564,31 @@ contract('OpenSTUtility', function(accounts) {
 		        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 		        openSTUtility = contracts.openSTUtility;
 	        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
-	            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+	            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
 	            brandedToken = result.logs[0].args._token;
 	            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
-	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
-	            result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
+	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
+	            result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
 		    })
 
 			it('fails if stakingIntentHash is empty', async () => {
-	            await Utils.expectThrow(openSTUtility.processMinting(""));
+	            await Utils.expectThrow(openSTUtility.processMinting("", unlockSecret));
 			})
 
-			it('fails if msg.sender != staker', async () => {
-	            await Utils.expectThrow(openSTUtility.processMinting(checkStakingIntentHash, { from: accounts[1] }));
+			it('fails if the unlock secret does not match the hashLock', async () => {
+	            await Utils.expectThrow(openSTUtility.processMinting(checkStakingIntentHash, web3.sha3("bad unlock secret")));
 			})
 
-			it('successfully mints', async () => {
-				assert.equal(await openSTUtility.processMinting.call(checkStakingIntentHash), brandedToken);
-				result = await openSTUtility.processMinting(checkStakingIntentHash);
+			it('successfully mints by anyone with the unlock secret', async () => {
+				assert.equal(await openSTUtility.processMinting.call(checkStakingIntentHash, unlockSecret, { from: accounts[5] }), brandedToken);
+				result = await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret, { from: accounts[5] });
 				await OpenSTUtility_utils.checkProcessedMintEvent(result.logs[0], checkBtUuid, checkStakingIntentHash, brandedToken, accounts[0], accounts[0], amountUT);
+				// the unlock secret is revealed to process the staking on the value chain
+				assert.equal(result.logs[0].args._unlockSecret, unlockSecret);
 			})
 
 			it('fails to re-process a processed mint', async () => {
-				await Utils.expectThrow(openSTUtility.processMinting(checkStakingIntentHash));
+				await Utils.expectThrow(openSTUtility.processMinting(checkStakingIntentHash, unlockSecret));
 			})
 		})		
 	})
@@ -302,17 +597,19 @@ contract('OpenSTUtility', function(accounts) {
 
 		var brandedTokenContract = null;
 		const redeemAmountUT = new BigNumber(web3.toWei(1, "ether"));
+		// at a conversion rate of 5 UT to 1 ST
+		const redeemAmountST = redeemAmountUT.mul(10**conversionRateDecimals).div(conversionRate);
 
 		before(async () => {
 	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 	        openSTUtility = contracts.openSTUtility;
         	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
-            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
             brandedToken = result.logs[0].args._token;
             await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
-            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
-            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
-            await openSTUtility.processMinting(checkStakingIntentHash);
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
+            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 	    
 	    	    brandedTokenContract = new BrandedToken(brandedToken);
 				    await brandedTokenContract.claim(accounts[0]);
@@ -320,38 +617,54 @@ contract('OpenSTUtility', function(accounts) {
 	    })
 
 		it('fails to redeem when uuid is empty', async () => {
-            await Utils.expectThrow(openSTUtility.redeem("", redeemAmountUT, 2, redeemBeneficiary, { from: redeemer }));
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, "", redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
 		})
 
 		it('fails to redeem when amount is not > 0', async () => {
-            await Utils.expectThrow(openSTUtility.redeem(checkBtUuid, 0, 2, redeemBeneficiary, { from: redeemer }));
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, 0, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('fails to redeem when amount does not convert into at least 1 STWei', async () => {
+			// 1 STWei == 5 BTWei at the given conversion rate
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, 4, 2, redeemBeneficiary, hashLock, { from: redeemer }));
 		})
 
 		it('fails to redeem when nonce is not >= previously', async () => {
-            await Utils.expectThrow(openSTUtility.redeem(checkBtUuid, redeemAmountUT, 0, redeemBeneficiary, { from: redeemer }));
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 0, redeemBeneficiary, hashLock, { from: redeemer }));
 		})
 
 		it('fails to redeem when uuid is uuidSTPrime', async () => {
 			uuidSTPrime = await openSTUtility.uuidSTPrime.call();
-            await Utils.expectThrow(openSTUtility.redeem(uuidSTPrime, redeemAmountUT, 2, redeemBeneficiary, { from: redeemer }));
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, uuidSTPrime, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('fails to redeem when chainIdValue is not the value chain of the token', async () => {
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue + 1, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('fails to redeem when hashLock is empty', async () => {
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, "", { from: redeemer }));
 		})
 
 		it('fails to redeem if not approved to transfer the amount', async () => {
 			await brandedTokenContract.approve(openSTUtility.address, 0, { from: redeemer });
-            await Utils.expectThrow(openSTUtility.redeem(checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, { from: redeemer }));
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
 			await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
 		})
 
 		it('successfully redeems', async () => {
-			var redeemReturns = await openSTUtility.redeem.call(checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, { from: redeemer });
+			var redeemReturns = await openSTUtility.redeem.call(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
 
             // call block number is one less than send block number
             unlockHeight = redeemReturns[0].plus(1);
-            var checkRedemptionIntentHash = await openSTUtility.hashRedemptionIntent.call(checkBtUuid, accounts[0], 2, redeemBeneficiary, redeemAmountUT, unlockHeight);
-            result = await openSTUtility.redeem(checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, { from: redeemer });
+            var checkRedemptionIntentHash = await openSTUtility.hashRedemptionIntent.call(checkBtUuid, accounts[0], 2, redeemBeneficiary, redeemAmountUT, redeemAmountST, 0, unlockHeight, hashLock);
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
 
             await OpenSTUtility_utils.checkRedemptionIntentDeclaredEvent(result.logs[0], checkBtUuid, checkRedemptionIntentHash, brandedToken,
 			redeemer, 2, redeemBeneficiary, redeemAmountUT, unlockHeight, chainIdValue);
+            assert.equal(result.logs[0].args._amountST.toNumber(), redeemAmountST.toNumber());
+            assert.equal(result.logs[0].args._dustUT.toNumber(), 0);
+			assert.equal(result.logs[0].args._hashLock, hashLock);
 		})
 	})
 
@@ -365,31 +678,625 @@ contract('OpenSTUtility', function(accounts) {
 	        openSTUtility 			= contracts.openSTUtility;
 
 	        uuidSTPrime 			= await openSTUtility.uuidSTPrime.call();
-					checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
+					checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
 
-          await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
-          await openSTUtility.processMinting(checkStakingIntentHash);
+          await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+          await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 					await stPrime.claim(accounts[0]);
 	    })
 
 		it('fails to redeem when msg.value is not > 0', async () => {
-            await Utils.expectThrow(openSTUtility.redeemSTPrime(redeemSTP.toNumber(), redeemBeneficiary, { from: redeemer, value: 0 }));
+            await Utils.expectThrow(openSTUtility.redeemSTPrime(redeemSTP.toNumber(), redeemBeneficiary, hashLock, { from: redeemer, value: 0 }));
 		})
 
 		it('fails to redeem when nonce is not >= previously', async () => {
-            await Utils.expectThrow(openSTUtility.redeemSTPrime(0, redeemBeneficiary, { from: redeemer, value: 2 }));
+            await Utils.expectThrow(openSTUtility.redeemSTPrime(0, redeemBeneficiary, hashLock, { from: redeemer, value: 2 }));
+		})
+
+		it('fails to redeem when hashLock is empty', async () => {
+            await Utils.expectThrow(openSTUtility.redeemSTPrime(redeemSTP.toNumber(), redeemBeneficiary, "", { from: redeemer, value: 2 }));
 		})
 
 		it('successfully redeems', async () => {
-			var redeemReturns = await openSTUtility.redeemSTPrime.call(redeemSTP.toNumber(), redeemBeneficiary, { from: redeemer, value: 2 });
+			var redeemReturns = await openSTUtility.redeemSTPrime.call(redeemSTP.toNumber(), redeemBeneficiary, hashLock, { from: redeemer, value: 2 });
 
       // call block number is one less than send block number
       unlockHeight = redeemReturns[1].plus(1)
-      var checkRedemptionIntentHash = await openSTUtility.hashRedemptionIntent.call(uuidSTPrime, redeemer, 2, redeemBeneficiary, redeemSTP, unlockHeight);
-      result = await openSTUtility.redeemSTPrime(redeemSTP, redeemBeneficiary, { from: redeemer, value: redeemSTP });
+      var checkRedemptionIntentHash = await openSTUtility.hashRedemptionIntent.call(uuidSTPrime, redeemer, 2, redeemBeneficiary, redeemSTP, redeemSTP, 0, unlockHeight, hashLock);
+      result = await openSTUtility.redeemSTPrime(redeemSTP, redeemBeneficiary, hashLock, { from: redeemer, value: redeemSTP });
 
       await OpenSTUtility_utils.checkRedemptionIntentDeclaredEvent(result.logs[0], uuidSTPrime, checkRedemptionIntentHash, stPrime.address,
 				redeemer, 2, redeemBeneficiary, redeemSTP.toNumber(), unlockHeight, chainIdValue);
+			assert.equal(result.logs[0].args._hashLock, hashLock);
+		})
+	})
+
+	describe('Pause', async () => {
+		const admin = accounts[3];
+		var brandedTokenContract = null;
+		const redeemAmountUT = new BigNumber(web3.toWei(1, "ether"));
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+	        await openSTUtility.setAdminAddress(admin, { from: accounts[0] });
+	        uuidSTPrime = await openSTUtility.uuidSTPrime.call();
+        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+            brandedToken = result.logs[0].args._token;
+            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+	    })
+
+		it('fails to pause by non-admin', async () => {
+            await Utils.expectThrow(openSTUtility.setMintingPaused(checkBtUuid, true, { from: accounts[0] }));
+            await Utils.expectThrow(openSTUtility.setRedeemingPaused(checkBtUuid, true, { from: registrar }));
+		})
+
+		it('fails to pause when the token is not registered', async () => {
+            await Utils.expectThrow(openSTUtility.setMintingPaused("bad uuid", true, { from: admin }));
+            await Utils.expectThrow(openSTUtility.setRedeemingPaused("bad uuid", true, { from: admin }));
+		})
+
+		it('successfully pauses minting', async () => {
+            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+
+			assert.ok(await openSTUtility.setMintingPaused.call(checkBtUuid, true, { from: admin }));
+			result = await openSTUtility.setMintingPaused(checkBtUuid, true, { from: admin });
+
+			assert.equal(result.logs[0].event, "MintingPauseSet");
+			assert.equal(result.logs[0].args._uuid, checkBtUuid);
+			assert.equal(result.logs[0].args._paused, true);
+			assert.equal(await openSTUtility.mintingPaused.call(checkBtUuid), true);
+			assert.equal(await openSTUtility.redeemingPaused.call(checkBtUuid), false);
+		})
+
+		it('fails to confirm staking intent when minting is paused', async () => {
+			var stakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 2, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 2, accounts[0], amountST, amountUT, 0, 80668, hashLock, stakingIntentHash, { from: registrar }));
+		})
+
+		it('successfully processes a mint confirmed before the pause', async () => {
+            result = await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+            assert.equal(result.logs[0].event, "ProcessedMint");
+		})
+
+		it('successfully pauses redeeming', async () => {
+    	    brandedTokenContract = new BrandedToken(brandedToken);
+		    await brandedTokenContract.claim(accounts[0]);
+		    await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+
+			result = await openSTUtility.setRedeemingPaused(checkBtUuid, true, { from: admin });
+
+			assert.equal(result.logs[0].event, "RedeemingPauseSet");
+			assert.equal(result.logs[0].args._uuid, checkBtUuid);
+			assert.equal(result.logs[0].args._paused, true);
+			assert.equal(await openSTUtility.redeemingPaused.call(checkBtUuid), true);
+		})
+
+		it('fails to redeem when redeeming is paused', async () => {
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('fails to redeem STPrime when redeeming STPrime is paused', async () => {
+			await openSTUtility.setRedeemingPaused(uuidSTPrime, true, { from: admin });
+            await Utils.expectThrow(openSTUtility.redeemSTPrime(2, redeemBeneficiary, hashLock, { from: redeemer, value: 2 }));
+		})
+
+		it('successfully unpauses', async () => {
+			await openSTUtility.setMintingPaused(checkBtUuid, false, { from: admin });
+			await openSTUtility.setRedeemingPaused(checkBtUuid, false, { from: admin });
+			await openSTUtility.setRedeemingPaused(uuidSTPrime, false, { from: admin });
+
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
+            assert.equal(result.logs[0].event, "RedemptionIntentDeclared");
+            result = await openSTUtility.redeemSTPrime(3, redeemBeneficiary, hashLock, { from: redeemer, value: 2 });
+            assert.equal(result.logs[0].event, "RedemptionIntentDeclared");
+		})
+	})
+
+	describe('Freeze', async () => {
+		const admin = accounts[3];
+		const guardian = accounts[5];
+		const redeemAmountUT = new BigNumber(web3.toWei(1, "ether"));
+		var brandedTokenContract = null;
+		var revertStakingIntentHash = null;
+		var redemptionIntentHash = null;
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+	        await openSTUtility.setAdminAddress(admin, { from: accounts[0] });
+	        await openSTUtility.setGuardianAddress(guardian, { from: admin });
+        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+            brandedToken = result.logs[0].args._token;
+            brandedTokenContract = new BrandedToken(brandedToken);
+            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+	    })
+
+		it('fails to freeze by non-guardian', async () => {
+            await Utils.expectThrow(openSTUtility.freeze(10, { from: admin }));
+		})
+
+		it('successfully freezes', async () => {
+			// the mints expire after 5 blocks and the redemption unlocks after 8 blocks
+			result = await openSTUtility.redeemSTPrime(1, redeemBeneficiary, hashLock, { from: redeemer, value: 2 });
+			redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 2, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 2, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+            revertStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 3, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 3, accounts[0], amountST, amountUT, 0, 80668, hashLock, revertStakingIntentHash, { from: registrar });
+            expirationHeight = result.logs[0].args._expirationHeight;
+
+			result = await openSTUtility.freeze(40, { from: guardian });
+			assert.equal(result.logs[0].event, "Frozen");
+			assert.ok(await openSTUtility.isFrozen.call());
+		})
+
+		it('successfully processes a mint confirmed before the freeze', async () => {
+            result = await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+            assert.equal(result.logs[0].event, "ProcessedMint");
+		})
+
+		it('fails to confirm staking intent when frozen', async () => {
+			var stakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 4, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 4, accounts[0], amountST, amountUT, 0, 80668, hashLock, stakingIntentHash, { from: registrar }));
+		})
+
+		it('fails to redeem when frozen', async () => {
+		    await brandedTokenContract.claim(accounts[0]);
+		    await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 4, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('fails to redeem STPrime when frozen', async () => {
+            await Utils.expectThrow(openSTUtility.redeemSTPrime(4, redeemBeneficiary, hashLock, { from: redeemer, value: 2 }));
+		})
+
+		it('successfully reverts an expired mint when frozen', async () => {
+			// mine blocks until the mint has expired
+			while (web3.eth.blockNumber < expirationHeight.toNumber()) {
+			    await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+			}
+
+			assert.ok(await openSTUtility.isFrozen.call());
+			result = await openSTUtility.revertMinting(revertStakingIntentHash, { from: accounts[2] });
+			assert.equal(result.logs[0].event, "RevertedMint");
+		})
+
+		it('successfully reverts an expired redemption when frozen', async () => {
+			// mine blocks until the redemption has unlocked
+			var unlockHeight = (await openSTUtility.redemptions.call(redemptionIntentHash))[5].toNumber();
+			while (web3.eth.blockNumber < unlockHeight) {
+			    await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+			}
+
+			assert.ok(await openSTUtility.isFrozen.call());
+			result = await openSTUtility.revertRedemption(redemptionIntentHash, { from: accounts[2] });
+			assert.equal(result.logs[0].event, "RevertedRedemption");
+		})
+
+		it('successfully redeems after unfreezing', async () => {
+			result = await openSTUtility.unfreeze({ from: guardian });
+			assert.equal(result.logs[0].event, "Unfrozen");
+
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 4, redeemBeneficiary, hashLock, { from: redeemer });
+            assert.equal(result.logs[0].event, "RedemptionIntentDeclared");
+		})
+	})
+
+	describe('RedemptionFee', async () => {
+		var brandedTokenContract = null;
+		var redemptionIntentHash = null;
+		const redeemAmountUT = new BigNumber(web3.toWei(1, "ether"));
+		// 1%, with a minimum fee of 10 BTWei
+		const feeBasisPoints = 100;
+		const minimumFeeUT = 10;
+		const feeUT = redeemAmountUT.div(100);
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+	        uuidSTPrime = await openSTUtility.uuidSTPrime.call();
+        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+            brandedToken = result.logs[0].args._token;
+            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+    	    brandedTokenContract = new BrandedToken(brandedToken);
+		    await brandedTokenContract.claim(accounts[0]);
+		    await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT.mul(2), { from: redeemer });
+	    })
+
+		it('fails to set by non-registrar', async () => {
+            await Utils.expectThrow(openSTUtility.setRedemptionFee(checkBtUuid, feeBasisPoints, minimumFeeUT, { from: accounts[0] }));
+		})
+
+		it('fails to set when the token is not registered', async () => {
+            await Utils.expectThrow(openSTUtility.setRedemptionFee("bad uuid", feeBasisPoints, minimumFeeUT, { from: registrar }));
+		})
+
+		it('fails to set for STPrime', async () => {
+            await Utils.expectThrow(openSTUtility.setRedemptionFee(uuidSTPrime, feeBasisPoints, minimumFeeUT, { from: registrar }));
+		})
+
+		it('fails to set when feeBasisPoints is not < FEE_BASIS_POINTS_DENOMINATOR', async () => {
+			var denominator = await openSTUtility.FEE_BASIS_POINTS_DENOMINATOR.call();
+            await Utils.expectThrow(openSTUtility.setRedemptionFee(checkBtUuid, denominator, minimumFeeUT, { from: registrar }));
+		})
+
+		it('successfully sets', async () => {
+			assert.ok(await openSTUtility.setRedemptionFee.call(checkBtUuid, feeBasisPoints, minimumFeeUT, { from: registrar }));
+			result = await openSTUtility.setRedemptionFee(checkBtUuid, feeBasisPoints, minimumFeeUT, { from: registrar });
+
+			assert.equal(result.logs[0].event, "RedemptionFeeSet");
+			assert.equal(result.logs[0].args._uuid, checkBtUuid);
+			assert.equal(result.logs[0].args._feeBasisPoints.toNumber(), feeBasisPoints);
+			assert.equal(result.logs[0].args._minimumFeeUT.toNumber(), minimumFeeUT);
+			var redemptionFee = await openSTUtility.redemptionFees.call(checkBtUuid);
+			assert.equal(redemptionFee[0].toNumber(), feeBasisPoints);
+			assert.equal(redemptionFee[1].toNumber(), minimumFeeUT);
+		})
+
+		it('fails to redeem when the fee is not < amount', async () => {
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, minimumFeeUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('successfully redeems net of the fee', async () => {
+			var netAmountUT = redeemAmountUT.minus(feeUT);
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
+            var unlockHeight = result.logs[0].args._unlockHeight;
+            redemptionIntentHash = await openSTUtility.hashRedemptionIntent.call(checkBtUuid, redeemer, 2, redeemBeneficiary, netAmountUT,
+            	netAmountUT.mul(10**conversionRateDecimals).div(conversionRate).floor(), feeUT, unlockHeight, hashLock);
+
+            await OpenSTUtility_utils.checkRedemptionIntentDeclaredEvent(result.logs[0], checkBtUuid, redemptionIntentHash, brandedToken,
+            	redeemer, 2, redeemBeneficiary, netAmountUT, unlockHeight, chainIdValue);
+            assert.equal(result.logs[0].args._fee.toNumber(), feeUT.toNumber());
+		})
+
+		it('successfully collects the fee on processRedeeming', async () => {
+			await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret);
+
+			assert.equal((await openSTUtility.feesUT.call(checkBtUuid)).toNumber(), feeUT.toNumber());
+			assert.equal((await brandedTokenContract.balanceOf.call(openSTUtility.address)).toNumber(), feeUT.toNumber());
+		})
+
+		it('successfully refunds the fee on revertRedemption', async () => {
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 3, redeemBeneficiary, hashLock, { from: redeemer });
+            var unlockHeight = result.logs[0].args._unlockHeight;
+            var balance = await brandedTokenContract.balanceOf.call(redeemer);
+
+			// mine blocks until the redemption has unlocked
+			while (web3.eth.blockNumber < unlockHeight.toNumber()) {
+				await brandedTokenContract.approve(openSTUtility.address, 0, { from: redeemer });
+			}
+
+			result = await openSTUtility.revertRedemption(result.logs[0].args._redemptionIntentHash, { from: redeemer });
+			assert.equal(result.logs[0].event, "RevertedRedemption");
+			assert.equal(result.logs[0].args._amountUT.toNumber(), redeemAmountUT.toNumber());
+			assert.equal((await brandedTokenContract.balanceOf.call(redeemer)).toNumber(), balance.plus(redeemAmountUT).toNumber());
+			assert.equal((await openSTUtility.feesUT.call(checkBtUuid)).toNumber(), feeUT.toNumber());
+		})
+
+		it('fails to confirm staking intent when the fee does not match the stakingIntentHash', async () => {
+			var stakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 4, accounts[0], amountST, amountUT, 1, 80668, hashLock);
+            await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 4, accounts[0], amountST, amountUT, 0, 80668, hashLock, stakingIntentHash, { from: registrar }));
+		})
+
+		it('fails to withdraw by non-registrar', async () => {
+            await Utils.expectThrow(openSTUtility.withdrawFees(checkBtUuid, accounts[5], feeUT, { from: accounts[0] }));
+		})
+
+		it('fails to withdraw more than the fees collected', async () => {
+            await Utils.expectThrow(openSTUtility.withdrawFees(checkBtUuid, accounts[5], feeUT.plus(1), { from: registrar }));
+		})
+
+		it('successfully withdraws', async () => {
+			result = await openSTUtility.withdrawFees(checkBtUuid, accounts[5], feeUT, { from: registrar });
+
+			assert.equal(result.logs[0].event, "FeesWithdrawn");
+			assert.equal(result.logs[0].args._uuid, checkBtUuid);
+			assert.equal(result.logs[0].args._to, accounts[5]);
+			assert.equal(result.logs[0].args._amountUT.toNumber(), feeUT.toNumber());
+			assert.equal((await openSTUtility.feesUT.call(checkBtUuid)).toNumber(), 0);
+			assert.equal((await brandedTokenContract.balanceOf.call(accounts[5])).toNumber(), feeUT.toNumber());
+		})
+	})
+
+	describe('RedemptionReward', async () => {
+		const relayer = accounts[5];
+		var redemptionIntentHash = null;
+
+		context('BrandedToken', async () => {
+			const redemptionAmount = new BigNumber(web3.toWei(1, "ether"));
+			const rewardUT = new BigNumber(web3.toWei(0.01, "ether"));
+			var brandedTokenContract = null;
+
+			before(async () => {
+		        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+		        openSTUtility = contracts.openSTUtility;
+	        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+	            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+	            brandedToken = result.logs[0].args._token;
+	            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+	            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+	            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+				brandedTokenContract = new BrandedToken(brandedToken);
+				await brandedTokenContract.claim(accounts[0]);
+				await brandedTokenContract.approve(openSTUtility.address, redemptionAmount, { from: redeemer });
+	            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redemptionAmount, 2, redeemBeneficiary, hashLock, { from: redeemer });
+	            redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
+				await brandedTokenContract.approve(openSTUtility.address, rewardUT, { from: redeemer });
+		    })
+
+			it('fails to add when the reward is not > 0', async () => {
+	            await Utils.expectThrow(openSTUtility.addRedemptionReward(redemptionIntentHash, 0, { from: redeemer }));
+			})
+
+			it('fails to add by non-redeemer', async () => {
+	            await Utils.expectThrow(openSTUtility.addRedemptionReward(redemptionIntentHash, rewardUT, { from: relayer }));
+			})
+
+			it('fails to add when value is sent', async () => {
+	            await Utils.expectThrow(openSTUtility.addRedemptionReward(redemptionIntentHash, rewardUT, { from: redeemer, value: 1 }));
+			})
+
+			it('successfully adds', async () => {
+				assert.ok(await openSTUtility.addRedemptionReward.call(redemptionIntentHash, rewardUT, { from: redeemer }));
+				result = await openSTUtility.addRedemptionReward(redemptionIntentHash, rewardUT, { from: redeemer });
+
+				assert.equal(result.logs[0].event, "RedemptionRewardAdded");
+				assert.equal(result.logs[0].args._uuid, checkBtUuid);
+				assert.equal(result.logs[0].args._redemptionIntentHash, redemptionIntentHash);
+				assert.equal(result.logs[0].args._redeemer, redeemer);
+				assert.equal(result.logs[0].args._rewardUT.toNumber(), rewardUT.toNumber());
+				assert.equal((await openSTUtility.redemptions.call(redemptionIntentHash))[8].toNumber(), rewardUT.toNumber());
+				assert.equal((await brandedTokenContract.balanceOf.call(openSTUtility.address)).toNumber(), redemptionAmount.plus(rewardUT).toNumber());
+			})
+
+			it('successfully credits the reward to the relayer on processRedeeming', async () => {
+				var totalSupply = await brandedTokenContract.totalSupply.call();
+				result = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: relayer });
+
+	            await OpenSTUtility_utils.checkProcessedRedemptionEvent(result.logs[0], checkBtUuid, redemptionIntentHash, brandedToken, redeemer, redeemBeneficiary, redemptionAmount);
+				assert.equal(result.logs[1].event, "RedemptionRewardCredited");
+				assert.equal(result.logs[1].args._redemptionIntentHash, redemptionIntentHash);
+				assert.equal(result.logs[1].args._relayer, relayer);
+				assert.equal(result.logs[1].args._rewardUT.toNumber(), rewardUT.toNumber());
+				assert.equal((await openSTUtility.rewardsUT.call(checkBtUuid, relayer)).toNumber(), rewardUT.toNumber());
+				assert.equal((await brandedTokenContract.totalSupply.call()).toNumber(), totalSupply.minus(redemptionAmount).toNumber());
+				assert.equal((await brandedTokenContract.balanceOf.call(openSTUtility.address)).toNumber(), rewardUT.toNumber());
+			})
+
+			it('fails to add when the redemption is processed', async () => {
+				await brandedTokenContract.approve(openSTUtility.address, rewardUT, { from: redeemer });
+	            await Utils.expectThrow(openSTUtility.addRedemptionReward(redemptionIntentHash, rewardUT, { from: redeemer }));
+			})
+
+			it('fails to withdraw when no rewards are credited', async () => {
+	            await Utils.expectThrow(openSTUtility.withdrawRewards(checkBtUuid, accounts[7], { from: redeemer }));
+			})
+
+			it('successfully withdraws', async () => {
+				result = await openSTUtility.withdrawRewards(checkBtUuid, accounts[7], { from: relayer });
+
+				assert.equal(result.logs[0].event, "RewardsWithdrawn");
+				assert.equal(result.logs[0].args._uuid, checkBtUuid);
+				assert.equal(result.logs[0].args._relayer, relayer);
+				assert.equal(result.logs[0].args._to, accounts[7]);
+				assert.equal(result.logs[0].args._amountUT.toNumber(), rewardUT.toNumber());
+				assert.equal((await openSTUtility.rewardsUT.call(checkBtUuid, relayer)).toNumber(), 0);
+				assert.equal((await brandedTokenContract.balanceOf.call(accounts[7])).toNumber(), rewardUT.toNumber());
+			})
+
+			it('successfully refunds the reward on revertRedemption', async () => {
+				await brandedTokenContract.approve(openSTUtility.address, redemptionAmount.plus(rewardUT), { from: redeemer });
+	            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redemptionAmount, 3, redeemBeneficiary, hashLock, { from: redeemer });
+	            var revertRedemptionIntentHash = result.logs[0].args._redemptionIntentHash;
+	            var unlockHeight = result.logs[0].args._unlockHeight;
+	            await openSTUtility.addRedemptionReward(revertRedemptionIntentHash, rewardUT, { from: redeemer });
+	            var balance = await brandedTokenContract.balanceOf.call(redeemer);
+
+				// mine blocks until the redemption has unlocked
+				while (web3.eth.blockNumber < unlockHeight.toNumber()) {
+					await brandedTokenContract.approve(openSTUtility.address, 0, { from: redeemer });
+				}
+
+				result = await openSTUtility.revertRedemption(revertRedemptionIntentHash, { from: relayer });
+				assert.equal(result.logs[0].event, "RevertedRedemption");
+				assert.equal(result.logs[0].args._amountUT.toNumber(), redemptionAmount.plus(rewardUT).toNumber());
+				assert.equal((await brandedTokenContract.balanceOf.call(redeemer)).toNumber(), balance.plus(redemptionAmount).plus(rewardUT).toNumber());
+				assert.equal((await openSTUtility.rewardsUT.call(checkBtUuid, relayer)).toNumber(), 0);
+			})
+		})
+
+		context('STPrime', async () => {
+			const redemptionAmount = 2;
+			const rewardSTP = 1;
+
+			before(async () => {
+		        contracts  		 		= await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+		        stPrime     			= contracts.stPrime;
+		        openSTUtility 		= contracts.openSTUtility;
+
+		        uuidSTPrime 			= await openSTUtility.uuidSTPrime.call();
+	          checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
+
+	          await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+	          await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+						await stPrime.claim(accounts[0]);
+	          result = await openSTUtility.redeemSTPrime(redemptionAmount, redeemBeneficiary, hashLock, { from: redeemer, value: redemptionAmount });
+	          redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
+		    })
+
+			it('fails to add when value is not the reward', async () => {
+	            await Utils.expectThrow(openSTUtility.addRedemptionReward(redemptionIntentHash, rewardSTP, { from: redeemer }));
+			})
+
+			it('successfully adds', async () => {
+				result = await openSTUtility.addRedemptionReward(redemptionIntentHash, rewardSTP, { from: redeemer, value: rewardSTP });
+
+				assert.equal(result.logs[0].event, "RedemptionRewardAdded");
+				assert.equal(result.logs[0].args._uuid, uuidSTPrime);
+				assert.equal(result.logs[0].args._rewardUT.toNumber(), rewardSTP);
+				assert.equal((await web3.eth.getBalance(openSTUtility.address)).toNumber(), redemptionAmount + rewardSTP);
+			})
+
+			it('successfully credits the reward to the relayer on processRedeeming', async () => {
+				var stPrimeBal = await web3.eth.getBalance(stPrime.address);
+				result = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: relayer });
+
+	            await OpenSTUtility_utils.checkProcessedRedemptionEvent(result.logs[0], uuidSTPrime, redemptionIntentHash, stPrime.address, redeemer, redeemBeneficiary, redemptionAmount);
+				assert.equal(result.logs[1].event, "RedemptionRewardCredited");
+				assert.equal((await openSTUtility.rewardsUT.call(uuidSTPrime, relayer)).toNumber(), rewardSTP);
+				assert.equal((await web3.eth.getBalance(stPrime.address)).toNumber(), stPrimeBal.minus(redemptionAmount).toNumber());
+				assert.equal((await web3.eth.getBalance(openSTUtility.address)).toNumber(), rewardSTP);
+			})
+
+			it('successfully withdraws', async () => {
+				var balance = await web3.eth.getBalance(accounts[7]);
+				result = await openSTUtility.withdrawRewards(uuidSTPrime, accounts[7], { from: relayer });
+
+				assert.equal(result.logs[0].event, "RewardsWithdrawn");
+				assert.equal(result.logs[0].args._amountUT.toNumber(), rewardSTP);
+				assert.equal((await openSTUtility.rewardsUT.call(uuidSTPrime, relayer)).toNumber(), 0);
+				assert.equal((await web3.eth.getBalance(accounts[7])).toString(10), balance.plus(rewardSTP).toString(10));
+				assert.equal((await web3.eth.getBalance(openSTUtility.address)).toNumber(), 0);
+			})
+		})
+	})
+
+	describe('ConversionRateChange', async () => {
+		var brandedTokenContract = null;
+		const redeemAmountUT = new BigNumber(web3.toWei(1, "ether"));
+		const newConversionRateDecimals = 2;
+		const newConversionRate = new BigNumber(25 * 10**newConversionRateDecimals); // conversion rate => 25
+		var activationHeight = null;
+
+		before(async () => {
+	        openSTUtility = await OpenSTUtilityMock.new(chainIdValue, chainIdUtility, registrar, { gas: 10000000 });
+	        // core tracks the value chain, where accounts[4] stands in for OpenSTValue
+	        core = await Core.new(registrar, chainIdUtility, chainIdValue, accounts[4]);
+	        await openSTUtility.addCore(core.address, { from: registrar });
+	        uuidSTPrime = await openSTUtility.uuidSTPrime.call();
+        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+            brandedToken = result.logs[0].args._token;
+            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+    	    brandedTokenContract = new BrandedToken(brandedToken);
+		    await brandedTokenContract.claim(accounts[0]);
+		    await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT.mul(2), { from: redeemer });
+		    activationHeight = web3.eth.blockNumber + 20;
+	    })
+
+		it('fails to schedule by non-registrar', async () => {
+            await Utils.expectThrow(openSTUtility.scheduleConversionRateChange(checkBtUuid, newConversionRate, newConversionRateDecimals, activationHeight, { from: accounts[0] }));
+		})
+
+		it('fails to schedule when the token is not registered', async () => {
+            await Utils.expectThrow(openSTUtility.scheduleConversionRateChange("bad uuid", newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar }));
+		})
+
+		it('fails to schedule for STPrime', async () => {
+            await Utils.expectThrow(openSTUtility.scheduleConversionRateChange(uuidSTPrime, newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar }));
+		})
+
+		it('fails to schedule when conversionRateDecimals is not <= MAX_CONVERSION_RATE_DECIMALS', async () => {
+            await Utils.expectThrow(openSTUtility.scheduleConversionRateChange(checkBtUuid, newConversionRate, 19, activationHeight, { from: registrar }));
+		})
+
+		it('fails to schedule when the activation height is sooner than blocksToWaitLong', async () => {
+			var blocksToWaitLong = await openSTUtility.blocksToWaitLong.call();
+            await Utils.expectThrow(openSTUtility.scheduleConversionRateChange(checkBtUuid, newConversionRate, newConversionRateDecimals,
+            	blocksToWaitLong.plus(web3.eth.blockNumber), { from: registrar }));
+		})
+
+		it('successfully schedules', async () => {
+			assert.ok(await openSTUtility.scheduleConversionRateChange.call(checkBtUuid, newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar }));
+			result = await openSTUtility.scheduleConversionRateChange(checkBtUuid, newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar });
+
+			assert.equal(result.logs[0].event, "ConversionRateChangeScheduled");
+			assert.equal(result.logs[0].args._uuid, checkBtUuid);
+			assert.equal(result.logs[0].args._conversionRate.toNumber(), newConversionRate.toNumber());
+			assert.equal(result.logs[0].args._conversionRateDecimals.toNumber(), newConversionRateDecimals);
+			assert.equal(result.logs[0].args._activationHeight.toNumber(), activationHeight);
+
+			var scheduledChange = await brandedTokenContract.scheduledConversionRateChange.call();
+			assert.equal(scheduledChange[0].toNumber(), newConversionRate.toNumber());
+			assert.equal(scheduledChange[1].toNumber(), newConversionRateDecimals);
+			assert.equal(scheduledChange[2].toNumber(), activationHeight);
+			assert.equal((await brandedTokenContract.conversionRate.call()).toNumber(), conversionRate.toNumber());
+		})
+
+		it('successfully redeems at the current conversion rate before the activation height', async () => {
+			var redeemAmountST = redeemAmountUT.mul(10**conversionRateDecimals).div(conversionRate);
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
+
+            assert.equal(result.logs[0].args._amountST.toNumber(), redeemAmountST.toNumber());
+		})
+
+		it('successfully redeems at the new conversion rate from the activation height', async () => {
+			var redeemAmountST = redeemAmountUT.mul(10**newConversionRateDecimals).div(newConversionRate);
+			// mine blocks until the activation height
+			while (web3.eth.blockNumber + 1 < activationHeight) {
+				await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+			}
+
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 3, redeemBeneficiary, hashLock, { from: redeemer });
+
+            assert.equal(result.logs[0].args._amountST.toNumber(), redeemAmountST.toNumber());
+			assert.equal((await brandedTokenContract.conversionRate.call()).toNumber(), newConversionRate.toNumber());
+			assert.equal((await brandedTokenContract.conversionRateDecimals.call()).toNumber(), newConversionRateDecimals);
+			assert.equal(await brandedTokenContract.uuid.call(), checkBtUuid);
+		})
+	})
+
+	describe('ConversionRateDecimals', async () => {
+		var brandedTokenContract = null;
+		// conversion rate => 2.500000000000000000
+		const preciseConversionRateDecimals = 18;
+		const preciseConversionRate = new BigNumber(25 * 10**17);
+		const mintAmountUT = 100;
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, preciseConversionRate, preciseConversionRateDecimals);
+            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, preciseConversionRate, preciseConversionRateDecimals);
+            brandedToken = result.logs[0].args._token;
+	    })
+
+		it('successfully registers with MAX_CONVERSION_RATE_DECIMALS', async () => {
+			assert.equal((await openSTUtility.MAX_CONVERSION_RATE_DECIMALS.call()).toNumber(), preciseConversionRateDecimals);
+            result = await openSTUtility.registerBrandedToken(symbol, name, preciseConversionRate, preciseConversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+            assert.equal(result.logs[0].event, "RegisteredBrandedToken");
+
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], 40, mintAmountUT, 0, 80668, hashLock);
+            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], 40, mintAmountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+    	    brandedTokenContract = new BrandedToken(brandedToken);
+		    await brandedTokenContract.claim(accounts[0]);
+		    await brandedTokenContract.approve(openSTUtility.address, mintAmountUT, { from: redeemer });
+		})
+
+		it('fails to redeem when amount does not convert into at least 1 STWei', async () => {
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, 2, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('successfully redeems rounding amountST down with the dust in the event', async () => {
+			// 11 BTWei convert into 4.4 STWei, and 4 STWei take 10 BTWei
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, 11, 2, redeemBeneficiary, hashLock, { from: redeemer });
+
+            assert.equal(result.logs[0].args._amount.toNumber(), 11);
+            assert.equal(result.logs[0].args._amountST.toNumber(), 4);
+            assert.equal(result.logs[0].args._dustUT.toNumber(), 1);
 		})
 	})
 
@@ -399,38 +1306,38 @@ contract('OpenSTUtility', function(accounts) {
 		var brandedTokenContract = null;
 
 		context('BrandedToken', async () => {
-			var redemptionAmount = 3;
+			var redemptionAmount = 5;
 
 			before(async () => {
 		        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 		        openSTUtility = contracts.openSTUtility;
 	        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
-	            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+	            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
 	            brandedToken = result.logs[0].args._token;
 	            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
-	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
-	            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
-	            await openSTUtility.processMinting(checkStakingIntentHash);
+	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
+	            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+	            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 				brandedTokenContract = new BrandedToken(brandedToken);
 				await brandedTokenContract.claim(accounts[0]);
 				await brandedTokenContract.approve(openSTUtility.address, redemptionAmount, { from: redeemer });
-	            result = await openSTUtility.redeem(checkBtUuid, redemptionAmount, 2, redeemBeneficiary, { from: redeemer });
+	            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redemptionAmount, 2, redeemBeneficiary, hashLock, { from: redeemer });
 	            redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
 		    })
 
 			it('fails to process if redemptionIntentHash is empty', async () => {
-	            await Utils.expectThrow(openSTUtility.processRedeeming("", { from: redeemer }));
+	            await Utils.expectThrow(openSTUtility.processRedeeming("", unlockSecret, { from: redeemer }));
 			})
 
-			it('fails to process if msg.sender is not redeemer or registrar', async () => {
-	            await Utils.expectThrow(openSTUtility.processRedeeming(redemptionIntentHash, { from: accounts[5] }));
+			it('fails to process when the unlock secret does not match the hashLock', async () => {
+	            await Utils.expectThrow(openSTUtility.processRedeeming(redemptionIntentHash, web3.sha3("bad secret"), { from: redeemer }));
 			})
 
-			it('successfully processes', async () => {
+			it('successfully processes by anyone with the unlock secret', async () => {
 				var openSTUtilityBal = await brandedTokenContract.balanceOf.call(openSTUtility.address);
 				var totalSupply = await brandedTokenContract.totalSupply.call();
-				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, { from: redeemer }), brandedToken);
-				result = await openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemer });
+				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, unlockSecret, { from: accounts[5] }), brandedToken);
+				result = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: accounts[5] });
 
 				var postProcessOpenSTUtilityBal = await brandedTokenContract.balanceOf.call(openSTUtility.address);
 				var postProcessTotalSupply = await brandedTokenContract.totalSupply.call();
@@ -440,7 +1347,7 @@ contract('OpenSTUtility', function(accounts) {
 			})
 
 			it('fails to reprocess', async () => {
-	            await Utils.expectThrow(openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemer }));
+	            await Utils.expectThrow(openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: redeemer }));
 			})
 		})
 
@@ -453,20 +1360,20 @@ contract('OpenSTUtility', function(accounts) {
 		        openSTUtility 		= contracts.openSTUtility;
 
 		        uuidSTPrime 			= await openSTUtility.uuidSTPrime.call();
-	          checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
+	          checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
 
-	          await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
-	          await openSTUtility.processMinting(checkStakingIntentHash);
+	          await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+	          await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 						await stPrime.claim(accounts[0]);
-	          result = await openSTUtility.redeemSTPrime(redemptionAmount, redeemBeneficiary, { from: redeemer, value: redemptionAmount });
+	          result = await openSTUtility.redeemSTPrime(redemptionAmount, redeemBeneficiary, hashLock, { from: redeemer, value: redemptionAmount });
 	          redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
 		    })
 
 			it('successfully processes', async () => {
 				var stPrimeBal = await web3.eth.getBalance(stPrime.address);
 				var totalSupply = await stPrime.totalSupply.call();
-				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, { from: redeemer }), stPrime.address);
-				result = await openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemer });
+				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, unlockSecret, { from: redeemer }), stPrime.address);
+				result = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: redeemer });
 
 				var postProcessStPrimeBal = await web3.eth.getBalance(stPrime.address);
 				var postProcessTotalSupply = await stPrime.totalSupply.call();
@@ -483,31 +1390,31 @@ contract('OpenSTUtility', function(accounts) {
 		var brandedTokenContract = null;
 
 		context('BrandedToken', async () => {
-			var redemptionAmount = 3;
+			var redemptionAmount = 5;
 
 			before(async () => {
 		        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 		        openSTUtility = contracts.openSTUtility;
 	        	checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate,conversionRateDecimals);
-	            result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+	            result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
 	            brandedToken = result.logs[0].args._token;
 	            await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
-	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
-	            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
-	            await openSTUtility.processMinting(checkStakingIntentHash);
+	            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
+	            await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+	            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 							brandedTokenContract = new BrandedToken(brandedToken);
 							await brandedTokenContract.claim(accounts[0]);
 							await brandedTokenContract.approve(openSTUtility.address, redemptionAmount, { from: redeemer });
-	            result = await openSTUtility.redeem(checkBtUuid, redemptionAmount, 2, redeemBeneficiary, { from: redeemer });
+	            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redemptionAmount, 2, redeemBeneficiary, hashLock, { from: redeemer });
 	            redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
 		    })
 
 			it('successfully processes by registrar', async () => {
 				var openSTUtilityBal = await brandedTokenContract.balanceOf.call(openSTUtility.address);
 				var totalSupply = await brandedTokenContract.totalSupply.call();
-				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, { from: redeemer }), brandedToken);
+				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, unlockSecret, { from: redeemer }), brandedToken);
 				// redemption is processed by Registrar
-				result = await openSTUtility.processRedeeming(redemptionIntentHash, { from: registrar });
+				result = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: registrar });
 
 				var postProcessOpenSTUtilityBal = await brandedTokenContract.balanceOf.call(openSTUtility.address);
 				var postProcessTotalSupply = await brandedTokenContract.totalSupply.call();
@@ -526,21 +1433,21 @@ contract('OpenSTUtility', function(accounts) {
 		        openSTUtility 			= contracts.openSTUtility;
 
 		        uuidSTPrime 			= await openSTUtility.uuidSTPrime.call();
-	            checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 80668)
+	            checkStakingIntentHash 	= await openSTUtility.hashStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock)
 
-	            await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 80668, checkStakingIntentHash, { from: registrar });
-	            await openSTUtility.processMinting(checkStakingIntentHash);
+	            await openSTUtility.confirmStakingIntent(uuidSTPrime, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+	            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 				await stPrime.claim(accounts[0]);
-	            result = await openSTUtility.redeemSTPrime(redemptionAmount, redeemBeneficiary, { from: redeemer, value: redemptionAmount });
+	            result = await openSTUtility.redeemSTPrime(redemptionAmount, redeemBeneficiary, hashLock, { from: redeemer, value: redemptionAmount });
 	            redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
 		    })
 
 			it('successfully processes by registrar', async () => {
 				var stPrimeBal = await web3.eth.getBalance(stPrime.address);
 				var totalSupply = await stPrime.totalSupply.call();
-				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, { from: redeemer }), stPrime.address);
+				assert.equal(await openSTUtility.processRedeeming.call(redemptionIntentHash, unlockSecret, { from: redeemer }), stPrime.address);
 				// redemption is processed by Registrar
-				result = await openSTUtility.processRedeeming(redemptionIntentHash, { from: registrar });
+				result = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: registrar });
 
 				var postProcessStPrimeBal = await web3.eth.getBalance(stPrime.address);
 				var postProcessTotalSupply = await stPrime.totalSupply.call();
@@ -568,22 +1475,22 @@ contract('OpenSTUtility', function(accounts) {
 				// Use OpenSTUtility Contract to expire redeem soon
 				OpenSTUtility = contracts.openSTUtility;
 				checkBtUuid = await OpenSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, OpenSTUtility.address, conversionRate, conversionRateDecimals);
-				result = await OpenSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+				result = await OpenSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
 				brandedToken = result.logs[0].args._token;
 				await OpenSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, redeemerForRevert, brandedToken, checkBtUuid, { from: registrar });
 
 				escrowUnlockHeight = await OpenSTUtility.blocksToWaitLong.call();
 				// 1 more than BLOCKS_TO_WAIT_LONG in OpenSTUtility contract so that redeem expires
 				escrowUnlockHeight = escrowUnlockHeight.toNumber() + 1;
-				checkStakingIntentHash = await OpenSTUtility.hashStakingIntent(checkBtUuid, redeemerForRevert, 1, redeemerForRevert, stakeAmountST, convertedAmountBT, escrowUnlockHeight);
-				await OpenSTUtility.confirmStakingIntent(checkBtUuid, redeemerForRevert, 1, redeemerForRevert, stakeAmountST, convertedAmountBT, escrowUnlockHeight, checkStakingIntentHash, { from: registrar });
-				await OpenSTUtility.processMinting(checkStakingIntentHash);
+				checkStakingIntentHash = await OpenSTUtility.hashStakingIntent(checkBtUuid, redeemerForRevert, 1, redeemerForRevert, stakeAmountST, convertedAmountBT, 0, escrowUnlockHeight, hashLock);
+				await OpenSTUtility.confirmStakingIntent(checkBtUuid, redeemerForRevert, 1, redeemerForRevert, stakeAmountST, convertedAmountBT, 0, escrowUnlockHeight, hashLock, checkStakingIntentHash, { from: registrar });
+				await OpenSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
 				brandedTokenContract = new BrandedToken(brandedToken);
 				await brandedTokenContract.claim(redeemerForRevert);
 				// redeemerForRevert is approved with 5 BT
 				await brandedTokenContract.approve(OpenSTUtility.address, redemptionAmountBT, { from: redeemerForRevert });
 				// After calling Redeem is left with 3 BT since redemptionAmountBT is 2 (5-2)
-				result = await OpenSTUtility.redeem(checkBtUuid, redemptionAmountBT, 2, redeemBeneficiary, { from: redeemerForRevert });
+				result = await OpenSTUtility.redeem(chainIdValue, checkBtUuid, redemptionAmountBT, 2, redeemBeneficiary, hashLock, { from: redeemerForRevert });
 				redemptionIntentHash = result.logs[0].args._redemptionIntentHash;
 
 			});
@@ -635,7 +1542,7 @@ contract('OpenSTUtility', function(accounts) {
 
 			it('fails to processRedeeming after revert redemption', async () => {
 
-				await Utils.expectThrow(openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemerForRevert }));
+				await Utils.expectThrow(openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: redeemerForRevert }));
 
 			});
 
@@ -657,13 +1564,13 @@ contract('OpenSTUtility', function(accounts) {
 					contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
 					openSTUtility = contracts.openSTUtility;
 					checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
-					result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals);
+					result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
 					brandedToken = result.logs[0].args._token;
 					await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
 					stakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0],
-																AMOUNT_ST, AMOUNT_BT, 80668);
+																AMOUNT_ST, AMOUNT_BT, 0, 80668, hashLock);
 					result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], AMOUNT_ST,
-										AMOUNT_BT, 80668, stakingIntentHash, { from: registrar });
+										AMOUNT_BT, 0, 80668, hashLock, stakingIntentHash, { from: registrar });
 				});
 
 				it('fails if stakingIntentHash is empty', async() => {
@@ -689,4 +1596,247 @@ contract('OpenSTUtility', function(accounts) {
 
 	});
 
+	describe('ValueChains', async () => {
+		const admin 				= accounts[3];
+		const chainIdValueSandbox 	= 5;
+		const registrarSandbox 		= accounts[5];
+		const redeemAmountUT 		= new BigNumber(web3.toWei(1, "ether"));
+		var brandedTokenContract 	= null;
+		var coreSandbox 			= null;
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+	        await openSTUtility.setAdminAddress(admin, { from: accounts[0] });
+	        coreSandbox = await Core.new(registrarSandbox, chainIdUtility, chainIdValueSandbox, accounts[4]);
+	    })
+
+		it('has registrar of chainIdValue', async () => {
+			assert.equal(await openSTUtility.registrars.call(chainIdValue), registrar);
+			assert.equal(await openSTUtility.registrars.call(chainIdValueSandbox), 0);
+		})
+
+		it('fails to add by non-admin', async () => {
+            await Utils.expectThrow(openSTUtility.addValueChain(chainIdValueSandbox, registrarSandbox, { from: registrar }));
+		})
+
+		it('fails to add when chainIdValue is 0 or chainIdUtility', async () => {
+            await Utils.expectThrow(openSTUtility.addValueChain(0, registrarSandbox, { from: admin }));
+            await Utils.expectThrow(openSTUtility.addValueChain(chainIdUtility, registrarSandbox, { from: admin }));
+		})
+
+		it('fails to add when registrar is null', async () => {
+            await Utils.expectThrow(openSTUtility.addValueChain(chainIdValueSandbox, 0, { from: admin }));
+		})
+
+		it('fails to add when the value chain is already added', async () => {
+            await Utils.expectThrow(openSTUtility.addValueChain(chainIdValue, registrarSandbox, { from: admin }));
+		})
+
+		it('fails to propose for a value chain that is not added', async () => {
+            await Utils.expectThrow(openSTUtility.proposeBrandedToken(chainIdValueSandbox, symbol, name, conversionRate, conversionRateDecimals));
+		})
+
+		it('successfully adds', async () => {
+			assert.equal(await openSTUtility.addValueChain.call(chainIdValueSandbox, registrarSandbox, { from: admin }), true);
+			result = await openSTUtility.addValueChain(chainIdValueSandbox, registrarSandbox, { from: admin });
+
+			assert.equal(result.logs[0].event, "ValueChainAdded");
+			assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValueSandbox);
+			assert.equal(result.logs[0].args._registrar, registrarSandbox);
+			assert.equal(await openSTUtility.registrars.call(chainIdValueSandbox), registrarSandbox);
+		})
+
+		it('fails to add core by the registrar of another value chain', async () => {
+			await Utils.expectThrow(openSTUtility.addCore(coreSandbox.address, { from: registrar }));
+		})
+
+		it('successfully adds core by the registrar of the value chain', async () => {
+			await openSTUtility.addCore(coreSandbox.address, { from: registrarSandbox });
+			assert.equal(await openSTUtility.core.call(chainIdValueSandbox), coreSandbox.address);
+			assert.equal(await openSTUtility.core.call(chainIdValue), contracts.core.address);
+		})
+
+		it('successfully proposes for the value chain', async () => {
+			checkBtUuid = await openSTUtility.hashUuid.call(symbol, name, chainIdValueSandbox, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+			assert.equal(await openSTUtility.proposeBrandedToken.call(chainIdValueSandbox, symbol, name, conversionRate, conversionRateDecimals), checkBtUuid);
+			result = await openSTUtility.proposeBrandedToken(chainIdValueSandbox, symbol, name, conversionRate, conversionRateDecimals);
+			brandedToken = result.logs[0].args._token;
+			brandedTokenContract = new BrandedToken(brandedToken);
+
+			assert.equal((await brandedTokenContract.genesisChainIdValue.call()).toNumber(), chainIdValueSandbox);
+		})
+
+		it('fails to register by the registrar of another value chain', async () => {
+            await Utils.expectThrow(openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar }));
+		})
+
+		it('successfully registers by the registrar of the value chain', async () => {
+            result = await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrarSandbox });
+
+            await OpenSTUtility_utils.checkRegisteredBrandedTokenEvent(result.logs[0], registrarSandbox, brandedToken, checkBtUuid, symbol, name, conversionRate, accounts[0]);
+			assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValueSandbox);
+			var registeredToken = await openSTUtility.registeredTokens.call(checkBtUuid);
+			assert.equal(registeredToken[1].toNumber(), chainIdValueSandbox);
+		})
+
+		it('fails to confirm staking intent by the registrar of another value chain', async () => {
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            await Utils.expectThrow(openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar }));
+		})
+
+		it('successfully confirms staking intent by the registrar of the value chain', async () => {
+            result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrarSandbox });
+            assert.equal(result.logs[0].event, "StakingIntentConfirmed");
+
+            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+            await brandedTokenContract.claim(accounts[0]);
+            await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+		})
+
+		it('fails to redeem to another value chain', async () => {
+            await Utils.expectThrow(openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer }));
+		})
+
+		it('successfully redeems to the value chain of the token', async () => {
+            result = await openSTUtility.redeem(chainIdValueSandbox, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
+
+            assert.equal(result.logs[0].event, "RedemptionIntentDeclared");
+            assert.equal(result.logs[0].args._uuid, checkBtUuid);
+            assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValueSandbox);
+		})
+
+		it('successfully confirms staking intent on another value chain with the nonces of that value chain', async () => {
+			var otherSymbol = "OCC";
+			var otherName = "Other Company Coin";
+			checkBtUuid = await openSTUtility.proposeBrandedToken.call(chainIdValue, otherSymbol, otherName, conversionRate, conversionRateDecimals);
+			result = await openSTUtility.proposeBrandedToken(chainIdValue, otherSymbol, otherName, conversionRate, conversionRateDecimals);
+			brandedToken = result.logs[0].args._token;
+			brandedTokenContract = new BrandedToken(brandedToken);
+			await openSTUtility.registerBrandedToken(otherSymbol, otherName, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+
+			// nonce 2 is used on the sandbox value chain, nonce 1 is new on this value chain
+            checkStakingIntentHash = await openSTUtility.hashStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock);
+            result = await openSTUtility.confirmStakingIntent(checkBtUuid, accounts[0], 1, accounts[0], amountST, amountUT, 0, 80668, hashLock, checkStakingIntentHash, { from: registrar });
+            assert.equal(result.logs[0].event, "StakingIntentConfirmed");
+
+            await openSTUtility.processMinting(checkStakingIntentHash, unlockSecret);
+            await brandedTokenContract.claim(accounts[0]);
+            await brandedTokenContract.approve(openSTUtility.address, redeemAmountUT, { from: redeemer });
+		})
+
+		it('successfully redeems on another value chain with the nonces of that value chain', async () => {
+            result = await openSTUtility.redeem(chainIdValue, checkBtUuid, redeemAmountUT, 2, redeemBeneficiary, hashLock, { from: redeemer });
+
+            assert.equal(result.logs[0].event, "RedemptionIntentDeclared");
+            assert.equal(result.logs[0].args._uuid, checkBtUuid);
+            assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValue);
+            assert.equal(result.logs[0].args._nonce.toNumber(), 2);
+		})
+	})
+
+	describe('RegistrarTransfer', async () => {
+		const admin 				= accounts[3];
+		const newRegistrar 			= accounts[6];
+		var earliestTransferHeight 	= null;
+
+		before(async () => {
+	        contracts   = await OpenSTUtility_utils.deployOpenSTUtility(artifacts, accounts);
+	        openSTUtility = contracts.openSTUtility;
+	        await openSTUtility.setAdminAddress(admin, { from: accounts[0] });
+			checkBtUuid = await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+			result = await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals);
+			brandedToken = result.logs[0].args._token;
+			await openSTUtility.registerBrandedToken(symbol, name, conversionRate, conversionRateDecimals, accounts[0], brandedToken, checkBtUuid, { from: registrar });
+	    })
+
+		it('fails to initiate by non-admin', async () => {
+            await Utils.expectThrow(openSTUtility.initiateRegistrarTransfer(chainIdValue, newRegistrar, { from: registrar }));
+		})
+
+		it('fails to initiate for a value chain that is not added', async () => {
+            await Utils.expectThrow(openSTUtility.initiateRegistrarTransfer(5, newRegistrar, { from: admin }));
+		})
+
+		it('fails to initiate to null address or to the registrar', async () => {
+            await Utils.expectThrow(openSTUtility.initiateRegistrarTransfer(chainIdValue, 0, { from: admin }));
+            await Utils.expectThrow(openSTUtility.initiateRegistrarTransfer(chainIdValue, registrar, { from: admin }));
+		})
+
+		it('successfully initiates', async () => {
+			assert.ok(await openSTUtility.initiateRegistrarTransfer.call(chainIdValue, newRegistrar, { from: admin }));
+			result = await openSTUtility.initiateRegistrarTransfer(chainIdValue, newRegistrar, { from: admin });
+			earliestTransferHeight = result.receipt.blockNumber + (await openSTUtility.blocksToWaitForRegistrarTransfer.call()).toNumber();
+
+			assert.equal(result.logs[0].event, "RegistrarTransferInitiated");
+			assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValue);
+			assert.equal(result.logs[0].args._existingRegistrar, registrar);
+			assert.equal(result.logs[0].args._proposedRegistrar, newRegistrar);
+			assert.equal(result.logs[0].args._activationHeight.toNumber(), earliestTransferHeight);
+
+			var registrarTransfer = await openSTUtility.registrarTransfers.call(chainIdValue);
+			assert.equal(registrarTransfer[0], newRegistrar);
+			assert.equal(registrarTransfer[1].toNumber(), earliestTransferHeight);
+			assert.equal(await openSTUtility.registrars.call(chainIdValue), registrar);
+		})
+
+		it('fails to initiate while a transfer is initiated', async () => {
+            await Utils.expectThrow(openSTUtility.initiateRegistrarTransfer(chainIdValue, accounts[7], { from: admin }));
+		})
+
+		it('fails to revoke by non-admin', async () => {
+            await Utils.expectThrow(openSTUtility.revokeRegistrarTransfer(chainIdValue, { from: registrar }));
+		})
+
+		it('successfully revokes', async () => {
+			assert.ok(await openSTUtility.revokeRegistrarTransfer.call(chainIdValue, { from: admin }));
+			result = await openSTUtility.revokeRegistrarTransfer(chainIdValue, { from: admin });
+
+			assert.equal(result.logs[0].event, "RegistrarTransferRevoked");
+			assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValue);
+			assert.equal(result.logs[0].args._existingRegistrar, registrar);
+			assert.equal(result.logs[0].args._revokedRegistrar, newRegistrar);
+			assert.ok(Utils.isNullAddress((await openSTUtility.registrarTransfers.call(chainIdValue))[0]));
+		})
+
+		it('fails to revoke or complete when no transfer is initiated', async () => {
+            await Utils.expectThrow(openSTUtility.revokeRegistrarTransfer(chainIdValue, { from: admin }));
+            await Utils.expectThrow(openSTUtility.completeRegistrarTransfer(chainIdValue, { from: newRegistrar }));
+		})
+
+		it('fails to complete by non-proposed registrar', async () => {
+			result = await openSTUtility.initiateRegistrarTransfer(chainIdValue, newRegistrar, { from: admin });
+			earliestTransferHeight = result.logs[0].args._activationHeight.toNumber();
+
+            await Utils.expectThrow(openSTUtility.completeRegistrarTransfer(chainIdValue, { from: registrar }));
+            await Utils.expectThrow(openSTUtility.completeRegistrarTransfer(chainIdValue, { from: admin }));
+		})
+
+		it('fails to complete before the waiting period ends', async () => {
+			while (web3.eth.blockNumber + 1 < earliestTransferHeight) {
+	            await Utils.expectThrow(openSTUtility.completeRegistrarTransfer(chainIdValue, { from: newRegistrar }));
+			}
+		})
+
+		it('successfully completes after the waiting period', async () => {
+			result = await openSTUtility.completeRegistrarTransfer(chainIdValue, { from: newRegistrar });
+
+			assert.equal(result.logs[0].event, "RegistrarTransferCompleted");
+			assert.equal(result.logs[0].args._chainIdValue.toNumber(), chainIdValue);
+			assert.equal(result.logs[0].args._newRegistrar, newRegistrar);
+			assert.equal(await openSTUtility.registrars.call(chainIdValue), newRegistrar);
+			// the value chain of ST'
+			assert.equal(await openSTUtility.registrar.call(), newRegistrar);
+			assert.ok(Utils.isNullAddress((await openSTUtility.registrarTransfers.call(chainIdValue))[0]));
+		})
+
+		it('fails to set redemption fee by the previous registrar', async () => {
+            await Utils.expectThrow(openSTUtility.setRedemptionFee(checkBtUuid, 10, 0, { from: registrar }));
+		})
+
+		it('successfully sets redemption fee by the new registrar', async () => {
+			result = await openSTUtility.setRedemptionFee(checkBtUuid, 10, 0, { from: newRegistrar });
+			assert.equal(result.logs[0].event, "RedemptionFeeSet");
+		})
+	})
 });
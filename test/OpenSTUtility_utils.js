@@ -23,6 +23,7 @@ const BigNumber = require('bignumber.js');
 
 var OpenSTUtility = artifacts.require("./OpenSTUtilityMock.sol");
 var STPrime = artifacts.require("./STPrime.sol");
+var Core = artifacts.require("./Core.sol");
 
 const chainIdValue   = 3;
 const chainIdUtility = 1410;
@@ -37,9 +38,14 @@ module.exports.deployOpenSTUtility = async (artifacts, accounts) => {
 
 	await stPrime.initialize({ from: accounts[11], value: new BigNumber(web3.toWei(800000000, "ether")) });
 
+	// core tracks the value chain, where accounts[4] stands in for OpenSTValue
+	const core = await Core.new(registrar, chainIdUtility, chainIdValue, accounts[4]);
+	await openSTUtility.addCore(core.address, { from: registrar });
+
 	return {
 		stPrime       : stPrime,
-		openSTUtility : openSTUtility
+		openSTUtility : openSTUtility,
+		core          : core
 	}
 }
 
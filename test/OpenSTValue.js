@@ -21,8 +21,13 @@
 
 const Utils = require('./lib/utils.js');
 const OpenSTValue_utils = require('./OpenSTValue_utils.js');
+const Core_utils = require('./Core_utils.js');
 const Core = artifacts.require("./Core.sol");
 const SimpleStake = artifacts.require("./SimpleStake.sol");
+const OpenSTValue = artifacts.require("./OpenSTValue.sol");
+const StakingWalletMock = artifacts.require("./StakingWalletMock.sol");
+const OpenSTValueMock = artifacts.require("./OpenSTValueMock.sol");
+const SimpleTokenApproveAndCallMock = artifacts.require("./SimpleTokenApproveAndCallMock.sol");
 const BigNumber = require('bignumber.js');
 
 ///
@@ -32,6 +37,17 @@ const BigNumber = require('bignumber.js');
 /// 	has chainIdValue
 /// 	has valueToken
 /// 	has registrar
+/// 	has blocksToWaitLong
+/// 	has blocksToWaitShort
+/// 	has blocksToWaitForRegistrarTransfer
+///
+/// Construction
+/// 	fails to construct when blocksToWaitShort is not >= MIN_BLOCKS_TO_WAIT_SHORT
+/// 	fails to construct when blocksToWaitShort is not < blocksToWaitLong
+/// 	fails to construct when blocksToWaitLong is not <= MAX_BLOCKS_TO_WAIT_LONG
+/// 	fails to construct when blocksToWaitShort is not < blocksToWaitLong of the utility chain
+/// 	successfully constructs with waits for 15s blocks
+/// 	successfully constructs with waits for 3s blocks
 /// 
 /// AddCore
 /// 	fails to add core by non-registrar
@@ -46,6 +62,7 @@ const BigNumber = require('bignumber.js');
 ///     fails to register when name is empty
 ///     fails to register when symbol is empty
 /// 	fails to register when conversion rate is not > 0
+///		fails to register when conversionRateDecimals is not <= MAX_CONVERSION_RATE_DECIMALS
 ///		fails to register when core.openSTRemote is null // Cannot test because Core cannot be deployed with null openSTRemote
 ///		fails to register when the given UUID does not match the calculated hash
 ///		successfully registers
@@ -54,18 +71,135 @@ const BigNumber = require('bignumber.js');
 /// Stake
 ///		when the staking account is null
 /// 		fails to stake when amount is not > 0
-/// 		fails to stake when tx.origin has not approved it to transfer at least the amount
+/// 		fails to stake when the staker has not approved it to transfer at least the amount
 /// 		fails to stake when the SimpleStake address for the given UUID is null
 ///			fails to stake when the beneficiary is null
+///			fails to stake when the hashLock is empty
 ///			successfully stakes
 ///		when the staking account is not null
 ///			fails to stake when msg.sender is not the stakingAccount
 ///			successfully stakes
+///		when the staker is a contract wallet
+///			successfully stakes with the wallet as staker
+///			successfully stakes when the wallet is the stakingAccount
+///
+/// StakeBatch
+///		fails to stake when there are no amounts
+///		fails to stake when the number of beneficiaries does not match
+///		fails to stake when the number of hashLocks does not match
+///		fails to stake when the staker has not approved it to transfer at least the total amount
+///		fails to stake when an amount is not > 0
+///		fails to stake when a beneficiary is null
+///		fails to stake when a hashLock is empty
+///		successfully stakes for all beneficiaries with consecutive nonces
+///
+/// ApproveStakingAccount
+///		fails to approve when the staking account is null
+///		successfully approves
+///
+/// StakeFor
+///		fails to stake when the staker has not approved the staking account
+///		fails to stake with a hash lock the staker has not approved
+///		fails to stake when msg.sender is not the stakingAccount
+///		fails to stake when the staker is null
+///		fails to stake when amount is not > 0
+///		fails to stake when the utility token does not have a staking account
+///		successfully stakes for the staker
+///		fails to stake more than the staker approved
+///		successfully stakes for a contract wallet staker
+///
+/// SetStakeLimits
+///		fails to set by non-registrar
+///		fails to set when the utility token is not registered
+///		fails to set when minStakeST is not <= maxStakeST
+///		fails to set when minStakeST is not <= maxTotalStakeST
+///		successfully sets
+///		fails to stake when amount is not >= minStakeST
+///		fails to stake when amount is not <= maxStakeST
+///		fails to stake when the total staked would not be <= maxTotalStakeST
+///		fails to batch stake when the total staked would not be <= maxTotalStakeST
+///		successfully stakes up to maxTotalStakeST
+///		successfully removes the limits
+///
+/// ConversionRateChange
+///		fails to schedule by non-registrar
+///		fails to schedule when the utility token is not registered
+///		fails to schedule when conversionRate is not > 0
+///		fails to schedule when the activation height is sooner than blocksToWaitLong
+///		successfully schedules
+///		fails to activate before the activation height
+///		successfully stakes at the current conversion rate before the activation height
+///		successfully activates at the activation height
+///		successfully stakes at the new conversion rate
+///		successfully processes a stake declared at the previous conversion rate
+///		successfully confirms a redemption intent at the previous conversion rate during the long wait after the activation
+///		successfully confirms a redemption intent at the new conversion rate
+///		fails to confirm a redemption intent at the previous conversion rate after the long wait
+///
+/// ConversionRateDecimals
+///		successfully registers with MAX_CONVERSION_RATE_DECIMALS
+///		successfully stakes without dust
+///		successfully stakes rounding amountUT down with the dust in the event
+///
+/// Pause
+///		fails to pause by non-admin
+///		fails to pause when the utility token is not registered
+///		successfully pauses staking
+///		fails to stake when staking is paused
+///		successfully processes a stake declared before the pause
+///		successfully pauses unstaking
+///		fails to confirm redemption intent when unstaking is paused
+///		successfully unpauses
+///
+/// Freeze
+///		fails to freeze by non-guardian
+///		successfully freezes
+///		successfully processes a stake declared before the freeze
+///		successfully processes an unstake confirmed before the freeze
+///		fails to stake when frozen
+///		fails to confirm redemption intent when frozen
+///		successfully reverts an expired stake when frozen
+///		successfully stakes after unfreezing
+///
+/// StakeFee
+///		fails to set by non-registrar
+///		fails to set when the utility token is not registered
+///		fails to set when feeBasisPoints is not < FEE_BASIS_POINTS_DENOMINATOR
+///		successfully sets
+///		fails to stake when the fee is not < amount
+///		successfully stakes net of the fee
+///		successfully collects the fee on processStaking
+///		successfully refunds the fee on revertStaking
+///		fails to confirm redemption intent when the fee does not match the redemptionIntentHash
+///		fails to withdraw by non-registrar
+///		fails to withdraw more than the fees collected
+///		successfully withdraws
+///
+/// StakingReward
+///		fails to add when the reward is not > 0
+///		fails to add by non-staker
+///		successfully adds
+///		successfully tops up
+///		successfully credits the reward to the relayer on processStaking
+///		fails to add when the stake is processed
+///		fails to withdraw when no rewards are credited
+///		fails to withdraw to null
+///		successfully withdraws
+///		successfully refunds the reward on revertStaking
+///
+/// ReceiveApproval
+///		fails to stake when msg.sender is not the value token
+///		fails to stake when extra data is not the uuid, beneficiary and hashLock
+///		fails to stake when amount is not > 0
+///		fails to stake when the beneficiary is null
+///		fails to stake when the hashLock is empty
+///		fails to stake when the staker is not the stakingAccount
+///		successfully stakes with approveAndCall in a single transaction
 ///
 /// ProcessStaking
 ///		fails to process when stakingIntentHash is empty
-///		fails to process when msg.sender is not staker or registrar
-///		successfully processes
+///		fails to process when the unlock secret does not match the hashLock
+///		successfully processes by anyone with the unlock secret
 ///		fails to reprocess
 ///
 /// ProcessStaking with fallback
@@ -76,22 +210,59 @@ const BigNumber = require('bignumber.js');
 /// 		fails to confirm when utility token does not have a simpleStake address
 /// 		fails to confirm when amountUT is not > 0
 /// 		fails to confirm when redemptionUnlockHeight is not > 0
+/// 		fails to confirm when hashLock is empty
 /// 		fails to confirm when redemptionIntentHash is empty
 /// 		fails to confirm when nonce is not exactly 1 greater than previously
 /// 		fails to confirm when redemptionIntentHash does not match calculated hash
-/// 		fails to confirm when token balance of stake is not >= amountST
 ///			successfully confirms
 ///			fails to confirm a replay
-/// 		fails to confirm when amountUT does not convert into at least 1 STWei // Fails
+/// 		fails to confirm when amountST is not > 0
+///
+/// ConfirmRedemptionIntentWithProof
+/// 		fails to confirm when the proof does not match the redemption intent
+/// 		fails to confirm when OpenSTUtility is not proven at block height
+/// 		fails to confirm when nonce is not exactly 1 greater than previously
+///			successfully confirms by non-registrar
+///			fails to confirm a replay
+///			fails to confirm with an earlier proof once the redemption unlocked on the utility chain
 ///
 /// ProcessUnstaking
 /// 	when expirationHeight is > block number
 /// 		fails to process when redemptionIntentHash is empty
 /// 		fails to process when redeemer is not msg.sender
 /// 		fails to process when utility token does not have a simpleStake address
+/// 		fails to process when the unlock secret does not match the hashLock
 ///			successfully processes
 ///			fails to reprocess
 /// 	when expirationHeight is < block number // TBD: how or where to test this practically
+/// 	when the simple stake is short of amountST
+/// 		successfully confirms
+/// 		successfully processes a first tranche
+/// 		fails to process when the simple stake is empty
+/// 		fails to revert after a first tranche
+/// 		successfully processes the remainder after expirationHeight
+/// 		fails to reprocess
+///
+/// ProcessUnstakingWithSignature
+/// 	fails to process when redemptionIntentHash is empty
+/// 	fails to process when the signature is not by the redeemer
+/// 	fails to process when the unlock secret does not match the hashLock
+///		successfully processes by relayer
+///		fails to reprocess
+///
+/// RegistrarTransfer
+/// 	fails to initiate by non-admin
+/// 	fails to initiate to null address or to the registrar
+/// 	successfully initiates
+/// 	fails to initiate while a transfer is initiated
+/// 	fails to revoke by non-admin
+/// 	successfully revokes
+/// 	fails to revoke or complete when no transfer is initiated
+/// 	fails to complete by non-proposed registrar
+/// 	fails to complete before the waiting period ends
+/// 	successfully completes after the waiting period
+/// 	fails to register by the previous registrar
+/// 	successfully registers by the new registrar
 ///
 
 contract('OpenSTValue', function(accounts) {
@@ -104,6 +275,8 @@ contract('OpenSTValue', function(accounts) {
 	const name = "Simple Token";
 	const conversionRateDecimals = 5;
 	const conversionRate = new BigNumber(10 * 10**conversionRateDecimals); // conversion rate => 10
+	const unlockSecret = web3.sha3("unlock secret");
+	const hashLock = Utils.hashLock(unlockSecret);
 	
 	var valueToken  = null;
 	var openSTValue = null;
@@ -115,6 +288,11 @@ contract('OpenSTValue', function(accounts) {
 	var stake = null;
 	var nonce = null;
 
+	/// @dev StakingIntentDeclared is emitted by OpenSTValue when staking through another contract
+	const stakingIntentDeclaredEvent = (receipt) => {
+		return Utils.decodeLogs(openSTValue.abi, receipt.logs.filter((log) => log.address == openSTValue.address))[0];
+	}
+
 	describe('Properties', async () => {
 		before(async () => {
 	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
@@ -133,162 +311,1146 @@ contract('OpenSTValue', function(accounts) {
 		it('has registrar', async () => {
 			assert.equal(await openSTValue.registrar.call(), registrar);
 		})
+
+		it('has blocksToWaitLong', async () => {
+			assert.equal(await openSTValue.blocksToWaitLong.call(), 8);
+		})
+
+		it('has blocksToWaitShort', async () => {
+			assert.equal(await openSTValue.blocksToWaitShort.call(), 5);
+		})
+
+		it('has blocksToWaitForRegistrarTransfer', async () => {
+			assert.equal(await openSTValue.blocksToWaitForRegistrarTransfer.call(), 3);
+		})
+	})
+
+	describe('Construction', async () => {
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	    })
+
+		it('fails to construct when blocksToWaitShort is not >= MIN_BLOCKS_TO_WAIT_SHORT', async () => {
+            await Utils.expectThrow(OpenSTValue.new(chainIdValue, valueToken.address, registrar, 80667, 4, 80667));
+		})
+
+		it('fails to construct when blocksToWaitShort is not < blocksToWaitLong', async () => {
+            await Utils.expectThrow(OpenSTValue.new(chainIdValue, valueToken.address, registrar, 240, 240, 80667));
+		})
+
+		it('fails to construct when blocksToWaitLong is not <= MAX_BLOCKS_TO_WAIT_LONG', async () => {
+            await Utils.expectThrow(OpenSTValue.new(chainIdValue, valueToken.address, registrar, 2419201, 240, 80667));
+		})
+
+		it('fails to construct when blocksToWaitShort is not < blocksToWaitLong of the utility chain', async () => {
+            await Utils.expectThrow(OpenSTValue.new(chainIdValue, valueToken.address, registrar, 80667, 240, 240));
+		})
+
+		it('successfully constructs with waits for 15s blocks', async () => {
+			openSTValue = await OpenSTValue.new(chainIdValue, valueToken.address, registrar, 80667, 240, 80667);
+			assert.equal(await openSTValue.blocksToWaitLong.call(), 80667);
+			assert.equal(await openSTValue.blocksToWaitShort.call(), 240);
+			// the registrar transfer waits about a week, independently of blocksToWaitLong
+			assert.equal(await openSTValue.blocksToWaitForRegistrarTransfer.call(), 40320);
+		})
+
+		it('successfully constructs with waits for 3s blocks', async () => {
+			openSTValue = await OpenSTValue.new(chainIdValue, valueToken.address, registrar, 403335, 1200, 403335);
+			assert.equal(await openSTValue.blocksToWaitLong.call(), 403335);
+			assert.equal(await openSTValue.blocksToWaitShort.call(), 1200);
+			assert.equal(await openSTValue.blocksToWaitForRegistrarTransfer.call(), 40320);
+		})
+	})
+
+	describe('AddCore', async () => {
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+	    })
+
+		it('fails to add core by non-registrar', async () => {
+    	await Utils.expectThrow(openSTValue.addCore(core.address, { from: accounts[0] }));
+		})
+
+		it('fails to add core by registrar when core is null', async () => {
+      await Utils.expectThrow(openSTValue.addCore(0, { from: registrar }));
+		})
+
+		it('fails to add core when registrar != core.registrar', async () => {
+			var badCore = await Core.new(accounts[0], chainIdValue, chainIdRemote, openSTRemote);
+            await Utils.expectThrow(openSTValue.addCore(badCore.address, { from: registrar }));
+		})
+
+		it('successfully adds core', async () => {
+            assert.equal(await openSTValue.addCore.call(core.address, { from: registrar }), true);
+            await openSTValue.addCore(core.address, { from: registrar });
+		})
+
+		it('fails to add core if already exists', async () => {
+            await Utils.expectThrow(openSTValue.addCore(core.address, { from: registrar }));
+		})
+	})
+
+	describe('RegisterUtilityToken', async () => {
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+          await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+	    })
+
+		it('fails to register by non-registrar', async () => {
+            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: accounts[0] }));
+		})
+
+		it('fails to register when name is empty', async () => {
+            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, "", conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		})
+
+		it('fails to register when symbol is empty', async () => {
+            await Utils.expectThrow(openSTValue.registerUtilityToken("", name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		})
+
+		it('fails to register when conversion rate is not > 0', async () => {
+            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, 0, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		})
+
+		it('fails to register when conversionRateDecimals is not <= MAX_CONVERSION_RATE_DECIMALS', async () => {
+        	var uuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, 19);
+            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, 19, chainIdRemote, 0, uuid, { from: registrar }));
+		})
+
+		it('fails to register when the given UUID does not match the calculated hash', async () => {
+            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, "bad checkUuid", { from: registrar }));
+		})
+
+		it('successfully registers', async () => {
+			assert.equal(await openSTValue.getUuidsSize.call(), 0);
+            assert.equal(await openSTValue.registerUtilityToken.call(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }), checkUuid);
+            result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+
+            // Stake address is returned by UtilityTokenRegistered but verified below rather than by checkUtilityTokenRegisteredEvent
+            OpenSTValue_utils.checkUtilityTokenRegisteredEvent(result.logs[0], checkUuid, symbol, name, 18, conversionRate, chainIdRemote, 0);
+            var simpleStake = new SimpleStake(result.logs[0].args.stake);
+            assert.equal(await simpleStake.uuid.call(), checkUuid);
+            assert.equal(await simpleStake.eip20Token.call(), valueToken.address);
+			assert.equal(await openSTValue.getUuidsSize.call(), 1);
+			assert.equal((await openSTValue.utilityTokens.call(checkUuid))[0], symbol);
+		})
+
+		it('fails to register if already exists', async () => {
+            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		})
+	})
+
+	describe('Stake', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		context('when the staking account is null', async () => {
+			before(async () => {
+		        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+		        valueToken  = contracts.valueToken;
+		        openSTValue = contracts.openSTValue;
+	        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+	            await openSTValue.addCore(core.address, { from: registrar });
+		    })
+
+			it('fails to stake when amount is not > 0', async () => {
+	            await Utils.expectThrow(openSTValue.stake(checkUuid, 0, accounts[0], hashLock, { from: accounts[0] }));
+			})
+
+			it('fails to stake when the staker has not approved it to transfer at least the amount', async () => {
+	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] }));
+			})
+
+			it('fails to stake when the SimpleStake address for the given UUID is null', async () => {
+				await valueToken.approve(openSTValue.address, amountST, { from: accounts[0] });
+	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] }));
+			})
+
+			it('fails to stake when the beneficiary is null', async () => {
+	        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+				await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });        	
+	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, 0, hashLock, { from: accounts[0] }));
+			})
+
+			it('fails to stake when the hashLock is empty', async () => {
+	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], "", { from: accounts[0] }));
+			})
+
+			it('successfully stakes', async () => {
+	            var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+	            var amountUT = stakeReturns[0].toNumber();
+	            nonce = stakeReturns[1].toNumber();
+
+    			// call block number is one less than send block number
+	            var unlockHeight = stakeReturns[2].plus(1);
+	            stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[0], amountST, amountUT, 0, unlockHeight, hashLock);
+	            result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+
+	            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, accounts[0], nonce, accounts[0],
+								amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+			})
+		})
+
+		context('when the staking account is not null', async () => {
+
+			before(async () => {
+		        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+		        valueToken  = contracts.valueToken;
+		        openSTValue = contracts.openSTValue;
+	        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+	            await openSTValue.addCore(core.address, { from: registrar });
+	        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+						await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, accounts[0], checkUuid, { from: registrar });
+						await valueToken.approve(openSTValue.address,amountST, { from: accounts[0] });
+		    })
+
+			it('fails to stake when msg.sender is not the stakingAccount', async () => {
+	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[1] }));
+			})
+
+			it('successfully stakes', async () => {
+	            var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+	            var amountUT = stakeReturns[0].toNumber();
+	            nonce = stakeReturns[1].toNumber();
+
+    			    // call block number is one less than send block number
+	            var unlockHeight = stakeReturns[2].plus(1);
+	            stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[0], amountST, amountUT, 0, unlockHeight, hashLock);
+	            result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+
+	            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, accounts[0], nonce, accounts[0],
+								amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+			})
+		})
+
+		context('when the staker is a contract wallet', async () => {
+			var wallet = null;
+
+			before(async () => {
+		        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+		        valueToken  = contracts.valueToken;
+		        openSTValue = contracts.openSTValue;
+	        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+	            await openSTValue.addCore(core.address, { from: registrar });
+	        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+				wallet = await StakingWalletMock.new(openSTValue.address);
+				await valueToken.transfer(wallet.address, amountST.mul(2), { from: accounts[0] });
+				await wallet.approve(amountST.mul(2), { from: accounts[2] });
+		    })
+
+			it('successfully stakes with the wallet as staker', async () => {
+				await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+				var amountUT = amountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+				nonce = await openSTValue.getNextNonce.call(wallet.address);
+
+				// the transaction is sent by an account that does not hold any Simple Token
+				result = await wallet.stake(checkUuid, amountST, accounts[3], hashLock, { from: accounts[2] });
+				var event = stakingIntentDeclaredEvent(result.receipt);
+				var unlockHeight = event.args._unlockHeight;
+				stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, wallet.address, nonce, accounts[3], amountST, amountUT, 0, unlockHeight, hashLock);
+
+	            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(event, checkUuid, wallet.address, nonce, accounts[3],
+								amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+				assert.equal((await openSTValue.stakes.call(stakingIntentHash))[1], wallet.address);
+				assert.equal((await openSTValue.getNextNonce.call(wallet.address)).toNumber(), nonce.plus(1).toNumber());
+				assert.equal((await openSTValue.getNextNonce.call(accounts[2])).toNumber(), 1);
+			})
+
+			it('successfully stakes when the wallet is the stakingAccount', async () => {
+	        	checkUuid = await openSTValue.hashUuid.call("ST2", name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+				await openSTValue.registerUtilityToken("ST2", name, conversionRate, conversionRateDecimals, chainIdRemote, wallet.address, checkUuid, { from: registrar });
+				nonce = await openSTValue.getNextNonce.call(wallet.address);
+
+				result = await wallet.stake(checkUuid, amountST, accounts[3], hashLock, { from: accounts[2] });
+				var event = stakingIntentDeclaredEvent(result.receipt);
+				assert.equal(event.args._staker, wallet.address);
+				assert.equal(event.args._stakerNonce.toNumber(), nonce.toNumber());
+			})
+		})
+	})
+
+	describe('StakeBatch', async () => {
+		const amountsST 	= [new BigNumber(web3.toWei(1, "ether")), new BigNumber(web3.toWei(2, "ether")), new BigNumber(web3.toWei(3, "ether"))];
+		const totalAmountST = amountsST[0].plus(amountsST[1]).plus(amountsST[2]);
+		const beneficiaries = [accounts[5], accounts[6], accounts[7]];
+		const hashLocks 	= [1, 2, 3].map((i) => Utils.hashLock(web3.sha3("unlock secret " + i)));
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+	    })
+
+		it('fails to stake when there are no amounts', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, [], [], [], { from: accounts[0] }));
+		})
+
+		it('fails to stake when the number of beneficiaries does not match', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, amountsST, beneficiaries.slice(1), hashLocks, { from: accounts[0] }));
+		})
+
+		it('fails to stake when the number of hashLocks does not match', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, amountsST, beneficiaries, hashLocks.slice(1), { from: accounts[0] }));
+		})
+
+		it('fails to stake when the staker has not approved it to transfer at least the total amount', async () => {
+			await valueToken.approve(openSTValue.address, totalAmountST.minus(1), { from: accounts[0] });
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, amountsST, beneficiaries, hashLocks, { from: accounts[0] }));
+			await valueToken.approve(openSTValue.address, totalAmountST, { from: accounts[0] });
+		})
+
+		it('fails to stake when an amount is not > 0', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, [amountsST[0], 0, amountsST[2]], beneficiaries, hashLocks, { from: accounts[0] }));
+		})
+
+		it('fails to stake when a beneficiary is null', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, amountsST, [beneficiaries[0], 0, beneficiaries[2]], hashLocks, { from: accounts[0] }));
+		})
+
+		it('fails to stake when a hashLock is empty', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, amountsST, beneficiaries, [hashLocks[0], "", hashLocks[2]], { from: accounts[0] }));
+		})
+
+		it('successfully stakes for all beneficiaries with consecutive nonces', async () => {
+			var openSTValueBal = await valueToken.balanceOf.call(openSTValue.address);
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			var stakingIntentHashes = await openSTValue.stakeBatch.call(checkUuid, amountsST, beneficiaries, hashLocks, { from: accounts[0] });
+			result = await openSTValue.stakeBatch(checkUuid, amountsST, beneficiaries, hashLocks, { from: accounts[0] });
+
+			assert.equal(result.logs.length, 3);
+			for (var i = 0; i < 3; i++) {
+				var amountUT = amountsST[i].mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+				var unlockHeight = result.logs[i].args._unlockHeight;
+				stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce.plus(i), beneficiaries[i], amountsST[i], amountUT, 0, unlockHeight, hashLocks[i]);
+				// call block number is one less than send block number
+				assert.equal(stakingIntentHashes[i], await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce.plus(i), beneficiaries[i], amountsST[i], amountUT, 0, unlockHeight.minus(1), hashLocks[i]));
+	            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[i], checkUuid, accounts[0], nonce.plus(i), beneficiaries[i],
+								amountsST[i], amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+				assert.equal(result.logs[i].args._hashLock, hashLocks[i]);
+				assert.equal((await openSTValue.stakes.call(stakingIntentHash))[1], accounts[0]);
+			}
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), openSTValueBal.plus(totalAmountST).toNumber());
+		})
+	})
+
+	describe('ApproveStakingAccount', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        openSTValue = contracts.openSTValue;
+	    })
+
+		it('fails to approve when the staking account is null', async () => {
+            await Utils.expectThrow(openSTValue.approveStakingAccount(0, amountST, hashLock, { from: accounts[0] }));
+		})
+
+		it('successfully approves', async () => {
+			assert.ok(await openSTValue.approveStakingAccount.call(accounts[2], amountST, hashLock, { from: accounts[0] }));
+			result = await openSTValue.approveStakingAccount(accounts[2], amountST, hashLock, { from: accounts[0] });
+
+			assert.equal(result.logs[0].event, "StakingAccountApproved");
+			assert.equal(result.logs[0].args._staker, accounts[0]);
+			assert.equal(result.logs[0].args._stakingAccount, accounts[2]);
+			assert.equal(result.logs[0].args._amountST.toNumber(), amountST.toNumber());
+			assert.equal(result.logs[0].args._hashLock, hashLock);
+			assert.equal((await openSTValue.stakingAccountAllowances.call(accounts[0], accounts[2])).toNumber(), amountST.toNumber());
+			assert.equal(await openSTValue.stakingAccountHashLocks.call(accounts[0], accounts[2]), hashLock);
+		})
+	})
+
+	describe('StakeFor', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		const stakingAccount = accounts[2];
+		var uuidWithoutStakingAccount = null;
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, stakingAccount, checkUuid, { from: registrar });
+        	uuidWithoutStakingAccount = await openSTValue.hashUuid.call("ST2", name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken("ST2", name, conversionRate, conversionRateDecimals, chainIdRemote, 0, uuidWithoutStakingAccount, { from: registrar });
+			await valueToken.approve(openSTValue.address, amountST.mul(2), { from: accounts[0] });
+	    })
+
+		it('fails to stake when the staker has not approved the staking account', async () => {
+            await Utils.expectThrow(openSTValue.stakeFor(accounts[0], checkUuid, amountST, accounts[3], hashLock, { from: stakingAccount }));
+			await openSTValue.approveStakingAccount(stakingAccount, amountST, hashLock, { from: accounts[0] });
+		})
+
+		it('fails to stake with a hash lock the staker has not approved', async () => {
+			// the staking account would know the unlock secret of its own hash lock
+			var stakingAccountHashLock = Utils.hashLock(web3.sha3("staking account unlock secret"));
+            await Utils.expectThrow(openSTValue.stakeFor(accounts[0], checkUuid, amountST, accounts[3], stakingAccountHashLock, { from: stakingAccount }));
+		})
+
+		it('fails to stake when msg.sender is not the stakingAccount', async () => {
+			await openSTValue.approveStakingAccount(accounts[5], amountST, hashLock, { from: accounts[0] });
+            await Utils.expectThrow(openSTValue.stakeFor(accounts[0], checkUuid, amountST, accounts[3], hashLock, { from: accounts[5] }));
+		})
+
+		it('fails to stake when the staker is null', async () => {
+            await Utils.expectThrow(openSTValue.stakeFor(0, checkUuid, amountST, accounts[3], hashLock, { from: stakingAccount }));
+		})
+
+		it('fails to stake when amount is not > 0', async () => {
+            await Utils.expectThrow(openSTValue.stakeFor(accounts[0], checkUuid, 0, accounts[3], hashLock, { from: stakingAccount }));
+		})
+
+		it('fails to stake when the utility token does not have a staking account', async () => {
+            await Utils.expectThrow(openSTValue.stakeFor(accounts[0], uuidWithoutStakingAccount, amountST, accounts[3], hashLock, { from: accounts[5] }));
+		})
+
+		it('successfully stakes for the staker', async () => {
+			var amountUT = amountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			result = await openSTValue.stakeFor(accounts[0], checkUuid, amountST, accounts[3], hashLock, { from: stakingAccount });
+			var unlockHeight = result.logs[0].args._unlockHeight;
+			stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[3], amountST, amountUT, 0, unlockHeight, hashLock);
+
+            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, accounts[0], nonce, accounts[3],
+							amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+			assert.equal((await openSTValue.stakes.call(stakingIntentHash))[1], accounts[0]);
+			assert.equal((await openSTValue.stakingAccountAllowances.call(accounts[0], stakingAccount)).toNumber(), 0);
+			assert.equal(await openSTValue.stakingAccountHashLocks.call(accounts[0], stakingAccount), "0x0000000000000000000000000000000000000000000000000000000000000000");
+			assert.equal((await openSTValue.getNextNonce.call(stakingAccount)).toNumber(), 1);
+		})
+
+		it('fails to stake more than the staker approved', async () => {
+            await Utils.expectThrow(openSTValue.stakeFor(accounts[0], checkUuid, amountST, accounts[3], hashLock, { from: stakingAccount }));
+		})
+
+		it('successfully stakes for a contract wallet staker', async () => {
+			var wallet = await StakingWalletMock.new(openSTValue.address);
+			await valueToken.transfer(wallet.address, amountST, { from: accounts[0] });
+			await wallet.approve(amountST, { from: accounts[2] });
+			await wallet.approveStakingAccount(stakingAccount, amountST, hashLock, { from: accounts[2] });
+
+			result = await openSTValue.stakeFor(wallet.address, checkUuid, amountST, accounts[3], hashLock, { from: stakingAccount });
+			assert.equal(result.logs[0].args._staker, wallet.address);
+			assert.equal(result.logs[0].args._stakerNonce.toNumber(), 1);
+			assert.equal((await valueToken.balanceOf.call(wallet.address)).toNumber(), 0);
+		})
+	})
+
+	describe('SetStakeLimits', async () => {
+		const minStakeST = new BigNumber(web3.toWei(1, "ether"));
+		const maxStakeST = new BigNumber(web3.toWei(3, "ether"));
+		const maxTotalStakeST = new BigNumber(web3.toWei(5, "ether"));
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await valueToken.approve(openSTValue.address, maxTotalStakeST.mul(2), { from: accounts[0] });
+	    })
+
+		it('fails to set by non-registrar', async () => {
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+            await Utils.expectThrow(openSTValue.setStakeLimits(checkUuid, minStakeST, maxStakeST, maxTotalStakeST, { from: accounts[0] }));
+		})
+
+		it('fails to set when the utility token is not registered', async () => {
+            await Utils.expectThrow(openSTValue.setStakeLimits("bad uuid", minStakeST, maxStakeST, maxTotalStakeST, { from: registrar }));
+		})
+
+		it('fails to set when minStakeST is not <= maxStakeST', async () => {
+            await Utils.expectThrow(openSTValue.setStakeLimits(checkUuid, maxStakeST.plus(1), maxStakeST, 0, { from: registrar }));
+		})
+
+		it('fails to set when minStakeST is not <= maxTotalStakeST', async () => {
+            await Utils.expectThrow(openSTValue.setStakeLimits(checkUuid, maxTotalStakeST.plus(1), 0, maxTotalStakeST, { from: registrar }));
+		})
+
+		it('successfully sets', async () => {
+			assert.ok(await openSTValue.setStakeLimits.call(checkUuid, minStakeST, maxStakeST, maxTotalStakeST, { from: registrar }));
+			result = await openSTValue.setStakeLimits(checkUuid, minStakeST, maxStakeST, maxTotalStakeST, { from: registrar });
+
+			assert.equal(result.logs[0].event, "StakeLimitsSet");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._minStakeST.toNumber(), minStakeST.toNumber());
+			assert.equal(result.logs[0].args._maxStakeST.toNumber(), maxStakeST.toNumber());
+			assert.equal(result.logs[0].args._maxTotalStakeST.toNumber(), maxTotalStakeST.toNumber());
+
+			var stakeLimits = await openSTValue.stakeLimits.call(checkUuid);
+			assert.equal(stakeLimits[0].toNumber(), minStakeST.toNumber());
+			assert.equal(stakeLimits[1].toNumber(), maxStakeST.toNumber());
+			assert.equal(stakeLimits[2].toNumber(), maxTotalStakeST.toNumber());
+		})
+
+		it('fails to stake when amount is not >= minStakeST', async () => {
+            await Utils.expectThrow(openSTValue.stake(checkUuid, minStakeST.minus(1), accounts[0], hashLock, { from: accounts[0] }));
+		})
+
+		it('fails to stake when amount is not <= maxStakeST', async () => {
+            await Utils.expectThrow(openSTValue.stake(checkUuid, maxStakeST.plus(1), accounts[0], hashLock, { from: accounts[0] }));
+		})
+
+		it('fails to stake when the total staked would not be <= maxTotalStakeST', async () => {
+			// pending stake
+			await openSTValue.stake(checkUuid, maxStakeST, accounts[0], hashLock, { from: accounts[0] });
+			// processed stake
+			result = await openSTValue.stake(checkUuid, minStakeST, accounts[0], hashLock, { from: accounts[0] });
+			await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: accounts[0] });
+
+            await Utils.expectThrow(openSTValue.stake(checkUuid, minStakeST.plus(1), accounts[0], hashLock, { from: accounts[0] }));
+		})
+
+		it('fails to batch stake when the total staked would not be <= maxTotalStakeST', async () => {
+            await Utils.expectThrow(openSTValue.stakeBatch(checkUuid, [minStakeST, minStakeST], [accounts[0], accounts[0]],
+            	[hashLock, hashLock], { from: accounts[0] }));
+		})
+
+		it('successfully stakes up to maxTotalStakeST', async () => {
+			result = await openSTValue.stake(checkUuid, minStakeST, accounts[0], hashLock, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "StakingIntentDeclared");
+		})
+
+		it('successfully removes the limits', async () => {
+			await openSTValue.setStakeLimits(checkUuid, 0, 0, 0, { from: registrar });
+			result = await openSTValue.stake(checkUuid, maxStakeST.plus(1), accounts[0], hashLock, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "StakingIntentDeclared");
+		})
 	})
 
-	describe('AddCore', async () => {
-		before(async () => {
-	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
-	        openSTValue = contracts.openSTValue;
-        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
-	    })
+	describe('ConversionRateChange', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		const newConversionRateDecimals = 2;
+		const newConversionRate = new BigNumber(25 * 10**newConversionRateDecimals); // conversion rate => 25
+		var activationHeight = null;
+		var previousStakingIntentHash = null;
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+			openSTValue = await OpenSTValueMock.new(chainIdValue, valueToken.address, registrar);
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await valueToken.approve(openSTValue.address, amountST.mul(3), { from: accounts[0] });
+	    })
+
+		it('fails to schedule by non-registrar', async () => {
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			activationHeight = web3.eth.blockNumber + 20;
+            await Utils.expectThrow(openSTValue.scheduleConversionRateChange(checkUuid, newConversionRate, newConversionRateDecimals, activationHeight, { from: accounts[0] }));
+		})
+
+		it('fails to schedule when the utility token is not registered', async () => {
+            await Utils.expectThrow(openSTValue.scheduleConversionRateChange("bad uuid", newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar }));
+		})
+
+		it('fails to schedule when conversionRate is not > 0', async () => {
+            await Utils.expectThrow(openSTValue.scheduleConversionRateChange(checkUuid, 0, newConversionRateDecimals, activationHeight, { from: registrar }));
+		})
+
+		it('fails to schedule when the activation height is sooner than blocksToWaitLong', async () => {
+			var blocksToWaitLong = await openSTValue.blocksToWaitLong.call();
+            await Utils.expectThrow(openSTValue.scheduleConversionRateChange(checkUuid, newConversionRate, newConversionRateDecimals,
+            	blocksToWaitLong.plus(web3.eth.blockNumber), { from: registrar }));
+		})
+
+		it('successfully schedules', async () => {
+			assert.ok(await openSTValue.scheduleConversionRateChange.call(checkUuid, newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar }));
+			result = await openSTValue.scheduleConversionRateChange(checkUuid, newConversionRate, newConversionRateDecimals, activationHeight, { from: registrar });
+
+			assert.equal(result.logs[0].event, "ConversionRateChangeScheduled");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._conversionRate.toNumber(), newConversionRate.toNumber());
+			assert.equal(result.logs[0].args._conversionRateDecimals.toNumber(), newConversionRateDecimals);
+			assert.equal(result.logs[0].args._activationHeight.toNumber(), activationHeight);
+
+			var conversionRateChange = await openSTValue.conversionRateChanges.call(checkUuid);
+			assert.equal(conversionRateChange[0].toNumber(), newConversionRate.toNumber());
+			assert.equal(conversionRateChange[1].toNumber(), newConversionRateDecimals);
+			assert.equal(conversionRateChange[2].toNumber(), activationHeight);
+		})
+
+		it('fails to activate before the activation height', async () => {
+            await Utils.expectThrow(openSTValue.activateConversionRate(checkUuid, { from: accounts[0] }));
+		})
+
+		it('successfully stakes at the current conversion rate before the activation height', async () => {
+			var amountUT = amountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			previousStakingIntentHash = result.logs[0].args._stakingIntentHash;
+
+			assert.equal(result.logs[0].args._amountUT.toNumber(), amountUT.toNumber());
+		})
+
+		it('successfully activates at the activation height', async () => {
+			// mine blocks until the activation height
+			while (web3.eth.blockNumber + 1 < activationHeight) {
+				await valueToken.approve(openSTValue.address, amountST.mul(3), { from: accounts[0] });
+			}
+
+			result = await openSTValue.activateConversionRate(checkUuid, { from: accounts[0] });
+
+			assert.equal(result.logs[0].event, "ConversionRateActivated");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._conversionRate.toNumber(), newConversionRate.toNumber());
+			assert.equal(result.logs[0].args._conversionRateDecimals.toNumber(), newConversionRateDecimals);
+
+			var utilityToken = await openSTValue.utilityTokens.call(checkUuid);
+			assert.equal(utilityToken[2].toNumber(), newConversionRate.toNumber());
+			assert.equal(utilityToken[3].toNumber(), newConversionRateDecimals);
+			assert.equal((await openSTValue.conversionRateChanges.call(checkUuid))[2].toNumber(), 0);
+			var previousConversionRate = await openSTValue.previousConversionRates.call(checkUuid);
+			assert.equal(previousConversionRate[0].toNumber(), conversionRate);
+			assert.equal(previousConversionRate[1].toNumber(), conversionRateDecimals);
+			assert.equal(previousConversionRate[2].toNumber(), activationHeight);
+			// the uuid is stable across conversion rate changes
+			assert.equal((await openSTValue.uuids.call(0)), checkUuid);
+		})
+
+		it('successfully stakes at the new conversion rate', async () => {
+			var amountUT = amountST.mul(newConversionRate).div(new BigNumber(10**newConversionRateDecimals));
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+
+			assert.equal(result.logs[0].args._amountUT.toNumber(), amountUT.toNumber());
+		})
+
+		it('successfully processes a stake declared at the previous conversion rate', async () => {
+			var amountUT = amountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+			result = await openSTValue.processStaking(previousStakingIntentHash, unlockSecret, { from: accounts[0] });
+
+			assert.equal(result.logs[0].event, "ProcessedStake");
+			assert.equal(result.logs[0].args._amountUT.toNumber(), amountUT.toNumber());
+		})
+
+		it('successfully confirms a redemption intent at the previous conversion rate during the long wait after the activation', async () => {
+			var amountUT = conversionRate.div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock);
+			result = await openSTValue.confirmRedemptionIntent(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar });
+
+			assert.equal(result.logs[0].event, "RedemptionIntentConfirmed");
+			assert.equal(result.logs[0].args._amountST.toNumber(), 1);
+		})
+
+		it('successfully confirms a redemption intent at the new conversion rate', async () => {
+			var amountUT = newConversionRate.div(new BigNumber(10**newConversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock);
+			result = await openSTValue.confirmRedemptionIntent(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar });
+
+			assert.equal(result.logs[0].event, "RedemptionIntentConfirmed");
+			assert.equal(result.logs[0].args._amountST.toNumber(), 1);
+		})
+
+		it('fails to confirm a redemption intent at the previous conversion rate after the long wait', async () => {
+			var blocksToWaitLong = await openSTValue.blocksToWaitLong.call();
+			// mine blocks until the long wait after the activation height has passed
+			while (web3.eth.blockNumber + 1 < blocksToWaitLong.plus(activationHeight).toNumber()) {
+				await valueToken.approve(openSTValue.address, amountST.mul(3), { from: accounts[0] });
+			}
+
+			var amountUT = conversionRate.div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar }));
+		})
+	})
+
+	describe('ConversionRateDecimals', async () => {
+		const oneST = new BigNumber(web3.toWei(1, "ether"));
+		// conversion rate => 0.000000000000000003, so 1 ST converts into 3 UTWei
+		const tinyConversionRateDecimals = 18;
+		const tinyConversionRate = new BigNumber(3);
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, tinyConversionRate, tinyConversionRateDecimals);
+			await valueToken.approve(openSTValue.address, oneST.mul(3), { from: accounts[0] });
+	    })
+
+		it('successfully registers with MAX_CONVERSION_RATE_DECIMALS', async () => {
+			assert.equal((await openSTValue.MAX_CONVERSION_RATE_DECIMALS.call()).toNumber(), tinyConversionRateDecimals);
+			result = await openSTValue.registerUtilityToken(symbol, name, tinyConversionRate, tinyConversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			assert.equal(result.logs[0].event, "UtilityTokenRegistered");
+		})
+
+		it('successfully stakes without dust', async () => {
+			result = await openSTValue.stake(checkUuid, oneST, accounts[0], hashLock, { from: accounts[0] });
+
+			assert.equal(result.logs[0].args._amountUT.toNumber(), 3);
+			assert.equal(result.logs[0].args._dustST.toNumber(), 0);
+		})
+
+		it('successfully stakes rounding amountUT down with the dust in the event', async () => {
+			// 1 UTWei takes 333333333333333333.3 STWei
+			var dustST = new BigNumber("333333333333333333");
+			result = await openSTValue.stake(checkUuid, oneST.plus(dustST), accounts[0], hashLock, { from: accounts[0] });
+
+			assert.equal(result.logs[0].args._amountST.toString(10), oneST.plus(dustST).toString(10));
+			assert.equal(result.logs[0].args._amountUT.toNumber(), 3);
+			assert.equal(result.logs[0].args._dustST.toString(10), dustST.toString(10));
+		})
+	})
+
+	describe('Pause', async () => {
+		const admin = accounts[3];
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+	        await openSTValue.setAdminAddress(admin, { from: accounts[0] });
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			await valueToken.approve(openSTValue.address, amountST.mul(2), { from: accounts[0] });
+	    })
+
+		it('fails to pause by non-admin', async () => {
+            await Utils.expectThrow(openSTValue.setStakingPaused(checkUuid, true, { from: accounts[0] }));
+            await Utils.expectThrow(openSTValue.setUnstakingPaused(checkUuid, true, { from: registrar }));
+		})
+
+		it('fails to pause when the utility token is not registered', async () => {
+            await Utils.expectThrow(openSTValue.setStakingPaused("bad uuid", true, { from: admin }));
+            await Utils.expectThrow(openSTValue.setUnstakingPaused("bad uuid", true, { from: admin }));
+		})
+
+		it('successfully pauses staking', async () => {
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			stakingIntentHash = result.logs[0].args._stakingIntentHash;
+
+			assert.ok(await openSTValue.setStakingPaused.call(checkUuid, true, { from: admin }));
+			result = await openSTValue.setStakingPaused(checkUuid, true, { from: admin });
+
+			assert.equal(result.logs[0].event, "StakingPauseSet");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._paused, true);
+			assert.equal(await openSTValue.stakingPaused.call(checkUuid), true);
+			assert.equal(await openSTValue.unstakingPaused.call(checkUuid), false);
+		})
+
+		it('fails to stake when staking is paused', async () => {
+            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] }));
+		})
+
+		it('successfully processes a stake declared before the pause', async () => {
+			result = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "ProcessedStake");
+		})
+
+		it('successfully pauses unstaking', async () => {
+			result = await openSTValue.setUnstakingPaused(checkUuid, true, { from: admin });
+
+			assert.equal(result.logs[0].event, "UnstakingPauseSet");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._paused, true);
+			assert.equal(await openSTValue.unstakingPaused.call(checkUuid), true);
+		})
+
+		it('fails to confirm redemption intent when unstaking is paused', async () => {
+			var amountUT = conversionRate.div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[2]);
+			var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[2], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, accounts[2], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar }));
+		})
+
+		it('successfully unpauses', async () => {
+			await openSTValue.setStakingPaused(checkUuid, false, { from: admin });
+			await openSTValue.setUnstakingPaused(checkUuid, false, { from: admin });
+
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "StakingIntentDeclared");
+		})
+	})
+
+	describe('Freeze', async () => {
+		const admin = accounts[3];
+		const guardian = accounts[5];
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		const amountUT = conversionRate.div(new BigNumber(10**conversionRateDecimals));
+		var revertStakingIntentHash = null;
+		var redemptionIntentHash = null;
+		var unlockHeight = null;
+
+		before(async () => {
+			valueToken = await SimpleTokenApproveAndCallMock.new();
+			await valueToken.setAdminAddress(accounts[1]);
+			await valueToken.finalize({ from: accounts[1] });
+			openSTValue = await OpenSTValueMock.new(chainIdValue, valueToken.address, registrar);
+			await openSTValue.setAdminAddress(admin, { from: accounts[0] });
+			await openSTValue.setGuardianAddress(guardian, { from: admin });
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			await valueToken.approve(openSTValue.address, amountST.mul(3), { from: accounts[0] });
+	    })
+
+		it('fails to freeze by non-guardian', async () => {
+            await Utils.expectThrow(openSTValue.freeze(10, { from: admin }));
+		})
+
+		it('successfully freezes', async () => {
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			stakingIntentHash = result.logs[0].args._stakingIntentHash;
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			revertStakingIntentHash = result.logs[0].args._stakingIntentHash;
+			unlockHeight = result.logs[0].args._unlockHeight;
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock);
+			await openSTValue.confirmRedemptionIntent(checkUuid, accounts[0], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar });
+
+			result = await openSTValue.freeze(40, { from: guardian });
+			assert.equal(result.logs[0].event, "Frozen");
+			assert.ok(await openSTValue.isFrozen.call());
+		})
+
+		it('successfully processes a stake declared before the freeze', async () => {
+			result = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "ProcessedStake");
+		})
+
+		it('successfully processes an unstake confirmed before the freeze', async () => {
+			// the unstake expires after 5 blocks, so it is processed right after the stake funds the simple stake
+			result = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "ProcessedUnstake");
+		})
+
+		it('fails to stake when frozen', async () => {
+            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] }));
+		})
+
+		it('fails to confirm redemption intent when frozen', async () => {
+			nonce = await openSTValue.getNextNonce.call(accounts[2]);
+			var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[2], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, accounts[2], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar }));
+		})
+
+		it('successfully reverts an expired stake when frozen', async () => {
+			// mine blocks until the stake has expired
+			while (web3.eth.blockNumber < unlockHeight.toNumber()) {
+				await valueToken.approve(openSTValue.address, amountST.mul(3), { from: accounts[0] });
+			}
+
+			assert.ok(await openSTValue.isFrozen.call());
+			result = await openSTValue.revertStaking(revertStakingIntentHash, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "RevertedStake");
+		})
+
+		it('successfully stakes after unfreezing', async () => {
+			result = await openSTValue.unfreeze({ from: guardian });
+			assert.equal(result.logs[0].event, "Unfrozen");
+
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "StakingIntentDeclared");
+		})
+	})
+
+	describe('StakeFee', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		// 1%, with a minimum fee of 10 STWei
+		const feeBasisPoints = 100;
+		const minimumFeeST = 10;
+		const feeST = amountST.div(100);
+		var revertStakingIntentHash = null;
+		var unlockHeight = null;
+
+		before(async () => {
+			valueToken = await SimpleTokenApproveAndCallMock.new();
+			await valueToken.setAdminAddress(accounts[1]);
+			await valueToken.finalize({ from: accounts[1] });
+			openSTValue = await OpenSTValueMock.new(chainIdValue, valueToken.address, registrar);
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			await valueToken.approve(openSTValue.address, amountST.mul(2).plus(minimumFeeST), { from: accounts[0] });
+	    })
+
+		it('fails to set by non-registrar', async () => {
+            await Utils.expectThrow(openSTValue.setStakeFee(checkUuid, feeBasisPoints, minimumFeeST, { from: accounts[0] }));
+		})
+
+		it('fails to set when the utility token is not registered', async () => {
+            await Utils.expectThrow(openSTValue.setStakeFee("bad uuid", feeBasisPoints, minimumFeeST, { from: registrar }));
+		})
+
+		it('fails to set when feeBasisPoints is not < FEE_BASIS_POINTS_DENOMINATOR', async () => {
+			var denominator = await openSTValue.FEE_BASIS_POINTS_DENOMINATOR.call();
+            await Utils.expectThrow(openSTValue.setStakeFee(checkUuid, denominator, minimumFeeST, { from: registrar }));
+		})
+
+		it('successfully sets', async () => {
+			assert.ok(await openSTValue.setStakeFee.call(checkUuid, feeBasisPoints, minimumFeeST, { from: registrar }));
+			result = await openSTValue.setStakeFee(checkUuid, feeBasisPoints, minimumFeeST, { from: registrar });
+
+			assert.equal(result.logs[0].event, "StakeFeeSet");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._feeBasisPoints.toNumber(), feeBasisPoints);
+			assert.equal(result.logs[0].args._minimumFeeST.toNumber(), minimumFeeST);
+			var stakeFee = await openSTValue.stakeFees.call(checkUuid);
+			assert.equal(stakeFee[0].toNumber(), feeBasisPoints);
+			assert.equal(stakeFee[1].toNumber(), minimumFeeST);
+		})
+
+		it('fails to stake when the fee is not < amount', async () => {
+            await Utils.expectThrow(openSTValue.stake(checkUuid, minimumFeeST, accounts[0], hashLock, { from: accounts[0] }));
+		})
+
+		it('successfully stakes net of the fee', async () => {
+			var netAmountST = amountST.minus(feeST);
+			var amountUT = netAmountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			var unlockHeight = result.logs[0].args._unlockHeight;
+			stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[0], netAmountST, amountUT, feeST, unlockHeight, hashLock);
+
+            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, accounts[0], nonce, accounts[0],
+							netAmountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+			assert.equal(result.logs[0].args._feeST.toNumber(), feeST.toNumber());
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), amountST.toNumber());
+		})
+
+		it('successfully collects the fee on processStaking', async () => {
+			var simpleStake = (await openSTValue.utilityTokens.call(checkUuid))[6];
+			await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[0] });
 
-		it('fails to add core by non-registrar', async () => {
-    	await Utils.expectThrow(openSTValue.addCore(core.address, { from: accounts[0] }));
+			assert.equal((await openSTValue.feesST.call(checkUuid)).toNumber(), feeST.toNumber());
+			assert.equal((await valueToken.balanceOf.call(simpleStake)).toNumber(), amountST.minus(feeST).toNumber());
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), feeST.toNumber());
 		})
 
-		it('fails to add core by registrar when core is null', async () => {
-      await Utils.expectThrow(openSTValue.addCore(0, { from: registrar }));
+		it('successfully refunds the fee on revertStaking', async () => {
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			revertStakingIntentHash = result.logs[0].args._stakingIntentHash;
+			unlockHeight = result.logs[0].args._unlockHeight;
+			var balance = await valueToken.balanceOf.call(accounts[0]);
+
+			// mine blocks until the stake has expired
+			while (web3.eth.blockNumber < unlockHeight.toNumber()) {
+				await valueToken.approve(openSTValue.address, 0, { from: accounts[0] });
+			}
+
+			result = await openSTValue.revertStaking(revertStakingIntentHash, { from: accounts[0] });
+			assert.equal(result.logs[0].event, "RevertedStake");
+			assert.equal(result.logs[0].args._amountST.toNumber(), amountST.toNumber());
+			assert.equal((await valueToken.balanceOf.call(accounts[0])).toNumber(), balance.plus(amountST).toNumber());
+			assert.equal((await openSTValue.feesST.call(checkUuid)).toNumber(), feeST.toNumber());
 		})
 
-		it('fails to add core when registrar != core.registrar', async () => {
-			var badCore = await Core.new(accounts[0], chainIdValue, chainIdRemote, openSTRemote);
-            await Utils.expectThrow(openSTValue.addCore(badCore.address, { from: registrar }));
+		it('fails to confirm redemption intent when the fee does not match the redemptionIntentHash', async () => {
+			var amountUT = conversionRate.div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[2]);
+			var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, accounts[2], nonce, accounts[3], amountUT, 1, 1, 80668, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, accounts[2], nonce, accounts[3], amountUT, 1, 0, 80668, hashLock, redemptionIntentHash, { from: registrar }));
 		})
 
-		it('successfully adds core', async () => {
-            assert.equal(await openSTValue.addCore.call(core.address, { from: registrar }), true);
-            await openSTValue.addCore(core.address, { from: registrar });
+		it('fails to withdraw by non-registrar', async () => {
+            await Utils.expectThrow(openSTValue.withdrawFees(checkUuid, accounts[5], feeST, { from: accounts[0] }));
 		})
 
-		it('fails to add core if already exists', async () => {
-            await Utils.expectThrow(openSTValue.addCore(core.address, { from: registrar }));
+		it('fails to withdraw more than the fees collected', async () => {
+            await Utils.expectThrow(openSTValue.withdrawFees(checkUuid, accounts[5], feeST.plus(1), { from: registrar }));
+		})
+
+		it('successfully withdraws', async () => {
+			result = await openSTValue.withdrawFees(checkUuid, accounts[5], feeST, { from: registrar });
+
+			assert.equal(result.logs[0].event, "FeesWithdrawn");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._to, accounts[5]);
+			assert.equal(result.logs[0].args._amountST.toNumber(), feeST.toNumber());
+			assert.equal((await openSTValue.feesST.call(checkUuid)).toNumber(), 0);
+			assert.equal((await valueToken.balanceOf.call(accounts[5])).toNumber(), feeST.toNumber());
 		})
 	})
 
-	describe('RegisterUtilityToken', async () => {
+	describe('StakingReward', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		const rewardST = new BigNumber(web3.toWei(0.01, "ether"));
+		const relayer = accounts[6];
+
 		before(async () => {
 	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
 	        valueToken  = contracts.valueToken;
 	        openSTValue = contracts.openSTValue;
         	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
-          await openSTValue.addCore(core.address, { from: registrar });
+            await openSTValue.addCore(core.address, { from: registrar });
         	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			await valueToken.approve(openSTValue.address, amountST, { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			stakingIntentHash = result.logs[0].args._stakingIntentHash;
+			await valueToken.approve(openSTValue.address, rewardST.mul(2), { from: accounts[0] });
 	    })
 
-		it('fails to register by non-registrar', async () => {
-            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: accounts[0] }));
+		it('fails to add when the reward is not > 0', async () => {
+            await Utils.expectThrow(openSTValue.addStakingReward(stakingIntentHash, 0, { from: accounts[0] }));
 		})
 
-		it('fails to register when name is empty', async () => {
-            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, "", conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		it('fails to add by non-staker', async () => {
+            await Utils.expectThrow(openSTValue.addStakingReward(stakingIntentHash, rewardST, { from: accounts[2] }));
 		})
 
-		it('fails to register when symbol is empty', async () => {
-            await Utils.expectThrow(openSTValue.registerUtilityToken("", name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		it('successfully adds', async () => {
+			assert.ok(await openSTValue.addStakingReward.call(stakingIntentHash, rewardST, { from: accounts[0] }));
+			result = await openSTValue.addStakingReward(stakingIntentHash, rewardST, { from: accounts[0] });
+
+			assert.equal(result.logs[0].event, "StakingRewardAdded");
+			assert.equal(result.logs[0].args._uuid, checkUuid);
+			assert.equal(result.logs[0].args._stakingIntentHash, stakingIntentHash);
+			assert.equal(result.logs[0].args._staker, accounts[0]);
+			assert.equal(result.logs[0].args._rewardST.toNumber(), rewardST.toNumber());
+			assert.equal((await openSTValue.stakes.call(stakingIntentHash))[9].toNumber(), rewardST.toNumber());
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), amountST.plus(rewardST).toNumber());
 		})
 
-		it('fails to register when conversion rate is not > 0', async () => {
-            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, 0, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
-		})
+		it('successfully tops up', async () => {
+			result = await openSTValue.addStakingReward(stakingIntentHash, rewardST, { from: accounts[0] });
 
-		it('fails to register when the given UUID does not match the calculated hash', async () => {
-            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, "bad checkUuid", { from: registrar }));
+			assert.equal(result.logs[0].args._rewardST.toNumber(), rewardST.mul(2).toNumber());
+			assert.equal((await openSTValue.stakes.call(stakingIntentHash))[9].toNumber(), rewardST.mul(2).toNumber());
 		})
 
-		it('successfully registers', async () => {
-			assert.equal(await openSTValue.getUuidsSize.call(), 0);
-            assert.equal(await openSTValue.registerUtilityToken.call(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }), checkUuid);
-            result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
-
-            // Stake address is returned by UtilityTokenRegistered but verified below rather than by checkUtilityTokenRegisteredEvent
-            OpenSTValue_utils.checkUtilityTokenRegisteredEvent(result.logs[0], checkUuid, symbol, name, 18, conversionRate, chainIdRemote, 0);
-            var simpleStake = new SimpleStake(result.logs[0].args.stake);
-            assert.equal(await simpleStake.uuid.call(), checkUuid);
-            assert.equal(await simpleStake.eip20Token.call(), valueToken.address);
-			assert.equal(await openSTValue.getUuidsSize.call(), 1);
-			assert.equal((await openSTValue.utilityTokens.call(checkUuid))[0], symbol);
+		it('successfully credits the reward to the relayer on processStaking', async () => {
+			var stake = (await openSTValue.utilityTokens.call(checkUuid))[6];
+			result = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: relayer });
+
+            await OpenSTValue_utils.checkProcessedStakeEvent(result.logs[0], checkUuid, stakingIntentHash, stake, accounts[0], amountST,
+            	amountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals)));
+			assert.equal(result.logs[1].event, "StakingRewardCredited");
+			assert.equal(result.logs[1].args._stakingIntentHash, stakingIntentHash);
+			assert.equal(result.logs[1].args._relayer, relayer);
+			assert.equal(result.logs[1].args._rewardST.toNumber(), rewardST.mul(2).toNumber());
+			assert.equal((await openSTValue.rewardsST.call(relayer)).toNumber(), rewardST.mul(2).toNumber());
+			assert.equal((await valueToken.balanceOf.call(stake)).toNumber(), amountST.toNumber());
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), rewardST.mul(2).toNumber());
 		})
 
-		it('fails to register if already exists', async () => {
-            await Utils.expectThrow(openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar }));
+		it('fails to add when the stake is processed', async () => {
+			await valueToken.approve(openSTValue.address, rewardST, { from: accounts[0] });
+            await Utils.expectThrow(openSTValue.addStakingReward(stakingIntentHash, rewardST, { from: accounts[0] }));
 		})
-	})
 
-	describe('Stake', async () => {
-		const amountST = new BigNumber(web3.toWei(1, "ether"));
-		context('when the staking account is null', async () => {
-			before(async () => {
-		        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
-		        valueToken  = contracts.valueToken;
-		        openSTValue = contracts.openSTValue;
-	        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
-	            await openSTValue.addCore(core.address, { from: registrar });
-		    })
+		it('fails to withdraw when no rewards are credited', async () => {
+            await Utils.expectThrow(openSTValue.withdrawRewards(accounts[7], { from: accounts[0] }));
+		})
 
-			it('fails to stake when amount is not > 0', async () => {
-	            await Utils.expectThrow(openSTValue.stake(checkUuid, 0, accounts[0], { from: accounts[0] }));
-			})
+		it('fails to withdraw to null', async () => {
+            await Utils.expectThrow(openSTValue.withdrawRewards(0, { from: relayer }));
+		})
 
-			it('fails to stake when tx.origin has not approved it to transfer at least the amount', async () => {
-	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[0] }));
-			})
+		it('successfully withdraws', async () => {
+			result = await openSTValue.withdrawRewards(accounts[7], { from: relayer });
 
-			it('fails to stake when the SimpleStake address for the given UUID is null', async () => {
-				await valueToken.approve(openSTValue.address, amountST, { from: accounts[0] });
-	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[0] }));
-			})
+			assert.equal(result.logs[0].event, "RewardsWithdrawn");
+			assert.equal(result.logs[0].args._relayer, relayer);
+			assert.equal(result.logs[0].args._to, accounts[7]);
+			assert.equal(result.logs[0].args._amountST.toNumber(), rewardST.mul(2).toNumber());
+			assert.equal((await openSTValue.rewardsST.call(relayer)).toNumber(), 0);
+			assert.equal((await valueToken.balanceOf.call(accounts[7])).toNumber(), rewardST.mul(2).toNumber());
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), 0);
+		})
 
-			it('fails to stake when the beneficiary is null', async () => {
-	        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
-				await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });        	
-	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, 0, { from: accounts[0] }));
-			})
+		it('successfully refunds the reward on revertStaking', async () => {
+			await valueToken.approve(openSTValue.address, amountST.plus(rewardST), { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
+			var revertStakingIntentHash = result.logs[0].args._stakingIntentHash;
+			var unlockHeight = result.logs[0].args._unlockHeight;
+			await openSTValue.addStakingReward(revertStakingIntentHash, rewardST, { from: accounts[0] });
+			var balance = await valueToken.balanceOf.call(accounts[0]);
+
+			// mine blocks until the stake has expired
+			while (web3.eth.blockNumber < unlockHeight.toNumber()) {
+				await valueToken.approve(openSTValue.address, 0, { from: accounts[0] });
+			}
+
+			result = await openSTValue.revertStaking(revertStakingIntentHash, { from: relayer });
+			assert.equal(result.logs[0].event, "RevertedStake");
+			assert.equal(result.logs[0].args._amountST.toNumber(), amountST.plus(rewardST).toNumber());
+			assert.equal((await valueToken.balanceOf.call(accounts[0])).toNumber(), balance.plus(amountST).plus(rewardST).toNumber());
+			assert.equal((await openSTValue.rewardsST.call(relayer)).toNumber(), 0);
+		})
+	})
 
-			it('successfully stakes', async () => {
-	            var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, accounts[0], { from: accounts[0] });
-	            var amountUT = stakeReturns[0].toNumber();
-	            nonce = stakeReturns[1].toNumber();
+	describe('ReceiveApproval', async () => {
+		const amountST = new BigNumber(web3.toWei(1, "ether"));
+		var extraData = null;
 
-    			// call block number is one less than send block number
-	            var unlockHeight = stakeReturns[2].plus(1);
-	            stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[0], amountST, amountUT, unlockHeight);
-	            result = await openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[0] });
+		before(async () => {
+			valueToken = await SimpleTokenApproveAndCallMock.new();
+			await valueToken.setAdminAddress(accounts[1]);
+			await valueToken.finalize({ from: accounts[1] });
+			openSTValue = await OpenSTValueMock.new(chainIdValue, valueToken.address, registrar);
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			extraData = OpenSTValue_utils.stakingExtraData(checkUuid, accounts[3], hashLock);
+	    })
 
-	            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, accounts[0], nonce, accounts[0],
-								amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
-			})
+		it('fails to stake when msg.sender is not the value token', async () => {
+			await valueToken.approve(openSTValue.address, amountST, { from: accounts[0] });
+            await Utils.expectThrow(openSTValue.receiveApproval(accounts[0], amountST, valueToken.address, extraData, { from: accounts[0] }));
 		})
 
-		context('when the staking account is not null', async () => {
+		it('fails to stake when extra data is not the uuid, beneficiary and hashLock', async () => {
+            await Utils.expectThrow(valueToken.approveAndCall(openSTValue.address, amountST, extraData.slice(0, -64), { from: accounts[0] }));
+		})
 
-			before(async () => {
-		        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
-		        valueToken  = contracts.valueToken;
-		        openSTValue = contracts.openSTValue;
-	        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
-	            await openSTValue.addCore(core.address, { from: registrar });
-	        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
-						await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, accounts[0], checkUuid, { from: registrar });
-						await valueToken.approve(openSTValue.address,amountST, { from: accounts[0] });
-		    })
+		it('fails to stake when amount is not > 0', async () => {
+            await Utils.expectThrow(valueToken.approveAndCall(openSTValue.address, 0, extraData, { from: accounts[0] }));
+		})
 
-			it('fails to stake when msg.sender is not the stakingAccount', async () => {
-	            await Utils.expectThrow(openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[1] }));
-			})
+		it('fails to stake when the beneficiary is null', async () => {
+            await Utils.expectThrow(valueToken.approveAndCall(openSTValue.address, amountST,
+            	OpenSTValue_utils.stakingExtraData(checkUuid, "0x0", hashLock), { from: accounts[0] }));
+		})
 
-			it('successfully stakes', async () => {
-	            var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, accounts[0], { from: accounts[0] });
-	            var amountUT = stakeReturns[0].toNumber();
-	            nonce = stakeReturns[1].toNumber();
+		it('fails to stake when the hashLock is empty', async () => {
+            await Utils.expectThrow(valueToken.approveAndCall(openSTValue.address, amountST,
+            	OpenSTValue_utils.stakingExtraData(checkUuid, accounts[3], "0x" + "0".repeat(64)), { from: accounts[0] }));
+		})
 
-    			    // call block number is one less than send block number
-	            var unlockHeight = stakeReturns[2].plus(1);
-	            stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[0], amountST, amountUT, unlockHeight);
-	            result = await openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[0] });
+		it('fails to stake when the staker is not the stakingAccount', async () => {
+        	var uuid = await openSTValue.hashUuid.call("ST2", name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken("ST2", name, conversionRate, conversionRateDecimals, chainIdRemote, accounts[2], uuid, { from: registrar });
+            await Utils.expectThrow(valueToken.approveAndCall(openSTValue.address, amountST,
+            	OpenSTValue_utils.stakingExtraData(uuid, accounts[3], hashLock), { from: accounts[0] }));
+		})
 
-	            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, accounts[0], nonce, accounts[0],
-								amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
-			})
+		it('successfully stakes with approveAndCall in a single transaction', async () => {
+			var amountUT = amountST.mul(conversionRate).div(new BigNumber(10**conversionRateDecimals));
+			nonce = await openSTValue.getNextNonce.call(accounts[0]);
+			result = await valueToken.approveAndCall(openSTValue.address, amountST, extraData, { from: accounts[0] });
+			var event = stakingIntentDeclaredEvent(result.receipt);
+			var unlockHeight = event.args._unlockHeight;
+			stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, accounts[0], nonce, accounts[3], amountST, amountUT, 0, unlockHeight, hashLock);
+
+            await OpenSTValue_utils.checkStakingIntentDeclaredEvent(event, checkUuid, accounts[0], nonce, accounts[3],
+							amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);
+			assert.equal(event.args._hashLock, hashLock);
+			assert.equal((await valueToken.balanceOf.call(openSTValue.address)).toNumber(), amountST.toNumber());
+			assert.equal((await valueToken.allowance.call(accounts[0], openSTValue.address)).toNumber(), 0);
 		})
 	})
 
@@ -305,25 +1467,24 @@ contract('OpenSTValue', function(accounts) {
 			result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
 			stake = result.logs[0].args.stake;
 			await valueToken.approve(openSTValue.address, amountST, { from: accounts[0] });
-			result = await openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
 			stakingIntentHash = result.logs[0].args._stakingIntentHash;
 	    })
 
 		it('fails to process when stakingIntentHash is empty', async () => {
-            await Utils.expectThrow(openSTValue.processStaking("", { from: accounts[0] }));
+            await Utils.expectThrow(openSTValue.processStaking("", unlockSecret, { from: accounts[0] }));
 		})
 
-		it('fails to process when msg.sender is not staker or registrar', async () => {
-			// registrar can additionally as a fallback process staking in v0.9
-            await Utils.expectThrow(openSTValue.processStaking(stakingIntentHash, { from: accounts[5] }));
+		it('fails to process when the unlock secret does not match the hashLock', async () => {
+            await Utils.expectThrow(openSTValue.processStaking(stakingIntentHash, web3.sha3("bad unlock secret"), { from: accounts[0] }));
 		})
 
-		it('successfully processes', async () => {
+		it('successfully processes by anyone with the unlock secret', async () => {
 			var openSTValueBal = await valueToken.balanceOf.call(openSTValue.address);
 			var stakeBal = await valueToken.balanceOf.call(stake);
 			assert.equal(openSTValueBal.toNumber(), amountST);
 			assert.equal(stakeBal.toNumber(), 0);
-			result = await openSTValue.processStaking(stakingIntentHash, { from: accounts[0] });
+			result = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[5] });
 
 			openSTValueBal = await valueToken.balanceOf.call(openSTValue.address);
 			stakeBal = await valueToken.balanceOf.call(stake);
@@ -333,7 +1494,7 @@ contract('OpenSTValue', function(accounts) {
 		})
 
 		it('fails to reprocess', async () => {
-            await Utils.expectThrow(openSTValue.processStaking(stakingIntentHash, { from: accounts[0] }));
+            await Utils.expectThrow(openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[0] }));
 		})
 	})
 
@@ -351,7 +1512,7 @@ contract('OpenSTValue', function(accounts) {
 			result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
 			stake = result.logs[0].args.stake;
 			await valueToken.approve(openSTValue.address, amountST, { from: accounts[0] });
-			result = await openSTValue.stake(checkUuid, amountST, accounts[0], { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, amountST, accounts[0], hashLock, { from: accounts[0] });
 			stakingIntentHash = result.logs[0].args._stakingIntentHash;
 	    })
 
@@ -360,7 +1521,7 @@ contract('OpenSTValue', function(accounts) {
 			var stakeBal = await valueToken.balanceOf.call(stake);
 			assert.equal(openSTValueBal.toNumber(), amountST);
 			assert.equal(stakeBal.toNumber(), 0);
-			result = await openSTValue.processStaking(stakingIntentHash, { from: registrar });
+			result = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: registrar });
 
 			openSTValueBal = await valueToken.balanceOf.call(openSTValue.address);
 			stakeBal = await valueToken.balanceOf.call(stake);
@@ -377,6 +1538,7 @@ contract('OpenSTValue', function(accounts) {
 		var redemptionIntentHash 	= null;
 		var redemptionUnlockHeight 	= 80668;
 		var amountUT 				= conversionRate.div(new BigNumber(10**conversionRateDecimals));
+		var amountST 				= amountUT.mul(new BigNumber(10**conversionRateDecimals)).div(conversionRate);
 
 		before(async () => {
 			contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
@@ -391,60 +1553,60 @@ contract('OpenSTValue', function(accounts) {
 		})
 
 		it('fails to confirm by non-registrar', async () => {
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: accounts[0] }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: accounts[0] }));
 		})
 
 		it('fails to confirm when utility token does not have a simpleStake address', async () => {
 			// Recalculate hash to confirm that it is not the error
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call("bad UUID", redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent("bad UUID", redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call("bad UUID", redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent("bad UUID", redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when amountUT is not > 0', async () => {
 			// Recalculate hash to confirm that it is not the error
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, 0, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, 0, redemptionUnlockHeight, redemptionIntentHash, { from: registrar }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, 0, amountST, 0, redemptionUnlockHeight, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, 0, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when redemptionUnlockHeight is not > 0', async () => {
 			// Recalculate hash to confirm that it is not the error
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, 0);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, 0, redemptionIntentHash, { from: registrar }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, 0, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, 0, hashLock, redemptionIntentHash, { from: registrar }));
+		})
+
+		it('fails to confirm when hashLock is empty', async () => {
+			// Recalculate hash to confirm that it is not the error
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, "");
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, "", redemptionIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when redemptionIntentHash is empty', async () => {
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, "", { from: registrar }));
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, "", { from: registrar }));
 		})
 
 		it('fails to confirm when nonce is not exactly 1 greater than previously', async () => {
 			// Recalculate hash to confirm that it is not the error
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce.minus(1), redeemBeneficiary, amountUT, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce.minus(1), redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce.minus(1), redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce.minus(1), redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar }));
 		})
 
 		it('fails to confirm when redemptionIntentHash does not match calculated hash', async () => {
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce.minus(1), redeemBeneficiary, amountUT, redemptionUnlockHeight, "bad hash", { from: registrar }));
-		})
-
-		it('fails to confirm when token balance of stake is not >= amountST', async () => {
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary,  amountUT, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar }));
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce.minus(1), redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, "bad hash", { from: registrar }));
 		})
 
 		it('successfully confirms', async () => {
 			await valueToken.approve(openSTValue.address, 2, { from: accounts[0] });
-			result = await openSTValue.stake(checkUuid, 2, accounts[0], { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, 2, accounts[0], hashLock, { from: accounts[0] });
 			stakingIntentHash = result.logs[0].args._stakingIntentHash;
-			await openSTValue.processStaking(stakingIntentHash, { from: accounts[0] });
+			await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[0] });
 			
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);			
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);			
 
-			var confirmReturns = await openSTValue.confirmRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar })
-			var amountST = confirmReturns[0];
-			assert.equal(amountST, (amountUT / conversionRate)*10**conversionRateDecimals);
+			var confirmReturns = await openSTValue.confirmRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar })
+			assert.equal(confirmReturns[0].toNumber(), amountST.toNumber());
 			
-      result = await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar });
+      result = await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar });
       var blocks_to_wait_short = await openSTValue.blocksToWaitShort.call();
 			
 			var blockNumber = web3.eth.blockNumber;
@@ -454,17 +1616,100 @@ contract('OpenSTValue', function(accounts) {
 		})
 
 		it('fails to confirm a replay', async () => {
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar }));
 		})
 
-		// Fails because logic does not prevent attempting to redeem 1 UTWei when the conversion rate is greater than 1
-		it('fails to confirm when amountUT does not convert into at least 1 STWei', async () => {
+		it('fails to confirm when amountST is not > 0', async () => {
 			nonce = await openSTValue.getNextNonce.call(redeemer);
 
 			// 1 STWei == 10 UTWei at the given conversion rate
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, 1, redemptionUnlockHeight);
-            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, 1, redemptionUnlockHeight, redemptionIntentHash, { from: registrar }));
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, 1, 0, 0, redemptionUnlockHeight, hashLock);
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, 1, 0, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar }));
+		})
+	})
+
+	describe('ConfirmRedemptionIntentWithProof', async () => {
+		var redeemer 				= accounts[2];
+		var redeemBeneficiary 		= accounts[3];
+		var relayer 				= accounts[5];
+		var redemptionIntentHash 	= null;
+		var redemptionUnlockHeight 	= 80668;
+		var amountUT 				= conversionRate.div(new BigNumber(10**conversionRateDecimals));
+		var amountST 				= amountUT.mul(new BigNumber(10**conversionRateDecimals)).div(conversionRate);
+		var blockHeight 			= 100;
+		var rlpParentNodes 			= null;
+
+		before(async () => {
+			contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+			valueToken  = contracts.valueToken;
+			openSTValue = contracts.openSTValue;
+			core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+			await openSTValue.addCore(core.address, { from: registrar });
+			checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			await valueToken.approve(openSTValue.address, 2, { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, 2, accounts[0], hashLock, { from: accounts[0] });
+			await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: accounts[0] });
+
+			nonce = await openSTValue.getNextNonce.call(redeemer);
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+			var redemptionsIndex = await openSTValue.OPENST_UTILITY_REDEMPTIONS_INDEX.call();
+			rlpParentNodes = await Core_utils.proveIntent(core, registrar, blockHeight, redemptionsIndex, redemptionIntentHash, checkUuid);
+		})
+
+		it('fails to confirm when the proof does not match the redemption intent', async () => {
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntentWithProof(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT.plus(1), amountST, 0, redemptionUnlockHeight, hashLock,
+            	blockHeight, rlpParentNodes, { from: relayer }));
+		})
+
+		it('fails to confirm when OpenSTUtility is not proven at block height', async () => {
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntentWithProof(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock,
+            	blockHeight + 1, rlpParentNodes, { from: relayer }));
+		})
+
+		it('fails to confirm when nonce is not exactly 1 greater than previously', async () => {
+			var badNonce = nonce.plus(1);
+			var badRedemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, badNonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+			var redemptionsIndex = await openSTValue.OPENST_UTILITY_REDEMPTIONS_INDEX.call();
+			var badRlpParentNodes = await Core_utils.proveIntent(core, registrar, blockHeight + 1, redemptionsIndex, badRedemptionIntentHash, checkUuid);
+
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntentWithProof(checkUuid, redeemer, badNonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock,
+            	blockHeight + 1, badRlpParentNodes, { from: relayer }));
+		})
+
+		it('successfully confirms by non-registrar', async () => {
+			var confirmReturns = await openSTValue.confirmRedemptionIntentWithProof.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock,
+				blockHeight, rlpParentNodes, { from: relayer });
+			assert.equal(confirmReturns[0].toNumber(), amountST.toNumber());
+
+			result = await openSTValue.confirmRedemptionIntentWithProof(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock,
+				blockHeight, rlpParentNodes, { from: relayer });
+			var expirationHeight = web3.eth.blockNumber + (await openSTValue.blocksToWaitShort.call()).toNumber();
+			await OpenSTValue_utils.checkRedemptionIntentConfirmedEvent(result.logs[0], checkUuid, redemptionIntentHash, redeemer, redeemBeneficiary, amountST, amountUT, expirationHeight);
+			assert.equal((await openSTValue.unstakes.call(redemptionIntentHash))[0], checkUuid);
+		})
+
+		it('fails to confirm a replay', async () => {
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntentWithProof(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock,
+            	blockHeight, rlpParentNodes, { from: relayer }));
+		})
+
+		it('fails to confirm with an earlier proof once the redemption unlocked on the utility chain', async () => {
+			var nextNonce = await openSTValue.getNextNonce.call(redeemer);
+			var nextUnlockHeight = blockHeight + 10;
+			var nextRedemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nextNonce, redeemBeneficiary, amountUT, amountST, 0, nextUnlockHeight, hashLock);
+			var redemptionsIndex = await openSTValue.OPENST_UTILITY_REDEMPTIONS_INDEX.call();
+			var nextRlpParentNodes = await Core_utils.proveIntent(core, registrar, blockHeight + 2, redemptionsIndex, nextRedemptionIntentHash, checkUuid);
+			var confirmReturns = await openSTValue.confirmRedemptionIntentWithProof.call(checkUuid, redeemer, nextNonce, redeemBeneficiary, amountUT, amountST, 0, nextUnlockHeight, hashLock,
+				blockHeight + 2, nextRlpParentNodes, { from: relayer });
+			assert.equal(confirmReturns[0].toNumber(), amountST.toNumber());
+
+			// the redemption unlocks, and can be reverted, on the utility chain at nextUnlockHeight
+			await core.commitStateRoot(nextUnlockHeight, web3.sha3("later state root"), { from: registrar });
+
+            await Utils.expectThrow(openSTValue.confirmRedemptionIntentWithProof(checkUuid, redeemer, nextNonce, redeemBeneficiary, amountUT, amountST, 0, nextUnlockHeight, hashLock,
+            	blockHeight + 2, nextRlpParentNodes, { from: relayer }));
 		})
 	})
 
@@ -474,6 +1719,7 @@ contract('OpenSTValue', function(accounts) {
 		var redemptionIntentHash 	= null;
 		var redemptionUnlockHeight 	= 80668;
 		var amountUT 				= conversionRate.div(new BigNumber(10**conversionRateDecimals));
+		var amountST 				= amountUT.mul(new BigNumber(10**conversionRateDecimals)).div(conversionRate);
 
 		context('when expirationHeight is > block number', async () => {
 			before(async () => {
@@ -487,23 +1733,28 @@ contract('OpenSTValue', function(accounts) {
 				stake = result.logs[0].args.stake;
 				nonce = await openSTValue.getNextNonce.call(redeemer);
 				await valueToken.approve(openSTValue.address, 1, { from: accounts[0] });
-				result = await openSTValue.stake(checkUuid, 1, accounts[0], { from: accounts[0] });
+				result = await openSTValue.stake(checkUuid, 1, accounts[0], hashLock, { from: accounts[0] });
 				stakingIntentHash = result.logs[0].args._stakingIntentHash;
-				await openSTValue.processStaking(stakingIntentHash, { from: accounts[0] });
-				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);
-	            await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar });
+				await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: accounts[0] });
+				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+	            await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar });
 		    })
 
 			it('fails to process when redemptionIntentHash is empty', async () => {
-	            await Utils.expectThrow(openSTValue.processUnstaking("", { from: redeemer }));
+	            await Utils.expectThrow(openSTValue.processUnstaking("", unlockSecret, { from: redeemer }));
 			})
 
 			it('fails to process when redeemer is not msg.sender', async () => {
-	            await Utils.expectThrow(openSTValue.processUnstaking(redemptionIntentHash, { from: accounts[0] }));
+	            await Utils.expectThrow(openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: accounts[0] }));
 			})
 
 			it('fails to process when utility token does not have a simpleStake address', async () => {
-	            await Utils.expectThrow(openSTValue.processUnstaking("bad hash", { from: accounts[0] }));
+	            await Utils.expectThrow(openSTValue.processUnstaking("bad hash", unlockSecret, { from: accounts[0] }));
+			})
+
+			it('fails to process when the unlock secret does not match the hashLock', async () => {
+				// call only, so as not to mine past the short expiration of the unstake
+	            await Utils.expectThrow(openSTValue.processUnstaking.call(redemptionIntentHash, web3.sha3("bad secret"), { from: redeemer }));
 			})
 
 			it('successfully processes', async () => {
@@ -511,21 +1762,139 @@ contract('OpenSTValue', function(accounts) {
 				var redeemBeneficiaryBal = await valueToken.balanceOf.call(redeemer);
 				assert.equal(stakeBal.toNumber(), 1);
 				assert.equal(redeemBeneficiaryBal.toNumber(), 0);
-				result = await openSTValue.processUnstaking(redemptionIntentHash, { from: redeemer });
+				result = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer });
 				
 				stakeBal = await valueToken.balanceOf.call(stake);
 				redeemBeneficiaryBal = await valueToken.balanceOf.call(redeemBeneficiary);
   			assert.equal(stakeBal.toNumber(), 0);
 				assert.equal(redeemBeneficiaryBal.toNumber(), 1);
 				      await OpenSTValue_utils.checkProcessedUnstakeEvent(result.logs[0], checkUuid, redemptionIntentHash, stake, redeemer, redeemBeneficiary, 1);	      
+				assert.equal(result.logs[0].args._unlockSecret, unlockSecret);
+			})
+
+			it('fails to reprocess', async () => {
+	            await Utils.expectThrow(openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer }));
+			})
+		})
+
+		context('when the simple stake is short of amountST', async () => {
+			before(async () => {
+		        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+		        valueToken  = contracts.valueToken;
+		        openSTValue = contracts.openSTValue;
+	        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+	            await openSTValue.addCore(core.address, { from: registrar });
+	        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+				result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+				stake = result.logs[0].args.stake;
+				nonce = await openSTValue.getNextNonce.call(redeemer);
+				await valueToken.approve(openSTValue.address, 2, { from: accounts[0] });
+				result = await openSTValue.stake(checkUuid, 2, accounts[0], hashLock, { from: accounts[0] });
+				await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: accounts[0] });
+		    })
+
+			it('successfully confirms', async () => {
+				// 5 STWei to unstake while the simple stake holds 2 STWei
+				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT.mul(5), amountST.mul(5), 0, redemptionUnlockHeight, hashLock);
+	            result = await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT.mul(5), amountST.mul(5), 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar });
+				assert.equal(result.logs[0].args._amountST.toNumber(), 5);
+			})
+
+			it('successfully processes a first tranche', async () => {
+				result = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer });
+
+				await OpenSTValue_utils.checkProcessedUnstakeTrancheEvent(result.logs[0], checkUuid, redemptionIntentHash, stake, redeemBeneficiary, 2, 3);
+				assert.equal(result.logs[0].args._unlockSecret, unlockSecret);
+				assert.equal((await valueToken.balanceOf.call(stake)).toNumber(), 0);
+				assert.equal((await valueToken.balanceOf.call(redeemBeneficiary)).toNumber(), 2);
+				assert.equal((await openSTValue.unstakes.call(redemptionIntentHash))[7].toNumber(), 2);
+			})
+
+			it('fails to process when the simple stake is empty', async () => {
+	            await Utils.expectThrow(openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer }));
+			})
+
+			it('fails to revert after a first tranche', async () => {
+				// replenish the simple stake, while mining past expirationHeight
+				await valueToken.approve(openSTValue.address, 4, { from: accounts[0] });
+				result = await openSTValue.stake(checkUuid, 4, accounts[0], hashLock, { from: accounts[0] });
+				await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: accounts[0] });
+
+				assert.isAbove(web3.eth.blockNumber + 1, (await openSTValue.unstakes.call(redemptionIntentHash))[5].toNumber());
+	            await Utils.expectThrow(openSTValue.revertUnstaking(redemptionIntentHash, { from: redeemer }));
+			})
+
+			it('successfully processes the remainder after expirationHeight', async () => {
+				result = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer });
+
+				await OpenSTValue_utils.checkProcessedUnstakeEvent(result.logs[0], checkUuid, redemptionIntentHash, stake, redeemer, redeemBeneficiary, 5);
+				// only the remainder is released by the last tranche
+				assert.equal(result.logs[0].args._amountSTReleased.toNumber(), 3);
+				assert.equal((await valueToken.balanceOf.call(stake)).toNumber(), 1);
+				assert.equal((await valueToken.balanceOf.call(redeemBeneficiary)).toNumber(), 5);
 			})
 
 			it('fails to reprocess', async () => {
-	            await Utils.expectThrow(openSTValue.processUnstaking(redemptionIntentHash, { from: redeemer }));
+	            await Utils.expectThrow(openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer }));
 			})
 		})
 	})
 
+	describe('ProcessUnstakingWithSignature', async () => {
+		var redeemer 				= accounts[2];
+		var redeemBeneficiary 		= accounts[3];
+		var relayer 				= accounts[5];
+		var redemptionIntentHash 	= null;
+		var redemptionUnlockHeight 	= 80668;
+		var amountUT 				= conversionRate.div(new BigNumber(10**conversionRateDecimals));
+		var amountST 				= amountUT.mul(new BigNumber(10**conversionRateDecimals)).div(conversionRate);
+		var signature 				= null;
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        valueToken  = contracts.valueToken;
+	        openSTValue = contracts.openSTValue;
+        	core = await Core.new(registrar, chainIdValue, chainIdRemote, openSTRemote);
+            await openSTValue.addCore(core.address, { from: registrar });
+        	checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+			result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: registrar });
+			stake = result.logs[0].args.stake;
+			nonce = await openSTValue.getNextNonce.call(redeemer);
+			await valueToken.approve(openSTValue.address, 1, { from: accounts[0] });
+			result = await openSTValue.stake(checkUuid, 1, accounts[0], hashLock, { from: accounts[0] });
+			await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: accounts[0] });
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+            await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar });
+            signature = Utils.sign(redeemer, redemptionIntentHash);
+	    })
+
+		it('fails to process when redemptionIntentHash is empty', async () => {
+            await Utils.expectThrow(openSTValue.processUnstakingWithSignature("", unlockSecret, signature.v, signature.r, signature.s, { from: relayer }));
+		})
+
+		it('fails to process when the signature is not by the redeemer', async () => {
+			var badSignature = Utils.sign(relayer, redemptionIntentHash);
+            await Utils.expectThrow(openSTValue.processUnstakingWithSignature(redemptionIntentHash, unlockSecret, badSignature.v, badSignature.r, badSignature.s, { from: relayer }));
+		})
+
+		it('fails to process when the unlock secret does not match the hashLock', async () => {
+            await Utils.expectThrow(openSTValue.processUnstakingWithSignature(redemptionIntentHash, web3.sha3("bad secret"), signature.v, signature.r, signature.s, { from: relayer }));
+		})
+
+		it('successfully processes by relayer', async () => {
+			result = await openSTValue.processUnstakingWithSignature(redemptionIntentHash, unlockSecret, signature.v, signature.r, signature.s, { from: relayer });
+
+			assert.equal((await valueToken.balanceOf.call(stake)).toNumber(), 0);
+			assert.equal((await valueToken.balanceOf.call(redeemBeneficiary)).toNumber(), 1);
+            await OpenSTValue_utils.checkProcessedUnstakeEvent(result.logs[0], checkUuid, redemptionIntentHash, stake, redeemer, redeemBeneficiary, 1);
+            assert.equal(result.logs[0].args._amountSTReleased.toNumber(), 1);
+		})
+
+		it('fails to reprocess', async () => {
+            await Utils.expectThrow(openSTValue.processUnstakingWithSignature(redemptionIntentHash, unlockSecret, signature.v, signature.r, signature.s, { from: relayer }));
+		})
+	})
+
 
 	// Revert Staking before ProcessStaking
 	describe('Process RevertStaking before ProcessStaking', async () => {
@@ -549,14 +1918,14 @@ contract('OpenSTValue', function(accounts) {
 				await valueToken.approve(openSTValue.address, amountST, { from: staker });        	
 
 				//Successfully Staking
-				var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, staker, { from: staker });				
+				var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, staker, hashLock, { from: staker });				
 				amountUT = stakeReturns[0].toNumber();
 				nonce = stakeReturns[1].toNumber();
 
 				// call block number is one less than send block number
 				unlockHeight = stakeReturns[2].plus(1);				
-				stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, staker, nonce, staker, amountST, amountUT, unlockHeight);
-				result = await openSTValue.stake(checkUuid, amountST, staker, { from: staker });
+				stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, staker, nonce, staker, amountST, amountUT, 0, unlockHeight, hashLock);
+				result = await openSTValue.stake(checkUuid, amountST, staker, hashLock, { from: staker });
 				await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, staker, nonce, staker, amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);				
 
 			});
@@ -618,18 +1987,18 @@ contract('OpenSTValue', function(accounts) {
 				await valueToken.approve(openSTValue.address, amountST, { from: staker });        	
 
 				//Successfully Staking
-				var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, staker, { from: staker });
+				var stakeReturns = await openSTValue.stake.call(checkUuid, amountST, staker, hashLock, { from: staker });
 				amountUT = stakeReturns[0].toNumber();
 				nonce = stakeReturns[1].toNumber();
 
 				// call block number is one less than send block number
 				unlockHeight = stakeReturns[2].plus(1);
-				stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, staker, nonce, staker, amountST, amountUT, unlockHeight);
-				result = await openSTValue.stake(checkUuid, amountST, staker, { from: staker });
+				stakingIntentHash = await openSTValue.hashStakingIntent.call(checkUuid, staker, nonce, staker, amountST, amountUT, 0, unlockHeight, hashLock);
+				result = await openSTValue.stake(checkUuid, amountST, staker, hashLock, { from: staker });
 				await OpenSTValue_utils.checkStakingIntentDeclaredEvent(result.logs[0], checkUuid, staker, nonce, staker, amountST, amountUT, unlockHeight, stakingIntentHash, chainIdRemote);				
 
 				// Process Staking
-				await openSTValue.processStaking(stakingIntentHash, { from: staker });      	
+				await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: staker });      	
 			});
 						
 			it('fails to process when reverting before waiting period ends', async () => {	    	
@@ -680,11 +2049,11 @@ contract('OpenSTValue', function(accounts) {
 				stake = result.logs[0].args.stake;
 				nonce = await openSTValue.getNextNonce.call(redeemer);
 				await valueToken.approve(openSTValue.address, amountST, { from: staker });
-				result = await openSTValue.stake(checkUuid, amountST, staker, { from: staker });
+				result = await openSTValue.stake(checkUuid, amountST, staker, hashLock, { from: staker });
 				stakingIntentHash = result.logs[0].args._stakingIntentHash;
-				await openSTValue.processStaking(stakingIntentHash, { from: staker });
-				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);
-				await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar });
+				await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: staker });
+				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+				await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar });
 
 			});
 			
@@ -742,15 +2111,15 @@ contract('OpenSTValue', function(accounts) {
 				stake = result.logs[0].args.stake;
 				nonce = await openSTValue.getNextNonce.call(redeemer);
 				await valueToken.approve(openSTValue.address, amountST, { from: staker });
-				result = await openSTValue.stake(checkUuid, amountST, staker, { from: staker });
+				result = await openSTValue.stake(checkUuid, amountST, staker, hashLock, { from: staker });
 				stakingIntentHash = result.logs[0].args._stakingIntentHash;
-				await openSTValue.processStaking(stakingIntentHash, { from: staker });
-				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight);
-				await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, redemptionUnlockHeight, redemptionIntentHash, { from: registrar });
+				await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: staker });
+				redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock);
+				await openSTValue.confirmRedemptionIntent(checkUuid, redeemer, nonce, redeemBeneficiary, amountUT, amountST, 0, redemptionUnlockHeight, hashLock, redemptionIntentHash, { from: registrar });
 
 
 				// Successfull ProcessUnstaking				
-				processUnstakingResult = await openSTValue.processUnstaking(redemptionIntentHash, { from: redeemer });				
+				processUnstakingResult = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer });				
 				await OpenSTValue_utils.checkProcessedUnstakeEvent(processUnstakingResult.logs[0], checkUuid, redemptionIntentHash, stake, redeemer, redeemBeneficiary, amountST);
 
 			});
@@ -772,4 +2141,99 @@ contract('OpenSTValue', function(accounts) {
 
 	});
 
+	describe('RegistrarTransfer', async () => {
+		const admin = accounts[3];
+		const newRegistrar = accounts[6];
+		var earliestTransferHeight = null;
+
+		before(async () => {
+	        contracts   = await OpenSTValue_utils.deployOpenSTValue(artifacts, accounts);
+	        openSTValue = contracts.openSTValue;
+	        await openSTValue.setAdminAddress(admin, { from: accounts[0] });
+	        checkUuid = await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdRemote, openSTRemote, conversionRate, conversionRateDecimals);
+	    })
+
+		it('fails to initiate by non-admin', async () => {
+            await Utils.expectThrow(openSTValue.initiateRegistrarTransfer(newRegistrar, { from: registrar }));
+		})
+
+		it('fails to initiate to null address or to the registrar', async () => {
+            await Utils.expectThrow(openSTValue.initiateRegistrarTransfer(0, { from: admin }));
+            await Utils.expectThrow(openSTValue.initiateRegistrarTransfer(registrar, { from: admin }));
+		})
+
+		it('successfully initiates', async () => {
+			assert.ok(await openSTValue.initiateRegistrarTransfer.call(newRegistrar, { from: admin }));
+			result = await openSTValue.initiateRegistrarTransfer(newRegistrar, { from: admin });
+			earliestTransferHeight = result.receipt.blockNumber + (await openSTValue.blocksToWaitForRegistrarTransfer.call()).toNumber();
+
+			assert.equal(result.logs[0].event, "RegistrarTransferInitiated");
+			assert.equal(result.logs[0].args._existingRegistrar, registrar);
+			assert.equal(result.logs[0].args._proposedRegistrar, newRegistrar);
+			assert.equal(result.logs[0].args._activationHeight.toNumber(), earliestTransferHeight);
+			assert.equal(await openSTValue.proposedRegistrar.call(), newRegistrar);
+			assert.equal((await openSTValue.earliestRegistrarTransferHeight.call()).toNumber(), earliestTransferHeight);
+			assert.equal(await openSTValue.registrar.call(), registrar);
+		})
+
+		it('fails to initiate while a transfer is initiated', async () => {
+            await Utils.expectThrow(openSTValue.initiateRegistrarTransfer(accounts[7], { from: admin }));
+		})
+
+		it('fails to revoke by non-admin', async () => {
+            await Utils.expectThrow(openSTValue.revokeRegistrarTransfer({ from: registrar }));
+		})
+
+		it('successfully revokes', async () => {
+			assert.ok(await openSTValue.revokeRegistrarTransfer.call({ from: admin }));
+			result = await openSTValue.revokeRegistrarTransfer({ from: admin });
+
+			assert.equal(result.logs[0].event, "RegistrarTransferRevoked");
+			assert.equal(result.logs[0].args._existingRegistrar, registrar);
+			assert.equal(result.logs[0].args._revokedRegistrar, newRegistrar);
+			assert.ok(Utils.isNullAddress(await openSTValue.proposedRegistrar.call()));
+			assert.equal((await openSTValue.earliestRegistrarTransferHeight.call()).toNumber(), 0);
+		})
+
+		it('fails to revoke or complete when no transfer is initiated', async () => {
+            await Utils.expectThrow(openSTValue.revokeRegistrarTransfer({ from: admin }));
+            await Utils.expectThrow(openSTValue.completeRegistrarTransfer({ from: newRegistrar }));
+		})
+
+		it('fails to complete by non-proposed registrar', async () => {
+			result = await openSTValue.initiateRegistrarTransfer(newRegistrar, { from: admin });
+			earliestTransferHeight = result.logs[0].args._activationHeight.toNumber();
+
+            await Utils.expectThrow(openSTValue.completeRegistrarTransfer({ from: registrar }));
+            await Utils.expectThrow(openSTValue.completeRegistrarTransfer({ from: admin }));
+		})
+
+		it('fails to complete before the waiting period ends', async () => {
+			while (web3.eth.blockNumber + 1 < earliestTransferHeight) {
+	            await Utils.expectThrow(openSTValue.completeRegistrarTransfer({ from: newRegistrar }));
+			}
+		})
+
+		it('successfully completes after the waiting period', async () => {
+			result = await openSTValue.completeRegistrarTransfer({ from: newRegistrar });
+
+			assert.equal(result.logs[0].event, "RegistrarTransferCompleted");
+			assert.equal(result.logs[0].args._newRegistrar, newRegistrar);
+			assert.equal(await openSTValue.registrar.call(), newRegistrar);
+			assert.ok(Utils.isNullAddress(await openSTValue.proposedRegistrar.call()));
+			assert.equal((await openSTValue.earliestRegistrarTransferHeight.call()).toNumber(), 0);
+		})
+
+		it('fails to register by the previous registrar', async () => {
+        	core = await Core.new(newRegistrar, chainIdValue, chainIdRemote, openSTRemote);
+            await Utils.expectThrow(openSTValue.addCore(core.address, { from: registrar }));
+		})
+
+		it('successfully registers by the new registrar', async () => {
+            await openSTValue.addCore(core.address, { from: newRegistrar });
+			result = await openSTValue.registerUtilityToken(symbol, name, conversionRate, conversionRateDecimals, chainIdRemote, 0, checkUuid, { from: newRegistrar });
+			assert.equal(result.logs[0].event, "UtilityTokenRegistered");
+		})
+	})
+
 })
@@ -44,6 +44,11 @@ module.exports.deployOpenSTValue = async (artifacts, accounts) => {
 	}
 }
 
+/// @dev Extra data for approveAndCall on the value token to stake with receiveApproval
+module.exports.stakingExtraData = (_uuid, _beneficiary, _hashLock) => {
+	return "0x" + _uuid.replace(/^0x/, "") + _beneficiary.replace(/^0x/, "").padStart(64, "0") + _hashLock.replace(/^0x/, "");
+}
+
 // Stake address is returned by UtilityTokenRegistered but verified elsewhere
 module.exports.checkUtilityTokenRegisteredEvent = (event, _uuid, _symbol, _name, _decimals, _conversionRate, _chainIdUtility, _stakingAccount) => {
 	if (Number.isInteger(_decimals)) {
@@ -226,6 +231,24 @@ module.exports.checkProcessedUnstakeEvent = (event, _uuid, _redemptionIntentHash
 	assert.equal(event.args._amountST.toNumber(), _amountST.toNumber());
 }
 
+module.exports.checkProcessedUnstakeTrancheEvent = (event, _uuid, _redemptionIntentHash, stake, _beneficiary, _amountST, _amountSTRemaining) => {
+	if (Number.isInteger(_amountST)) {
+		_amountST = new BigNumber(_amountST);
+	}
+
+	if (Number.isInteger(_amountSTRemaining)) {
+		_amountSTRemaining = new BigNumber(_amountSTRemaining);
+	}
+
+	assert.equal(event.event, "ProcessedUnstakeTranche");
+	assert.equal(event.args._uuid, _uuid);
+	assert.equal(event.args._redemptionIntentHash, _redemptionIntentHash);
+	assert.equal(event.args._stake, stake);
+	assert.equal(event.args._beneficiary, _beneficiary);
+	assert.equal(event.args._amountST.toNumber(), _amountST.toNumber());
+	assert.equal(event.args._amountSTRemaining.toNumber(), _amountSTRemaining.toNumber());
+}
+
 module.exports.checkRevertStakingEventProtocol = (event, _uuid, _stakingIntentHash, _staker, _amountST, _amountUT) => {
 
   if (Number.isInteger(_amountUT)) {
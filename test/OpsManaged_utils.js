@@ -35,4 +35,32 @@ module.exports.checkOpsAddressChangedEventGroup = (result, _newAddress) => {
 
    assert.equal(event.event, "OpsAddressChanged")
    assert.equal(event.args._newAddress, _newAddress)
-}
\ No newline at end of file
+}
+
+module.exports.checkGuardianAddressChangedEventGroup = (result, _newAddress) => {
+   assert.equal(result.logs.length, 1)
+
+   const event = result.logs[0]
+
+   assert.equal(event.event, "GuardianAddressChanged")
+   assert.equal(event.args._newAddress, _newAddress)
+}
+
+module.exports.checkFrozenEventGroup = (result, _guardian, _frozenUntilHeight) => {
+   assert.equal(result.logs.length, 1)
+
+   const event = result.logs[0]
+
+   assert.equal(event.event, "Frozen")
+   assert.equal(event.args._guardian, _guardian)
+   assert.equal(event.args._frozenUntilHeight.toNumber(), _frozenUntilHeight)
+}
+
+module.exports.checkUnfrozenEventGroup = (result, _guardian) => {
+   assert.equal(result.logs.length, 1)
+
+   const event = result.logs[0]
+
+   assert.equal(event.event, "Unfrozen")
+   assert.equal(event.args._guardian, _guardian)
+}
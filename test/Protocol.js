@@ -25,6 +25,7 @@ const utils = require("./lib/utils.js");
 const openSTValueUtils = require("./OpenSTValue_utils.js");
 const openSTUtilityUtils = require('./OpenSTUtility_utils.js');
 const web3EventsDecoder = require('./lib/event_decoder.js');
+const Proof = require('./lib/proof.js');
 
 const ProtocolUtils = require('./Protocol_utils.js');
 
@@ -32,6 +33,7 @@ const openSTUtilityArtifacts = artifacts.require("./OpenSTUtilityMock.sol");
 const openSTValueArtifacts = artifacts.require("./OpenSTValueMock.sol");
 const BrandedToken = artifacts.require("./BrandedToken.sol");
 const SimpleStake = artifacts.require("./SimpleStake.sol");
+const StakingWalletMock = artifacts.require("./StakingWalletMock.sol");
 
 const CHAINID_VALUE   = new BigNumber(2001);
 const CHAINID_UTILITY = new BigNumber(2002);
@@ -55,6 +57,10 @@ contract('OpenST', function(accounts) {
 	const name = "Branded Token";
 	const conversionRate = new BigNumber(10 * (10**conversionRateDecimals));	// conversion rate => 10
 
+	// unlock secret of the hash lock on staking
+	const unlockSecret = web3.sha3("unlock secret");
+	const hashLock = utils.hashLock(unlockSecret);
+
 	const deployMachine = accounts[0];
 	const owner         = accounts[1];
 	const admin         = accounts[2];
@@ -65,6 +71,7 @@ contract('OpenST', function(accounts) {
 	const staker        = accounts[7];
 	const redeemer      = accounts[8];
   const redeemBeneficiary = accounts[9];
+	const treasury      = accounts[10];
 
 	const AMOUNT_ST = new BigNumber(web3.toWei(1000, "ether"));
 	const AMOUNT_BT = (AMOUNT_ST.mul(conversionRate)).div(new BigNumber(10**conversionRateDecimals));
@@ -77,6 +84,7 @@ contract('OpenST', function(accounts) {
 		var registrarVC = null;
 		var registrarUC = null;
 		var coreVC      = null;
+		var coreUC      = null;
 		var openSTValue = null;
 		var openSTUtility = null;
 		var stPrime = null;
@@ -103,6 +111,8 @@ contract('OpenST', function(accounts) {
 			openSTUtility = contracts.openSTUtility;
 			// core on VC to represent UC
 			coreVC = contracts.coreVC;
+			// core on UC to represent VC
+			coreUC = contracts.coreUC;
 		    stPrime = contracts.stPrime;
 		});
 
@@ -115,6 +125,13 @@ contract('OpenST', function(accounts) {
 				Assert.equal(await openSTValue.core.call(CHAINID_UTILITY), coreVC.address);
 			});
 
+			it("add core to represent value chain", async () => {
+				const o = await registrarUC.addUtilityCore(openSTUtility.address, coreUC.address, { from: intercommUC });
+				Assert.ok(o);
+				utils.logResponse(o, "RegistrarUC.addUtilityCore");
+				Assert.equal(await openSTUtility.core.call(CHAINID_VALUE), coreUC.address);
+			});
+
 			it("register Simple Token Prime", async () => {
 				const uuidSTP = await openSTUtility.uuidSTPrime.call();
 				Assert.notEqual(uuidSTP, "");
@@ -165,7 +182,7 @@ contract('OpenST', function(accounts) {
 				Assert.equal(nonceSTP, 1);
 				// staker calls OpenSTValue.stake to initiate the staking for ST' with uuidSTP
 				// with staker as the beneficiary
-				const o = await openSTValue.stake(uuidSTP, AMOUNT_ST, staker, { from: staker });
+				const o = await openSTValue.stake(uuidSTP, AMOUNT_ST, staker, hashLock, { from: staker });
 				utils.logResponse(o, "OpenSTValue.stake");
 				openSTValueUtils.checkStakingIntentDeclaredEventProtocol(o.logs[0], uuidSTP, staker, nonceSTP, staker,
 					AMOUNT_ST, AMOUNT_ST, CHAINID_UTILITY);
@@ -173,20 +190,27 @@ contract('OpenST', function(accounts) {
 				unlockHeight = o.logs[0].args._unlockHeight;
 			});
 
+			it("stores staking intent where OpenSTUtility proves it", async () => {
+				// the storage slot of stakes[stakingIntentHash].uuid holds the uuid
+				const stakesIndex = await openSTUtility.OPENST_VALUE_STAKES_INDEX.call();
+				const slot = Proof.mappingStorageSlot(stakingIntentHash, stakesIndex);
+				Assert.equal(web3.eth.getStorageAt(openSTValue.address, slot), uuidSTP);
+			});
+
 			it("confirm staking intent for Simple Token Prime", async () => {
 				// registrar registers staking intent on utility chain
 				const o = await registrarUC.confirmStakingIntent(openSTUtility.address, uuidSTP, staker, nonceSTP,
-					staker, AMOUNT_ST, AMOUNT_ST, unlockHeight, stakingIntentHash, { from: intercommUC });
+					staker, AMOUNT_ST, AMOUNT_ST, 0, unlockHeight, hashLock, stakingIntentHash, { from: intercommUC });
 				  utils.logResponse(o, "OpenSTUtility.confirmStakingIntent");
 			});
 
 			it("process staking", async () => {
-				const o = await openSTValue.processStaking(stakingIntentHash, { from: staker });
+				const o = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: staker });
 				utils.logResponse(o, "OpenSTValue.processStaking");
 			});
 
 			it("process minting", async () => {
-				const o = await openSTUtility.processMinting(stakingIntentHash, { from: staker });
+				const o = await openSTUtility.processMinting(stakingIntentHash, unlockSecret, { from: staker });
 				utils.logResponse(o, "OpenSTUtility.processMinting");
 			});
 
@@ -206,12 +230,109 @@ contract('OpenST', function(accounts) {
 			});
 		});
 
+		context('batch stake Simple Token for Simple Token Prime', function() {
+			const BATCH_SIZE = 5;
+			const amountsST = [];
+			const beneficiaries = [];
+			const hashLocks = [];
+			for (var i = 0; i < BATCH_SIZE; i++) {
+				amountsST.push(AMOUNT_ST.div(BATCH_SIZE));
+				beneficiaries.push(accounts[11 + i]);
+				hashLocks.push(utils.hashLock(web3.sha3("unlock secret " + i)));
+			}
+			var gasUsedStake = 0;
+
+			before(async () => {
+				// treasury holds and approves twice the amount to stake per beneficiary and in batch
+				Assert.ok(await simpleToken.transfer(treasury, AMOUNT_ST.mul(2), { from: deployMachine }));
+				Assert.ok(await simpleToken.approve(openSTValue.address, AMOUNT_ST.mul(2), { from: treasury }));
+			});
+
+			it("stake Simple Token per beneficiary", async () => {
+				for (var i = 0; i < BATCH_SIZE; i++) {
+					const o = await openSTValue.stake(uuidSTP, amountsST[i], beneficiaries[i], hashLocks[i], { from: treasury });
+					utils.logResponse(o, "OpenSTValue.stake");
+					gasUsedStake += o.receipt.gasUsed;
+				}
+			});
+
+			it("stake Simple Token in batch", async () => {
+				const nonce = await openSTValue.getNextNonce.call(treasury);
+				const o = await openSTValue.stakeBatch(uuidSTP, amountsST, beneficiaries, hashLocks, { from: treasury });
+				utils.logResponse(o, "OpenSTValue.stakeBatch (" + BATCH_SIZE + ")");
+				Assert.equal(o.logs.length, BATCH_SIZE);
+				for (var i = 0; i < BATCH_SIZE; i++) {
+					openSTValueUtils.checkStakingIntentDeclaredEventProtocol(o.logs[i], uuidSTP, treasury, nonce.plus(i), beneficiaries[i],
+						amountsST[i], amountsST[i], CHAINID_UTILITY);
+				}
+				Assert.ok(o.receipt.gasUsed < gasUsedStake);
+			});
+
+			it("report gas usage: staking per beneficiary and in batch", async () => {
+				utils.printGasStatistics();
+				utils.clearReceipts();
+			});
+		});
+
+		context('stake Simple Token for Simple Token Prime from a contract wallet', function() {
+			const walletUnlockSecret = web3.sha3("wallet unlock secret");
+			const walletHashLock = utils.hashLock(walletUnlockSecret);
+			const amountST = AMOUNT_ST.div(10);
+			// the beneficiary is fixed in the staking intent, so anyone with the unlock secret can complete it
+			const beneficiary = accounts[15];
+			const relayer = deployMachine;
+			var wallet = null;
+			var walletStakingIntentHash = null;
+			var walletNonce = null;
+			var walletUnlockHeight = null;
+
+			it("stake Simple Token from the contract wallet", async () => {
+				wallet = await StakingWalletMock.new(openSTValue.address);
+				Assert.ok(await simpleToken.transfer(wallet.address, amountST, { from: deployMachine }));
+				await wallet.approve(amountST, { from: staker });
+
+				const o = await wallet.stake(uuidSTP, amountST, beneficiary, walletHashLock, { from: staker });
+				var event = utils.decodeLogs(openSTValue.abi, o.receipt.logs.filter((log) => log.address == openSTValue.address))[0];
+
+				Assert.equal(event.event, "StakingIntentDeclared");
+				Assert.equal(event.args._staker, wallet.address);
+				walletStakingIntentHash = event.args._stakingIntentHash;
+				walletNonce = event.args._stakerNonce;
+				walletUnlockHeight = event.args._unlockHeight;
+			});
+
+			it("confirm staking intent for the contract wallet", async () => {
+				await registrarUC.confirmStakingIntent(openSTUtility.address, uuidSTP, wallet.address, walletNonce,
+					beneficiary, amountST, amountST, 0, walletUnlockHeight, walletHashLock, walletStakingIntentHash, { from: intercommUC });
+				Assert.equal((await openSTUtility.mints.call(walletStakingIntentHash))[1], wallet.address);
+			});
+
+			it("process minting by relayer", async () => {
+				const o = await openSTUtility.processMinting(walletStakingIntentHash, walletUnlockSecret, { from: relayer });
+				openSTUtilityUtils.checkProcessedMintEvent(o.logs[0], uuidSTP, walletStakingIntentHash,
+					stPrime.address, wallet.address, beneficiary, amountST);
+			});
+
+			it("process staking by relayer", async () => {
+				const o = await openSTValue.processStaking(walletStakingIntentHash, walletUnlockSecret, { from: relayer });
+				openSTValueUtils.checkProcessedStakeEvent(o.logs[0], uuidSTP, walletStakingIntentHash,
+					stPrimeSimpleStakeContractAddress, wallet.address, amountST, amountST);
+			});
+
+			it("claim Simple Token Prime for the beneficiary", async () => {
+				var balanceBefore = await web3.eth.getBalance(beneficiary);
+				await stPrime.claim(beneficiary, { from: intercommUC });
+				var balanceAfter = await web3.eth.getBalance(beneficiary);
+				Assert.equal(balanceAfter.sub(balanceBefore).toNumber(), amountST.toNumber());
+			});
+		});
+
 		context('propose and register branded token', function() {
 	    // propose branded token
 
 		    it("propose branded token for member company", async() => {
 
-		      const result = await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals, {from: requester});
+		      const result = await openSTUtility.proposeBrandedToken(CHAINID_VALUE, symbol, name, conversionRate, conversionRateDecimals, {from: requester});
 		      var eventLog = result.logs[0];
 
 		      openSTUtilityUtils.validateProposedBrandedTokenEvent(eventLog, requester, symbol, name, conversionRate);
@@ -284,7 +405,7 @@ contract('OpenST', function(accounts) {
 				Assert.equal(nonceBT, 1);
 				// requester calls OpenSTValue.stake to initiate the staking for Branded Token with registeredBrandedTokenUuid
 				// with requester as the beneficiary
-				var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, { from: requester });
+				var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, hashLock, { from: requester });
 
 				openSTValueUtils.checkStakingIntentDeclaredEventProtocol(stakeResult.logs[0], registeredBrandedTokenUuid, requester, nonceBT,
 					requester, AMOUNT_ST, AMOUNT_BT, CHAINID_UTILITY);
@@ -300,7 +421,7 @@ contract('OpenST', function(accounts) {
 			it("confirm staking intent for Branded Token", async() => {
 
 				const result = await registrarUC.confirmStakingIntent(openSTUtility.address, registeredBrandedTokenUuid,
-					requester, nonceBT, requester, AMOUNT_ST, AMOUNT_BT, unlockHeight, stakingIntentHash, { from: intercommUC });
+					requester, nonceBT, requester, AMOUNT_ST, AMOUNT_BT, 0, unlockHeight, hashLock, stakingIntentHash, { from: intercommUC });
 
 				var formattedDecodedEvents = web3EventsDecoder.perform(result.receipt, openSTUtility.address, openSTUtilityArtifacts.abi);
 
@@ -312,7 +433,7 @@ contract('OpenST', function(accounts) {
 			});
 
 			it("process staking", async() => {
-				const result = await openSTValue.processStaking(stakingIntentHash, { from: requester });
+				const result = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: requester });
 
 				openSTValueUtils.checkProcessedStakeEvent(result.logs[0], registeredBrandedTokenUuid, stakingIntentHash,
 					btSimpleStakeContractAddress, requester, AMOUNT_ST, AMOUNT_BT);
@@ -323,7 +444,7 @@ contract('OpenST', function(accounts) {
 
 			it("process minting", async() => {
 
-				const result = await openSTUtility.processMinting(stakingIntentHash, { from: requester });
+				const result = await openSTUtility.processMinting(stakingIntentHash, unlockSecret, { from: requester });
 
 				openSTUtilityUtils.checkProcessedMintEvent(result.logs[0], registeredBrandedTokenUuid, stakingIntentHash,
 					registeredBrandedToken, requester, requester, AMOUNT_BT);
@@ -391,7 +512,7 @@ contract('OpenST', function(accounts) {
 			it("call redeem", async() => {
 
 				nonce = await openSTValue.getNextNonce.call(redeemer);
-				var redeemResult = await openSTUtility.redeem(registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, { from: redeemer });
+				var redeemResult = await openSTUtility.redeem(CHAINID_VALUE, registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, hashLock, { from: redeemer });
 				redemptionIntentHash = redeemResult.logs[0].args._redemptionIntentHash;
 				unlockHeight = redeemResult.logs[0].args._unlockHeight;
 				openSTUtilityUtils.checkRedemptionIntentDeclaredEvent(redeemResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash, brandedToken.address,
@@ -400,13 +521,20 @@ contract('OpenST', function(accounts) {
 
 			});
 
+			it("stores redemption intent where OpenSTValue proves it", async () => {
+				// the storage slot of redemptions[redemptionIntentHash].uuid holds the uuid
+				const redemptionsIndex = await openSTValue.OPENST_UTILITY_REDEMPTIONS_INDEX.call();
+				const slot = Proof.mappingStorageSlot(redemptionIntentHash, redemptionsIndex);
+				Assert.equal(web3.eth.getStorageAt(openSTUtility.address, slot), registeredBrandedTokenUuid);
+			});
+
 			it("confirm redemption intent", async() => {
 
+				redeemedAmountST = (REDEEM_AMOUNT_BT.mul(new BigNumber(10**conversionRateDecimals))).div(conversionRate);
 				var confirmRedemptionResult = await registrarVC.confirmRedemptionIntent( openSTValue.address, registeredBrandedTokenUuid,
-				redeemer, nonce, redeemBeneficiary, REDEEM_AMOUNT_BT, unlockHeight, redemptionIntentHash, { from: intercommVC });
+				redeemer, nonce, redeemBeneficiary, REDEEM_AMOUNT_BT, redeemedAmountST, 0, unlockHeight, hashLock, redemptionIntentHash, { from: intercommVC });
 
 				var formattedDecodedEvents = web3EventsDecoder.perform(confirmRedemptionResult.receipt, openSTValue.address, openSTValueArtifacts.abi);
-				redeemedAmountST = (REDEEM_AMOUNT_BT.mul(new BigNumber(10**conversionRateDecimals))).div(conversionRate);
 				openSTValueUtils.checkRedemptionIntentConfirmedEventOnProtocol(formattedDecodedEvents, registeredBrandedTokenUuid,
 					redemptionIntentHash, redeemer, redeemBeneficiary, redeemedAmountST, REDEEM_AMOUNT_BT);
 
@@ -416,7 +544,7 @@ contract('OpenST', function(accounts) {
 
 			it("process redemption", async() => {
 
-				var processRedeemingResult = await openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemer });
+				var processRedeemingResult = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: redeemer });
 
 				openSTUtilityUtils.checkProcessedRedemptionEvent(processRedeemingResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash,
 					brandedToken.address, redeemer, redeemBeneficiary, REDEEM_AMOUNT_BT)
@@ -427,7 +555,7 @@ contract('OpenST', function(accounts) {
 
 			it("process unstake", async() => {
 
-				var processUnstakeResult = await openSTValue.processUnstaking(redemptionIntentHash, { from: redeemer });
+				var processUnstakeResult = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer });
 
 				openSTValueUtils.checkProcessedUnstakeEvent(processUnstakeResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash,
 					btSimpleStakeContractAddress, redeemer, redeemBeneficiary, redeemedAmountST);
@@ -451,7 +579,7 @@ contract('OpenST', function(accounts) {
 			it("call redeem", async() => {
 
 				nonce = await openSTValue.getNextNonce.call(redeemer);
-				var redeemResult = await openSTUtility.redeemSTPrime(nonce, redeemBeneficiary, { from: redeemer, value: REDEEM_AMOUNT_STPRIME });
+				var redeemResult = await openSTUtility.redeemSTPrime(nonce, redeemBeneficiary, hashLock, { from: redeemer, value: REDEEM_AMOUNT_STPRIME });
 				redemptionIntentHash = redeemResult.logs[0].args._redemptionIntentHash;
 				unlockHeight = redeemResult.logs[0].args._unlockHeight;
 				openSTUtilityUtils.checkRedemptionIntentDeclaredEvent(redeemResult.logs[0], uuidSTP, redemptionIntentHash, stPrime.address,
@@ -464,7 +592,7 @@ contract('OpenST', function(accounts) {
 			it("confirm redemption intent", async() => {
 
 				var confirmRedemptionResult = await registrarVC.confirmRedemptionIntent( openSTValue.address, uuidSTP, redeemer, nonce, redeemBeneficiary,
-					REDEEM_AMOUNT_STPRIME, unlockHeight, redemptionIntentHash, { from: intercommVC });
+					REDEEM_AMOUNT_STPRIME, REDEEM_AMOUNT_STPRIME, 0, unlockHeight, hashLock, redemptionIntentHash, { from: intercommVC });
 
 				var formattedDecodedEvents = web3EventsDecoder.perform(confirmRedemptionResult.receipt,
 					openSTValue.address, openSTValueArtifacts.abi);
@@ -477,7 +605,7 @@ contract('OpenST', function(accounts) {
 
 			it("process redemption", async() => {
 
-				var processRedeemingResult = await openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemer });
+				var processRedeemingResult = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: redeemer });
 
 				openSTUtilityUtils.checkProcessedRedemptionEvent(processRedeemingResult.logs[0], uuidSTP, redemptionIntentHash,
 					stPrime.address, redeemer, redeemBeneficiary, REDEEM_AMOUNT_STPRIME)
@@ -488,7 +616,7 @@ contract('OpenST', function(accounts) {
 
 			it("process unstake", async() => {
 
-				var processUnstakeResult = await openSTValue.processUnstaking(redemptionIntentHash, { from: redeemer });
+				var processUnstakeResult = await openSTValue.processUnstaking(redemptionIntentHash, unlockSecret, { from: redeemer });
 
 				var event = processUnstakeResult.logs[0];
 				openSTValueUtils.checkProcessedUnstakeEvent(event, uuidSTP, redemptionIntentHash,
@@ -521,7 +649,7 @@ contract('OpenST', function(accounts) {
       	nonceBT = await openSTValue.getNextNonce.call(requester);
       	// requester calls OpenSTValue.stake to initiate the staking for Branded Token with registeredBrandedTokenUuid
       	// with requester as the beneficiary
-      	var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, { from: requester });
+      	var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, hashLock, { from: requester });
 
       	openSTValueUtils.checkStakingIntentDeclaredEventProtocol(stakeResult.logs[0], registeredBrandedTokenUuid, requester, nonceBT,
         	requester, AMOUNT_ST, AMOUNT_BT, CHAINID_UTILITY);
@@ -566,7 +694,7 @@ contract('OpenST', function(accounts) {
 				nonceBT = await openSTValue.getNextNonce.call(requester);
 				// requester calls OpenSTValue.stake to initiate the staking for Branded Token with registeredBrandedTokenUuid
 				// with requester as the beneficiary
-				var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, { from: requester });
+				var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, hashLock, { from: requester });
 
 				openSTValueUtils.checkStakingIntentDeclaredEventProtocol(stakeResult.logs[0], registeredBrandedTokenUuid, requester, nonceBT,
 					requester, AMOUNT_ST, AMOUNT_BT, CHAINID_UTILITY);
@@ -580,7 +708,7 @@ contract('OpenST', function(accounts) {
       it("confirm staking intent for Branded Token", async() => {
 
         const result = await registrarUC.confirmStakingIntent(openSTUtility.address, registeredBrandedTokenUuid,
-        requester, nonceBT, requester, AMOUNT_ST, AMOUNT_BT, unlockHeight, stakingIntentHash, { from: intercommUC });
+        requester, nonceBT, requester, AMOUNT_ST, AMOUNT_BT, 0, unlockHeight, hashLock, stakingIntentHash, { from: intercommUC });
 
       	var formattedDecodedEvents = web3EventsDecoder.perform(result.receipt, openSTUtility.address, openSTUtilityArtifacts.abi);
 
@@ -660,7 +788,7 @@ contract('OpenST', function(accounts) {
 				nonceBT = await openSTValue.getNextNonce.call(requester);
 				// requester calls OpenSTValue.stake to initiate the staking for Branded Token with registeredBrandedTokenUuid
 				// with requester as the beneficiary
-				var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, { from: requester });
+				var stakeResult = await openSTValue.stake(registeredBrandedTokenUuid, AMOUNT_ST, requester, hashLock, { from: requester });
 
 				openSTValueUtils.checkStakingIntentDeclaredEventProtocol(stakeResult.logs[0], registeredBrandedTokenUuid, requester, nonceBT,
 					requester, AMOUNT_ST, AMOUNT_BT, CHAINID_UTILITY);
@@ -674,7 +802,7 @@ contract('OpenST', function(accounts) {
       it("confirm staking intent for Branded Token", async() => {
 
         const result = await registrarUC.confirmStakingIntent(openSTUtility.address, registeredBrandedTokenUuid,
-        requester, nonceBT, requester, AMOUNT_ST, AMOUNT_BT, unlockHeight, stakingIntentHash, { from: intercommUC });
+        requester, nonceBT, requester, AMOUNT_ST, AMOUNT_BT, 0, unlockHeight, hashLock, stakingIntentHash, { from: intercommUC });
 
 				var formattedDecodedEvents = web3EventsDecoder.perform(result.receipt, openSTUtility.address, openSTUtilityArtifacts.abi);
 
@@ -686,7 +814,7 @@ contract('OpenST', function(accounts) {
     	});
 
       it("process staking", async () => {
-        const o = await openSTValue.processStaking(stakingIntentHash, { from: requester });
+        const o = await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: requester });
       	utils.logResponse(o, "OpenSTValue.processStaking");
     	});
 
@@ -760,7 +888,7 @@ contract('OpenST', function(accounts) {
 				Assert.ok(approveResult);
 
 				nonce = await openSTValue.getNextNonce.call(redeemer);
-				var redeemResult = await openSTUtility.redeem(registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, { from: redeemer });
+				var redeemResult = await openSTUtility.redeem(CHAINID_VALUE, registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, hashLock, { from: redeemer });
 				redemptionIntentHash = redeemResult.logs[0].args._redemptionIntentHash;
 				unlockHeight = redeemResult.logs[0].args._unlockHeight;
 				openSTUtilityUtils.checkRedemptionIntentDeclaredEvent(redeemResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash,
@@ -822,7 +950,7 @@ contract('OpenST', function(accounts) {
 				Assert.ok(approveResult);
 
 				nonce = await openSTValue.getNextNonce.call(redeemer);
-				var redeemResult = await openSTUtility.redeem(registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, { from: redeemer });
+				var redeemResult = await openSTUtility.redeem(CHAINID_VALUE, registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, hashLock, { from: redeemer });
 				redemptionIntentHash = redeemResult.logs[0].args._redemptionIntentHash;
 				unlockHeight = redeemResult.logs[0].args._unlockHeight;
 				openSTUtilityUtils.checkRedemptionIntentDeclaredEvent(redeemResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash,
@@ -835,10 +963,10 @@ contract('OpenST', function(accounts) {
 			// Call confirmRedemptionIntent
 			it("calls confirmRedemptionIntent", async() => {
 
+				redeemedAmountST = (REDEEM_AMOUNT_BT.mul(new BigNumber(10**conversionRateDecimals))).div(conversionRate);
 				var confirmRedemptionResult = await registrarVC.confirmRedemptionIntent( openSTValue.address, registeredBrandedTokenUuid,
-					redeemer, nonce, redeemBeneficiary, REDEEM_AMOUNT_BT, unlockHeight, redemptionIntentHash, { from: intercommVC });
+					redeemer, nonce, redeemBeneficiary, REDEEM_AMOUNT_BT, redeemedAmountST, 0, unlockHeight, hashLock, redemptionIntentHash, { from: intercommVC });
 				var formattedDecodedEvents = web3EventsDecoder.perform(confirmRedemptionResult.receipt, openSTValue.address, openSTValueArtifacts.abi);
-				redeemedAmountST = (REDEEM_AMOUNT_BT.mul(new BigNumber(10**conversionRateDecimals))).div(conversionRate);
 				openSTValueUtils.checkRedemptionIntentConfirmedEventOnProtocol(formattedDecodedEvents, registeredBrandedTokenUuid,
 					redemptionIntentHash, redeemer, redeemBeneficiary, redeemedAmountST, REDEEM_AMOUNT_BT);
 				utils.logResponse(confirmRedemptionResult, "OpenSTUtility.revertUnstake.confirmRedemptionIntent");
@@ -926,7 +1054,7 @@ contract('OpenST', function(accounts) {
 				Assert.ok(approveResult);
 
 				nonce = await openSTValue.getNextNonce.call(redeemer);
-				var redeemResult = await openSTUtility.redeem(registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, { from: redeemer });
+				var redeemResult = await openSTUtility.redeem(CHAINID_VALUE, registeredBrandedTokenUuid, REDEEM_AMOUNT_BT, nonce, redeemBeneficiary, hashLock, { from: redeemer });
 				redemptionIntentHash = redeemResult.logs[0].args._redemptionIntentHash;
 				unlockHeight = redeemResult.logs[0].args._unlockHeight;
 				openSTUtilityUtils.checkRedemptionIntentDeclaredEvent(redeemResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash,
@@ -939,10 +1067,10 @@ contract('OpenST', function(accounts) {
 			// Call confirmRedemptionIntent
 			it("calls confirmRedemptionIntent", async() => {
 
+				redeemedAmountST = (REDEEM_AMOUNT_BT.mul(new BigNumber(10**conversionRateDecimals))).div(conversionRate);
 				var confirmRedemptionResult = await registrarVC.confirmRedemptionIntent( openSTValue.address, registeredBrandedTokenUuid,
-				redeemer, nonce, redeemBeneficiary, REDEEM_AMOUNT_BT, unlockHeight, redemptionIntentHash, { from: intercommVC });
+				redeemer, nonce, redeemBeneficiary, REDEEM_AMOUNT_BT, redeemedAmountST, 0, unlockHeight, hashLock, redemptionIntentHash, { from: intercommVC });
 				var formattedDecodedEvents = web3EventsDecoder.perform(confirmRedemptionResult.receipt, openSTValue.address, openSTValueArtifacts.abi);
-				redeemedAmountST = (REDEEM_AMOUNT_BT.mul(new BigNumber(10**conversionRateDecimals))).div(conversionRate);
 				openSTValueUtils.checkRedemptionIntentConfirmedEventOnProtocol(formattedDecodedEvents, registeredBrandedTokenUuid,
 					redemptionIntentHash, redeemer, redeemBeneficiary, redeemedAmountST, REDEEM_AMOUNT_BT);
 				utils.logResponse(confirmRedemptionResult, "OpenSTUtility.revertUnstake.confirmRedemptionIntent");
@@ -951,7 +1079,7 @@ contract('OpenST', function(accounts) {
 
 			it("process redemption", async() => {
 
-				var processRedeemingResult = await openSTUtility.processRedeeming(redemptionIntentHash, { from: redeemer });
+				var processRedeemingResult = await openSTUtility.processRedeeming(redemptionIntentHash, unlockSecret, { from: redeemer });
 
 				openSTUtilityUtils.checkProcessedRedemptionEvent(processRedeemingResult.logs[0], registeredBrandedTokenUuid, redemptionIntentHash,
 					brandedToken.address, redeemer, redeemBeneficiary, REDEEM_AMOUNT_BT)
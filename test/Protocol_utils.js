@@ -95,11 +95,16 @@ module.exports.deployOpenSTProtocol = async (artifacts, accounts) => {
 	utils.logResponse(await openSTUtility.completeOwnershipTransfer({ from: owner }),
 		"OpenSTUtility.completeOwnershipTransfer");
 
-	// only setup a core for the Value Chain to track the Utility Chain for v0.9.1
+	// core on the Value Chain tracks the Utility Chain
 	const coreVC = await Core.new(registrarVC.address, CHAINID_VALUE, CHAINID_UTILITY,
 		openSTUtility.address);
 	await utils.logTransaction(coreVC.transactionHash, "CoreVC.new");
 
+	// core on the Utility Chain tracks the Value Chain
+	const coreUC = await Core.new(registrarUC.address, CHAINID_UTILITY, CHAINID_VALUE,
+		openSTValue.address);
+	await utils.logTransaction(coreUC.transactionHash, "CoreUC.new");
+
 	const stpContractAddress = await openSTUtility.simpleTokenPrime.call();
 	Assert.notEqual(stpContractAddress, utils.NullAddress);
 	const stPrime = STPrime.at(stpContractAddress);
@@ -110,6 +115,7 @@ module.exports.deployOpenSTProtocol = async (artifacts, accounts) => {
 	// console.log("OpenSTValue:", openSTValue.address);
 	// console.log("OpenSTUtility:", openSTUtility.address);
 	// console.log("CoreVC:", coreVC.address);
+	// console.log("CoreUC:", coreUC.address);
 
 	return {
 		token         : simpleToken,
@@ -118,6 +124,7 @@ module.exports.deployOpenSTProtocol = async (artifacts, accounts) => {
 		openSTValue   : openSTValue,
 		openSTUtility : openSTUtility,
 		coreVC        : coreVC,
+		coreUC        : coreUC,
 		stPrime       : stPrime
 	};
 }
\ No newline at end of file
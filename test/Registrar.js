@@ -22,6 +22,12 @@
 const BigNumber 			= require('bignumber.js');
 const Utils 		  		= require('./lib/utils.js');
 const Registrar_utils = require('./Registrar_utils.js');
+const OpsManaged_utils = require('./OpsManaged_utils.js');
+const Registrar 		= artifacts.require("./Registrar.sol");
+const BrandedToken 	= artifacts.require("./BrandedToken.sol");
+const OpenSTValueMock 	= artifacts.require("./OpenSTValueMock.sol");
+const OpenSTUtilityMock = artifacts.require("./OpenSTUtilityMock.sol");
+const CoreMock 		= artifacts.require("./CoreMock.sol");
 
 ///
 /// Test stories
@@ -34,18 +40,143 @@ const Registrar_utils = require('./Registrar_utils.js');
 /// 	fails to add by non-adminOrOps
 /// 	successfully adds core
 ///
+/// AddCore for utility chain
+/// 	fails to add by non-adminOrOps
+/// 	successfully adds core
+///
 /// RegisterUtilityToken
 /// 	fails to register if non-adminOrOps
 /// 	successfully registers
 ///
+/// SetStakeLimits
+/// 	fails to set by non-adminOrOps
+/// 	successfully sets
+///
+/// ScheduleConversionRateChange
+/// 	fails to schedule by non-admin
+/// 	successfully schedules on the value chain
+/// 	successfully schedules on the utility chain
+///
+/// SetStakeFee
+/// 	fails to set by non-adminOrOps
+/// 	successfully sets
+/// 	fails to withdraw by non-admin
+/// 	successfully withdraws
+///
+/// SetRedemptionFee
+/// 	fails to set by non-adminOrOps
+/// 	successfully sets
+/// 	fails to withdraw by non-admin
+///
+/// ProcessStaking with reward
+/// 	successfully processes by admin
+/// 	fails to withdraw rewards by non-admin
+/// 	successfully withdraws rewards
+///
 /// ConfirmStakingIntent
 /// 	fails to confirm by non-ops
+/// 	fails to confirm when frozen
 /// 	successfully confirms
 ///
 /// ConfirmRedemptionIntent
 /// 	fails to confirm by non-ops
+/// 	fails to confirm when frozen
 /// 	successfully confirms
 ///
+/// ConfirmStakingIntentBatch
+/// 	fails to confirm by non-ops
+/// 	fails to confirm when the arrays differ in length
+/// 	fails to confirm when the registry is not a contract
+/// 	fails to confirm when frozen
+/// 	successfully confirms and skips the intents that fail
+/// 	skips intents that are confirmed already
+///
+/// ConfirmRedemptionIntentBatch
+/// 	fails to confirm by non-ops
+/// 	fails to confirm when the arrays differ in length
+/// 	successfully confirms and skips the intents that fail
+///
+/// ConfirmStakingIntentBatch by registrar quorum
+/// 	fails to confirm by non-registrar
+/// 	does not confirm below the threshold
+/// 	skips intents the registrar attested already
+/// 	successfully confirms at the threshold and withdraws the attestation of failed intents
+///
+/// RevertStaking, RevertUnstaking and ProcessUnstaking
+/// 	fails to process unstaking by non-admin
+/// 	successfully processes unstaking with the signature of the redeemer
+/// 	does not revert stakes before they unlock
+/// 	fails to revert by non-adminOrOps
+/// 	successfully reverts staking
+/// 	successfully reverts unstaking
+/// 	fails to sweep when the registry is not a contract
+/// 	successfully sweeps the expired intents and skips those that fail
+///
+/// RevertMinting and RevertRedemption
+/// 	fails to revert by non-adminOrOps
+/// 	successfully reverts minting
+/// 	successfully reverts redemption
+/// 	successfully sweeps the expired intents and skips those that fail
+///
+/// CommitStateRoot
+/// 	fails to commit by non-ops
+/// 	successfully commits
+///
+/// CompleteRegistrarTransfer
+/// 	fails to complete by non-admin
+/// 	fails to complete before the waiting period ends
+/// 	successfully completes on the value chain
+/// 	successfully completes on the utility chain
+/// 	successfully completes on core
+///
+/// Registrars
+/// 	fails to add by non-admin
+/// 	fails to add null address
+/// 	successfully adds
+/// 	fails to add a registrar twice
+/// 	fails to set threshold by non-admin
+/// 	fails to set threshold above the number of registrars
+/// 	successfully sets threshold
+/// 	fails to remove when the threshold would exceed the registrars left
+/// 	fails to remove by non-admin
+/// 	fails to remove a non-registrar
+/// 	successfully removes
+///
+/// Registrar quorum
+/// 	fails to register utility token by ops once the threshold is set
+/// 	does not register utility token below the threshold
+/// 	fails to attest twice by the same registrar
+/// 	successfully registers utility token at the threshold
+/// 	successfully registers branded token at the threshold
+/// 	does not confirm staking intent below the threshold
+/// 	successfully confirms staking intent at the threshold
+/// 	does not count the attestation of a removed registrar
+/// 	successfully confirms redemption intent at the threshold
+/// 	fails to commit state root by ops once the threshold is set
+/// 	does not commit state root below the threshold
+/// 	successfully commits state root at the threshold
+/// 	successfully confirms by ops again with a threshold of zero
+///
+/// SetGuardianAddress
+/// 	fails to set by non-ownerOrAdmin
+/// 	fails to set to the owner
+/// 	fails to set to the admin address
+/// 	fails to set to the ops address
+/// 	successfully sets
+/// 	fails to set the admin or ops address to the guardian address
+///
+/// Freeze
+/// 	fails to freeze by non-guardian
+/// 	fails to freeze when blocks to freeze is not > 0
+/// 	fails to freeze when blocks to freeze is not <= MAX_BLOCKS_TO_FREEZE
+/// 	fails to unfreeze when not frozen
+/// 	successfully freezes
+/// 	fails to freeze again while frozen
+/// 	fails to unfreeze by non-guardian
+/// 	successfully unfreezes
+/// 	fails to freeze again before the cooldown ends
+/// 	successfully expires at frozenUntilHeight
+///
 
 contract('Registrar', function(accounts) {
 	const chainIdValue  	= 3;
@@ -59,6 +190,8 @@ contract('Registrar', function(accounts) {
 	const conversionRateDecimals = 5;
 	const conversionRate	= new BigNumber(10 * (10**conversionRateDecimals)); // Conversion rate => 10
 	const amountST 			= new BigNumber(web3.toWei(2, "ether"));;	
+	const unlockSecret 		= web3.sha3("unlock secret");
+	const hashLock 			= Utils.hashLock(unlockSecret);
 
 	describe('RegisterBrandedToken for utility chain', async() => {
 		var contracts 		= null;
@@ -71,8 +204,8 @@ contract('Registrar', function(accounts) {
 	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
 			registrar 		= contracts.registrar;
 	        openSTUtility 	= contracts.openSTUtility;
-	        uuid 			= await openSTUtility.proposeBrandedToken.call(symbol, name, conversionRate, conversionRateDecimals, { from: staker });
-	        result 			= await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        result 			= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
 	        brandedToken 	= result.logs[0].args._token;
 		})
 
@@ -107,6 +240,30 @@ contract('Registrar', function(accounts) {
 		})
 	})
 
+	describe('AddCore for utility chain', async() => {
+		var contracts 		= null;
+		var registrar 		= null;
+		var openSTUtility	= null;
+		var coreUC 			= null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        coreUC 			= contracts.coreUC;
+		})
+
+		it('fails to add by non-adminOrOps', async () => {
+            await Utils.expectThrow(registrar.addUtilityCore(openSTUtility.address, coreUC.address));
+		})
+
+		it('successfully adds core', async () => {
+            assert.equal(await registrar.addUtilityCore.call(openSTUtility.address, coreUC.address, { from: ops }), true);
+            await registrar.addUtilityCore(openSTUtility.address, coreUC.address, { from: ops });
+            assert.equal(await openSTUtility.core.call(chainIdValue), coreUC.address);
+		})
+	})
+
 	describe('RegisterUtilityToken for value chain', async() => {
 		var contracts 	= null;
 		var registrar 	= null;
@@ -134,6 +291,203 @@ contract('Registrar', function(accounts) {
 		})
 	})
 
+	describe('SetStakeLimits for value chain', async() => {
+		var contracts 	= null;
+		var registrar 	= null;
+		var openSTValue	= null;
+		var core 		= null;
+		var uuid 		= null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        core 			= contracts.core;
+	        uuid 			= await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+
+	        await registrar.addCore(openSTValue.address, core.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+		})
+
+		it('fails to set by non-adminOrOps', async () => {
+            await Utils.expectThrow(registrar.setStakeLimits(openSTValue.address, uuid, 1, amountST, amountST.mul(10)));
+		})
+
+		it('successfully sets', async () => {
+            await registrar.setStakeLimits(openSTValue.address, uuid, 1, amountST, amountST.mul(10), { from: ops });
+            var stakeLimits = await openSTValue.stakeLimits.call(uuid);
+            assert.equal(stakeLimits[0].toNumber(), 1);
+            assert.equal(stakeLimits[1].toNumber(), amountST.toNumber());
+            assert.equal(stakeLimits[2].toNumber(), amountST.mul(10).toNumber());
+		})
+	})
+
+	describe('ScheduleConversionRateChange', async() => {
+		var contracts 	= null;
+		var registrar 	= null;
+		var openSTValue	= null;
+		var core 		= null;
+		var uuid 		= null;
+		const newConversionRate = conversionRate.mul(2);
+		var activationHeight = null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        core 			= contracts.core;
+
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        result 			= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, result.logs[0].args._token, uuid, { from: ops });
+	        await registrar.addCore(openSTValue.address, core.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        activationHeight = (await openSTValue.blocksToWaitLong.call()).plus(web3.eth.blockNumber + 10);
+		})
+
+		it('fails to schedule by non-admin', async () => {
+            await Utils.expectThrow(registrar.scheduleConversionRateChange(openSTValue.address, uuid, newConversionRate, conversionRateDecimals, activationHeight, { from: ops }));
+            await Utils.expectThrow(registrar.scheduleUtilityConversionRateChange(openSTUtility.address, uuid, newConversionRate, conversionRateDecimals, activationHeight, { from: ops }));
+		})
+
+		it('successfully schedules on the value chain', async () => {
+            await registrar.scheduleConversionRateChange(openSTValue.address, uuid, newConversionRate, conversionRateDecimals, activationHeight, { from: admin });
+            var conversionRateChange = await openSTValue.conversionRateChanges.call(uuid);
+            assert.equal(conversionRateChange[0].toNumber(), newConversionRate.toNumber());
+            assert.equal(conversionRateChange[2].toNumber(), activationHeight.toNumber());
+		})
+
+		it('successfully schedules on the utility chain', async () => {
+            await registrar.scheduleUtilityConversionRateChange(openSTUtility.address, uuid, newConversionRate, conversionRateDecimals, activationHeight, { from: admin });
+            var brandedToken = BrandedToken.at((await openSTUtility.registeredTokens.call(uuid))[0]);
+            var scheduledChange = await brandedToken.scheduledConversionRateChange.call();
+            assert.equal(scheduledChange[0].toNumber(), newConversionRate.toNumber());
+            assert.equal(scheduledChange[2].toNumber(), activationHeight.toNumber());
+		})
+	})
+
+	describe('SetStakeFee for value chain', async() => {
+		var contracts 	= null;
+		var valueToken	= null;
+		var registrar 	= null;
+		var openSTValue	= null;
+		var core 		= null;
+		var uuid 		= null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+	        valueToken  	= contracts.valueToken;
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        core 			= contracts.core;
+	        uuid 			= await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+
+	        await registrar.addCore(openSTValue.address, core.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+		})
+
+		it('fails to set by non-adminOrOps', async () => {
+            await Utils.expectThrow(registrar.setStakeFee(openSTValue.address, uuid, 100, 0));
+		})
+
+		it('successfully sets', async () => {
+            await registrar.setStakeFee(openSTValue.address, uuid, 100, 0, { from: ops });
+            var stakeFee = await openSTValue.stakeFees.call(uuid);
+            assert.equal(stakeFee[0].toNumber(), 100);
+            assert.equal(stakeFee[1].toNumber(), 0);
+		})
+
+		it('fails to withdraw by non-admin', async () => {
+	        await valueToken.approve(openSTValue.address, amountST, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountST, staker, hashLock, { from: staker });
+			await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: staker });
+
+            await Utils.expectThrow(registrar.withdrawStakeFees(openSTValue.address, uuid, accounts[5], amountST.div(100), { from: ops }));
+		})
+
+		it('successfully withdraws', async () => {
+            await registrar.withdrawStakeFees(openSTValue.address, uuid, accounts[5], amountST.div(100), { from: admin });
+            assert.equal((await openSTValue.feesST.call(uuid)).toNumber(), 0);
+            assert.equal((await valueToken.balanceOf.call(accounts[5])).toNumber(), amountST.div(100).toNumber());
+		})
+	})
+
+	describe('SetRedemptionFee for utility chain', async() => {
+		var contracts 		= null;
+		var registrar 		= null;
+		var openSTUtility 	= null;
+		var uuid 			= null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        var result 		= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+
+			await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, result.logs[0].args._token, uuid, { from: ops });
+		})
+
+		it('fails to set by non-adminOrOps', async () => {
+            await Utils.expectThrow(registrar.setRedemptionFee(openSTUtility.address, uuid, 100, 0));
+		})
+
+		it('successfully sets', async () => {
+            await registrar.setRedemptionFee(openSTUtility.address, uuid, 100, 0, { from: ops });
+            var redemptionFee = await openSTUtility.redemptionFees.call(uuid);
+            assert.equal(redemptionFee[0].toNumber(), 100);
+            assert.equal(redemptionFee[1].toNumber(), 0);
+		})
+
+		it('fails to withdraw by non-admin', async () => {
+            await Utils.expectThrow(registrar.withdrawRedemptionFees(openSTUtility.address, uuid, accounts[5], 1, { from: ops }));
+		})
+	})
+
+	describe('ProcessStaking with reward for value chain', async() => {
+		const rewardST = new BigNumber(web3.toWei(0.01, "ether"));
+		var contracts 	= null;
+		var valueToken	= null;
+		var registrar 	= null;
+		var openSTValue	= null;
+		var uuid 		= null;
+		var stakingIntentHash = null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+	        valueToken  	= contracts.valueToken;
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        uuid 			= await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, openSTUtility.address, conversionRate, conversionRateDecimals);
+
+	        await registrar.addCore(openSTValue.address, contracts.core.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        await valueToken.approve(openSTValue.address, amountST, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountST.minus(rewardST), staker, hashLock, { from: staker });
+	        stakingIntentHash = result.logs[0].args._stakingIntentHash;
+	        await openSTValue.addStakingReward(stakingIntentHash, rewardST, { from: staker });
+		})
+
+		it('successfully processes by admin', async () => {
+            await registrar.processStaking(openSTValue.address, stakingIntentHash, unlockSecret, { from: admin });
+            assert.equal((await openSTValue.rewardsST.call(registrar.address)).toNumber(), rewardST.toNumber());
+		})
+
+		it('fails to withdraw rewards by non-admin', async () => {
+            await Utils.expectThrow(registrar.withdrawStakingRewards(openSTValue.address, accounts[5], { from: ops }));
+		})
+
+		it('successfully withdraws rewards', async () => {
+            await registrar.withdrawStakingRewards(openSTValue.address, accounts[5], { from: admin });
+            assert.equal((await openSTValue.rewardsST.call(registrar.address)).toNumber(), 0);
+            assert.equal((await valueToken.balanceOf.call(accounts[5])).toNumber(), rewardST.toNumber());
+		})
+	})
+
 	describe('ConfirmStakingIntent for utility chain', async() => {
 		var contracts 			= null;
 		var valueToken			= null;
@@ -155,15 +509,16 @@ contract('Registrar', function(accounts) {
 	        openSTUtility 	= contracts.openSTUtility;
 	        openSTValue 	= contracts.openSTValue;
 	        core 			= contracts.core;
-	        uuid 			= await openSTUtility.proposeBrandedToken.call(symbol, name, conversionRate, conversionRateDecimals, { from: staker });
-	        var result 		= await openSTUtility.proposeBrandedToken(symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        var result 		= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
 	        brandedToken 	= result.logs[0].args._token;
 
 			await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, brandedToken, uuid, { from: ops })
 	        await registrar.addCore(openSTValue.address, core.address, { from: ops });
+	        await registrar.addUtilityCore(openSTUtility.address, contracts.coreUC.address, { from: ops });
 	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
 	        await valueToken.approve(openSTValue.address, amountST, { from: staker });
-	        result = await openSTValue.stake(uuid, amountST, staker, { from: staker });
+	        result = await openSTValue.stake(uuid, amountST, staker, hashLock, { from: staker });
 	        nonce = result.logs[0].args._stakerNonce;
 	        amountUT = result.logs[0].args._amountUT;
 	        unlockHeight = result.logs[0].args._unlockHeight;
@@ -171,13 +526,20 @@ contract('Registrar', function(accounts) {
 		})
 
 		it('fails to confirm by non-ops', async () => {
-            await Utils.expectThrow(registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, unlockHeight, stakingIntentHash));
-            await Utils.expectThrow(registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, unlockHeight, stakingIntentHash, { from: admin }));
+            await Utils.expectThrow(registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, 0, unlockHeight, hashLock, stakingIntentHash));
+            await Utils.expectThrow(registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: admin }));
+		})
+
+		it('fails to confirm when frozen', async () => {
+			await registrar.setGuardianAddress(accounts[5], { from: admin });
+			await registrar.freeze(10, { from: accounts[5] });
+            await Utils.expectThrow(registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: ops }));
+			await registrar.unfreeze({ from: accounts[5] });
 		})
 
 		it('successfully confirms', async () => {
 			var BLOCKS_TO_WAIT_SHORT = 240;
-            var expirationHeight = await registrar.confirmStakingIntent.call(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, unlockHeight, stakingIntentHash, { from: ops });
+            var expirationHeight = await registrar.confirmStakingIntent.call(openSTUtility.address, uuid, staker, nonce, staker, amountST, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: ops });
 
             assert.ok(expirationHeight > BLOCKS_TO_WAIT_SHORT);
 		})
@@ -195,6 +557,7 @@ contract('Registrar', function(accounts) {
 		var redemptionIntentHash 	= null;
 		const BLOCKS_TO_WAIT_LONG	= 80667;
 		const amountUTRedeemed 	 	= (conversionRate / (10**conversionRateDecimals));
+		const amountSTRedeemed 		= 1;
 		
 		before(async() => {
 	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
@@ -208,24 +571,925 @@ contract('Registrar', function(accounts) {
 	        await registrar.addCore(openSTValue.address, core.address, { from: ops });
 	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
 	        await valueToken.approve(openSTValue.address, amountST, { from: staker });
-	        var result = await openSTValue.stake(uuid, amountST, staker, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountST, staker, hashLock, { from: staker });
 	        var stakingIntentHash = result.logs[0].args._stakingIntentHash;
-			await openSTValue.processStaking(stakingIntentHash, { from: staker });
+			await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: staker });
 			nonce = await openSTValue.getNextNonce.call(staker);
-			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, BLOCKS_TO_WAIT_LONG);
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock);
 		})
 
 		it('fails to confirm by non-ops', async () => {
-            await Utils.expectThrow(registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, BLOCKS_TO_WAIT_LONG, redemptionIntentHash));
-            await Utils.expectThrow(registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, BLOCKS_TO_WAIT_LONG, redemptionIntentHash, { from: admin }));
+            await Utils.expectThrow(registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash));
+            await Utils.expectThrow(registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: admin }));
+		})
+
+		it('fails to confirm when frozen', async () => {
+			await registrar.setGuardianAddress(accounts[5], { from: admin });
+			await registrar.freeze(10, { from: accounts[5] });
+            await Utils.expectThrow(registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: ops }));
+			await registrar.unfreeze({ from: accounts[5] });
 		})
 
 		it('successfully confirms', async () => {
 			var BLOCKS_TO_WAIT_SHORT = 240;
 
-      var confirmReturns = await registrar.confirmRedemptionIntent.call(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, BLOCKS_TO_WAIT_LONG, redemptionIntentHash, { from: ops });      
-      assert.equal(confirmReturns[0], (amountUTRedeemed * (10**conversionRateDecimals))/conversionRate);
+      var confirmReturns = await registrar.confirmRedemptionIntent.call(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: ops });      
+      assert.equal(confirmReturns[0], amountSTRedeemed);
       assert.ok(confirmReturns[1] > BLOCKS_TO_WAIT_SHORT);
 		})
 	})
+	describe('ConfirmStakingIntentBatch for utility chain', async() => {
+		var contracts 			= null;
+		var registrar 			= null;
+		var openSTUtility 		= null;
+		var openSTValue			= null;
+		var uuid 				= null;
+		var intents 			= null;
+		const badIntentHash 	= web3.sha3("bad intent");
+
+		/// @dev confirms the intents by index, with the intent hash of each replaced where given
+		const confirmBatch = (method, indexes, stakingIntentHashes, options) => {
+			var selected = indexes.map((i) => intents[i]);
+
+			return method(openSTUtility.address,
+				selected.map((intent) => intent.uuid),
+				selected.map((intent) => intent.staker),
+				selected.map((intent) => intent.nonce),
+				selected.map((intent) => intent.beneficiary),
+				selected.map((intent) => intent.amountST),
+				selected.map((intent) => intent.amountUT),
+				selected.map((intent) => 0),
+				selected.map((intent) => intent.unlockHeight),
+				selected.map((intent) => hashLock),
+				stakingIntentHashes || selected.map((intent) => intent.stakingIntentHash),
+				options);
+		}
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        var result 		= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+
+			await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, result.logs[0].args._token, uuid, { from: ops })
+	        await registrar.addCore(openSTValue.address, contracts.core.address, { from: ops });
+	        await registrar.addUtilityCore(openSTUtility.address, contracts.coreUC.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        await contracts.valueToken.approve(openSTValue.address, amountST, { from: staker });
+
+	        intents = [];
+	        for (var i = 0; i < 2; i++) {
+		        result = await openSTValue.stake(uuid, amountST.div(2), staker, hashLock, { from: staker });
+		        intents.push({
+		        	uuid: uuid,
+		        	staker: staker,
+		        	nonce: result.logs[0].args._stakerNonce,
+		        	beneficiary: staker,
+		        	amountST: amountST.div(2),
+		        	amountUT: result.logs[0].args._amountUT,
+		        	unlockHeight: result.logs[0].args._unlockHeight,
+		        	stakingIntentHash: result.logs[0].args._stakingIntentHash
+		        });
+	        }
+		})
+
+		it('fails to confirm by non-ops', async () => {
+            await Utils.expectThrow(confirmBatch(registrar.confirmStakingIntentBatch, [0, 1], null, { from: admin }));
+		})
+
+		it('fails to confirm when the arrays differ in length', async () => {
+            await Utils.expectThrow(confirmBatch(registrar.confirmStakingIntentBatch, [0, 1], [intents[0].stakingIntentHash], { from: ops }));
+		})
+
+		it('fails to confirm when the registry is not a contract', async () => {
+            await Utils.expectThrow(registrar.confirmStakingIntentBatch(accounts[9], [uuid], [staker], [intents[0].nonce], [staker],
+            	[intents[0].amountST], [intents[0].amountUT], [0], [intents[0].unlockHeight], [hashLock], [intents[0].stakingIntentHash], { from: ops }));
+		})
+
+		it('fails to confirm when frozen', async () => {
+			await registrar.setGuardianAddress(accounts[5], { from: admin });
+			await registrar.freeze(10, { from: accounts[5] });
+            await Utils.expectThrow(confirmBatch(registrar.confirmStakingIntentBatch, [0, 1], null, { from: ops }));
+			await registrar.unfreeze({ from: accounts[5] });
+		})
+
+		it('successfully confirms and skips the intents that fail', async () => {
+			var stakingIntentHashes = [intents[0].stakingIntentHash, badIntentHash, intents[1].stakingIntentHash];
+
+			assert.equal((await confirmBatch(registrar.confirmStakingIntentBatch.call, [0, 0, 1], stakingIntentHashes, { from: ops })).toNumber(), 2);
+			var result = await confirmBatch(registrar.confirmStakingIntentBatch, [0, 0, 1], stakingIntentHashes, { from: ops });
+
+			assert.equal(result.logs.length, 1);
+			assert.equal(result.logs[0].event, "ConfirmationFailed");
+			assert.equal(result.logs[0].args._registry, openSTUtility.address);
+			assert.equal(result.logs[0].args._intentHash, badIntentHash);
+			assert.equal((await openSTUtility.mints.call(intents[0].stakingIntentHash))[0], uuid);
+			assert.equal((await openSTUtility.mints.call(intents[1].stakingIntentHash))[0], uuid);
+		})
+
+		it('skips intents that are confirmed already', async () => {
+			assert.equal((await confirmBatch(registrar.confirmStakingIntentBatch.call, [0, 1], null, { from: ops })).toNumber(), 0);
+			var result = await confirmBatch(registrar.confirmStakingIntentBatch, [0, 1], null, { from: ops });
+
+			assert.equal(result.logs.length, 2);
+			assert.equal(result.logs[0].args._intentHash, intents[0].stakingIntentHash);
+			assert.equal(result.logs[1].args._intentHash, intents[1].stakingIntentHash);
+		})
+	})
+
+	describe('ConfirmRedemptionIntentBatch for value chain', async() => {
+		var contracts 			 	= null;
+		var registrar 			 	= null;
+		var openSTValue			 	= null;
+		var uuid 				 	= null;
+		var nonce 				 	= null;
+		var redemptionIntentHashes 	= null;
+		const BLOCKS_TO_WAIT_LONG	= 80667;
+		const amountUTRedeemed 	 	= (conversionRate / (10**conversionRateDecimals));
+		const amountSTRedeemed 		= 1;
+
+		/// @dev confirms redemption intents for consecutive nonces from nonce
+		const confirmBatch = (method, redemptionIntentHashes, options) => {
+			var size = redemptionIntentHashes.length;
+
+			return method(openSTValue.address,
+				Array(size).fill(uuid),
+				Array(size).fill(staker),
+				redemptionIntentHashes.map((hash, i) => nonce.plus(i)),
+				Array(size).fill(redeemBeneficiary),
+				Array(size).fill(amountUTRedeemed),
+				Array(size).fill(amountSTRedeemed),
+				Array(size).fill(0),
+				Array(size).fill(BLOCKS_TO_WAIT_LONG),
+				Array(size).fill(hashLock),
+				redemptionIntentHashes,
+				options);
+		}
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTValue 	= contracts.openSTValue;
+	        uuid 			= await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, contracts.openSTUtility.address, conversionRate, conversionRateDecimals);
+
+	        await registrar.addCore(openSTValue.address, contracts.core.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        await contracts.valueToken.approve(openSTValue.address, amountST, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountST, staker, hashLock, { from: staker });
+			await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: staker });
+			nonce = await openSTValue.getNextNonce.call(staker);
+
+			redemptionIntentHashes = [];
+			for (var i = 0; i < 2; i++) {
+				redemptionIntentHashes.push(await openSTValue.hashRedemptionIntent.call(uuid, staker, nonce.plus(i), redeemBeneficiary,
+					amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock));
+			}
+		})
+
+		it('fails to confirm by non-ops', async () => {
+            await Utils.expectThrow(confirmBatch(registrar.confirmRedemptionIntentBatch, redemptionIntentHashes, { from: admin }));
+		})
+
+		it('fails to confirm when the arrays differ in length', async () => {
+            await Utils.expectThrow(registrar.confirmRedemptionIntentBatch(openSTValue.address, [uuid], [staker], [nonce], [redeemBeneficiary],
+            	[amountUTRedeemed], [amountSTRedeemed], [0], [BLOCKS_TO_WAIT_LONG], [hashLock], redemptionIntentHashes, { from: ops }));
+		})
+
+		it('successfully confirms and skips the intents that fail', async () => {
+			// the second intent fails as its nonce is not the next nonce
+			var hashes = [redemptionIntentHashes[0], redemptionIntentHashes[0]];
+
+			assert.equal((await confirmBatch(registrar.confirmRedemptionIntentBatch.call, hashes, { from: ops })).toNumber(), 1);
+			var result = await confirmBatch(registrar.confirmRedemptionIntentBatch, hashes, { from: ops });
+
+			assert.equal(result.logs.length, 1);
+			assert.equal(result.logs[0].event, "ConfirmationFailed");
+			assert.equal(result.logs[0].args._registry, openSTValue.address);
+			assert.equal(result.logs[0].args._intentHash, redemptionIntentHashes[0]);
+			assert.equal((await openSTValue.unstakes.call(redemptionIntentHashes[0]))[0], uuid);
+		})
+	})
+
+	describe('ConfirmStakingIntentBatch by registrar quorum', async() => {
+		var contracts 			= null;
+		var registrar 			= null;
+		var openSTUtility 		= null;
+		var openSTValue			= null;
+		var uuid 				= null;
+		var nonce 				= null;
+		var amountUT 	 		= null;
+		var unlockHeight 		= null;
+		var stakingIntentHash 	= null;
+		const registrar1 		= accounts[6];
+		const registrar2 		= accounts[7];
+		const badIntentHash 	= web3.sha3("bad intent");
+
+		const confirmBatch = (method, stakingIntentHashes, options) => {
+			var size = stakingIntentHashes.length;
+
+			return method(openSTUtility.address,
+				Array(size).fill(uuid),
+				Array(size).fill(staker),
+				Array(size).fill(nonce),
+				Array(size).fill(staker),
+				Array(size).fill(amountST),
+				Array(size).fill(amountUT),
+				Array(size).fill(0),
+				Array(size).fill(unlockHeight),
+				Array(size).fill(hashLock),
+				stakingIntentHashes,
+				options);
+		}
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        var result 		= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+
+			await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, result.logs[0].args._token, uuid, { from: ops })
+	        await registrar.addCore(openSTValue.address, contracts.core.address, { from: ops });
+	        await registrar.addUtilityCore(openSTUtility.address, contracts.coreUC.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        await contracts.valueToken.approve(openSTValue.address, amountST, { from: staker });
+	        result = await openSTValue.stake(uuid, amountST, staker, hashLock, { from: staker });
+	        nonce = result.logs[0].args._stakerNonce;
+	        amountUT = result.logs[0].args._amountUT;
+	        unlockHeight = result.logs[0].args._unlockHeight;
+	        stakingIntentHash = result.logs[0].args._stakingIntentHash;
+
+	        await registrar.addRegistrar(registrar1, { from: admin });
+	        await registrar.addRegistrar(registrar2, { from: admin });
+	        await registrar.setThreshold(2, { from: admin });
+		})
+
+		it('fails to confirm by non-registrar', async () => {
+            await Utils.expectThrow(confirmBatch(registrar.confirmStakingIntentBatch, [stakingIntentHash], { from: ops }));
+		})
+
+		it('does not confirm below the threshold', async () => {
+			var result = await confirmBatch(registrar.confirmStakingIntentBatch, [badIntentHash, stakingIntentHash], { from: registrar1 });
+
+			assert.equal(result.logs.length, 2);
+			assert.equal(result.logs[0].event, "Attested");
+			assert.equal(result.logs[1].event, "Attested");
+			assert.ok(Utils.isNullAddress((await openSTUtility.mints.call(stakingIntentHash))[1]));
+		})
+
+		it('skips intents the registrar attested already', async () => {
+			var result = await confirmBatch(registrar.confirmStakingIntentBatch, [stakingIntentHash], { from: registrar1 });
+
+			assert.equal(result.logs.length, 1);
+			assert.equal(result.logs[0].event, "ConfirmationFailed");
+			assert.equal(result.logs[0].args._intentHash, stakingIntentHash);
+		})
+
+		it('successfully confirms at the threshold and withdraws the attestation of failed intents', async () => {
+			assert.equal((await confirmBatch(registrar.confirmStakingIntentBatch.call, [badIntentHash, stakingIntentHash], { from: registrar2 })).toNumber(), 1);
+			var result = await confirmBatch(registrar.confirmStakingIntentBatch, [badIntentHash, stakingIntentHash], { from: registrar2 });
+
+			assert.equal(result.logs[1].event, "ConfirmationFailed");
+			assert.equal(result.logs[1].args._intentHash, badIntentHash);
+			assert.equal((await openSTUtility.mints.call(stakingIntentHash))[0], uuid);
+
+			var badAttestation = web3.sha3(openSTUtility.address.replace(/^0x/, "") + badIntentHash.replace(/^0x/, ""), { encoding: "hex" });
+			assert.equal(await registrar.attested.call(badAttestation, registrar1), true);
+			assert.equal(await registrar.attested.call(badAttestation, registrar2), false);
+		})
+	})
+
+	describe('RevertStaking, RevertUnstaking and ProcessUnstaking for value chain', async() => {
+		var contracts 			 	= null;
+		var valueToken			 	= null;
+		var registrar 			 	= null;
+		var openSTValue			 	= null;
+		var uuid 				 	= null;
+		var stakingIntentHashes 	= null;
+		var redemptionIntentHashes 	= null;
+		var unlockHeight 			= null;
+		const amountUTRedeemed 	 	= (conversionRate / (10**conversionRateDecimals));
+		const amountSTRedeemed 		= 1;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+	        valueToken  	= contracts.valueToken;
+			registrar 		= contracts.registrar;
+			// the mock waits 8 blocks to unlock a stake and 5 blocks for an unstake to expire
+	        openSTValue 	= await OpenSTValueMock.new(chainIdValue, valueToken.address, registrar.address);
+	        uuid 			= await openSTValue.hashUuid.call(symbol, name, chainIdValue, chainIdUtility, contracts.openSTUtility.address, conversionRate, conversionRateDecimals);
+
+	        await registrar.addCore(openSTValue.address, contracts.core.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        await valueToken.approve(openSTValue.address, amountST, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountST.div(2), staker, hashLock, { from: staker });
+			await openSTValue.processStaking(result.logs[0].args._stakingIntentHash, unlockSecret, { from: staker });
+
+			stakingIntentHashes = [];
+			for (var i = 0; i < 2; i++) {
+		        result = await openSTValue.stake(uuid, amountST.div(4), staker, hashLock, { from: staker });
+		        stakingIntentHashes.push(result.logs[0].args._stakingIntentHash);
+		        unlockHeight = result.logs[0].args._unlockHeight.toNumber();
+			}
+
+			redemptionIntentHashes = [];
+			for (var i = 0; i < 3; i++) {
+				var nonce = await openSTValue.getNextNonce.call(staker);
+				var redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(uuid, staker, nonce, redeemBeneficiary,
+					amountUTRedeemed, amountSTRedeemed, 0, unlockHeight, hashLock);
+				await registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary,
+					amountUTRedeemed, amountSTRedeemed, 0, unlockHeight, hashLock, redemptionIntentHash, { from: ops });
+				redemptionIntentHashes.push(redemptionIntentHash);
+			}
+		})
+
+		it('fails to process unstaking by non-admin', async () => {
+			var signature = Utils.sign(staker, redemptionIntentHashes[0]);
+            await Utils.expectThrow(registrar.processUnstaking(openSTValue.address, redemptionIntentHashes[0], unlockSecret,
+            	signature.v, signature.r, signature.s, { from: ops }));
+		})
+
+		it('successfully processes unstaking with the signature of the redeemer', async () => {
+			var signature = Utils.sign(staker, redemptionIntentHashes[0]);
+            await registrar.processUnstaking(openSTValue.address, redemptionIntentHashes[0], unlockSecret,
+            	signature.v, signature.r, signature.s, { from: admin });
+            assert.equal((await valueToken.balanceOf.call(redeemBeneficiary)).toNumber(), amountSTRedeemed);
+		})
+
+		it('does not revert stakes before they unlock', async () => {
+			var result = await registrar.revertStakingBatch(openSTValue.address, stakingIntentHashes, { from: ops });
+
+			assert.equal(result.logs.length, 2);
+			assert.equal(result.logs[0].event, "RevertFailed");
+			assert.equal(result.logs[0].args._registry, openSTValue.address);
+			assert.equal(result.logs[0].args._intentHash, stakingIntentHashes[0]);
+			assert.equal(result.logs[1].args._intentHash, stakingIntentHashes[1]);
+			assert.equal((await openSTValue.stakes.call(stakingIntentHashes[0]))[0], uuid);
+		})
+
+		it('fails to revert by non-adminOrOps', async () => {
+            await Utils.expectThrow(registrar.revertStaking(openSTValue.address, stakingIntentHashes[0], { from: staker }));
+            await Utils.expectThrow(registrar.revertStakingBatch(openSTValue.address, stakingIntentHashes, { from: staker }));
+            await Utils.expectThrow(registrar.revertUnstaking(openSTValue.address, redemptionIntentHashes[1], { from: staker }));
+            await Utils.expectThrow(registrar.revertUnstakingBatch(openSTValue.address, redemptionIntentHashes, { from: staker }));
+		})
+
+		it('successfully reverts staking', async () => {
+			// mine blocks with failing calls until the stakes unlock
+			while (web3.eth.blockNumber < unlockHeight) {
+	            await Utils.expectThrow(registrar.revertStaking(openSTValue.address, "", { from: ops }));
+			}
+
+			var balance = await valueToken.balanceOf.call(staker);
+            await registrar.revertStaking(openSTValue.address, stakingIntentHashes[0], { from: ops });
+            assert.equal((await valueToken.balanceOf.call(staker)).toNumber(), balance.plus(amountST.div(4)).toNumber());
+            assert.ok(Utils.isNullAddress((await openSTValue.stakes.call(stakingIntentHashes[0]))[1]));
+		})
+
+		it('successfully reverts unstaking', async () => {
+            await registrar.revertUnstaking(openSTValue.address, redemptionIntentHashes[1], { from: admin });
+            assert.ok(Utils.isNullAddress((await openSTValue.unstakes.call(redemptionIntentHashes[1]))[1]));
+		})
+
+		it('fails to sweep when the registry is not a contract', async () => {
+            await Utils.expectThrow(registrar.revertStakingBatch(accounts[9], stakingIntentHashes, { from: ops }));
+		})
+
+		it('successfully sweeps the expired intents and skips those that fail', async () => {
+			assert.equal((await registrar.revertStakingBatch.call(openSTValue.address, stakingIntentHashes, { from: ops })).toNumber(), 1);
+			var result = await registrar.revertStakingBatch(openSTValue.address, stakingIntentHashes, { from: ops });
+
+			assert.equal(result.logs.length, 1);
+			assert.equal(result.logs[0].args._intentHash, stakingIntentHashes[0]);
+			assert.ok(Utils.isNullAddress((await openSTValue.stakes.call(stakingIntentHashes[1]))[1]));
+
+			// the first unstake is processed and the second reverted already
+			result = await registrar.revertUnstakingBatch(openSTValue.address, redemptionIntentHashes, { from: ops });
+
+			assert.equal(result.logs.length, 2);
+			assert.equal(result.logs[0].args._intentHash, redemptionIntentHashes[0]);
+			assert.equal(result.logs[1].args._intentHash, redemptionIntentHashes[1]);
+			assert.ok(Utils.isNullAddress((await openSTValue.unstakes.call(redemptionIntentHashes[2]))[1]));
+		})
+	})
+
+	describe('RevertMinting and RevertRedemption for utility chain', async() => {
+		var contracts 			 	= null;
+		var registrar 			 	= null;
+		var openSTUtility 		 	= null;
+		var openSTValue			 	= null;
+		var uuid 				 	= null;
+		var core 				 	= null;
+		var brandedToken 		 	= null;
+		var stakingIntentHashes 	= null;
+		var redemptionIntentHashes 	= null;
+		var expirationHeight 	 	= null;
+		var amountUT 			 	= null;
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+	        openSTValue 	= contracts.openSTValue;
+			// the mock waits 5 blocks for a mint to expire and 8 blocks to unlock a redemption
+	        openSTUtility 	= await OpenSTUtilityMock.new(chainIdValue, chainIdUtility, registrar.address, { gas: 10000000 });
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        var result 		= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        brandedToken 	= BrandedToken.at(result.logs[0].args._token);
+
+			await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, brandedToken.address, uuid, { from: ops })
+			// the core of the value chain tracks the mock to register the utility token with its uuid
+	        core 			= await CoreMock.new(registrar.address, chainIdValue, chainIdUtility, openSTUtility.address);
+	        await registrar.addCore(openSTValue.address, core.address, { from: ops });
+	        await registrar.addUtilityCore(openSTUtility.address, contracts.coreUC.address, { from: ops });
+	        await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops });
+	        await contracts.valueToken.approve(openSTValue.address, amountST, { from: staker });
+
+	        var stakes = [];
+	        for (var i = 0; i < 3; i++) {
+		        result = await openSTValue.stake(uuid, amountST.div(4), staker, hashLock, { from: staker });
+		        stakes.push(result.logs[0].args);
+	        }
+
+	        // the mints are confirmed in consecutive blocks as they expire after 5 blocks
+	        stakingIntentHashes = [];
+	        for (var i = 0; i < 3; i++) {
+		        var args = stakes[i];
+		        await registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, args._stakerNonce, staker, amountST.div(4),
+		        	args._amountUT, 0, args._unlockHeight, hashLock, args._stakingIntentHash, { from: ops });
+		        stakingIntentHashes.push(args._stakingIntentHash);
+		        amountUT = args._amountUT;
+	        }
+	        await openSTUtility.processMinting(stakingIntentHashes[0], unlockSecret, { from: staker });
+	        expirationHeight = (await openSTUtility.mints.call(stakingIntentHashes[2]))[4].toNumber();
+
+	        var nonce = stakes[2]._stakerNonce;
+	        redemptionIntentHashes = [];
+	        await brandedToken.claim(staker, { from: staker });
+	        await brandedToken.approve(openSTUtility.address, amountUT, { from: staker });
+	        for (var i = 0; i < 2; i++) {
+	        	nonce = nonce.plus(1);
+	        	result = await openSTUtility.redeem(chainIdValue, uuid, amountUT.div(2), nonce, redeemBeneficiary, hashLock, { from: staker });
+	        	redemptionIntentHashes.push(result.logs[0].args._redemptionIntentHash);
+	        	expirationHeight = Math.max(expirationHeight, result.logs[0].args._unlockHeight.toNumber());
+	        }
+		})
+
+		it('fails to revert by non-adminOrOps', async () => {
+            await Utils.expectThrow(registrar.revertMinting(openSTUtility.address, stakingIntentHashes[1], { from: staker }));
+            await Utils.expectThrow(registrar.revertMintingBatch(openSTUtility.address, stakingIntentHashes, { from: staker }));
+            await Utils.expectThrow(registrar.revertRedemption(openSTUtility.address, redemptionIntentHashes[0], { from: staker }));
+            await Utils.expectThrow(registrar.revertRedemptionBatch(openSTUtility.address, redemptionIntentHashes, { from: staker }));
+		})
+
+		it('successfully reverts minting', async () => {
+			// mine blocks with failing calls until the mints expire and the redemptions unlock
+			while (web3.eth.blockNumber < expirationHeight) {
+	            await Utils.expectThrow(registrar.revertMinting(openSTUtility.address, "", { from: ops }));
+			}
+
+            await registrar.revertMinting(openSTUtility.address, stakingIntentHashes[1], { from: ops });
+            assert.ok(Utils.isNullAddress((await openSTUtility.mints.call(stakingIntentHashes[1]))[1]));
+		})
+
+		it('successfully reverts redemption', async () => {
+			var balance = await brandedToken.balanceOf.call(staker);
+            await registrar.revertRedemption(openSTUtility.address, redemptionIntentHashes[0], { from: admin });
+            assert.equal((await brandedToken.balanceOf.call(staker)).toNumber(), balance.plus(amountUT.div(2)).toNumber());
+            assert.ok(Utils.isNullAddress((await openSTUtility.redemptions.call(redemptionIntentHashes[0]))[1]));
+		})
+
+		it('successfully sweeps the expired intents and skips those that fail', async () => {
+			// the first mint is processed and the second reverted already
+			assert.equal((await registrar.revertMintingBatch.call(openSTUtility.address, stakingIntentHashes, { from: ops })).toNumber(), 1);
+			var result = await registrar.revertMintingBatch(openSTUtility.address, stakingIntentHashes, { from: ops });
+
+			assert.equal(result.logs.length, 2);
+			assert.equal(result.logs[0].event, "RevertFailed");
+			assert.equal(result.logs[0].args._registry, openSTUtility.address);
+			assert.equal(result.logs[0].args._intentHash, stakingIntentHashes[0]);
+			assert.equal(result.logs[1].args._intentHash, stakingIntentHashes[1]);
+			assert.ok(Utils.isNullAddress((await openSTUtility.mints.call(stakingIntentHashes[2]))[1]));
+
+			result = await registrar.revertRedemptionBatch(openSTUtility.address, redemptionIntentHashes, { from: ops });
+
+			assert.equal(result.logs.length, 1);
+			assert.equal(result.logs[0].args._intentHash, redemptionIntentHashes[0]);
+			assert.ok(Utils.isNullAddress((await openSTUtility.redemptions.call(redemptionIntentHashes[1]))[1]));
+		})
+	})
+
+	describe('CommitStateRoot for core', async() => {
+		var contracts 	= null;
+		var registrar 	= null;
+		var core 		= null;
+		const stateRoot = web3.sha3("state root");
+
+		before(async() => {
+	        contracts   = await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 	= contracts.registrar;
+	        core 		= contracts.core;
+		})
+
+		it('fails to commit by non-ops', async () => {
+            await Utils.expectThrow(registrar.commitStateRoot(core.address, 10, stateRoot, { from: admin }));
+		})
+
+		it('successfully commits', async () => {
+            assert.equal(await registrar.commitStateRoot.call(core.address, 10, stateRoot, { from: ops }), stateRoot);
+            await registrar.commitStateRoot(core.address, 10, stateRoot, { from: ops });
+            assert.equal(await core.getStateRoot.call(10), stateRoot);
+		})
+	})
+
+	describe('CompleteRegistrarTransfer', async() => {
+		var contracts 		= null;
+		var registrar 		= null;
+		var openSTValue 	= null;
+		var openSTUtility 	= null;
+		var core 			= null;
+		// registrar before the transfer
+		const registrarAccount 	= accounts[5];
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+			registrar 		= contracts.registrar;
+			// the mocks and CoreMock wait 3 blocks for the registrar transfer
+	        openSTValue 	= await OpenSTValueMock.new(chainIdValue, contracts.valueToken.address, registrarAccount);
+	        openSTUtility 	= await OpenSTUtilityMock.new(chainIdValue, chainIdUtility, registrarAccount, { gas: 10000000 });
+	        core 			= await CoreMock.new(registrarAccount, chainIdValue, chainIdUtility, openSTUtility.address);
+	        await openSTValue.setAdminAddress(admin);
+	        await openSTUtility.setAdminAddress(admin);
+	        await core.setAdminAddress(admin);
+
+	        await openSTValue.initiateRegistrarTransfer(registrar.address, { from: admin });
+	        await openSTUtility.initiateRegistrarTransfer(chainIdValue, registrar.address, { from: admin });
+	        await core.initiateRegistrarTransfer(registrar.address, { from: admin });
+		})
+
+		it('fails to complete by non-admin', async () => {
+            await Utils.expectThrow(registrar.completeRegistrarTransfer(openSTValue.address, { from: ops }));
+            await Utils.expectThrow(registrar.completeUtilityRegistrarTransfer(openSTUtility.address, chainIdValue, { from: ops }));
+            await Utils.expectThrow(registrar.completeCoreRegistrarTransfer(core.address, { from: ops }));
+		})
+
+		it('fails to complete before the waiting period ends', async () => {
+			// the transfer on core is initiated last of the protocol contracts
+			var earliestTransferHeight = (await core.earliestRegistrarTransferHeight.call()).toNumber();
+
+			while (web3.eth.blockNumber + 1 < earliestTransferHeight) {
+	            await Utils.expectThrow(registrar.completeCoreRegistrarTransfer(core.address, { from: admin }));
+			}
+		})
+
+		it('successfully completes on the value chain', async () => {
+            await registrar.completeRegistrarTransfer(openSTValue.address, { from: admin });
+            assert.equal(await openSTValue.registrar.call(), registrar.address);
+		})
+
+		it('successfully completes on the utility chain', async () => {
+            await registrar.completeUtilityRegistrarTransfer(openSTUtility.address, chainIdValue, { from: admin });
+            assert.equal(await openSTUtility.registrars.call(chainIdValue), registrar.address);
+		})
+
+		it('successfully completes on core', async () => {
+            await registrar.completeCoreRegistrarTransfer(core.address, { from: admin });
+            assert.equal(await core.registrar.call(), registrar.address);
+		})
+	})
+
+	describe('Registrars', async() => {
+		var registrar 	= null;
+
+		before(async() => {
+			registrar = await Registrar.new();
+			await registrar.setOpsAddress(ops);
+			await registrar.setAdminAddress(admin);
+		})
+
+		it('fails to add by non-admin', async () => {
+            await Utils.expectThrow(registrar.addRegistrar(accounts[6], { from: ops }));
+		})
+
+		it('fails to add null address', async () => {
+            await Utils.expectThrow(registrar.addRegistrar(0, { from: admin }));
+		})
+
+		it('successfully adds', async () => {
+			assert.equal(await registrar.addRegistrar.call(accounts[6], { from: admin }), true);
+			var result = await registrar.addRegistrar(accounts[6], { from: admin });
+			assert.equal(result.logs[0].event, "RegistrarAdded");
+			assert.equal(result.logs[0].args._registrar, accounts[6]);
+			await registrar.addRegistrar(accounts[7], { from: admin });
+
+			assert.equal(await registrar.isRegistrar.call(accounts[6]), true);
+			assert.equal((await registrar.getRegistrarsSize.call()).toNumber(), 2);
+			assert.equal(await registrar.registrars.call(1), accounts[7]);
+			// adding registrars does not set a threshold
+			assert.equal((await registrar.threshold.call()).toNumber(), 0);
+		})
+
+		it('fails to add a registrar twice', async () => {
+            await Utils.expectThrow(registrar.addRegistrar(accounts[6], { from: admin }));
+		})
+
+		it('fails to set threshold by non-admin', async () => {
+            await Utils.expectThrow(registrar.setThreshold(2, { from: ops }));
+		})
+
+		it('fails to set threshold above the number of registrars', async () => {
+            await Utils.expectThrow(registrar.setThreshold(3, { from: admin }));
+		})
+
+		it('successfully sets threshold', async () => {
+			assert.equal(await registrar.setThreshold.call(2, { from: admin }), true);
+			var result = await registrar.setThreshold(2, { from: admin });
+			assert.equal(result.logs[0].event, "ThresholdSet");
+			assert.equal(result.logs[0].args._threshold.toNumber(), 2);
+			assert.equal((await registrar.threshold.call()).toNumber(), 2);
+		})
+
+		it('fails to remove when the threshold would exceed the registrars left', async () => {
+            await Utils.expectThrow(registrar.removeRegistrar(accounts[6], { from: admin }));
+			await registrar.setThreshold(1, { from: admin });
+		})
+
+		it('fails to remove by non-admin', async () => {
+            await Utils.expectThrow(registrar.removeRegistrar(accounts[6], { from: ops }));
+		})
+
+		it('fails to remove a non-registrar', async () => {
+            await Utils.expectThrow(registrar.removeRegistrar(accounts[8], { from: admin }));
+		})
+
+		it('successfully removes', async () => {
+			assert.equal(await registrar.removeRegistrar.call(accounts[6], { from: admin }), true);
+			var result = await registrar.removeRegistrar(accounts[6], { from: admin });
+			assert.equal(result.logs[0].event, "RegistrarRemoved");
+			assert.equal(result.logs[0].args._registrar, accounts[6]);
+
+			assert.equal(await registrar.isRegistrar.call(accounts[6]), false);
+			assert.equal((await registrar.getRegistrarsSize.call()).toNumber(), 1);
+			assert.equal(await registrar.registrars.call(0), accounts[7]);
+		})
+	})
+
+	describe('Registrar quorum for value and utility chain', async() => {
+		var contracts 			 	= null;
+		var valueToken			 	= null;
+		var registrar 			 	= null;
+		var openSTUtility			= null;
+		var openSTValue			 	= null;
+		var uuid 				 	= null;
+		var brandedToken 		 	= null;
+		var nonce 				 	= null;
+		var amountUT 	 		 	= null;
+		var unlockHeight 		 	= null;
+		var stakingIntentHash 	 	= null;
+		var redemptionIntentHash 	= null;
+		const registrar1 			= accounts[6];
+		const registrar2 			= accounts[7];
+		const registrar3 			= accounts[8];
+		const BLOCKS_TO_WAIT_LONG	= 80667;
+		const amountUTRedeemed 	 	= (conversionRate / (10**conversionRateDecimals));
+		const amountSTRedeemed 		= 1;
+		// the staker stakes twice
+		const amountStaked 			= amountST.div(2);
+		const stateRoot 			= web3.sha3("state root");
+
+		before(async() => {
+	        contracts   	= await Registrar_utils.deployRegistrar(artifacts, accounts);
+	        valueToken  	= contracts.valueToken;
+			registrar 		= contracts.registrar;
+	        openSTUtility 	= contracts.openSTUtility;
+	        openSTValue 	= contracts.openSTValue;
+	        uuid 			= await openSTUtility.proposeBrandedToken.call(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        var result 		= await openSTUtility.proposeBrandedToken(chainIdValue, symbol, name, conversionRate, conversionRateDecimals, { from: staker });
+	        brandedToken 	= result.logs[0].args._token;
+
+	        await registrar.addCore(openSTValue.address, contracts.core.address, { from: ops });
+	        await registrar.addUtilityCore(openSTUtility.address, contracts.coreUC.address, { from: ops });
+	        await registrar.addRegistrar(registrar1, { from: admin });
+	        await registrar.addRegistrar(registrar2, { from: admin });
+	        await registrar.addRegistrar(registrar3, { from: admin });
+	        await registrar.setThreshold(2, { from: admin });
+		})
+
+		it('fails to register utility token by ops once the threshold is set', async () => {
+            await Utils.expectThrow(registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: ops }));
+		})
+
+		it('does not register utility token below the threshold', async () => {
+            assert.equal(await registrar.registerUtilityToken.call(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: registrar1 }), "0x0000000000000000000000000000000000000000000000000000000000000000");
+            var result = await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: registrar1 });
+
+            assert.equal(result.logs[0].event, "Attested");
+            assert.equal(result.logs[0].args._registrar, registrar1);
+            assert.equal(result.logs[0].args._attestations.toNumber(), 1);
+            assert.equal(result.logs[0].args._threshold.toNumber(), 2);
+            assert.equal(await openSTValue.getUuidsSize.call(), 0);
+		})
+
+		it('fails to attest twice by the same registrar', async () => {
+            await Utils.expectThrow(registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: registrar1 }));
+		})
+
+		it('successfully registers utility token at the threshold', async () => {
+            assert.equal(await registrar.registerUtilityToken.call(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: registrar2 }), uuid);
+            var result = await registrar.registerUtilityToken(openSTValue.address, symbol, name, conversionRate, conversionRateDecimals, chainIdUtility, staker, uuid, { from: registrar2 });
+
+            assert.equal(result.logs[0].args._attestations.toNumber(), 2);
+            assert.equal(await openSTValue.getUuidsSize.call(), 1);
+		})
+
+		it('successfully registers branded token at the threshold', async () => {
+            await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, brandedToken, uuid, { from: registrar3 });
+            // ST' is registered on construction
+            assert.equal(await openSTUtility.getUuidsSize.call(), 1);
+
+            assert.equal(await registrar.registerBrandedToken.call(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, brandedToken, uuid, { from: registrar1 }), uuid);
+            await registrar.registerBrandedToken(openSTUtility.address, symbol, name, conversionRate, conversionRateDecimals, staker, brandedToken, uuid, { from: registrar1 });
+            assert.equal(await openSTUtility.getUuidsSize.call(), 2);
+		})
+
+		it('does not confirm staking intent below the threshold', async () => {
+	        await valueToken.approve(openSTValue.address, amountStaked, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountStaked, staker, hashLock, { from: staker });
+	        nonce = result.logs[0].args._stakerNonce;
+	        amountUT = result.logs[0].args._amountUT;
+	        unlockHeight = result.logs[0].args._unlockHeight;
+	        stakingIntentHash = result.logs[0].args._stakingIntentHash;
+
+            assert.equal((await registrar.confirmStakingIntent.call(openSTUtility.address, uuid, staker, nonce, staker, amountStaked, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: registrar2 })).toNumber(), 0);
+            await registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountStaked, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: registrar2 });
+            assert.ok(Utils.isNullAddress((await openSTUtility.mints.call(stakingIntentHash))[1]));
+		})
+
+		it('successfully confirms staking intent at the threshold', async () => {
+            await registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountStaked, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: registrar3 });
+            assert.equal((await openSTUtility.mints.call(stakingIntentHash))[0], uuid);
+		})
+
+		it('does not count the attestation of a removed registrar', async () => {
+			await openSTValue.processStaking(stakingIntentHash, unlockSecret, { from: staker });
+			nonce = await openSTValue.getNextNonce.call(staker);
+			redemptionIntentHash = await openSTValue.hashRedemptionIntent.call(uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock);
+
+            await registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: registrar1 });
+            await registrar.removeRegistrar(registrar1, { from: admin });
+
+            var result = await registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: registrar2 });
+            assert.equal(result.logs[0].args._attestations.toNumber(), 1);
+            assert.ok(Utils.isNullAddress((await openSTValue.unstakes.call(redemptionIntentHash))[1]));
+		})
+
+		it('successfully confirms redemption intent at the threshold', async () => {
+            var confirmReturns = await registrar.confirmRedemptionIntent.call(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: registrar3 });
+            assert.equal(confirmReturns[0], amountSTRedeemed);
+
+            await registrar.confirmRedemptionIntent(openSTValue.address, uuid, staker, nonce, redeemBeneficiary, amountUTRedeemed, amountSTRedeemed, 0, BLOCKS_TO_WAIT_LONG, hashLock, redemptionIntentHash, { from: registrar3 });
+            assert.equal((await openSTValue.unstakes.call(redemptionIntentHash))[0], uuid);
+		})
+
+		it('fails to commit state root by ops once the threshold is set', async () => {
+            await Utils.expectThrow(registrar.commitStateRoot(contracts.core.address, 10, stateRoot, { from: ops }));
+		})
+
+		it('does not commit state root below the threshold', async () => {
+            assert.equal(await registrar.commitStateRoot.call(contracts.core.address, 10, stateRoot, { from: registrar2 }), "0x0000000000000000000000000000000000000000000000000000000000000000");
+            var result = await registrar.commitStateRoot(contracts.core.address, 10, stateRoot, { from: registrar2 });
+
+            assert.equal(result.logs[0].event, "Attested");
+            assert.equal(result.logs[0].args._attestations.toNumber(), 1);
+            assert.equal(await contracts.core.getStateRoot.call(10), "0x0000000000000000000000000000000000000000000000000000000000000000");
+		})
+
+		it('successfully commits state root at the threshold', async () => {
+            assert.equal(await registrar.commitStateRoot.call(contracts.core.address, 10, stateRoot, { from: registrar3 }), stateRoot);
+            await registrar.commitStateRoot(contracts.core.address, 10, stateRoot, { from: registrar3 });
+            assert.equal(await contracts.core.getStateRoot.call(10), stateRoot);
+		})
+
+		it('successfully confirms by ops again with a threshold of zero', async () => {
+			await registrar.setThreshold(0, { from: admin });
+	        await valueToken.approve(openSTValue.address, amountStaked, { from: staker });
+	        var result = await openSTValue.stake(uuid, amountStaked, staker, hashLock, { from: staker });
+	        nonce = result.logs[0].args._stakerNonce;
+	        amountUT = result.logs[0].args._amountUT;
+	        unlockHeight = result.logs[0].args._unlockHeight;
+	        stakingIntentHash = result.logs[0].args._stakingIntentHash;
+
+            await Utils.expectThrow(registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountStaked, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: registrar2 }));
+            await registrar.confirmStakingIntent(openSTUtility.address, uuid, staker, nonce, staker, amountStaked, amountUT, 0, unlockHeight, hashLock, stakingIntentHash, { from: ops });
+            assert.equal((await openSTUtility.mints.call(stakingIntentHash))[0], uuid);
+		})
+	})
+
+	describe('SetGuardianAddress', async() => {
+		var registrar 	= null;
+		const guardian 	= accounts[5];
+
+		before(async() => {
+			registrar = await Registrar.new();
+			await registrar.setOpsAddress(ops);
+			await registrar.setAdminAddress(admin);
+		})
+
+		it('fails to set by non-ownerOrAdmin', async () => {
+            await Utils.expectThrow(registrar.setGuardianAddress(guardian, { from: ops }));
+		})
+
+		it('fails to set to the owner', async () => {
+            await Utils.expectThrow(registrar.setGuardianAddress(accounts[0], { from: admin }));
+		})
+
+		it('fails to set to the admin address', async () => {
+            await Utils.expectThrow(registrar.setGuardianAddress(admin, { from: admin }));
+		})
+
+		it('fails to set to the ops address', async () => {
+            await Utils.expectThrow(registrar.setGuardianAddress(ops, { from: admin }));
+		})
+
+		it('successfully sets', async () => {
+			assert.equal(await registrar.setGuardianAddress.call(guardian, { from: admin }), true);
+			OpsManaged_utils.checkGuardianAddressChangedEventGroup(await registrar.setGuardianAddress(guardian, { from: admin }), guardian);
+			assert.equal(await registrar.guardianAddress.call(), guardian);
+		})
+
+		it('fails to set the admin or ops address to the guardian address', async () => {
+            await Utils.expectThrow(registrar.setAdminAddress(guardian, { from: admin }));
+            await Utils.expectThrow(registrar.setOpsAddress(guardian, { from: admin }));
+		})
+	})
+
+	describe('Freeze', async() => {
+		var registrar 	= null;
+		const guardian 	= accounts[5];
+
+		before(async() => {
+			registrar = await Registrar.new();
+			await registrar.setAdminAddress(admin);
+			await registrar.setGuardianAddress(guardian, { from: admin });
+		})
+
+		it('fails to freeze by non-guardian', async () => {
+            await Utils.expectThrow(registrar.freeze(10, { from: accounts[0] }));
+            await Utils.expectThrow(registrar.freeze(10, { from: admin }));
+		})
+
+		it('fails to freeze when blocks to freeze is not > 0', async () => {
+            await Utils.expectThrow(registrar.freeze(0, { from: guardian }));
+		})
+
+		it('fails to freeze when blocks to freeze is not <= MAX_BLOCKS_TO_FREEZE', async () => {
+			var maxBlocksToFreeze = await registrar.MAX_BLOCKS_TO_FREEZE.call();
+            await Utils.expectThrow(registrar.freeze(maxBlocksToFreeze.plus(1), { from: guardian }));
+		})
+
+		it('fails to unfreeze when not frozen', async () => {
+            await Utils.expectThrow(registrar.unfreeze({ from: guardian }));
+		})
+
+		it('successfully freezes', async () => {
+			assert.equal(await registrar.freeze.call(10, { from: guardian }), true);
+			var result = await registrar.freeze(10, { from: guardian });
+
+			OpsManaged_utils.checkFrozenEventGroup(result, guardian, result.receipt.blockNumber + 10);
+			assert.equal((await registrar.frozenUntilHeight.call()).toNumber(), result.receipt.blockNumber + 10);
+			assert.equal(await registrar.isFrozen.call(), true);
+		})
+
+		it('fails to freeze again while frozen', async () => {
+            await Utils.expectThrow(registrar.freeze(10, { from: guardian }));
+		})
+
+		it('fails to unfreeze by non-guardian', async () => {
+            await Utils.expectThrow(registrar.unfreeze({ from: admin }));
+		})
+
+		it('successfully unfreezes', async () => {
+			assert.equal(await registrar.unfreeze.call({ from: guardian }), true);
+			OpsManaged_utils.checkUnfrozenEventGroup(await registrar.unfreeze({ from: guardian }), guardian);
+			assert.equal(await registrar.isFrozen.call(), false);
+		})
+
+		it('fails to freeze again before the cooldown ends', async () => {
+            await Utils.expectThrow(registrar.freeze(1, { from: guardian }));
+		})
+
+		it('successfully expires at frozenUntilHeight', async () => {
+			// the cooldown does not apply to a registrar that was never frozen
+			registrar = await Registrar.new();
+			await registrar.setAdminAddress(admin);
+			await registrar.setGuardianAddress(guardian, { from: admin });
+			await registrar.freeze(1, { from: guardian });
+			assert.equal(await registrar.isFrozen.call(), true);
+			// mine a block
+			await registrar.setOpsAddress(ops, { from: admin });
+			assert.equal(await registrar.isFrozen.call(), false);
+		})
+	})
 })
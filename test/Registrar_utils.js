@@ -31,6 +31,9 @@ var Core 		= artifacts.require("./Core.sol");
 module.exports.deployRegistrar = async (artifacts, accounts) => {
 	const chainIdValue   = 3;
 	const chainIdUtility = 1410;
+	// ~2 weeks and ~1 hour, assuming ~15s per block on both chains
+	const BLOCKS_TO_WAIT_LONG  = 80667;
+	const BLOCKS_TO_WAIT_SHORT = 240;
 	const valueToken   	 = await SimpleToken.new();
 	const registrar    	 = await Registrar.new();
 	const staker	  	 = accounts[2];
@@ -46,15 +49,19 @@ module.exports.deployRegistrar = async (artifacts, accounts) => {
 	await valueToken.finalize({ from: accounts[3] });
     await valueToken.transfer(staker, amountST);
 
-	const openSTUtility = await OpenSTUtility.new(chainIdValue, chainIdUtility, registrar.address, { gas: 10000000 });
-	const openSTValue 	= await OpenSTValue.new(chainIdValue, valueToken.address, registrar.address);
+	const openSTUtility = await OpenSTUtility.new(chainIdValue, chainIdUtility, registrar.address,
+		BLOCKS_TO_WAIT_LONG, BLOCKS_TO_WAIT_SHORT, BLOCKS_TO_WAIT_LONG, { gas: 10000000 });
+	const openSTValue 	= await OpenSTValue.new(chainIdValue, valueToken.address, registrar.address,
+		BLOCKS_TO_WAIT_LONG, BLOCKS_TO_WAIT_SHORT, BLOCKS_TO_WAIT_LONG);
 	const core 		  	 = await Core.new(registrar.address, chainIdValue, chainIdUtility, openSTUtility.address);
+	const coreUC 		 = await Core.new(registrar.address, chainIdUtility, chainIdValue, openSTValue.address);
 
 	return {
 		valueToken  	: valueToken,
 		registrar 		: registrar,
 		openSTUtility 	: openSTUtility,
 		openSTValue 	: openSTValue,
-		core 			: core
+		core 			: core,
+		coreUC 			: coreUC
 	}
 }
@@ -44,6 +44,14 @@ const UtilityTokenAbstract = artifacts.require("./UtilityTokenAbstractMock.sol")
 /// 	successfully claims
 /// 	successfully burns
 ///
+/// ScheduleConversionRateChange
+/// 	fails to schedule by non-protocol
+/// 	fails to schedule when conversionRate is not > 0
+/// 	fails to schedule when the activation height is not > block number
+/// 	successfully schedules
+/// 	has the new conversionRate and conversionRateDecimals from the activation height
+/// 	successfully replaces an activated change
+///
 
 contract('UtilityTokenAbstract', function(accounts) {
 	const openSTProtocol 		= accounts[4];
@@ -202,4 +210,61 @@ contract('UtilityTokenAbstract', function(accounts) {
 			UtilityTokenAbstract_utils.checkBurntEvent(result.logs[0], uuid, 0, amount, postBurnTotalSupply);
 		})
 	})
+
+	describe ('ScheduleConversionRateChange', async () => {
+		const newConversionRateDecimals = 2;
+		const newConversionRate = new BigNumber(25 * (10**newConversionRateDecimals)); // conversion rate => 25
+		var activationHeight = null;
+
+		before(async () => {
+	        contracts = await UtilityTokenAbstract_utils.deployUtilityTokenAbstract(artifacts, accounts);
+	        utilityTokenAbstract = contracts.utilityTokenAbstract;
+	        uuid = await utilityTokenAbstract.uuid.call();
+		})
+
+		it('fails to schedule by non-protocol', async () => {
+			activationHeight = web3.eth.blockNumber + 5;
+			await Utils.expectThrow(utilityTokenAbstract.scheduleConversionRateChange(newConversionRate, newConversionRateDecimals, activationHeight, { from: accounts[0] }));
+		})
+
+		it('fails to schedule when conversionRate is not > 0', async () => {
+			await Utils.expectThrow(utilityTokenAbstract.scheduleConversionRateChange(0, newConversionRateDecimals, activationHeight, { from: openSTProtocol }));
+		})
+
+		it('fails to schedule when the activation height is not > block number', async () => {
+			await Utils.expectThrow(utilityTokenAbstract.scheduleConversionRateChange(newConversionRate, newConversionRateDecimals,
+				web3.eth.blockNumber + 1, { from: openSTProtocol }));
+		})
+
+		it('successfully schedules', async () => {
+			assert.equal(await utilityTokenAbstract.scheduleConversionRateChange.call(newConversionRate, newConversionRateDecimals, activationHeight, { from: openSTProtocol }), true);
+			result = await utilityTokenAbstract.scheduleConversionRateChange(newConversionRate, newConversionRateDecimals, activationHeight, { from: openSTProtocol });
+
+			assert.equal(result.logs[0].event, "ConversionRateChangeScheduled");
+			assert.equal(result.logs[0].args._uuid, uuid);
+			assert.equal(result.logs[0].args._conversionRate.toNumber(), newConversionRate.toNumber());
+			assert.equal(result.logs[0].args._conversionRateDecimals.toNumber(), newConversionRateDecimals);
+			assert.equal(result.logs[0].args._activationHeight.toNumber(), activationHeight);
+			assert.equal((await utilityTokenAbstract.conversionRate.call()).toNumber(), conversionRate.toNumber());
+			assert.equal((await utilityTokenAbstract.conversionRateDecimals.call()).toNumber(), conversionRateDecimals);
+		})
+
+		it('has the new conversionRate and conversionRateDecimals from the activation height', async () => {
+			// mine blocks until the activation height
+			while (web3.eth.blockNumber < activationHeight) {
+				await utilityTokenAbstract.mintInternalPublic(beneficiary1, ST1);
+			}
+
+			assert.equal((await utilityTokenAbstract.conversionRate.call()).toNumber(), newConversionRate.toNumber());
+			assert.equal((await utilityTokenAbstract.conversionRateDecimals.call()).toNumber(), newConversionRateDecimals);
+			assert.equal(await utilityTokenAbstract.uuid.call(), uuid);
+		})
+
+		it('successfully replaces an activated change', async () => {
+			await utilityTokenAbstract.scheduleConversionRateChange(conversionRate, conversionRateDecimals, web3.eth.blockNumber + 5, { from: openSTProtocol });
+
+			assert.equal((await utilityTokenAbstract.conversionRate.call()).toNumber(), newConversionRate.toNumber());
+			assert.equal((await utilityTokenAbstract.conversionRateDecimals.call()).toNumber(), newConversionRateDecimals);
+		})
+	})
 })
@@ -0,0 +1,207 @@
+// Copyright 2017 OpenST Ltd.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// ----------------------------------------------------------------------------
+// Test: lib/proof.js
+//
+// http://www.simpletoken.org/
+//
+// ----------------------------------------------------------------------------
+
+/*
+ *  Merkle-Patricia proofs
+ *
+ *  Builds small in-memory secure tries (keys are hashed) to produce state roots,
+ *  storage roots and proofs as a remote chain would, because the test client
+ *  does not support eth_getProof.
+ */
+
+const toBuffer = (hex) => {
+  hex = hex.replace(/^0x/, "");
+  if (hex.length % 2 == 1) hex = "0" + hex;
+  return Buffer.from(hex, "hex");
+}
+
+const toHex = (buffer) => {
+  return "0x" + buffer.toString("hex");
+}
+
+const keccak256 = (buffer) => {
+  return toBuffer(web3.sha3(buffer.toString("hex"), { encoding: "hex" }));
+}
+
+/*
+ *  RLP encoding
+ */
+const encodeLength = (length, offset) => {
+  if (length < 56) return Buffer.from([offset + length]);
+
+  const lengthBytes = toBuffer(length.toString(16));
+  return Buffer.concat([Buffer.from([offset + 55 + lengthBytes.length]), lengthBytes]);
+}
+
+const rlpEncode = (input) => {
+  if (Array.isArray(input)) {
+    const payload = Buffer.concat(input.map(rlpEncode));
+    return Buffer.concat([encodeLength(payload.length, 0xc0), payload]);
+  }
+
+  if (input.length == 1 && input[0] < 0x80) return input;
+
+  return Buffer.concat([encodeLength(input.length, 0x80), input]);
+}
+
+/// @dev Storage values and account fields are encoded without leading zeros
+const stripZeros = (buffer) => {
+  var i = 0;
+  while (i < buffer.length && buffer[i] == 0) i++;
+  return buffer.slice(i);
+}
+
+/*
+ *  Trie construction
+ */
+const toNibbles = (buffer) => {
+  const nibbles = [];
+  for (var i = 0; i < buffer.length; i++) {
+    nibbles.push(buffer[i] >> 4);
+    nibbles.push(buffer[i] % 16);
+  }
+  return nibbles;
+}
+
+const hexPrefix = (nibbles, isLeaf) => {
+  const flag = isLeaf ? 2 : 0;
+  const odd = nibbles.length % 2;
+  const prefixed = odd ? [flag + 1].concat(nibbles) : [flag, 0].concat(nibbles);
+  const bytes = [];
+  for (var i = 0; i < prefixed.length; i += 2) {
+    bytes.push(prefixed[i] * 16 + prefixed[i + 1]);
+  }
+  return Buffer.from(bytes);
+}
+
+const commonPrefixLength = (entries) => {
+  var length = 0;
+  while (entries.every((entry) => entry.nibbles.length > length &&
+    entry.nibbles[length] == entries[0].nibbles[length])) {
+    length++;
+  }
+  return length;
+}
+
+/// @dev returns the raw node for entries below the current depth, and
+///      records every encoded node by its hash so that proofs can be walked
+const buildNode = (entries, nodes) => {
+  var node = null;
+
+  if (entries.length == 1) {
+    node = [hexPrefix(entries[0].nibbles, true), entries[0].value];
+  } else {
+    const prefixLength = commonPrefixLength(entries);
+    if (prefixLength > 0) {
+      const child = buildNode(entries.map((entry) => {
+        return { nibbles: entry.nibbles.slice(prefixLength), value: entry.value };
+      }), nodes);
+      node = [hexPrefix(entries[0].nibbles.slice(0, prefixLength), false), child];
+    } else {
+      node = [];
+      for (var nibble = 0; nibble < 16; nibble++) {
+        const children = entries.filter((entry) => entry.nibbles[0] == nibble);
+        node.push(children.length == 0 ? Buffer.alloc(0) : buildNode(children.map((entry) => {
+          return { nibbles: entry.nibbles.slice(1), value: entry.value };
+        }), nodes));
+      }
+      node.push(Buffer.alloc(0));
+    }
+  }
+
+  const encoded = rlpEncode(node);
+  const hash = keccak256(encoded);
+  nodes[hash.toString("hex")] = { node: node, encoded: encoded };
+
+  return hash;
+}
+
+/// @dev Build a secure trie for a map of hex keys to (already RLP encoded) values
+const buildTrie = (map) => {
+  const entries = Object.keys(map).map((key) => {
+    return { nibbles: toNibbles(keccak256(toBuffer(key))), value: map[key] };
+  });
+  const nodes = {};
+  const root = buildNode(entries, nodes);
+
+  return {
+    root  : toHex(root),
+    /// @dev RLP encoded list of the nodes from the root to the leaf of key
+    proof : (key) => {
+      const nibbles = toNibbles(keccak256(toBuffer(key)));
+      const path = [];
+      var hash = root;
+      var depth = 0;
+      while (hash != null) {
+        const entry = nodes[hash.toString("hex")];
+        path.push(entry.node);
+        hash = null;
+        if (entry.node.length == 17) {
+          hash = entry.node[nibbles[depth]];
+          depth++;
+        } else if ((entry.node[0][0] >> 4) < 2) {
+          // extension node
+          hash = entry.node[1];
+          depth += toNibbles(entry.node[0]).length - ((entry.node[0][0] >> 4) == 1 ? 1 : 2);
+        }
+      }
+      return toHex(rlpEncode(path));
+    }
+  }
+}
+
+/*
+ *  Exports
+ */
+module.exports.rlpEncode = rlpEncode;
+
+/// @dev Storage slot of the first member of the struct at mapping[key]
+module.exports.mappingStorageSlot = (key, index) => {
+  const slotIndex = web3.toHex(index).replace(/^0x/, "").padStart(64, "0");
+  return toHex(keccak256(Buffer.concat([toBuffer(key), toBuffer(slotIndex)])));
+}
+
+/// @dev Build a storage trie from a map of storage slots to bytes32 values
+module.exports.buildStorageTrie = (storage) => {
+  const map = {};
+  for (var slot in storage) {
+    map[slot] = rlpEncode(stripZeros(toBuffer(storage[slot])));
+  }
+  return buildTrie(map);
+}
+
+/// @dev Build a state trie from a map of addresses to storage roots;
+///      returns the trie and the RLP encoded accounts
+module.exports.buildStateTrie = (storageRoots) => {
+  const map = {};
+  const accounts = {};
+  const emptyCodeHash = keccak256(Buffer.alloc(0));
+  for (var address in storageRoots) {
+    // [nonce, balance, storageRoot, codeHash]
+    const account = rlpEncode([Buffer.from([1]), Buffer.alloc(0),
+      toBuffer(storageRoots[address]), emptyCodeHash]);
+    map[address] = account;
+    accounts[address] = toHex(account);
+  }
+  const trie = buildTrie(map);
+  trie.accounts = accounts;
+  return trie;
+}
@@ -112,6 +112,22 @@ module.exports.expectThrow = async (promise) => {
     assert(false, "Did not throw as expected");
 };
 
+/// @dev Hash lock of an unlock secret, as keccak256(bytes32) in Solidity
+module.exports.hashLock = (unlockSecret) => {
+    return web3.sha3(unlockSecret, { encoding: "hex" });
+}
+
+/// @dev Sign a hash with eth_sign and split the signature into v, r and s
+module.exports.sign = (account, hash) => {
+    const signature = web3.eth.sign(account, hash).replace(/^0x/, "");
+
+    return {
+        r : "0x" + signature.slice(0, 64),
+        s : "0x" + signature.slice(64, 128),
+        v : parseInt(signature.slice(128, 130), 16)
+    }
+}
+
 /// @dev Get account balance
 module.exports.getBalance = function (address) {
   return new Promise (function (resolve, reject) {